@@ -1,14 +1,19 @@
 'use client';
 
-import { Copy, Eye, EyeOff, Plus, Trash2 } from 'lucide-react';
+import { Copy, Gauge, Plus, RefreshCw, Trash2 } from 'lucide-react';
 import { useState } from 'react';
 import useSWR from 'swr';
 
 import {
   createApiKey,
   deleteApiKey,
+  getDefaultRateLimits,
   getProjectApiKeys,
+  rotateApiKey,
+  updateApiKeyLimits,
+  updateApiKeyProfile,
 } from '@/app/actions/api-keys';
+import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import {
   Dialog,
@@ -20,12 +25,118 @@ import {
 } from '@/components/ui/dialog';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { ApiKeyScope } from '@/db/schema';
+import { useProfiles } from '@/hooks/use-profiles';
 import { useProjects } from '@/hooks/use-projects';
 import { useToast } from '@/hooks/use-toast';
+import { parseLimitInput } from '@/lib/rate-limit/token-bucket';
 import { ApiKey } from '@/types/api-key';
+import { Profile } from '@/types/profile';
+
+const ALL_SCOPES = Object.values(ApiKeyScope);
+
+const API_KEY_SCOPE_LABELS: { [scope in ApiKeyScope]: string } = {
+  [ApiKeyScope.CONFIG_READ]: 'Read config',
+  [ApiKeyScope.CONFIG_WRITE]: 'Write config',
+  [ApiKeyScope.TELEMETRY_WRITE]: 'Report telemetry',
+};
+
+/**
+ * Workspace picker for API keys. The empty value means the key follows the
+ * project's active workspace.
+ */
+function WorkspaceSelect({
+  id,
+  profiles,
+  value,
+  onChange,
+}: {
+  id: string;
+  profiles: Profile[];
+  value: string;
+  onChange: (profileUuid: string) => void;
+}) {
+  return (
+    <select
+      id={id}
+      className='p-2 border rounded-md bg-background'
+      value={value}
+      onChange={(e) => onChange(e.target.value)}>
+      <option value=''>Active workspace</option>
+      {profiles.map((profile) => (
+        <option key={profile.uuid} value={profile.uuid}>
+          {profile.name}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+/**
+ * Rate limit and daily quota inputs. Empty fields are sent as null.
+ */
+function LimitFields({
+  idPrefix,
+  defaultRateLimit,
+  rateLimit,
+  dailyQuota,
+  onRateLimitChange,
+  onDailyQuotaChange,
+}: {
+  idPrefix: string;
+  defaultRateLimit?: number;
+  rateLimit: string;
+  dailyQuota: string;
+  onRateLimitChange: (value: string) => void;
+  onDailyQuotaChange: (value: string) => void;
+}) {
+  return (
+    <>
+      <div className='space-y-2'>
+        <Label htmlFor={`${idPrefix}-rate-limit`}>
+          Requests per Minute (Optional)
+        </Label>
+        <Input
+          id={`${idPrefix}-rate-limit`}
+          type='number'
+          min={0}
+          placeholder={
+            defaultRateLimit !== undefined
+              ? `Default (${defaultRateLimit})`
+              : 'Default'
+          }
+          value={rateLimit}
+          onChange={(e) => onRateLimitChange(e.target.value)}
+        />
+        <p className='text-sm text-muted-foreground'>
+          Leave empty to use the default; 0 removes the limit.
+        </p>
+      </div>
+      <div className='space-y-2'>
+        <Label htmlFor={`${idPrefix}-daily-quota`}>
+          Tool Calls per Day (Optional)
+        </Label>
+        <Input
+          id={`${idPrefix}-daily-quota`}
+          type='number'
+          min={0}
+          placeholder='No quota'
+          value={dailyQuota}
+          onChange={(e) => onDailyQuotaChange(e.target.value)}
+        />
+        <p className='text-sm text-muted-foreground'>
+          Counted from tool calls made through /api/mcp or reported to
+          /api/tools/calls, and reset at midnight UTC.
+        </p>
+      </div>
+    </>
+  );
+}
 
 export default function ApiKeysPage() {
   const { currentProject } = useProjects();
+  const { profiles } = useProfiles();
   const {
     data: apiKeys,
     error,
@@ -35,12 +146,26 @@ export default function ApiKeysPage() {
     currentProject?.uuid ? `${currentProject?.uuid}/api-keys` : null,
     () => getProjectApiKeys(currentProject?.uuid || '')
   );
-  const [revealed, setRevealed] = useState(false);
+  const { data: defaultRateLimits } = useSWR('rate-limits/defaults', () =>
+    getDefaultRateLimits()
+  );
   const [isCreateDialogOpen, setIsCreateDialogOpen] = useState(false);
   const [newKeyName, setNewKeyName] = useState('');
+  const [newKeyScopes, setNewKeyScopes] = useState<ApiKeyScope[]>(ALL_SCOPES);
+  const [newKeyExpiresAt, setNewKeyExpiresAt] = useState('');
+  const [newKeyProfileUuid, setNewKeyProfileUuid] = useState('');
+  const [newKeyRateLimit, setNewKeyRateLimit] = useState('');
+  const [newKeyDailyQuota, setNewKeyDailyQuota] = useState('');
   const [isCreating, setIsCreating] = useState(false);
   const [keyToDelete, setKeyToDelete] = useState<ApiKey | null>(null);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [keyToRotate, setKeyToRotate] = useState<ApiKey | null>(null);
+  const [isRotating, setIsRotating] = useState(false);
+  const [keyToLimit, setKeyToLimit] = useState<ApiKey | null>(null);
+  const [limitRateLimit, setLimitRateLimit] = useState('');
+  const [limitDailyQuota, setLimitDailyQuota] = useState('');
+  const [isSavingLimits, setIsSavingLimits] = useState(false);
+  const [issuedKey, setIssuedKey] = useState<string | null>(null);
   const { toast } = useToast();
 
   const copyApiKey = async (apiKey: string) => {
@@ -51,12 +176,48 @@ export default function ApiKeysPage() {
     });
   };
 
-  const toggleReveal = () => {
-    setRevealed(!revealed);
+  const toggleScope = (scope: ApiKeyScope, checked: boolean) => {
+    setNewKeyScopes((scopes) =>
+      checked ? [...scopes, scope] : scopes.filter((s) => s !== scope)
+    );
+  };
+
+  const resetCreateForm = () => {
+    setNewKeyName('');
+    setNewKeyScopes(ALL_SCOPES);
+    setNewKeyExpiresAt('');
+    setNewKeyProfileUuid('');
+    setNewKeyRateLimit('');
+    setNewKeyDailyQuota('');
   };
 
-  const maskApiKey = (key: string) => {
-    return `${key.slice(0, 5)}${'•'.repeat(key.length - 5)}`;
+  const openLimitsDialog = (apiKey: ApiKey) => {
+    setKeyToLimit(apiKey);
+    setLimitRateLimit(apiKey.rate_limit_per_minute?.toString() ?? '');
+    setLimitDailyQuota(apiKey.daily_tool_call_quota?.toString() ?? '');
+  };
+
+  const handleProfileChange = async (apiKey: ApiKey, profileUuid: string) => {
+    if (!currentProject?.uuid) {
+      return;
+    }
+    try {
+      await updateApiKeyProfile(
+        currentProject.uuid,
+        apiKey.uuid,
+        profileUuid || null
+      );
+      await mutate();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error
+            ? error.message
+            : 'Failed to update API key workspace',
+        variant: 'destructive',
+      });
+    }
   };
 
   const handleCreateApiKey = async () => {
@@ -65,14 +226,20 @@ export default function ApiKeysPage() {
         return;
       }
       setIsCreating(true);
-      await createApiKey(currentProject.uuid, newKeyName);
+      const { key } = await createApiKey(currentProject.uuid, {
+        name: newKeyName,
+        profile_uuid: newKeyProfileUuid || null,
+        scopes: newKeyScopes,
+        expires_at: newKeyExpiresAt
+          ? new Date(`${newKeyExpiresAt}T23:59:59`)
+          : null,
+        rate_limit_per_minute: parseLimitInput(newKeyRateLimit),
+        daily_tool_call_quota: parseLimitInput(newKeyDailyQuota),
+      });
       await mutate();
       setIsCreateDialogOpen(false);
-      setNewKeyName('');
-      toast({
-        title: 'API Key created',
-        description: 'Your new API key has been created successfully.',
-      });
+      resetCreateForm();
+      setIssuedKey(key);
     } catch (error) {
       toast({
         title: 'Error',
@@ -85,6 +252,54 @@ export default function ApiKeysPage() {
     }
   };
 
+  const handleRotateApiKey = async () => {
+    if (!currentProject?.uuid || !keyToRotate?.uuid) {
+      return;
+    }
+    try {
+      setIsRotating(true);
+      const { key } = await rotateApiKey(currentProject.uuid, keyToRotate.uuid);
+      await mutate();
+      setKeyToRotate(null);
+      setIssuedKey(key);
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error ? error.message : 'Failed to rotate API key',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsRotating(false);
+    }
+  };
+
+  const handleSaveLimits = async () => {
+    if (!currentProject?.uuid || !keyToLimit?.uuid) {
+      return;
+    }
+    try {
+      setIsSavingLimits(true);
+      await updateApiKeyLimits(currentProject.uuid, keyToLimit.uuid, {
+        rate_limit_per_minute: parseLimitInput(limitRateLimit),
+        daily_tool_call_quota: parseLimitInput(limitDailyQuota),
+      });
+      await mutate();
+      setKeyToLimit(null);
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error
+            ? error.message
+            : 'Failed to update API key limits',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSavingLimits(false);
+    }
+  };
+
   const handleDeleteApiKey = async () => {
     if (!currentProject?.uuid || !keyToDelete?.uuid) {
       return;
@@ -135,7 +350,8 @@ export default function ApiKeysPage() {
           <div className='space-y-4'>
             <div className='text-sm text-muted-foreground'>
               Your API keys are used to authenticate requests to the MetaMCP
-              API. Keep them secure and do not share them with others.
+              API. Keys are shown only once when they are created or rotated, so
+              store them somewhere safe.
             </div>
             {apiKeys && apiKeys.length === 0 && (
               <div className='text-sm text-muted-foreground'>
@@ -143,54 +359,105 @@ export default function ApiKeysPage() {
               </div>
             )}
             {apiKeys &&
-              apiKeys.map((apiKey) => (
-                <div key={apiKey.uuid} className='space-y-2'>
-                  {apiKey.name && (
-                    <div className='text-sm font-medium'>{apiKey.name}</div>
-                  )}
-                  <div className='flex items-center gap-2 bg-muted p-3 rounded-lg'>
-                    <code className='flex-1 font-mono text-sm'>
-                      {revealed ? apiKey.api_key : maskApiKey(apiKey.api_key)}
-                    </code>
-                    <Button
-                      variant='ghost'
-                      size='icon'
-                      onClick={toggleReveal}
-                      title={revealed ? 'Hide API key' : 'Show API key'}>
-                      {revealed ? (
-                        <EyeOff className='h-4 w-4' />
-                      ) : (
-                        <Eye className='h-4 w-4' />
+              apiKeys.map((apiKey) => {
+                const isExpired =
+                  apiKey.expires_at !== null &&
+                  new Date(apiKey.expires_at) <= new Date();
+
+                return (
+                  <div key={apiKey.uuid} className='space-y-2'>
+                    <div className='flex items-center gap-2'>
+                      {apiKey.name && (
+                        <div className='text-sm font-medium'>{apiKey.name}</div>
                       )}
-                    </Button>
-                    <Button
-                      variant='ghost'
-                      size='icon'
-                      onClick={() => copyApiKey(apiKey.api_key)}
-                      title='Copy API key'>
-                      <Copy className='h-4 w-4' />
-                    </Button>
-                    <Button
-                      variant='ghost'
-                      size='icon'
-                      onClick={() => setKeyToDelete(apiKey)}
-                      title='Delete API key'>
-                      <Trash2 className='h-4 w-4 text-destructive' />
-                    </Button>
+                      {isExpired && (
+                        <Badge variant='destructive'>Expired</Badge>
+                      )}
+                      {apiKey.scopes.map((scope) => (
+                        <Badge key={scope} variant='secondary'>
+                          {API_KEY_SCOPE_LABELS[scope]}
+                        </Badge>
+                      ))}
+                    </div>
+                    <div className='flex items-center gap-2 bg-muted p-3 rounded-lg'>
+                      <code className='flex-1 font-mono text-sm'>
+                        {apiKey.key_prefix}
+                        {'•'.repeat(16)}
+                      </code>
+                      <Button
+                        variant='ghost'
+                        size='icon'
+                        onClick={() => openLimitsDialog(apiKey)}
+                        title='Edit limits'>
+                        <Gauge className='h-4 w-4' />
+                      </Button>
+                      <Button
+                        variant='ghost'
+                        size='icon'
+                        onClick={() => setKeyToRotate(apiKey)}
+                        title='Rotate API key'>
+                        <RefreshCw className='h-4 w-4' />
+                      </Button>
+                      <Button
+                        variant='ghost'
+                        size='icon'
+                        onClick={() => setKeyToDelete(apiKey)}
+                        title='Delete API key'>
+                        <Trash2 className='h-4 w-4 text-destructive' />
+                      </Button>
+                    </div>
+                    <div className='text-xs text-muted-foreground'>
+                      Created {new Date(apiKey.created_at).toLocaleDateString()}
+                      {' · '}
+                      {apiKey.expires_at
+                        ? `${isExpired ? 'Expired' : 'Expires'} ${new Date(apiKey.expires_at).toLocaleDateString()}`
+                        : 'Never expires'}
+                      {' · '}
+                      {apiKey.last_used_at
+                        ? `Last used ${new Date(apiKey.last_used_at).toLocaleString()}${apiKey.last_used_ip ? ` from ${apiKey.last_used_ip}` : ''}`
+                        : 'Never used'}
+                    </div>
+                    <div className='text-xs text-muted-foreground'>
+                      {apiKey.rate_limit_per_minute === 0
+                        ? 'No rate limit'
+                        : `${apiKey.rate_limit_per_minute ?? defaultRateLimits?.apiKey ?? 'Default'} requests per minute`}
+                      {' · '}
+                      {apiKey.daily_tool_call_quota === null
+                        ? `${apiKey.tool_calls_today} tool calls today`
+                        : `${apiKey.tool_calls_today} / ${apiKey.daily_tool_call_quota} tool calls today`}
+                    </div>
+                    <div className='flex items-center gap-2 text-sm'>
+                      <Label htmlFor={`profile-${apiKey.uuid}`}>
+                        Workspace:
+                      </Label>
+                      <WorkspaceSelect
+                        id={`profile-${apiKey.uuid}`}
+                        profiles={profiles}
+                        value={apiKey.profile_uuid ?? ''}
+                        onChange={(profileUuid) =>
+                          handleProfileChange(apiKey, profileUuid)
+                        }
+                      />
+                    </div>
                   </div>
-                </div>
-              ))}
+                );
+              })}
           </div>
         )}
       </div>
 
-      <Dialog open={isCreateDialogOpen} onOpenChange={setIsCreateDialogOpen}>
+      <Dialog
+        open={isCreateDialogOpen}
+        onOpenChange={(open) => {
+          setIsCreateDialogOpen(open);
+          if (!open) resetCreateForm();
+        }}>
         <DialogContent>
           <DialogHeader>
             <DialogTitle>Create API Key</DialogTitle>
             <DialogDescription>
-              Create a new API key for your project. You can optionally give it
-              a name to help identify its purpose.
+              Create a new API key for your project. Choose what the key is
+              allowed to do and, optionally, when it should stop working.
             </DialogDescription>
           </DialogHeader>
           <div className='space-y-4 py-4'>
@@ -198,11 +465,56 @@ export default function ApiKeysPage() {
               <Label htmlFor='name'>API Key Name (Optional)</Label>
               <Input
                 id='name'
-                placeholder='e.g.,, Production API Key'
+                placeholder='e.g., Production API Key'
                 value={newKeyName}
                 onChange={(e) => setNewKeyName(e.target.value)}
               />
             </div>
+            <div className='space-y-2'>
+              <Label>Scopes</Label>
+              {ALL_SCOPES.map((scope) => (
+                <div key={scope} className='flex items-center gap-2'>
+                  <Switch
+                    id={`scope-${scope}`}
+                    checked={newKeyScopes.includes(scope)}
+                    onCheckedChange={(checked) => toggleScope(scope, checked)}
+                  />
+                  <Label htmlFor={`scope-${scope}`} className='font-normal'>
+                    {API_KEY_SCOPE_LABELS[scope]}
+                  </Label>
+                </div>
+              ))}
+            </div>
+            <div className='space-y-2'>
+              <Label htmlFor='profile_uuid'>Workspace</Label>
+              <WorkspaceSelect
+                id='profile_uuid'
+                profiles={profiles}
+                value={newKeyProfileUuid}
+                onChange={setNewKeyProfileUuid}
+              />
+              <p className='text-sm text-muted-foreground'>
+                Bind the key to a workspace so its clients keep the same tools
+                when you switch workspaces here.
+              </p>
+            </div>
+            <div className='space-y-2'>
+              <Label htmlFor='expires_at'>Expires On (Optional)</Label>
+              <Input
+                id='expires_at'
+                type='date'
+                value={newKeyExpiresAt}
+                onChange={(e) => setNewKeyExpiresAt(e.target.value)}
+              />
+            </div>
+            <LimitFields
+              idPrefix='new-key'
+              defaultRateLimit={defaultRateLimits?.apiKey}
+              rateLimit={newKeyRateLimit}
+              dailyQuota={newKeyDailyQuota}
+              onRateLimitChange={setNewKeyRateLimit}
+              onDailyQuotaChange={setNewKeyDailyQuota}
+            />
           </div>
           <DialogFooter>
             <Button
@@ -210,13 +522,102 @@ export default function ApiKeysPage() {
               onClick={() => setIsCreateDialogOpen(false)}>
               Cancel
             </Button>
-            <Button onClick={handleCreateApiKey} disabled={isCreating}>
+            <Button
+              onClick={handleCreateApiKey}
+              disabled={isCreating || newKeyScopes.length === 0}>
               {isCreating ? 'Creating...' : 'Create API Key'}
             </Button>
           </DialogFooter>
         </DialogContent>
       </Dialog>
 
+      <Dialog
+        open={!!issuedKey}
+        onOpenChange={(open) => !open && setIssuedKey(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Copy Your API Key</DialogTitle>
+            <DialogDescription>
+              This is the only time the key will be shown. Copy it now and store
+              it somewhere safe.
+            </DialogDescription>
+          </DialogHeader>
+          <div className='flex items-center gap-2 bg-muted p-3 rounded-lg'>
+            <code className='flex-1 font-mono text-sm break-all'>
+              {issuedKey}
+            </code>
+            <Button
+              variant='ghost'
+              size='icon'
+              onClick={() => issuedKey && copyApiKey(issuedKey)}
+              title='Copy API key'>
+              <Copy className='h-4 w-4' />
+            </Button>
+          </div>
+          <DialogFooter>
+            <Button onClick={() => setIssuedKey(null)}>Done</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog
+        open={!!keyToLimit}
+        onOpenChange={(open) => !open && setKeyToLimit(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Edit API Key Limits</DialogTitle>
+            <DialogDescription>
+              Requests over the rate limit, and tool calls over the daily quota,
+              are refused with 429 and a Retry-After header.
+            </DialogDescription>
+          </DialogHeader>
+          <div className='space-y-4 py-4'>
+            <LimitFields
+              idPrefix='edit-key'
+              defaultRateLimit={defaultRateLimits?.apiKey}
+              rateLimit={limitRateLimit}
+              dailyQuota={limitDailyQuota}
+              onRateLimitChange={setLimitRateLimit}
+              onDailyQuotaChange={setLimitDailyQuota}
+            />
+          </div>
+          <DialogFooter>
+            <Button variant='outline' onClick={() => setKeyToLimit(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveLimits} disabled={isSavingLimits}>
+              {isSavingLimits ? 'Saving...' : 'Save Limits'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog
+        open={!!keyToRotate}
+        onOpenChange={(open) => !open && setKeyToRotate(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Rotate API Key</DialogTitle>
+            <DialogDescription>
+              Rotating
+              {keyToRotate?.name
+                ? ` "${keyToRotate.name}"`
+                : ' this API key'}{' '}
+              issues a new secret with the same scopes and expiry. The current
+              key stops working immediately.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant='outline' onClick={() => setKeyToRotate(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleRotateApiKey} disabled={isRotating}>
+              {isRotating ? 'Rotating...' : 'Rotate API Key'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
       <Dialog
         open={!!keyToDelete}
         onOpenChange={(open) => !open && setKeyToDelete(null)}>
@@ -0,0 +1,246 @@
+'use client';
+
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { Fragment, useState } from 'react';
+import useSWR from 'swr';
+
+import { getAuditEvents } from '@/app/actions/audit';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { AuditAction, AuditActorType, AuditEntityType } from '@/db/schema';
+import { useProjects } from '@/hooks/use-projects';
+import { diffAuditSnapshots } from '@/lib/audit/snapshot';
+import { AuditEvent, AuditEventFilters } from '@/types/audit-event';
+
+const ENTITY_TYPE_LABELS: { [type in AuditEntityType]: string } = {
+  [AuditEntityType.MCP_SERVER]: 'MCP server',
+  [AuditEntityType.CUSTOM_MCP_SERVER]: 'Custom MCP server',
+  [AuditEntityType.TOOL]: 'Tool',
+  [AuditEntityType.API_KEY]: 'API key',
+  [AuditEntityType.PROFILE]: 'Workspace',
+  [AuditEntityType.PROJECT]: 'Project',
+  [AuditEntityType.CODE]: 'Code file',
+  [AuditEntityType.SECRET]: 'Secret',
+};
+
+const ACTOR_TYPE_LABELS: { [type in AuditActorType]: string } = {
+  [AuditActorType.GUI]: 'GUI',
+  [AuditActorType.API_KEY]: 'API key',
+};
+
+const ACTION_BADGE_CLASSES: { [action in AuditAction]: string } = {
+  [AuditAction.CREATE]: 'bg-green-600 hover:bg-green-600/80',
+  [AuditAction.UPDATE]: 'bg-blue-600 hover:bg-blue-600/80',
+  [AuditAction.DELETE]: 'bg-red-600 hover:bg-red-600/80',
+};
+
+function formatValue(value: unknown) {
+  if (value === undefined) return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+function AuditEventDetails({ event }: { event: AuditEvent }) {
+  const changes = diffAuditSnapshots(event.before, event.after);
+
+  if (changes.length === 0) {
+    return <p className='text-sm text-muted-foreground'>No field changes.</p>;
+  }
+
+  return (
+    <table className='w-full text-xs font-mono'>
+      <thead>
+        <tr className='text-left'>
+          <th className='py-1 pr-4 w-48'>Field</th>
+          <th className='py-1 pr-4'>Before</th>
+          <th className='py-1'>After</th>
+        </tr>
+      </thead>
+      <tbody>
+        {changes.map((change) => (
+          <tr key={change.field} className='align-top'>
+            <td className='py-1 pr-4'>{change.field}</td>
+            <td className='py-1 pr-4 text-red-600 whitespace-pre-wrap break-all'>
+              {formatValue(change.before)}
+            </td>
+            <td className='py-1 text-green-700 whitespace-pre-wrap break-all'>
+              {formatValue(change.after)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default function AuditPage() {
+  const { currentProject } = useProjects();
+  const [filters, setFilters] = useState<AuditEventFilters>({ page: 0 });
+  const [expanded, setExpanded] = useState<string | null>(null);
+
+  const { data, isLoading } = useSWR(
+    currentProject?.uuid
+      ? [`${currentProject.uuid}/audit-events`, filters]
+      : null,
+    () => getAuditEvents(currentProject?.uuid || '', filters)
+  );
+
+  const page = filters.page ?? 0;
+  const updateFilters = (update: AuditEventFilters) =>
+    setFilters({ ...filters, ...update, page: 0 });
+
+  return (
+    <div>
+      <div className='mb-4'>
+        <h1 className='text-2xl font-bold'>Audit Log</h1>
+        <p className='text-sm text-muted-foreground'>
+          Configuration changes in this project, made in the GUI or through API
+          keys. Env values and headers are redacted.
+        </p>
+      </div>
+      <div className='mb-4 flex flex-wrap items-center gap-2'>
+        <Input
+          placeholder='Search entity or actor...'
+          value={filters.search ?? ''}
+          onChange={(e) => updateFilters({ search: e.target.value })}
+          className='max-w-sm'
+        />
+        <select
+          aria-label='Entity type'
+          className='p-2 border rounded-md bg-background'
+          value={filters.entityType ?? ''}
+          onChange={(e) =>
+            updateFilters({
+              entityType: (e.target.value as AuditEntityType) || undefined,
+            })
+          }>
+          <option value=''>All entities</option>
+          {Object.values(AuditEntityType).map((type) => (
+            <option key={type} value={type}>
+              {ENTITY_TYPE_LABELS[type]}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label='Action'
+          className='p-2 border rounded-md bg-background'
+          value={filters.action ?? ''}
+          onChange={(e) =>
+            updateFilters({
+              action: (e.target.value as AuditAction) || undefined,
+            })
+          }>
+          <option value=''>All actions</option>
+          {Object.values(AuditAction).map((action) => (
+            <option key={action} value={action}>
+              {action}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label='Actor'
+          className='p-2 border rounded-md bg-background'
+          value={filters.actorType ?? ''}
+          onChange={(e) =>
+            updateFilters({
+              actorType: (e.target.value as AuditActorType) || undefined,
+            })
+          }>
+          <option value=''>All actors</option>
+          {Object.values(AuditActorType).map((type) => (
+            <option key={type} value={type}>
+              {ACTOR_TYPE_LABELS[type]}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className='overflow-x-auto'>
+        <table className='min-w-full bg-white border border-gray-300'>
+          <thead>
+            <tr>
+              {['', 'Time', 'Actor', 'Action', 'Entity', 'Name'].map(
+                (header) => (
+                  <th
+                    key={header}
+                    className='py-2 px-4 border-b text-left font-semibold bg-gray-100'>
+                    {header}
+                  </th>
+                )
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {data?.events.map((event) => (
+              <Fragment key={event.uuid}>
+                <tr
+                  className='hover:bg-gray-50 cursor-pointer'
+                  onClick={() =>
+                    setExpanded(expanded === event.uuid ? null : event.uuid)
+                  }>
+                  <td className='py-2 px-4 border-b'>
+                    {expanded === event.uuid ? (
+                      <ChevronDown className='h-4 w-4' />
+                    ) : (
+                      <ChevronRight className='h-4 w-4' />
+                    )}
+                  </td>
+                  <td className='py-2 px-4 border-b whitespace-nowrap'>
+                    {new Date(event.created_at).toLocaleString()}
+                  </td>
+                  <td className='py-2 px-4 border-b'>
+                    <Badge variant='outline' className='mr-2'>
+                      {ACTOR_TYPE_LABELS[event.actor_type]}
+                    </Badge>
+                    {event.actor_type === AuditActorType.API_KEY &&
+                      event.actor_name}
+                  </td>
+                  <td className='py-2 px-4 border-b'>
+                    <Badge className={ACTION_BADGE_CLASSES[event.action]}>
+                      {event.action}
+                    </Badge>
+                  </td>
+                  <td className='py-2 px-4 border-b'>
+                    {ENTITY_TYPE_LABELS[event.entity_type]}
+                  </td>
+                  <td className='py-2 px-4 border-b'>
+                    {event.entity_name ?? event.entity_uuid ?? '-'}
+                  </td>
+                </tr>
+                {expanded === event.uuid && (
+                  <tr>
+                    <td colSpan={6} className='py-2 px-4 border-b bg-gray-50'>
+                      <AuditEventDetails event={event} />
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+            {!isLoading && data?.events.length === 0 && (
+              <tr>
+                <td
+                  colSpan={6}
+                  className='py-4 px-4 text-center text-muted-foreground'>
+                  No audit events found.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <div className='mt-4 flex justify-end gap-2'>
+        <Button
+          variant='outline'
+          disabled={page === 0}
+          onClick={() => setFilters({ ...filters, page: page - 1 })}>
+          Previous
+        </Button>
+        <Button
+          variant='outline'
+          disabled={!data?.hasMore}
+          onClick={() => setFilters({ ...filters, page: page + 1 })}>
+          Next
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -11,9 +11,15 @@ import useSWR from 'swr';
 import {
   deleteCustomMcpServerByUuid,
   getCustomMcpServerByUuid,
+  getCustomMcpServerRevisions,
+  restoreCustomMcpServerRevision,
   toggleCustomMcpServerStatus,
   updateCustomMcpServer,
 } from '@/app/actions/custom-mcp-servers';
+import MaskedKeyValues from '@/components/masked-key-values';
+import ServerRevisionHistory, {
+  RevisionField,
+} from '@/components/server-revision-history';
 import { Button } from '@/components/ui/button';
 import {
   Command,
@@ -45,10 +51,15 @@ import {
   PopoverTrigger,
 } from '@/components/ui/popover';
 import { Switch } from '@/components/ui/switch';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Textarea } from '@/components/ui/textarea';
 import { McpServerStatus } from '@/db/schema';
 import { useCodes } from '@/hooks/use-codes';
 import { useProfiles } from '@/hooks/use-profiles';
+import {
+  CUSTOM_MCP_SERVER_REVISION_FIELDS,
+  pickRevisionConfig,
+} from '@/lib/revisions/config';
 import { CustomMcpServer } from '@/types/custom-mcp-server';
 
 export default function CustomMcpServerDetailPage({
@@ -85,6 +96,26 @@ export default function CustomMcpServerDetailPage({
     () => getCustomMcpServerByUuid(currentProfile?.uuid || '', uuid!)
   );
 
+  const revisionFields: RevisionField[] = [
+    { field: 'name', label: 'Name' },
+    { field: 'description', label: 'Description' },
+    {
+      field: 'code_uuid',
+      label: 'Code File',
+      format: (value) =>
+        codes?.find((code) => code.uuid === value)?.fileName ?? String(value),
+    },
+    { field: 'additionalArgs', label: 'Additional Arguments' },
+    { field: 'env', label: 'Environment Variables' },
+  ];
+
+  const { data: revisions, mutate: mutateRevisions } = useSWR(
+    uuid && currentProfile?.uuid
+      ? ['getCustomMcpServerRevisions', uuid, currentProfile?.uuid]
+      : null,
+    () => getCustomMcpServerRevisions(currentProfile?.uuid || '', uuid!)
+  );
+
   useEffect(() => {
     if (customMcpServer) {
       form.reset({
@@ -132,9 +163,21 @@ export default function CustomMcpServerDetailPage({
       processedData
     );
     await mutate();
+    await mutateRevisions();
     setIsEditing(false);
   };
 
+  const handleRestore = async (revisionUuid: string) => {
+    if (!customMcpServer || !currentProfile?.uuid) return;
+    await restoreCustomMcpServerRevision(
+      currentProfile.uuid,
+      customMcpServer.uuid,
+      revisionUuid
+    );
+    await mutate();
+    await mutateRevisions();
+  };
+
   const handleDelete = async () => {
     if (!customMcpServer || !currentProfile?.uuid) return;
     if (confirm('Are you sure you want to delete this Custom MCP server?')) {
@@ -324,80 +367,96 @@ export default function CustomMcpServerDetailPage({
 
       <h1 className='text-3xl font-bold mb-8'>{customMcpServer.name}</h1>
 
-      <div className='grid grid-cols-1 md:grid-cols-2 gap-8'>
-        <div className='space-y-4'>
-          <p className='mb-3'>
-            <strong>UUID:</strong> {customMcpServer.uuid}
-          </p>
+      <Tabs defaultValue='details'>
+        <TabsList className='mb-4'>
+          <TabsTrigger value='details'>Details</TabsTrigger>
+          <TabsTrigger value='history'>History</TabsTrigger>
+        </TabsList>
+        <TabsContent value='details'>
+          <div className='grid grid-cols-1 md:grid-cols-2 gap-8'>
+            <div className='space-y-4'>
+              <p className='mb-3'>
+                <strong>UUID:</strong> {customMcpServer.uuid}
+              </p>
 
-          <p className='mb-3 flex items-center gap-2'>
-            <strong>Status:</strong>{' '}
-            <Switch
-              checked={customMcpServer.status === McpServerStatus.ACTIVE}
-              onCheckedChange={async (checked) => {
-                if (!currentProfile?.uuid || !customMcpServer.uuid) return;
-                await toggleCustomMcpServerStatus(
-                  currentProfile.uuid,
-                  customMcpServer.uuid,
-                  checked ? McpServerStatus.ACTIVE : McpServerStatus.INACTIVE
-                );
-                mutate();
-              }}
-            />
-          </p>
+              <p className='mb-3 flex items-center gap-2'>
+                <strong>Status:</strong>{' '}
+                <Switch
+                  checked={customMcpServer.status === McpServerStatus.ACTIVE}
+                  onCheckedChange={async (checked) => {
+                    if (!currentProfile?.uuid || !customMcpServer.uuid) return;
+                    await toggleCustomMcpServerStatus(
+                      currentProfile.uuid,
+                      customMcpServer.uuid,
+                      checked ? McpServerStatus.ACTIVE : McpServerStatus.INACTIVE
+                    );
+                    mutate();
+                  }}
+                />
+              </p>
 
-          <p className='mb-3'>
-            <strong>Created At:</strong>{' '}
-            {new Date(customMcpServer.created_at).toLocaleString()}
-          </p>
+              <p className='mb-3'>
+                <strong>Created At:</strong>{' '}
+                {new Date(customMcpServer.created_at).toLocaleString()}
+              </p>
 
-          <p className='mb-3'>
-            <strong>Description:</strong>{' '}
-            <span className='whitespace-pre-wrap'>
-              {customMcpServer.description}
-            </span>
-          </p>
+              <p className='mb-3'>
+                <strong>Description:</strong>{' '}
+                <span className='whitespace-pre-wrap'>
+                  {customMcpServer.description}
+                </span>
+              </p>
 
-          <div className='mb-3'>
-            <strong>Additional Arguments:</strong>
-            <pre className='mt-2 p-2 bg-secondary rounded-md'>
-              {customMcpServer.additionalArgs.join(' ').trim().length > 0
-                ? customMcpServer.additionalArgs.join(' ').trim()
-                : 'No additional arguments set'}
-            </pre>
-          </div>
+              <div className='mb-3'>
+                <strong>Additional Arguments:</strong>
+                <pre className='mt-2 p-2 bg-secondary rounded-md'>
+                  {customMcpServer.additionalArgs.join(' ').trim().length > 0
+                    ? customMcpServer.additionalArgs.join(' ').trim()
+                    : 'No additional arguments set'}
+                </pre>
+              </div>
 
-          <div className='mb-3'>
-            <strong>Environment Variables:</strong>
-            <pre className='mt-2 p-2 bg-secondary rounded-md'>
-              {Object.entries(customMcpServer.env).length > 0
-                ? Object.entries(customMcpServer.env).map(
-                    ([key, value]) => `${key}=${value}\n`
-                  )
-                : 'No environment variables set'}
-            </pre>
-          </div>
+              <div className='mb-3'>
+                <strong>Environment Variables:</strong>
+                <MaskedKeyValues
+                  values={customMcpServer.env}
+                  emptyText='No environment variables set'
+                />
+              </div>
 
-          <div className='mb-3'>
-            <strong>Code File:&nbsp;</strong>
-            <span>
-              <Link
-                href={`/editor/${customMcpServer.code_uuid}`}
-                className='text-blue-600 hover:underline'>
-                Edit Code
-              </Link>
-            </span>
-            <p className='mt-1 text-sm text-muted-foreground'>
-              {customMcpServer.codeFileName || 'No code file name set'}
-            </p>
-            {customMcpServer.code && (
-              <pre className='mt-2 p-2 bg-secondary rounded-md overflow-auto max-h-[400px] font-mono'>
-                {customMcpServer.code}
-              </pre>
-            )}
+              <div className='mb-3'>
+                <strong>Code File:&nbsp;</strong>
+                <span>
+                  <Link
+                    href={`/editor/${customMcpServer.code_uuid}`}
+                    className='text-blue-600 hover:underline'>
+                    Edit Code
+                  </Link>
+                </span>
+                <p className='mt-1 text-sm text-muted-foreground'>
+                  {customMcpServer.codeFileName || 'No code file name set'}
+                </p>
+                {customMcpServer.code && (
+                  <pre className='mt-2 p-2 bg-secondary rounded-md overflow-auto max-h-[400px] font-mono'>
+                    {customMcpServer.code}
+                  </pre>
+                )}
+              </div>
+            </div>
           </div>
-        </div>
-      </div>
+        </TabsContent>
+        <TabsContent value='history'>
+          <ServerRevisionHistory
+            revisions={revisions}
+            current={pickRevisionConfig(
+              customMcpServer,
+              CUSTOM_MCP_SERVER_REVISION_FIELDS
+            )}
+            fields={revisionFields}
+            onRestore={handleRestore}
+          />
+        </TabsContent>
+      </Tabs>
     </div>
   );
 }
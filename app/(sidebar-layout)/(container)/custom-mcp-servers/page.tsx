@@ -6,6 +6,7 @@ import {
   getCoreRowModel,
   getFilteredRowModel,
   getSortedRowModel,
+  RowSelectionState,
   SortingState,
   useReactTable,
 } from '@tanstack/react-table';
@@ -16,9 +17,11 @@ import { useForm } from 'react-hook-form';
 import useSWR from 'swr';
 
 import {
+  copyCustomMcpServersToProfile,
   createCustomMcpServer,
   deleteCustomMcpServerByUuid,
   getCustomMcpServers,
+  moveCustomMcpServersToProfile,
   toggleCustomMcpServerStatus,
 } from '@/app/actions/custom-mcp-servers';
 import { Button } from '@/components/ui/button';
@@ -54,6 +57,12 @@ import {
 } from '@/components/ui/popover';
 import { Switch } from '@/components/ui/switch';
 import { Textarea } from '@/components/ui/textarea';
+import {
+  WorkspaceTransfer,
+  WorkspaceTransferDialog,
+  WorkspaceTransferMenu,
+  WorkspaceTransferMode,
+} from '@/components/workspace-transfer-dialog';
 import { McpServerStatus } from '@/db/schema';
 import { useCodes } from '@/hooks/use-codes';
 import { useProfiles } from '@/hooks/use-profiles';
@@ -68,6 +77,8 @@ export default function CustomMCPServersPage() {
   const profileUuid = currentProfile?.uuid;
   const [sorting, setSorting] = useState<SortingState>([]);
   const [globalFilter, setGlobalFilter] = useState('');
+  const [rowSelection, setRowSelection] = useState<RowSelectionState>({});
+  const [transfer, setTransfer] = useState<WorkspaceTransfer | null>(null);
   const [open, setOpen] = useState(false);
   const [openCombobox, setOpenCombobox] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -90,6 +101,25 @@ export default function CustomMCPServersPage() {
   const { codes } = useCodes();
 
   const columns = [
+    columnHelper.display({
+      id: 'select',
+      header: ({ table }) => (
+        <input
+          type='checkbox'
+          aria-label='Select all servers'
+          checked={table.getIsAllRowsSelected()}
+          onChange={table.getToggleAllRowsSelectedHandler()}
+        />
+      ),
+      cell: ({ row }) => (
+        <input
+          type='checkbox'
+          aria-label='Select server'
+          checked={row.getIsSelected()}
+          onChange={row.getToggleSelectedHandler()}
+        />
+      ),
+    }),
     columnHelper.accessor('name', {
       cell: (info) => (
         <Link
@@ -142,23 +172,31 @@ export default function CustomMCPServersPage() {
     columnHelper.display({
       id: 'actions',
       cell: (info) => (
-        <Button
-          variant='destructive'
-          size='sm'
-          onClick={async () => {
-            if (!profileUuid) return;
-            if (
-              confirm('Are you sure you want to delete this custom MCP server?')
-            ) {
-              await deleteCustomMcpServerByUuid(
-                profileUuid,
-                info.row.original.uuid
-              );
-              mutate();
-            }
-          }}>
-          <Trash2 size={16} />
-        </Button>
+        <div className='flex gap-2'>
+          <WorkspaceTransferMenu
+            uuids={[info.row.original.uuid]}
+            onSelect={setTransfer}
+          />
+          <Button
+            variant='destructive'
+            size='sm'
+            onClick={async () => {
+              if (!profileUuid) return;
+              if (
+                confirm(
+                  'Are you sure you want to delete this custom MCP server?'
+                )
+              ) {
+                await deleteCustomMcpServerByUuid(
+                  profileUuid,
+                  info.row.original.uuid
+                );
+                mutate();
+              }
+            }}>
+            <Trash2 size={16} />
+          </Button>
+        </div>
       ),
       header: 'Actions',
     }),
@@ -170,13 +208,42 @@ export default function CustomMCPServersPage() {
     state: {
       sorting,
       globalFilter,
+      rowSelection,
     },
+    getRowId: (server) => server.uuid,
     onSortingChange: setSorting,
+    onRowSelectionChange: setRowSelection,
     getCoreRowModel: getCoreRowModel(),
     getSortedRowModel: getSortedRowModel(),
     getFilteredRowModel: getFilteredRowModel(),
   });
 
+  const selectedUuids = Object.keys(rowSelection).filter(
+    (uuid) => rowSelection[uuid]
+  );
+
+  const handleTransfer = async (
+    { mode, uuids }: WorkspaceTransfer,
+    targetProfileUuid: string
+  ) => {
+    if (!profileUuid) return 0;
+    const transferred =
+      mode === WorkspaceTransferMode.MOVE
+        ? await moveCustomMcpServersToProfile(
+            profileUuid,
+            uuids,
+            targetProfileUuid
+          )
+        : await copyCustomMcpServersToProfile(
+            profileUuid,
+            uuids,
+            targetProfileUuid
+          );
+    setRowSelection({});
+    await mutate();
+    return transferred;
+  };
+
   const onSubmit = async (values: any) => {
     if (!profileUuid || isSubmitting) return;
 
@@ -211,6 +278,11 @@ export default function CustomMCPServersPage() {
 
   return (
     <div>
+      <WorkspaceTransferDialog
+        transfer={transfer}
+        onClose={() => setTransfer(null)}
+        onTransfer={handleTransfer}
+      />
       <div className='flex justify-between items-center mb-4'>
         <div>
           <h1 className='text-2xl font-bold'>Custom MCP Servers</h1>
@@ -373,13 +445,31 @@ export default function CustomMCPServersPage() {
         </Dialog>
       </div>
 
-      <div className='mb-4'>
+      <div className='mb-4 flex items-center gap-4'>
         <Input
           placeholder='Search all columns...'
           value={globalFilter ?? ''}
           onChange={(e) => setGlobalFilter(String(e.target.value))}
           className='max-w-sm'
         />
+        {selectedUuids.length > 0 && (
+          <div className='flex items-center gap-2'>
+            <span className='text-sm text-muted-foreground'>
+              {selectedUuids.length} selected
+            </span>
+            <WorkspaceTransferMenu
+              uuids={selectedUuids}
+              onSelect={setTransfer}
+              label='Copy / Move'
+            />
+            <Button
+              variant='ghost'
+              size='sm'
+              onClick={() => setRowSelection({})}>
+              Clear
+            </Button>
+          </div>
+        )}
       </div>
       <div className='overflow-x-auto'>
         <table className='min-w-full bg-white border border-gray-300'>
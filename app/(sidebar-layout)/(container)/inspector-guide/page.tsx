@@ -1,23 +1,17 @@
 'use client';
 
 import { Copy, Terminal } from 'lucide-react';
-import useSWR from 'swr';
+import Link from 'next/link';
 
-import { getFirstApiKey } from '@/app/actions/api-keys';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
-import { useProjects } from '@/hooks/use-projects';
 import { useToast } from '@/hooks/use-toast';
 
+// API keys are only shown once at creation, so the command uses a placeholder.
+const inspectorCommand = `npx -y @modelcontextprotocol/inspector npx -y @metamcp/mcp-server-metamcp@latest -e METAMCP_API_KEY=<YOUR_API_KEY> -e METAMCP_API_BASE_URL=http://localhost:12005`;
+
 export default function InspectorGuidePage() {
-  const { currentProject } = useProjects();
-  const { data: apiKey } = useSWR(
-    currentProject?.uuid ? `${currentProject?.uuid}/api-keys/getFirst` : null,
-    () => getFirstApiKey(currentProject?.uuid || '')
-  );
   const { toast } = useToast();
 
-  const inspectorCommand = `npx -y @modelcontextprotocol/inspector npx -y @metamcp/mcp-server-metamcp@latest -e METAMCP_API_KEY=${apiKey?.api_key || '<YOUR_API_KEY>'} -e METAMCP_API_BASE_URL=http://localhost:12005`;
-
   return (
     <div className='container mx-auto py-6 flex flex-col items-start justify-center gap-6'>
       <p className='text-lg'>
@@ -29,6 +23,13 @@ export default function InspectorGuidePage() {
         better experience for you to check inspection details directly on our
         platform.
       </p>
+      <p>
+        Replace <code>&lt;YOUR_API_KEY&gt;</code> with a key from the{' '}
+        <Link href='/api-keys' className='text-blue-600 hover:underline'>
+          API Keys
+        </Link>{' '}
+        page.
+      </p>
       <Card>
         <CardHeader>
           <CardTitle className='flex items-center gap-2'>
@@ -0,0 +1,81 @@
+import { McpServerHealthCheck } from '@/db/schema';
+
+import HealthBadge from '../../components/HealthBadge';
+
+export default function ConnectionTestResult({
+  health,
+}: {
+  health: McpServerHealthCheck | null;
+}) {
+  if (!health) {
+    return (
+      <p className='text-sm text-muted-foreground'>
+        This server has not been tested yet. Use Test Connection to run the MCP
+        initialize handshake and list its tools, prompts and resources.
+      </p>
+    );
+  }
+
+  return (
+    <div className='space-y-4'>
+      <p className='flex items-center gap-2'>
+        <HealthBadge health={health} />
+        <span className='text-sm text-muted-foreground'>
+          Checked {new Date(health.checked_at).toLocaleString()} in{' '}
+          {health.latency_ms}ms
+        </span>
+      </p>
+
+      {health.error && (
+        <div>
+          <strong>Error:</strong>
+          <pre className='mt-2 p-2 bg-secondary rounded-md whitespace-pre-wrap text-red-600'>
+            {health.error}
+          </pre>
+        </div>
+      )}
+
+      {health.ok && (
+        <div className='grid grid-cols-2 md:grid-cols-4 gap-4'>
+          <p>
+            <strong>Protocol:</strong> {health.protocol_version ?? '-'}
+          </p>
+          <p>
+            <strong>Tools:</strong> {health.tool_count ?? 0}
+          </p>
+          <p>
+            <strong>Prompts:</strong> {health.prompt_count ?? 0}
+          </p>
+          <p>
+            <strong>Resources:</strong> {health.resource_count ?? 0}
+          </p>
+        </div>
+      )}
+
+      {health.server_info && (
+        <p>
+          <strong>Server:</strong> {health.server_info.name}{' '}
+          {health.server_info.version}
+        </p>
+      )}
+
+      {health.capabilities && (
+        <div>
+          <strong>Capabilities:</strong>
+          <pre className='mt-2 p-2 bg-secondary rounded-md text-sm'>
+            {JSON.stringify(health.capabilities, null, 2)}
+          </pre>
+        </div>
+      )}
+
+      {health.stderr && (
+        <div>
+          <strong>Stderr (last output):</strong>
+          <pre className='mt-2 p-2 bg-secondary rounded-md text-sm whitespace-pre-wrap max-h-64 overflow-auto'>
+            {health.stderr}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+'use client';
+
+import { Pencil, Pin, PinOff } from 'lucide-react';
+import { useState } from 'react';
+import useSWR from 'swr';
+
+import {
+  getToolsByMcpServerUuid,
+  getToolTokenCounts,
+  setToolPinned,
+  toggleToolStatus,
+} from '@/app/actions/tools';
+import { Button } from '@/components/ui/button';
+import { Switch } from '@/components/ui/switch';
+import { ToggleStatus } from '@/db/schema';
+import { useProfiles } from '@/hooks/use-profiles';
+import { Tool } from '@/types/tool';
+
+import ToolOverrideDialog from './ToolOverrideDialog';
+
+export default function ToolManagement({
+  mcpServerUuid,
+}: {
+  mcpServerUuid: string;
+}) {
+  const { currentProfile } = useProfiles();
+
+  const { data: tools, mutate } = useSWR<Tool[]>(
+    currentProfile?.uuid
+      ? ['getToolsByMcpServerUuid', mcpServerUuid, currentProfile.uuid]
+      : null,
+    () => getToolsByMcpServerUuid(currentProfile?.uuid || '', mcpServerUuid)
+  );
+  const { data: tokenCounts, mutate: mutateTokenCounts } = useSWR(
+    currentProfile?.uuid
+      ? ['getToolTokenCounts', mcpServerUuid, currentProfile.uuid]
+      : null,
+    () => getToolTokenCounts(currentProfile?.uuid || '', mcpServerUuid)
+  );
+  const [toolToOverride, setToolToOverride] = useState<Tool | null>(null);
+
+  if (!tools) return <div>Loading tools...</div>;
+
+  if (tools.length === 0) {
+    return (
+      <p className='text-sm text-muted-foreground'>
+        No tools discovered yet. Tools are reported once a client connects to
+        this server through MetaMCP.
+      </p>
+    );
+  }
+
+  const activeCount = tools.filter(
+    (tool) => tool.status === ToggleStatus.ACTIVE
+  ).length;
+
+  return (
+    <div>
+      <p className='text-sm text-muted-foreground mb-2'>
+        {activeCount} of {tools.length} tools exposed to clients
+      </p>
+      <div className='overflow-x-auto'>
+        <table className='min-w-full bg-white border border-gray-300'>
+          <thead>
+            <tr>
+              <th className='py-2 px-4 border-b text-left font-semibold bg-gray-100'>
+                Name
+              </th>
+              <th className='py-2 px-4 border-b text-left font-semibold bg-gray-100'>
+                Description
+              </th>
+              <th className='py-2 px-4 border-b text-left font-semibold bg-gray-100'>
+                Tokens
+              </th>
+              <th className='py-2 px-4 border-b text-left font-semibold bg-gray-100'>
+                Status
+              </th>
+              <th className='py-2 px-4 border-b bg-gray-100'></th>
+            </tr>
+          </thead>
+          <tbody>
+            {tools.map((tool) => (
+              <tr key={tool.uuid} className='hover:bg-gray-50'>
+                <td className='py-2 px-4 border-b font-mono text-sm'>
+                  {tool.pinned && (
+                    <Pin className='inline mr-1 h-3 w-3 text-muted-foreground' />
+                  )}
+                  {tool.name_override ?? tool.name}
+                  {tool.name_override && (
+                    <div className='text-xs text-muted-foreground'>
+                      {tool.name}
+                    </div>
+                  )}
+                </td>
+                <td className='py-2 px-4 border-b text-sm whitespace-pre-wrap'>
+                  {tool.description_override ?? tool.description}
+                </td>
+                <td className='py-2 px-4 border-b text-sm whitespace-nowrap'>
+                  {tokenCounts?.[tool.uuid] &&
+                    (tokenCounts[tool.uuid].after <
+                    tokenCounts[tool.uuid].before ? (
+                      <>
+                        <span className='line-through text-muted-foreground'>
+                          {tokenCounts[tool.uuid].before}
+                        </span>{' '}
+                        {tokenCounts[tool.uuid].after}
+                      </>
+                    ) : (
+                      tokenCounts[tool.uuid].after
+                    ))}
+                </td>
+                <td className='py-2 px-4 border-b'>
+                  <Switch
+                    checked={tool.status === ToggleStatus.ACTIVE}
+                    onCheckedChange={async (checked) => {
+                      if (!currentProfile?.uuid) return;
+                      await toggleToolStatus(
+                        currentProfile.uuid,
+                        tool.uuid,
+                        checked ? ToggleStatus.ACTIVE : ToggleStatus.INACTIVE
+                      );
+                      mutate();
+                    }}
+                  />
+                </td>
+                <td className='py-2 px-4 border-b whitespace-nowrap'>
+                  <Button
+                    variant='ghost'
+                    size='icon'
+                    title={
+                      tool.pinned
+                        ? 'Unpin'
+                        : 'Pin to always return with relevant tools'
+                    }
+                    onClick={async () => {
+                      if (!currentProfile?.uuid) return;
+                      await setToolPinned(
+                        currentProfile.uuid,
+                        tool.uuid,
+                        !tool.pinned
+                      );
+                      mutate();
+                    }}>
+                    {tool.pinned ? (
+                      <PinOff className='h-4 w-4' />
+                    ) : (
+                      <Pin className='h-4 w-4' />
+                    )}
+                  </Button>
+                  <Button
+                    variant='ghost'
+                    size='icon'
+                    title='Override name and descriptions'
+                    onClick={() => setToolToOverride(tool)}>
+                    <Pencil className='h-4 w-4' />
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {currentProfile?.uuid && (
+        <ToolOverrideDialog
+          profileUuid={currentProfile.uuid}
+          tool={toolToOverride}
+          onClose={() => setToolToOverride(null)}
+          onSaved={() => {
+            mutate();
+            mutateTokenCounts();
+          }}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+import {
+  countToolOverrideTokens,
+  updateToolOverride,
+} from '@/app/actions/tools';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { useToast } from '@/hooks/use-toast';
+import { Tool } from '@/types/tool';
+
+const PREVIEW_DELAY_MS = 300;
+
+function getParameterDescription(schema: unknown) {
+  return typeof schema === 'object' &&
+    schema !== null &&
+    'description' in schema &&
+    typeof schema.description === 'string'
+    ? schema.description
+    : '';
+}
+
+export default function ToolOverrideDialog({
+  profileUuid,
+  tool,
+  onClose,
+  onSaved,
+}: {
+  profileUuid: string;
+  tool: Tool | null;
+  onClose: () => void;
+  onSaved: () => void;
+}) {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [parameterDescriptions, setParameterDescriptions] = useState<{
+    [parameter: string]: string;
+  }>({});
+  const [tokens, setTokens] = useState<{ before: number; after: number }>();
+  const [isSaving, setIsSaving] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    setName(tool?.name_override ?? '');
+    setDescription(tool?.description_override ?? '');
+    setParameterDescriptions(tool?.parameter_description_overrides ?? {});
+    setTokens(undefined);
+  }, [tool]);
+
+  useEffect(() => {
+    if (!tool) return;
+    const timer = setTimeout(() => {
+      countToolOverrideTokens(tool, {
+        name_override: name,
+        description_override: description,
+        parameter_description_overrides: parameterDescriptions,
+      })
+        .then(setTokens)
+        .catch(() => {
+          // Invalid names are reported on save
+        });
+    }, PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [tool, name, description, parameterDescriptions]);
+
+  const handleSave = async () => {
+    if (!tool) return;
+    setIsSaving(true);
+    try {
+      await updateToolOverride(profileUuid, tool.uuid, {
+        name_override: name,
+        description_override: description,
+        parameter_description_overrides: parameterDescriptions,
+      });
+      onSaved();
+      onClose();
+      toast({
+        title: 'Success',
+        description: 'Tool override saved successfully',
+      });
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error
+            ? error.message
+            : 'Failed to save tool override',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const parameters = Object.entries(tool?.toolSchema.properties ?? {});
+
+  return (
+    <Dialog open={!!tool} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className='max-h-[90vh] overflow-y-auto'>
+        <DialogHeader>
+          <DialogTitle>Override {tool?.name}</DialogTitle>
+          <DialogDescription>
+            Clients of this workspace see these instead of what the server
+            reports. Leave a field empty to keep the server&apos;s own.
+          </DialogDescription>
+        </DialogHeader>
+        <div className='space-y-4 py-4'>
+          <div className='space-y-2'>
+            <Label htmlFor='tool-override-name'>Name</Label>
+            <Input
+              id='tool-override-name'
+              placeholder={tool?.name}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+          </div>
+          <div className='space-y-2'>
+            <Label htmlFor='tool-override-description'>Description</Label>
+            <Textarea
+              id='tool-override-description'
+              placeholder={tool?.description ?? ''}
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              rows={4}
+            />
+          </div>
+          {parameters.map(([parameter, schema]) => (
+            <div key={parameter} className='space-y-2'>
+              <Label
+                htmlFor={`tool-override-parameter-${parameter}`}
+                className='font-mono'>
+                {parameter}
+              </Label>
+              <Input
+                id={`tool-override-parameter-${parameter}`}
+                placeholder={getParameterDescription(schema)}
+                value={parameterDescriptions[parameter] ?? ''}
+                onChange={(e) =>
+                  setParameterDescriptions({
+                    ...parameterDescriptions,
+                    [parameter]: e.target.value,
+                  })
+                }
+              />
+            </div>
+          ))}
+          {tokens && (
+            <p className='text-sm text-muted-foreground'>
+              {tokens.before} tokens as reported by the server, {tokens.after}{' '}
+              with these overrides.
+            </p>
+          )}
+        </div>
+        <DialogFooter>
+          <Button variant='outline' onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save Override'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,6 +1,6 @@
 'use client';
 
-import { ArrowLeft, Pencil, Trash2 } from 'lucide-react';
+import { Activity, ArrowLeft, Pencil, Trash2 } from 'lucide-react';
 import { useRouter } from 'next/navigation';
 import { use } from 'react';
 import { useEffect, useState } from 'react';
@@ -8,11 +8,18 @@ import { useForm } from 'react-hook-form';
 import useSWR from 'swr';
 
 import {
+  checkMcpServerHealth,
   deleteMcpServerByUuid,
   getMcpServerByUuid,
+  getMcpServerRevisions,
+  restoreMcpServerRevision,
   toggleMcpServerStatus,
   updateMcpServer,
 } from '@/app/actions/mcp-servers';
+import MaskedKeyValues from '@/components/masked-key-values';
+import ServerRevisionHistory, {
+  RevisionField,
+} from '@/components/server-revision-history';
 import { Button } from '@/components/ui/button';
 import {
   Dialog,
@@ -31,10 +38,34 @@ import {
 } from '@/components/ui/form';
 import { Input } from '@/components/ui/input';
 import { Switch } from '@/components/ui/switch';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { McpServerStatus, McpServerType } from '@/db/schema';
 import { useProfiles } from '@/hooks/use-profiles';
+import {
+  MCP_SERVER_REVISION_FIELDS,
+  pickRevisionConfig,
+} from '@/lib/revisions/config';
+import {
+  formatHeaderLines,
+  isRemoteMcpServerType,
+  parseHeaderLines,
+} from '@/lib/validation/mcp-servers';
 import { McpServer } from '@/types/mcp-server';
 
+import ConnectionTestResult from './components/ConnectionTestResult';
+import ToolManagement from './components/ToolManagement';
+
+const REVISION_FIELDS: RevisionField[] = [
+  { field: 'name', label: 'Name' },
+  { field: 'description', label: 'Description' },
+  { field: 'type', label: 'Type' },
+  { field: 'command', label: 'Command' },
+  { field: 'args', label: 'Arguments' },
+  { field: 'url', label: 'Server URL' },
+  { field: 'env', label: 'Environment Variables' },
+  { field: 'headers', label: 'Headers', separator: ': ' },
+];
+
 export default function McpServerDetailPage({
   params,
 }: {
@@ -44,6 +75,7 @@ export default function McpServerDetailPage({
   const { uuid } = use(params);
   const router = useRouter();
   const [isEditing, setIsEditing] = useState(false);
+  const [isTesting, setIsTesting] = useState(false);
 
   const form = useForm({
     defaultValues: {
@@ -53,6 +85,7 @@ export default function McpServerDetailPage({
       args: '',
       env: '',
       url: '',
+      headers: '',
       type: McpServerType.STDIO,
     },
   });
@@ -68,6 +101,13 @@ export default function McpServerDetailPage({
     () => getMcpServerByUuid(currentProfile?.uuid || '', uuid!)
   );
 
+  const { data: revisions, mutate: mutateRevisions } = useSWR(
+    uuid && currentProfile?.uuid
+      ? ['getMcpServerRevisions', uuid, currentProfile?.uuid]
+      : null,
+    () => getMcpServerRevisions(currentProfile?.uuid || '', uuid!)
+  );
+
   useEffect(() => {
     if (mcpServer) {
       form.reset({
@@ -79,6 +119,7 @@ export default function McpServerDetailPage({
           .map(([key, value]) => `${key}=${value}`)
           .join('\n'),
         url: mcpServer.url || '',
+        headers: formatHeaderLines(mcpServer.headers),
         type: mcpServer.type,
       });
     }
@@ -91,6 +132,7 @@ export default function McpServerDetailPage({
     args: string;
     env: string;
     url: string;
+    headers: string;
     type: McpServerType;
   }) => {
     if (!mcpServer || !currentProfile?.uuid) return;
@@ -115,15 +157,41 @@ export default function McpServerDetailPage({
             })
         ) || {}
         : {},
-      command: data.type === McpServerType.STDIO ? data.command : undefined,
-      url: data.type === McpServerType.SSE ? data.url : undefined,
+      command: data.type === McpServerType.STDIO ? data.command : null,
+      url: isRemoteMcpServerType(data.type) ? data.url : null,
+      headers: isRemoteMcpServerType(data.type)
+        ? parseHeaderLines(data.headers)
+        : {},
     };
 
     await updateMcpServer(currentProfile.uuid, mcpServer.uuid, processedData);
     await mutate();
+    await mutateRevisions();
     setIsEditing(false);
   };
 
+  const handleRestore = async (revisionUuid: string) => {
+    if (!mcpServer || !currentProfile?.uuid) return;
+    await restoreMcpServerRevision(
+      currentProfile.uuid,
+      mcpServer.uuid,
+      revisionUuid
+    );
+    await mutate();
+    await mutateRevisions();
+  };
+
+  const handleTestConnection = async () => {
+    if (!mcpServer || !currentProfile?.uuid) return;
+    setIsTesting(true);
+    try {
+      await checkMcpServerHealth(currentProfile.uuid, mcpServer.uuid);
+      await mutate();
+    } finally {
+      setIsTesting(false);
+    }
+  };
+
   const handleDelete = async () => {
     if (!mcpServer || !currentProfile?.uuid) return;
     if (confirm('Are you sure you want to delete this MCP server?')) {
@@ -153,6 +221,13 @@ export default function McpServerDetailPage({
         </Button>
 
         <div className='flex gap-2'>
+          <Button
+            variant='outline'
+            onClick={handleTestConnection}
+            disabled={isTesting}>
+            <Activity className='h-4 w-4 mr-2' />
+            {isTesting ? 'Testing...' : 'Test Connection'}
+          </Button>
           <Dialog open={isEditing} onOpenChange={setIsEditing}>
             <DialogTrigger asChild>
               <Button variant='outline'>
@@ -209,9 +284,13 @@ export default function McpServerDetailPage({
                               field.onChange(e);
                               form.setValue('command', '');
                               form.setValue('url', '');
+                              form.setValue('headers', '');
                             }}>
                             <option value={McpServerType.STDIO}>STDIO Server</option>
                             <option value={McpServerType.SSE}>SSE Server</option>
+                            <option value={McpServerType.STREAMABLE_HTTP}>
+                              Streamable HTTP Server
+                            </option>
                           </select>
                         </FormControl>
                       </FormItem>
@@ -266,27 +345,47 @@ export default function McpServerDetailPage({
                       />
                     </>
                   ) : (
-                    <FormField
-                      control={form.control}
-                      name='url'
-                      render={({ field }) => (
-                        <FormItem>
-                          <FormLabel>Server URL</FormLabel>
-                          <FormControl>
-                            <Input
-                              {...field}
-                              placeholder='http://localhost:3000/sse'
-                              required
-                              pattern="^(http|https)://[^\s/$.?#].[^\s]*$"
-                            />
-                          </FormControl>
-                          <p className='text-sm text-muted-foreground'>
-                            Must be a valid HTTP/HTTPS URL
-                          </p>
-                          <FormMessage />
-                        </FormItem>
-                      )}
-                    />
+                    <>
+                      <FormField
+                        control={form.control}
+                        name='url'
+                        render={({ field }) => (
+                          <FormItem>
+                            <FormLabel>Server URL</FormLabel>
+                            <FormControl>
+                              <Input
+                                {...field}
+                                placeholder='http://localhost:3000/sse'
+                                required
+                                pattern="^(http|https)://[^\s/$.?#].[^\s]*$"
+                              />
+                            </FormControl>
+                            <p className='text-sm text-muted-foreground'>
+                              Must be a valid HTTP/HTTPS URL
+                            </p>
+                            <FormMessage />
+                          </FormItem>
+                        )}
+                      />
+                      <FormField
+                        control={form.control}
+                        name='headers'
+                        render={({ field }) => (
+                          <FormItem>
+                            <FormLabel>
+                              Headers (Name: value, one per line)
+                            </FormLabel>
+                            <FormControl>
+                              <textarea
+                                className='w-full min-h-[100px] px-3 py-2 rounded-md border'
+                                {...field}
+                                placeholder='Authorization: Bearer your-token'
+                              />
+                            </FormControl>
+                          </FormItem>
+                        )}
+                      />
+                    </>
                   )}
                   <div className='flex justify-end gap-2'>
                     <Button
@@ -302,6 +401,7 @@ export default function McpServerDetailPage({
                             .map(([key, value]) => `${key}=${value}`)
                             .join('\n'),
                           url: mcpServer.url || '',
+                          headers: formatHeaderLines(mcpServer.headers),
                           type: mcpServer.type,
                         });
                         setIsEditing(false);
@@ -323,79 +423,113 @@ export default function McpServerDetailPage({
 
       <h1 className='text-3xl font-bold mb-8'>{mcpServer.name}</h1>
 
-      <div className='grid grid-cols-1 md:grid-cols-2 gap-8'>
-        <div className='space-y-4'>
-          <p className='mb-3'>
-            <strong>UUID:</strong> {mcpServer.uuid}
-          </p>
+      <Tabs defaultValue='details'>
+        <TabsList className='mb-4'>
+          <TabsTrigger value='details'>Details</TabsTrigger>
+          <TabsTrigger value='history'>History</TabsTrigger>
+        </TabsList>
+        <TabsContent value='details'>
+          <div className='grid grid-cols-1 md:grid-cols-2 gap-8'>
+            <div className='space-y-4'>
+              <p className='mb-3'>
+                <strong>UUID:</strong> {mcpServer.uuid}
+              </p>
 
-          <p className='mb-3 flex items-center gap-2'>
-            <strong>Status:</strong>{' '}
-            <Switch
-              checked={mcpServer.status === McpServerStatus.ACTIVE}
-              onCheckedChange={async (checked) => {
-                if (!currentProfile?.uuid || !mcpServer.uuid) return;
-                await toggleMcpServerStatus(
-                  currentProfile.uuid,
-                  mcpServer.uuid,
-                  checked ? McpServerStatus.ACTIVE : McpServerStatus.INACTIVE
-                );
-                mutate();
-              }}
-            />
-          </p>
+              <p className='mb-3 flex items-center gap-2'>
+                <strong>Status:</strong>{' '}
+                <Switch
+                  checked={mcpServer.status === McpServerStatus.ACTIVE}
+                  onCheckedChange={async (checked) => {
+                    if (!currentProfile?.uuid || !mcpServer.uuid) return;
+                    await toggleMcpServerStatus(
+                      currentProfile.uuid,
+                      mcpServer.uuid,
+                      checked ? McpServerStatus.ACTIVE : McpServerStatus.INACTIVE
+                    );
+                    mutate();
+                  }}
+                />
+              </p>
 
-          <p className='mb-3'>
-            <strong>Created At:</strong>{' '}
-            {new Date(mcpServer.created_at).toLocaleString()}
-          </p>
+              <p className='mb-3'>
+                <strong>Created At:</strong>{' '}
+                {new Date(mcpServer.created_at).toLocaleString()}
+              </p>
 
-          <p className='mb-3'>
-            <strong>Description:</strong>{' '}
-            <span className='whitespace-pre-wrap'>{mcpServer.description}</span>
-          </p>
+              <p className='mb-3'>
+                <strong>Description:</strong>{' '}
+                <span className='whitespace-pre-wrap'>{mcpServer.description}</span>
+              </p>
 
-          <p className='mb-3'>
-            <strong>Type:</strong> {mcpServer.type}
-          </p>
+              <p className='mb-3'>
+                <strong>Type:</strong> {mcpServer.type}
+              </p>
 
-          {mcpServer.type === McpServerType.STDIO ? (
-            <>
-              <div className='mb-3'>
-                <strong>Command:</strong>
-                <pre className='mt-2 p-2 bg-secondary rounded-md'>
-                  {mcpServer.command}
-                </pre>
-              </div>
+              {mcpServer.type === McpServerType.STDIO ? (
+                <>
+                  <div className='mb-3'>
+                    <strong>Command:</strong>
+                    <pre className='mt-2 p-2 bg-secondary rounded-md'>
+                      {mcpServer.command}
+                    </pre>
+                  </div>
 
-              <div className='mb-3'>
-                <strong>Arguments:</strong>
-                <pre className='mt-2 p-2 bg-secondary rounded-md'>
-                  {mcpServer.args.join(' ')}
-                </pre>
-              </div>
+                  <div className='mb-3'>
+                    <strong>Arguments:</strong>
+                    <pre className='mt-2 p-2 bg-secondary rounded-md'>
+                      {mcpServer.args.join(' ')}
+                    </pre>
+                  </div>
 
-              <div className='mb-3'>
-                <strong>Environment Variables:</strong>
-                <pre className='mt-2 p-2 bg-secondary rounded-md'>
-                  {Object.entries(mcpServer.env).length > 0
-                    ? Object.entries(mcpServer.env).map(
-                      ([key, value]) => `${key}=${value}\n`
-                    )
-                    : 'No environment variables set'}
-                </pre>
-              </div>
-            </>
-          ) : (
-            <div className='mb-3'>
-              <strong>Server URL:</strong>
-              <pre className='mt-2 p-2 bg-secondary rounded-md'>
-                {mcpServer.url}
-              </pre>
+                  <div className='mb-3'>
+                    <strong>Environment Variables:</strong>
+                    <MaskedKeyValues
+                      values={mcpServer.env}
+                      emptyText='No environment variables set'
+                    />
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className='mb-3'>
+                    <strong>Server URL:</strong>
+                    <pre className='mt-2 p-2 bg-secondary rounded-md'>
+                      {mcpServer.url}
+                    </pre>
+                  </div>
+
+                  <div className='mb-3'>
+                    <strong>Headers:</strong>
+                    <MaskedKeyValues
+                      values={mcpServer.headers}
+                      separator=': '
+                      emptyText='No headers set'
+                    />
+                  </div>
+                </>
+              )}
             </div>
-          )}
-        </div>
-      </div>
+          </div>
+
+          <div className='mt-8'>
+            <h2 className='text-2xl font-bold mb-4'>Connection Health</h2>
+            <ConnectionTestResult health={mcpServer.last_health_check} />
+          </div>
+
+          <div className='mt-8'>
+            <h2 className='text-2xl font-bold mb-4'>Tools</h2>
+            <ToolManagement mcpServerUuid={mcpServer.uuid} />
+          </div>
+        </TabsContent>
+        <TabsContent value='history'>
+          <ServerRevisionHistory
+            revisions={revisions}
+            current={pickRevisionConfig(mcpServer, MCP_SERVER_REVISION_FIELDS)}
+            fields={REVISION_FIELDS}
+            onRestore={handleRestore}
+          />
+        </TabsContent>
+      </Tabs>
     </div>
   );
 }
@@ -0,0 +1,115 @@
+'use client';
+
+import { Download } from 'lucide-react';
+import { useState } from 'react';
+
+import { exportMcpServers } from '@/app/actions/mcp-servers';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from '@/components/ui/dialog';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { useToast } from '@/hooks/use-toast';
+import {
+  MCP_CLIENT_CONFIG_FILE_NAMES,
+  MCP_CLIENT_FORMAT_LABELS,
+  McpClientFormat,
+} from '@/lib/mcp/export';
+
+export default function ExportDialog({
+  profileUuid,
+}: {
+  profileUuid: string | undefined;
+}) {
+  const { toast } = useToast();
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState(McpClientFormat.CLAUDE);
+  const [redact, setRedact] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleDownload = async () => {
+    if (!profileUuid) return;
+    setIsExporting(true);
+    try {
+      const config = await exportMcpServers(profileUuid, { format, redact });
+      const blob = new Blob([JSON.stringify(config, null, 2)], {
+        type: 'application/json',
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = MCP_CLIENT_CONFIG_FILE_NAMES[format];
+      link.click();
+      URL.revokeObjectURL(url);
+      setOpen(false);
+    } catch (error) {
+      toast({
+        title: 'Export Failed',
+        description:
+          error instanceof Error ? error.message : 'Failed to export servers',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant='outline' disabled={!profileUuid}>
+          <Download className='mr-2 h-4 w-4' />
+          Export JSON
+        </Button>
+      </DialogTrigger>
+      <DialogContent className='sm:max-w-[500px]'>
+        <DialogHeader>
+          <DialogTitle>Export MCP Servers</DialogTitle>
+          <DialogDescription>
+            Download the active servers of this workspace as a configuration
+            file that an MCP client can run directly.
+          </DialogDescription>
+        </DialogHeader>
+        <div className='space-y-4'>
+          <div className='space-y-2'>
+            <Label htmlFor='export-format'>Client</Label>
+            <select
+              id='export-format'
+              className='w-full p-2 border rounded-md'
+              value={format}
+              onChange={(e) => setFormat(e.target.value as McpClientFormat)}>
+              {Object.values(McpClientFormat).map((value) => (
+                <option key={value} value={value}>
+                  {MCP_CLIENT_FORMAT_LABELS[value]}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className='flex items-center gap-2'>
+            <Switch
+              id='export-redact'
+              checked={redact}
+              onCheckedChange={setRedact}
+            />
+            <Label htmlFor='export-redact'>Redact env values and headers</Label>
+          </div>
+        </div>
+        <DialogFooter>
+          <Button variant='outline' onClick={() => setOpen(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleDownload} disabled={isExporting}>
+            {isExporting ? 'Exporting...' : 'Download'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,32 @@
+import { Badge } from '@/components/ui/badge';
+import { McpServerHealthCheck } from '@/db/schema';
+
+export default function HealthBadge({
+  health,
+}: {
+  health: McpServerHealthCheck | null;
+}) {
+  if (!health) {
+    return <Badge variant='outline'>Untested</Badge>;
+  }
+
+  const checkedAt = new Date(health.checked_at).toLocaleString();
+
+  if (health.ok) {
+    return (
+      <Badge
+        className='bg-green-600 hover:bg-green-600/80'
+        title={`Checked ${checkedAt} (${health.latency_ms}ms)`}>
+        Healthy
+      </Badge>
+    );
+  }
+
+  return (
+    <Badge
+      variant='destructive'
+      title={`Checked ${checkedAt}: ${health.error ?? 'Unknown error'}`}>
+      Failing
+    </Badge>
+  );
+}
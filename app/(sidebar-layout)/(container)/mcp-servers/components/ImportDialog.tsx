@@ -0,0 +1,289 @@
+'use client';
+
+import { Upload } from 'lucide-react';
+import { useState } from 'react';
+
+import { bulkImportMcpServers } from '@/app/actions/mcp-servers';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from '@/components/ui/dialog';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { useToast } from '@/hooks/use-toast';
+import {
+  ImportAction,
+  ImportEntryStatus,
+  ImportMergeMode,
+  ImportPlanEntry,
+} from '@/lib/mcp/import';
+
+const MERGE_MODE_LABELS: { [mode in ImportMergeMode]: string } = {
+  [ImportMergeMode.SKIP]: 'Skip existing servers',
+  [ImportMergeMode.OVERWRITE]: 'Overwrite servers with the same name',
+  [ImportMergeMode.RENAME]: 'Import changed servers under a new name',
+};
+
+const STATUS_BADGE_CLASSES: { [status in ImportEntryStatus]: string } = {
+  [ImportEntryStatus.NEW]: 'bg-green-600 hover:bg-green-600/80',
+  [ImportEntryStatus.CHANGED]: 'bg-yellow-500 hover:bg-yellow-500/80',
+  [ImportEntryStatus.IDENTICAL]: 'bg-gray-500 hover:bg-gray-500/80',
+  [ImportEntryStatus.INVALID]: 'bg-red-600 hover:bg-red-600/80',
+};
+
+type ImportEntry = Omit<ImportPlanEntry, 'server'>;
+
+function describeAction(entry: ImportEntry, dryRun: boolean) {
+  switch (entry.action) {
+    case ImportAction.CREATE:
+      return entry.targetName !== entry.name
+        ? `${dryRun ? 'Will create' : 'Created'} as "${entry.targetName}"`
+        : dryRun
+          ? 'Will create'
+          : 'Created';
+    case ImportAction.UPDATE:
+      return dryRun ? 'Will overwrite' : 'Overwritten';
+    default:
+      return dryRun ? 'Will skip' : 'Skipped';
+  }
+}
+
+export default function ImportDialog({
+  profileUuid,
+  onImported,
+}: {
+  profileUuid: string | undefined;
+  onImported: () => Promise<unknown>;
+}) {
+  const { toast } = useToast();
+  const [open, setOpen] = useState(false);
+  const [importJson, setImportJson] = useState('');
+  const [importError, setImportError] = useState('');
+  const [mode, setMode] = useState(ImportMergeMode.SKIP);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [report, setReport] = useState<{
+    dryRun: boolean;
+    entries: ImportEntry[];
+  } | null>(null);
+
+  const reset = () => {
+    setImportJson('');
+    setImportError('');
+    setReport(null);
+  };
+
+  const parseImportJson = () => {
+    let parsedJson;
+    try {
+      parsedJson = JSON.parse(importJson);
+    } catch (_e) {
+      setImportError('Invalid JSON format');
+      return null;
+    }
+
+    if (!parsedJson.mcpServers || typeof parsedJson.mcpServers !== 'object') {
+      setImportError('JSON must contain a "mcpServers" object');
+      return null;
+    }
+    return parsedJson;
+  };
+
+  const runImport = async (dryRun: boolean) => {
+    const parsedJson = parseImportJson();
+    if (!parsedJson) return;
+
+    setIsSubmitting(true);
+    try {
+      const result = await bulkImportMcpServers(parsedJson, profileUuid, {
+        mode,
+        dryRun,
+      });
+      setReport({ dryRun, entries: result.entries });
+
+      if (!dryRun) {
+        await onImported();
+        toast({
+          title: 'Import Successful',
+          description: `Imported ${result.count} MCP server${result.count !== 1 ? 's' : ''}.`,
+          variant: 'default',
+        });
+      }
+    } catch (error) {
+      console.error('Error importing MCP servers:', error);
+      setImportError(
+        'Failed to import servers. No changes were made. Check the console for details.'
+      );
+      toast({
+        title: 'Import Failed',
+        description:
+          'Failed to import MCP servers. Please check the console for details.',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(isOpen) => {
+        setOpen(isOpen);
+        if (!isOpen) reset();
+      }}>
+      <DialogTrigger asChild>
+        <Button variant='outline'>
+          <Upload className='mr-2 h-4 w-4' />
+          Import JSON
+        </Button>
+      </DialogTrigger>
+      <DialogContent className='sm:max-w-[600px] max-h-[90vh] overflow-y-auto'>
+        <DialogHeader>
+          <DialogTitle>Import MCP Servers</DialogTitle>
+          <DialogDescription>
+            Import multiple MCP server configurations from JSON. The JSON should
+            follow the format:
+            <pre className='mt-2 p-2 bg-gray-100 rounded text-xs overflow-auto'>
+              {`{
+  "mcpServers": {
+    "ServerName": {
+      "command": "command",
+      "args": ["arg1", "arg2"],
+      "env": {
+        "KEY": "value"
+      },
+      "description": "Optional description"
+    },
+    "RemoteServer": {
+      "type": "streamable-http",
+      "url": "https://example.com/mcp",
+      "headers": {
+        "Authorization": "Bearer token"
+      }
+    }
+  }
+}`}
+            </pre>
+          </DialogDescription>
+        </DialogHeader>
+        <div className='space-y-4'>
+          <div>
+            <Textarea
+              value={importJson}
+              onChange={(e) => {
+                setImportJson(e.target.value);
+                setImportError('');
+                setReport(null);
+              }}
+              placeholder='Paste your JSON here'
+              className='font-mono text-sm h-48'
+            />
+            {importError && (
+              <p className='text-sm text-red-500 mt-1'>{importError}</p>
+            )}
+          </div>
+          <div className='space-y-2'>
+            <Label htmlFor='import-mode'>Existing servers</Label>
+            <select
+              id='import-mode'
+              className='w-full p-2 border rounded-md'
+              value={mode}
+              onChange={(e) => {
+                setMode(e.target.value as ImportMergeMode);
+                setReport(null);
+              }}>
+              {Object.values(ImportMergeMode).map((value) => (
+                <option key={value} value={value}>
+                  {MERGE_MODE_LABELS[value]}
+                </option>
+              ))}
+            </select>
+          </div>
+          {report && (
+            <div className='space-y-2'>
+              <h3 className='text-sm font-medium'>
+                {report.dryRun ? 'Preview' : 'Import Report'}
+              </h3>
+              {report.entries.length === 0 && (
+                <p className='text-sm text-muted-foreground'>
+                  No servers found in the JSON.
+                </p>
+              )}
+              {report.entries.map((entry) => (
+                <div key={entry.name} className='border rounded-md p-2 text-sm'>
+                  <div className='flex items-center justify-between gap-2'>
+                    <span className='font-medium'>{entry.name}</span>
+                    <div className='flex items-center gap-2'>
+                      <span className='text-muted-foreground'>
+                        {describeAction(entry, report.dryRun)}
+                      </span>
+                      <Badge className={STATUS_BADGE_CLASSES[entry.status]}>
+                        {entry.status}
+                      </Badge>
+                    </div>
+                  </div>
+                  {entry.error && (
+                    <p className='text-red-500 mt-1'>{entry.error}</p>
+                  )}
+                  {entry.changes.length > 0 && (
+                    <ul className='mt-1 font-mono text-xs space-y-0.5'>
+                      {entry.changes.map((change) => (
+                        <li key={change.field}>
+                          {change.field}:{' '}
+                          {change.before === undefined ? (
+                            'changed'
+                          ) : (
+                            <>
+                              <span className='text-red-600 line-through'>
+                                {change.before || '(empty)'}
+                              </span>{' '}
+                              →{' '}
+                              <span className='text-green-700'>
+                                {change.after || '(empty)'}
+                              </span>
+                            </>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+          <div className='flex justify-end space-x-2'>
+            <Button
+              type='button'
+              variant='outline'
+              onClick={() => {
+                setOpen(false);
+                reset();
+              }}
+              disabled={isSubmitting}>
+              {report && !report.dryRun ? 'Close' : 'Cancel'}
+            </Button>
+            <Button
+              type='button'
+              variant='outline'
+              disabled={isSubmitting || !importJson}
+              onClick={() => runImport(true)}>
+              Preview
+            </Button>
+            <Button
+              type='button'
+              disabled={isSubmitting || !importJson}
+              onClick={() => runImport(false)}>
+              {isSubmitting ? 'Importing...' : 'Import'}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,156 @@
+'use client';
+
+import { AlertTriangle } from 'lucide-react';
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import { updateProfileToolTokenWarningThreshold } from '@/app/actions/profiles';
+import { getToolTokenFootprint } from '@/app/actions/tools';
+import { TokenBudgetIndicator } from '@/components/resource-tracking/token-budget-indicator';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { useToast } from '@/hooks/use-toast';
+
+export default function ToolTokenFootprint({
+  profileUuid,
+  serversKey,
+}: {
+  profileUuid: string | undefined;
+  /** Changes whenever the servers on the page do, to recount. */
+  serversKey: string;
+}) {
+  const { data: footprint, mutate } = useSWR(
+    profileUuid ? ['getToolTokenFootprint', profileUuid, serversKey] : null,
+    () => getToolTokenFootprint(profileUuid || '')
+  );
+  const [tokenizer, setTokenizer] = useState('');
+  const [threshold, setThreshold] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    if (!footprint) return;
+    setThreshold(footprint.warningThreshold.toString());
+    setTokenizer((current) => current || footprint.tokenizers[0] || '');
+  }, [footprint]);
+
+  if (!profileUuid || !footprint || !tokenizer) {
+    return null;
+  }
+
+  const total = footprint.total[tokenizer] ?? 0;
+  const overThreshold = total > footprint.warningThreshold;
+
+  const handleSaveThreshold = async () => {
+    setIsSaving(true);
+    try {
+      await updateProfileToolTokenWarningThreshold(
+        profileUuid,
+        Number(threshold)
+      );
+      await mutate();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error
+            ? error.message
+            : 'Failed to update warning threshold',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className='mb-4 space-y-2 rounded-md border p-4'>
+      <div className='flex flex-wrap items-center gap-2'>
+        <select
+          aria-label='Tokenizer'
+          className='p-2 border rounded-md bg-background text-sm'
+          value={tokenizer}
+          onChange={(e) => setTokenizer(e.target.value)}>
+          {footprint.tokenizers.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <label
+          htmlFor='tool_token_warning_threshold'
+          className='ml-auto text-sm text-muted-foreground'>
+          Warn above
+        </label>
+        <Input
+          id='tool_token_warning_threshold'
+          type='number'
+          min={1}
+          value={threshold}
+          onChange={(e) => setThreshold(e.target.value)}
+          className='w-28'
+        />
+        <Button
+          variant='outline'
+          size='sm'
+          onClick={handleSaveThreshold}
+          disabled={
+            isSaving || threshold === footprint.warningThreshold.toString()
+          }>
+          Save
+        </Button>
+      </div>
+      <TokenBudgetIndicator
+        tokenUsage={total}
+        tokenBudget={footprint.warningThreshold}
+        label='Tokens of tool definitions sent on every turn:'
+        colorThresholds={{ warning: 80, danger: 100 }}
+      />
+      {overThreshold && (
+        <p className='flex items-center gap-2 text-sm text-red-600'>
+          <AlertTriangle className='h-4 w-4' />
+          Over the warning threshold. Switch off or shorten tools on a
+          server&apos;s Tools tab.
+        </p>
+      )}
+      <details className='text-sm'>
+        <summary className='cursor-pointer text-muted-foreground'>
+          Breakdown by server and tool
+        </summary>
+        {footprint.servers.length === 0 ? (
+          <p className='mt-2 text-muted-foreground'>
+            No tools discovered on the active servers yet.
+          </p>
+        ) : (
+          <ul className='mt-2 space-y-2'>
+            {footprint.servers.map((server) => (
+              <li key={server.uuid}>
+                <div className='flex justify-between font-medium'>
+                  <Link
+                    href={`/mcp-servers/${server.uuid}`}
+                    className='hover:underline'>
+                    {server.name}
+                  </Link>
+                  <span>{(server.total[tokenizer] ?? 0).toLocaleString()}</span>
+                </div>
+                <ul className='ml-4'>
+                  {server.tools.map((tool) => (
+                    <li
+                      key={tool.name}
+                      className='flex justify-between text-muted-foreground'>
+                      <span className='font-mono'>{tool.name}</span>
+                      <span>
+                        {(tool.tokens[tokenizer] ?? 0).toLocaleString()}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        )}
+      </details>
+    </div>
+  );
+}
@@ -6,20 +6,22 @@ import {
   getCoreRowModel,
   getFilteredRowModel,
   getSortedRowModel,
+  RowSelectionState,
   SortingState,
   useReactTable,
 } from '@tanstack/react-table';
-import { Trash2, Upload } from 'lucide-react';
+import { Trash2 } from 'lucide-react';
 import Link from 'next/link';
 import { useState } from 'react';
 import { useForm } from 'react-hook-form';
 import useSWR from 'swr';
 
 import {
-  bulkImportMcpServers,
+  copyMcpServersToProfile,
   createMcpServer,
   deleteMcpServerByUuid,
   getMcpServers,
+  moveMcpServersToProfile,
   toggleMcpServerStatus,
 } from '@/app/actions/mcp-servers';
 import { Button } from '@/components/ui/button';
@@ -43,23 +45,40 @@ import { Input } from '@/components/ui/input';
 import { Switch } from '@/components/ui/switch';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Textarea } from '@/components/ui/textarea';
+import {
+  WorkspaceTransfer,
+  WorkspaceTransferDialog,
+  WorkspaceTransferMenu,
+  WorkspaceTransferMode,
+} from '@/components/workspace-transfer-dialog';
 import { McpServerStatus, McpServerType } from '@/db/schema';
 import { useProfiles } from '@/hooks/use-profiles';
-import { useToast } from '@/hooks/use-toast';
+import {
+  parseHeaderLines,
+  REMOTE_MCP_SERVER_TYPES,
+} from '@/lib/validation/mcp-servers';
 import { McpServer } from '@/types/mcp-server';
 
+import ExportDialog from './components/ExportDialog';
+import HealthBadge from './components/HealthBadge';
+import ImportDialog from './components/ImportDialog';
+import ToolTokenFootprint from './components/ToolTokenFootprint';
+
 const columnHelper = createColumnHelper<McpServer>();
 
+const REMOTE_URL_PLACEHOLDERS: { [type: string]: string } = {
+  [McpServerType.SSE]: 'http://localhost:3000/sse',
+  [McpServerType.STREAMABLE_HTTP]: 'http://localhost:3000/mcp',
+};
+
 export default function MCPServersPage() {
   const { currentProfile } = useProfiles();
-  const { toast } = useToast();
   const [sorting, setSorting] = useState<SortingState>([]);
   const [globalFilter, setGlobalFilter] = useState('');
+  const [rowSelection, setRowSelection] = useState<RowSelectionState>({});
+  const [transfer, setTransfer] = useState<WorkspaceTransfer | null>(null);
   const [open, setOpen] = useState(false);
-  const [importOpen, setImportOpen] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [importJson, setImportJson] = useState('');
-  const [importError, setImportError] = useState('');
 
   const form = useForm({
     defaultValues: {
@@ -69,6 +88,7 @@ export default function MCPServersPage() {
       args: '',
       env: '',
       url: '',
+      headers: '',
       type: McpServerType.STDIO,
     },
   });
@@ -79,6 +99,25 @@ export default function MCPServersPage() {
   );
 
   const columns = [
+    columnHelper.display({
+      id: 'select',
+      header: ({ table }) => (
+        <input
+          type='checkbox'
+          aria-label='Select all servers'
+          checked={table.getIsAllRowsSelected()}
+          onChange={table.getToggleAllRowsSelectedHandler()}
+        />
+      ),
+      cell: ({ row }) => (
+        <input
+          type='checkbox'
+          aria-label='Select server'
+          checked={row.getIsSelected()}
+          onChange={row.getToggleSelectedHandler()}
+        />
+      ),
+    }),
     columnHelper.accessor('name', {
       cell: (info) => (
         <Link
@@ -126,6 +165,10 @@ export default function MCPServersPage() {
       ),
       header: 'Status',
     }),
+    columnHelper.accessor('last_health_check', {
+      cell: (info) => <HealthBadge health={info.getValue()} />,
+      header: 'Health',
+    }),
     columnHelper.accessor('created_at', {
       cell: (info) => new Date(info.getValue()).toLocaleString(),
       header: 'Created At',
@@ -133,21 +176,27 @@ export default function MCPServersPage() {
     columnHelper.display({
       id: 'actions',
       cell: (info) => (
-        <Button
-          variant='destructive'
-          size='sm'
-          onClick={async () => {
-            if (!currentProfile?.uuid || !info.row.original.uuid) return;
-            if (confirm('Are you sure you want to delete this MCP server?')) {
-              await deleteMcpServerByUuid(
-                currentProfile.uuid,
-                info.row.original.uuid
-              );
-              mutate();
-            }
-          }}>
-          <Trash2 size={16} />
-        </Button>
+        <div className='flex gap-2'>
+          <WorkspaceTransferMenu
+            uuids={[info.row.original.uuid]}
+            onSelect={setTransfer}
+          />
+          <Button
+            variant='destructive'
+            size='sm'
+            onClick={async () => {
+              if (!currentProfile?.uuid || !info.row.original.uuid) return;
+              if (confirm('Are you sure you want to delete this MCP server?')) {
+                await deleteMcpServerByUuid(
+                  currentProfile.uuid,
+                  info.row.original.uuid
+                );
+                mutate();
+              }
+            }}>
+            <Trash2 size={16} />
+          </Button>
+        </div>
       ),
       header: 'Actions',
     }),
@@ -159,166 +208,82 @@ export default function MCPServersPage() {
     state: {
       sorting,
       globalFilter,
+      rowSelection,
     },
+    getRowId: (server) => server.uuid,
     onSortingChange: setSorting,
     onGlobalFilterChange: setGlobalFilter,
+    onRowSelectionChange: setRowSelection,
     getCoreRowModel: getCoreRowModel(),
     getSortedRowModel: getSortedRowModel(),
     getFilteredRowModel: getFilteredRowModel(),
   });
 
+  const selectedUuids = Object.keys(rowSelection).filter(
+    (uuid) => rowSelection[uuid]
+  );
+
+  const handleTransfer = async (
+    { mode, uuids }: WorkspaceTransfer,
+    targetProfileUuid: string
+  ) => {
+    if (!currentProfile?.uuid) return 0;
+    const transferred =
+      mode === WorkspaceTransferMode.MOVE
+        ? await moveMcpServersToProfile(
+            currentProfile.uuid,
+            uuids,
+            targetProfileUuid
+          )
+        : await copyMcpServersToProfile(
+            currentProfile.uuid,
+            uuids,
+            targetProfileUuid
+          );
+    setRowSelection({});
+    await mutate();
+    return transferred;
+  };
+
   return (
     <div>
+      <WorkspaceTransferDialog
+        transfer={transfer}
+        onClose={() => setTransfer(null)}
+        onTransfer={handleTransfer}
+      />
       <div className='flex justify-between items-center mb-4'>
         <h1 className='text-2xl font-bold'>MCP Servers</h1>
         <div className='flex space-x-2'>
-          <Dialog open={importOpen} onOpenChange={setImportOpen}>
-            <DialogTrigger asChild>
-              <Button variant='outline'>
-                <Upload className='mr-2 h-4 w-4' />
-                Import JSON
-              </Button>
-            </DialogTrigger>
-            <DialogContent className='sm:max-w-[500px]'>
-              <DialogHeader>
-                <DialogTitle>Import MCP Servers</DialogTitle>
-                <DialogDescription>
-                  Import multiple MCP server configurations from JSON. The JSON
-                  should follow the format:
-                  <pre className='mt-2 p-2 bg-gray-100 rounded text-xs overflow-auto'>
-                    {`{
-  "mcpServers": {
-    "ServerName": {
-      "command": "command",
-      "args": ["arg1", "arg2"],
-      "env": {
-        "KEY": "value"
-      },
-      "description": "Optional description"
-    }
-  }
-}`}
-                  </pre>
-                </DialogDescription>
-              </DialogHeader>
-              <div className='space-y-4'>
-                <div>
-                  <Textarea
-                    value={importJson}
-                    onChange={(e) => {
-                      setImportJson(e.target.value);
-                      setImportError('');
-                    }}
-                    placeholder='Paste your JSON here'
-                    className='font-mono text-sm h-48'
-                  />
-                  {importError && (
-                    <p className='text-sm text-red-500 mt-1'>{importError}</p>
-                  )}
-                </div>
-                <div className='flex justify-end space-x-2'>
-                  <Button
-                    type='button'
-                    variant='outline'
-                    onClick={() => {
-                      setImportOpen(false);
-                      setImportJson('');
-                      setImportError('');
-                    }}
-                    disabled={isSubmitting}>
-                    Cancel
-                  </Button>
-                  <Button
-                    type='button'
-                    disabled={isSubmitting}
-                    onClick={async () => {
-                      setIsSubmitting(true);
-                      try {
-                        // Parse the JSON
-                        let parsedJson;
-                        try {
-                          parsedJson = JSON.parse(importJson);
-                        } catch (_e) {
-                          setImportError('Invalid JSON format');
-                          setIsSubmitting(false);
-                          return;
-                        }
-
-                        // Validate the JSON structure
-                        if (
-                          !parsedJson.mcpServers ||
-                          typeof parsedJson.mcpServers !== 'object'
-                        ) {
-                          setImportError(
-                            'JSON must contain a "mcpServers" object'
-                          );
-                          setIsSubmitting(false);
-                          return;
-                        }
-
-                        // Import the servers
-                        const result = await bulkImportMcpServers(
-                          parsedJson,
-                          currentProfile?.uuid
-                        );
-
-                        // Refresh the server list
-                        await mutate();
-
-                        // Close the dialog and reset
-                        setImportOpen(false);
-                        setImportJson('');
-                        setImportError('');
-
-                        // Show success toast
-                        toast({
-                          title: 'Import Successful',
-                          description: `Successfully imported ${result.count} MCP server${result.count !== 1 ? 's' : ''}.`,
-                          variant: 'default',
-                        });
-                      } catch (error) {
-                        console.error('Error importing MCP servers:', error);
-                        setImportError(
-                          'Failed to import servers. Check the console for details.'
-                        );
-
-                        // Show error toast
-                        toast({
-                          title: 'Import Failed',
-                          description:
-                            'Failed to import MCP servers. Please check the console for details.',
-                          variant: 'destructive',
-                        });
-                      } finally {
-                        setIsSubmitting(false);
-                      }
-                    }}>
-                    {isSubmitting ? 'Importing...' : 'Import'}
-                  </Button>
-                </div>
-              </div>
-            </DialogContent>
-          </Dialog>
+          <ExportDialog profileUuid={currentProfile?.uuid} />
+          <ImportDialog
+            profileUuid={currentProfile?.uuid}
+            onImported={mutate}
+          />
           <Dialog open={open} onOpenChange={setOpen}>
             <DialogTrigger asChild>
               <Button>Add MCP Server</Button>
             </DialogTrigger>
-            <DialogContent className='sm:max-w-[425px]'>
+            <DialogContent className='sm:max-w-[500px]'>
               <DialogHeader>
                 <DialogTitle>Add MCP Server</DialogTitle>
                 <DialogDescription>
                   Create a new MCP server configuration. Choose between STDIO
-                  (command-based) or SSE (URL-based) server type.
+                  (command-based), SSE or Streamable HTTP (URL-based) server
+                  type.
                 </DialogDescription>
               </DialogHeader>
               <Tabs defaultValue={McpServerType.STDIO} className='w-full'>
-                <TabsList className='grid w-full grid-cols-2'>
+                <TabsList className='grid w-full grid-cols-3'>
                   <TabsTrigger value={McpServerType.STDIO}>
                     Command-based (STDIO)
                   </TabsTrigger>
                   <TabsTrigger value={McpServerType.SSE}>
                     URL-based (SSE)
                   </TabsTrigger>
+                  <TabsTrigger value={McpServerType.STREAMABLE_HTTP}>
+                    Streamable HTTP
+                  </TabsTrigger>
                 </TabsList>
                 <TabsContent value={McpServerType.STDIO}>
                   <Form {...form}>
@@ -343,6 +308,7 @@ export default function MCPServersPage() {
                                   return [key.trim(), values.join('=').trim()];
                                 })
                             ),
+                            headers: {},
                             status: McpServerStatus.ACTIVE,
                             url: undefined,
                           };
@@ -466,120 +432,170 @@ export default function MCPServersPage() {
                     </form>
                   </Form>
                 </TabsContent>
-                <TabsContent value={McpServerType.SSE}>
-                  <Form {...form}>
-                    <form
-                      onSubmit={form.handleSubmit(async (data) => {
-                        if (!currentProfile?.uuid) return;
-                        setIsSubmitting(true);
-                        try {
-                          const processedData = {
-                            ...data,
-                            type: McpServerType.SSE,
-                            args: [],
-                            env: {},
-                            status: McpServerStatus.ACTIVE,
-                            command: undefined,
-                          };
+                {REMOTE_MCP_SERVER_TYPES.map((remoteType) => (
+                  <TabsContent key={remoteType} value={remoteType}>
+                    <Form {...form}>
+                      <form
+                        onSubmit={form.handleSubmit(async (data) => {
+                          if (!currentProfile?.uuid) return;
+                          setIsSubmitting(true);
+                          try {
+                            const processedData = {
+                              ...data,
+                              type: remoteType,
+                              args: [],
+                              env: {},
+                              headers: parseHeaderLines(data.headers),
+                              status: McpServerStatus.ACTIVE,
+                              command: undefined,
+                            };
 
-                          await createMcpServer(
-                            currentProfile.uuid,
-                            processedData
-                          );
-                          await mutate();
-                          setOpen(false);
-                          form.reset();
-                        } catch (error) {
-                          console.error('Error creating MCP server:', error);
-                        } finally {
-                          setIsSubmitting(false);
-                        }
-                      })}
-                      className='space-y-4'>
-                      <FormField
-                        control={form.control}
-                        name='name'
-                        render={({ field }) => (
-                          <FormItem>
-                            <FormLabel>Name</FormLabel>
-                            <FormControl>
-                              <Input
-                                {...field}
-                                placeholder='e.g., figma-mcp-server'
-                                required
-                              />
-                            </FormControl>
-                            <FormMessage />
-                          </FormItem>
-                        )}
-                      />
-                      <FormField
-                        control={form.control}
-                        name='description'
-                        render={({ field }) => (
-                          <FormItem>
-                            <FormLabel>Description</FormLabel>
-                            <FormControl>
-                              <Textarea
-                                {...field}
-                                placeholder="(Optional) Brief description of the server's purpose"
-                              />
-                            </FormControl>
-                            <FormMessage />
-                          </FormItem>
-                        )}
-                      />
-                      <FormField
-                        control={form.control}
-                        name='url'
-                        render={({ field }) => (
-                          <FormItem>
-                            <FormLabel>Server URL</FormLabel>
-                            <FormControl>
-                              <Input
-                                {...field}
-                                placeholder='http://localhost:3000/sse'
-                                required
-                                pattern='^(http|https)://[^\s/$.?#].[^\s]*$'
-                              />
-                            </FormControl>
-                            <p className='text-sm text-muted-foreground'>
-                              Must be a valid HTTP/HTTPS URL
-                            </p>
-                            <FormMessage />
-                          </FormItem>
-                        )}
-                      />
-                      <div className='flex justify-end space-x-2'>
-                        <Button
-                          type='button'
-                          variant='outline'
-                          onClick={() => {
+                            await createMcpServer(
+                              currentProfile.uuid,
+                              processedData
+                            );
+                            await mutate();
                             setOpen(false);
                             form.reset();
-                          }}
-                          disabled={isSubmitting}>
-                          Cancel
-                        </Button>
-                        <Button type='submit' disabled={isSubmitting}>
-                          {isSubmitting ? 'Creating...' : 'Create'}
-                        </Button>
-                      </div>
-                    </form>
-                  </Form>
-                </TabsContent>
+                          } catch (error) {
+                            console.error('Error creating MCP server:', error);
+                          } finally {
+                            setIsSubmitting(false);
+                          }
+                        })}
+                        className='space-y-4'>
+                        <FormField
+                          control={form.control}
+                          name='name'
+                          render={({ field }) => (
+                            <FormItem>
+                              <FormLabel>Name</FormLabel>
+                              <FormControl>
+                                <Input
+                                  {...field}
+                                  placeholder='e.g., figma-mcp-server'
+                                  required
+                                />
+                              </FormControl>
+                              <FormMessage />
+                            </FormItem>
+                          )}
+                        />
+                        <FormField
+                          control={form.control}
+                          name='description'
+                          render={({ field }) => (
+                            <FormItem>
+                              <FormLabel>Description</FormLabel>
+                              <FormControl>
+                                <Textarea
+                                  {...field}
+                                  placeholder="(Optional) Brief description of the server's purpose"
+                                />
+                              </FormControl>
+                              <FormMessage />
+                            </FormItem>
+                          )}
+                        />
+                        <FormField
+                          control={form.control}
+                          name='url'
+                          render={({ field }) => (
+                            <FormItem>
+                              <FormLabel>Server URL</FormLabel>
+                              <FormControl>
+                                <Input
+                                  {...field}
+                                  placeholder={
+                                    REMOTE_URL_PLACEHOLDERS[remoteType]
+                                  }
+                                  required
+                                  pattern='^(http|https)://[^\s/$.?#].[^\s]*$'
+                                />
+                              </FormControl>
+                              <p className='text-sm text-muted-foreground'>
+                                Must be a valid HTTP/HTTPS URL
+                              </p>
+                              <FormMessage />
+                            </FormItem>
+                          )}
+                        />
+                        <FormField
+                          control={form.control}
+                          name='headers'
+                          render={({ field }) => (
+                            <FormItem>
+                              <FormLabel>Headers</FormLabel>
+                              <FormControl>
+                                <Textarea
+                                  {...field}
+                                  placeholder='Authorization: Bearer your-token'
+                                  className='font-mono text-sm'
+                                />
+                              </FormControl>
+                              <p className='text-sm text-muted-foreground'>
+                                Enter request headers in Name: value format, one
+                                per line
+                              </p>
+                              <FormMessage />
+                            </FormItem>
+                          )}
+                        />
+                        <div className='flex justify-end space-x-2'>
+                          <Button
+                            type='button'
+                            variant='outline'
+                            onClick={() => {
+                              setOpen(false);
+                              form.reset();
+                            }}
+                            disabled={isSubmitting}>
+                            Cancel
+                          </Button>
+                          <Button type='submit' disabled={isSubmitting}>
+                            {isSubmitting ? 'Creating...' : 'Create'}
+                          </Button>
+                        </div>
+                      </form>
+                    </Form>
+                  </TabsContent>
+                ))}
               </Tabs>
             </DialogContent>
           </Dialog>
         </div>
       </div>
-      <div className='mb-4'>
+      <ToolTokenFootprint
+        profileUuid={currentProfile?.uuid}
+        serversKey={servers
+          .map((server) => `${server.uuid}:${server.status}:${server.name}`)
+          .join(',')}
+      />
+      <div className='mb-4 flex items-center gap-4'>
         <Input
           placeholder='Search all columns...'
           value={globalFilter ?? ''}
           onChange={(e) => setGlobalFilter(String(e.target.value))}
           className='max-w-sm'
         />
+        {selectedUuids.length > 0 && (
+          <div className='flex items-center gap-2'>
+            <span className='text-sm text-muted-foreground'>
+              {selectedUuids.length} selected
+            </span>
+            <WorkspaceTransferMenu
+              uuids={selectedUuids}
+              onSelect={setTransfer}
+              label='Copy / Move'
+            />
+            <Button
+              variant='ghost'
+              size='sm'
+              onClick={() => setRowSelection({})}>
+              Clear
+            </Button>
+          </div>
+        )}
       </div>
       <div className='overflow-x-auto'>
         <table className='min-w-full bg-white border border-gray-300'>
@@ -24,6 +24,7 @@ import {
 import {
   Form,
   FormControl,
+  FormDescription,
   FormField,
   FormItem,
   FormLabel,
@@ -31,57 +32,112 @@ import {
 } from '@/components/ui/form';
 import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
-import { McpServerType } from '@/db/schema';
+import {
+  CatalogInstallRecipe,
+  CatalogRecipeParam,
+  McpServerType,
+} from '@/db/schema';
 import { useProfiles } from '@/hooks/use-profiles';
+import {
+  applyInstallRecipe,
+  getRecipeDefaults,
+  RecipeValues,
+  validateRecipeValue,
+} from '@/lib/catalog/recipe';
 import { SearchIndex } from '@/types/search';
 
+type CatalogItem = {
+  name: string;
+  description: string;
+  command: string;
+  args: string[];
+  recipe: CatalogInstallRecipe;
+};
+
+type AddMcpServerFormValues = {
+  name: string;
+  description: string;
+  command: string;
+  args: string;
+  env: string;
+  recipe: RecipeValues;
+};
+
 interface AddMcpServerDialogProps {
   open: boolean;
   onOpenChange: (open: boolean) => void;
-  defaultValues: {
-    name: string;
-    description: string;
-    command: string;
-    args: string;
-    env: string;
+  item: CatalogItem;
+}
+
+function toFormValues(item: CatalogItem): AddMcpServerFormValues {
+  return {
+    name: item.name,
+    description: item.description,
+    command: item.command,
+    args: item.args.join(' '),
+    env: '',
+    recipe: getRecipeDefaults(item.recipe),
   };
 }
 
+function RecipeParamLabel({ param }: { param: CatalogRecipeParam }) {
+  return (
+    <FormLabel>
+      <span className='font-mono'>{param.name}</span>
+      {param.required ? (
+        <span className='text-red-500'> *</span>
+      ) : (
+        <span className='text-muted-foreground font-normal'> (optional)</span>
+      )}
+    </FormLabel>
+  );
+}
+
 function AddMcpServerDialog({
   open,
   onOpenChange,
-  defaultValues,
+  item,
 }: AddMcpServerDialogProps) {
   const { currentProfile } = useProfiles();
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const form = useForm({
-    defaultValues,
+  const form = useForm<AddMcpServerFormValues>({
+    defaultValues: toFormValues(item),
+    mode: 'onChange',
   });
 
   useEffect(() => {
-    form.reset(defaultValues);
-  }, [defaultValues, form]);
+    form.reset(toFormValues(item));
+  }, [item, form]);
 
-  const onSubmit = async (values: typeof defaultValues) => {
+  const onSubmit = async (values: AddMcpServerFormValues) => {
     if (!currentProfile?.uuid) return;
 
+    const installed = applyInstallRecipe(
+      values.args.trim().split(/\s+/).filter(Boolean),
+      item.recipe,
+      values.recipe
+    );
+
     setIsSubmitting(true);
     try {
       await createMcpServer(currentProfile.uuid, {
         name: values.name,
         description: values.description,
         command: values.command,
-        args: values.args.trim().split(/\s+/).filter(Boolean),
-        env: Object.fromEntries(
-          values.env
-            .split('\n')
-            .filter((line) => line.includes('='))
-            .map((line) => {
-              const [key, ...values] = line.split('=');
-              return [key.trim(), values.join('=').trim()];
-            })
-        ),
+        args: installed.args,
+        env: {
+          ...Object.fromEntries(
+            values.env
+              .split('\n')
+              .filter((line) => line.includes('='))
+              .map((line) => {
+                const [key, ...values] = line.split('=');
+                return [key.trim(), values.join('=').trim()];
+              })
+          ),
+          ...installed.env,
+        },
         type: McpServerType.STDIO,
       });
       onOpenChange(false);
@@ -90,9 +146,42 @@ function AddMcpServerDialog({
     }
   };
 
+  const renderRecipeParam = (
+    kind: keyof RecipeValues,
+    param: CatalogRecipeParam
+  ) => (
+    <FormField
+      key={`${kind}-${param.name}`}
+      control={form.control}
+      name={`recipe.${kind}.${param.name}`}
+      rules={{
+        validate: (value) => validateRecipeValue(param, value ?? '') ?? true,
+      }}
+      render={({ field }) => (
+        <FormItem>
+          <RecipeParamLabel param={param} />
+          <FormControl>
+            <Input
+              {...field}
+              value={field.value ?? ''}
+              placeholder={param.default ?? undefined}
+            />
+          </FormControl>
+          {param.description && (
+            <FormDescription>{param.description}</FormDescription>
+          )}
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+  );
+
+  const hasRecipeParams =
+    item.recipe.args.length > 0 || item.recipe.env.length > 0;
+
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
-      <DialogContent>
+      <DialogContent className='max-h-[90vh] overflow-y-auto'>
         <DialogHeader>
           <DialogTitle>Add MCP Server</DialogTitle>
           <DialogDescription>
@@ -104,6 +193,7 @@ function AddMcpServerDialog({
             <FormField
               control={form.control}
               name='name'
+              rules={{ required: 'Name is required' }}
               render={({ field }) => (
                 <FormItem>
                   <FormLabel>Name</FormLabel>
@@ -149,18 +239,47 @@ function AddMcpServerDialog({
                   <FormControl>
                     <Input {...field} />
                   </FormControl>
+                  {item.recipe.args.length > 0 && (
+                    <FormDescription>
+                      Placeholders such as{' '}
+                      <code className='font-mono'>{`{{${item.recipe.args[0].name}}}`}</code>{' '}
+                      are filled in from the values below.
+                    </FormDescription>
+                  )}
                   <FormMessage />
                 </FormItem>
               )}
             />
+            {hasRecipeParams && (
+              <div className='space-y-4 border rounded-md p-3'>
+                <div>
+                  <h3 className='text-sm font-medium'>Required Settings</h3>
+                  <p className='text-sm text-muted-foreground'>
+                    The server is added once every required value is set. Values
+                    may reference a project secret as{' '}
+                    <code className='font-mono'>{'${secrets.NAME}'}</code>.
+                  </p>
+                </div>
+                {item.recipe.args.map((param) =>
+                  renderRecipeParam('args', param)
+                )}
+                {item.recipe.env.map((param) =>
+                  renderRecipeParam('env', param)
+                )}
+              </div>
+            )}
             <FormField
               control={form.control}
               name='env'
               render={({ field }) => (
                 <FormItem>
-                  <FormLabel>Environment Variables (one per line)</FormLabel>
+                  <FormLabel>
+                    {hasRecipeParams
+                      ? 'Additional Environment Variables (one per line)'
+                      : 'Environment Variables (one per line)'}
+                  </FormLabel>
                   <FormControl>
-                    <Textarea {...field} />
+                    <Textarea {...field} placeholder='KEY=value' />
                   </FormControl>
                   <FormMessage />
                 </FormItem>
@@ -173,7 +292,9 @@ function AddMcpServerDialog({
                 onClick={() => onOpenChange(false)}>
                 Cancel
               </Button>
-              <Button type='submit' disabled={isSubmitting}>
+              <Button
+                type='submit'
+                disabled={isSubmitting || !form.formState.isValid}>
                 Add Server
               </Button>
             </div>
@@ -185,13 +306,7 @@ function AddMcpServerDialog({
 }
 
 export default function CardGrid({ items }: { items: SearchIndex }) {
-  const [selectedItem, setSelectedItem] = useState<{
-    name: string;
-    description: string;
-    command: string;
-    args: string;
-    env: string;
-  } | null>(null);
+  const [selectedItem, setSelectedItem] = useState<CatalogItem | null>(null);
   const [dialogOpen, setDialogOpen] = useState(false);
 
   return (
@@ -244,10 +359,8 @@ export default function CardGrid({ items }: { items: SearchIndex }) {
                     name: item.name,
                     description: item.description,
                     command: item.command,
-                    args: item.args?.join(' ') || '',
-                    env: item.envs?.join().length
-                      ? item.envs.join('=\n') + '='
-                      : '',
+                    args: item.args ?? [],
+                    recipe: item.recipe,
                   });
                   setDialogOpen(true);
                 }}>
@@ -262,7 +375,7 @@ export default function CardGrid({ items }: { items: SearchIndex }) {
         <AddMcpServerDialog
           open={dialogOpen}
           onOpenChange={setDialogOpen}
-          defaultValues={selectedItem}
+          item={selectedItem}
         />
       )}
     </>
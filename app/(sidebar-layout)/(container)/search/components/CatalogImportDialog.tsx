@@ -0,0 +1,192 @@
+'use client';
+
+import { Upload } from 'lucide-react';
+import { useState } from 'react';
+
+import { importCatalog } from '@/app/actions/catalog';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from '@/components/ui/dialog';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Textarea } from '@/components/ui/textarea';
+import { useToast } from '@/hooks/use-toast';
+import { SkippedCatalogEntry } from '@/lib/catalog/catalog';
+
+export default function CatalogImportDialog({
+  onImported,
+}: {
+  onImported: () => Promise<unknown>;
+}) {
+  const { toast } = useToast();
+  const [open, setOpen] = useState(false);
+  const [catalogJson, setCatalogJson] = useState('');
+  const [importError, setImportError] = useState('');
+  const [replace, setReplace] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [skipped, setSkipped] = useState<SkippedCatalogEntry[]>([]);
+
+  const reset = () => {
+    setCatalogJson('');
+    setImportError('');
+    setSkipped([]);
+  };
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    setCatalogJson(await file.text());
+    setImportError('');
+    setSkipped([]);
+  };
+
+  const handleImport = async () => {
+    let parsedJson;
+    try {
+      parsedJson = JSON.parse(catalogJson);
+    } catch (_e) {
+      setImportError('Invalid JSON format');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const result = await importCatalog(parsedJson, { replace });
+      setSkipped(result.skipped);
+      await onImported();
+      toast({
+        title: 'Catalog Updated',
+        description: `Imported ${result.imported} server${result.imported !== 1 ? 's' : ''}${result.removed ? `, removed ${result.removed}` : ''}${result.skipped.length ? `, skipped ${result.skipped.length}` : ''}.`,
+        variant: 'default',
+      });
+      if (result.skipped.length === 0) {
+        setOpen(false);
+        reset();
+      }
+    } catch (error) {
+      setImportError(
+        error instanceof Error ? error.message : 'Failed to import catalog'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(isOpen) => {
+        setOpen(isOpen);
+        if (!isOpen) reset();
+      }}>
+      <DialogTrigger asChild>
+        <Button variant='outline'>
+          <Upload className='mr-2 h-4 w-4' />
+          Import Catalog
+        </Button>
+      </DialogTrigger>
+      <DialogContent className='sm:max-w-[600px] max-h-[90vh] overflow-y-auto'>
+        <DialogHeader>
+          <DialogTitle>Import Server Catalog</DialogTitle>
+          <DialogDescription>
+            Refresh the local catalog from a catalog file or a client config
+            file. Servers are matched by key; existing entries are updated.
+            <pre className='mt-2 p-2 bg-gray-100 rounded text-xs overflow-auto'>
+              {`{
+  "servers": {
+    "github": {
+      "name": "GitHub",
+      "description": "Repository management",
+      "category": "Development",
+      "githubUrl": "https://github.com/...",
+      "command": "npx",
+      "args": ["-y", "@modelcontextprotocol/server-github"],
+      "envs": ["GITHUB_PERSONAL_ACCESS_TOKEN"]
+    },
+    "filesystem": {
+      "command": "npx",
+      "args": ["-y", "@modelcontextprotocol/server-filesystem", "{{DIR}}"],
+      "recipe": {
+        "args": {
+          "DIR": { "description": "Allowed directory", "pattern": "^/" }
+        },
+        "env": {
+          "DEBUG": { "required": false, "default": "false" }
+        }
+      }
+    }
+  }
+}`}
+            </pre>
+          </DialogDescription>
+        </DialogHeader>
+        <div className='space-y-4'>
+          <input
+            type='file'
+            accept='application/json,.json'
+            className='text-sm'
+            onChange={(e) => handleFile(e.target.files?.[0])}
+          />
+          <div>
+            <Textarea
+              value={catalogJson}
+              onChange={(e) => {
+                setCatalogJson(e.target.value);
+                setImportError('');
+                setSkipped([]);
+              }}
+              placeholder='Or paste the JSON here'
+              className='font-mono text-sm h-48'
+            />
+            {importError && (
+              <p className='text-sm text-red-500 mt-1'>{importError}</p>
+            )}
+          </div>
+          <div className='flex items-center gap-2'>
+            <Switch
+              id='replace-catalog'
+              checked={replace}
+              onCheckedChange={setReplace}
+            />
+            <Label htmlFor='replace-catalog'>
+              Remove catalog entries that are not in the file
+            </Label>
+          </div>
+          {skipped.length > 0 && (
+            <div className='space-y-1 text-sm'>
+              <h3 className='font-medium'>Skipped entries</h3>
+              {skipped.map((entry) => (
+                <p key={entry.key} className='text-red-500'>
+                  {entry.key}: {entry.error}
+                </p>
+              ))}
+            </div>
+          )}
+          <div className='flex justify-end space-x-2'>
+            <Button
+              type='button'
+              variant='outline'
+              onClick={() => {
+                setOpen(false);
+                reset();
+              }}
+              disabled={isSubmitting}>
+              Cancel
+            </Button>
+            <Button
+              type='button'
+              disabled={isSubmitting || !catalogJson}
+              onClick={handleImport}>
+              {isSubmitting ? 'Importing...' : 'Import'}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
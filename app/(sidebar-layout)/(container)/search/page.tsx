@@ -5,10 +5,11 @@ import { Suspense } from 'react';
 import { useEffect, useState } from 'react';
 import useSWR from 'swr';
 
+import { getCatalogCategories, searchCatalog } from '@/app/actions/catalog';
 import { Input } from '@/components/ui/input';
-import type { PaginatedSearchResult } from '@/types/search';
 
 import CardGrid from './components/CardGrid';
+import CatalogImportDialog from './components/CatalogImportDialog';
 import { PaginationUi } from './components/PaginationUi';
 
 const PAGE_SIZE = 6;
@@ -17,38 +18,51 @@ function SearchContent() {
   const router = useRouter();
   const searchParams = useSearchParams();
   const query = searchParams.get('query') || '';
+  const category = searchParams.get('category') || '';
   const offset = parseInt(searchParams.get('offset') || '0');
   const [searchQuery, setSearchQuery] = useState(query);
 
-  const { data, error } = useSWR<PaginatedSearchResult>(
-    `/service/search?query=${encodeURIComponent(query)}&pageSize=${PAGE_SIZE}&offset=${offset}`,
-    async (url: string) => {
-      const res = await fetch(url);
-      if (!res.ok) {
-        const errorText = await res.text();
-        throw new Error(
-          `Failed to fetch: ${res.status} ${res.statusText} - ${errorText}`
-        );
-      }
-      return res.json();
-    }
+  const { data, error, mutate } = useSWR(
+    ['catalog/search', query, category, offset],
+    () =>
+      searchCatalog({
+        query,
+        category: category || undefined,
+        offset,
+        pageSize: PAGE_SIZE,
+      })
+  );
+  const { data: categories, mutate: mutateCategories } = useSWR(
+    'catalog/categories',
+    getCatalogCategories
   );
 
   if (error) console.error('Search error:', error);
-  console.log('Search data:', data);
 
   useEffect(() => {
     const timer = setTimeout(() => {
       if (searchQuery !== query) {
         const params = new URLSearchParams();
         if (searchQuery) params.set('query', searchQuery);
+        if (category) params.set('category', category);
         params.set('offset', '0');
         router.push(`/search?${params.toString()}`);
       }
     }, 500);
 
     return () => clearTimeout(timer);
-  }, [searchQuery, query, router]);
+  }, [searchQuery, query, category, router]);
+
+  const handleCategoryChange = (value: string) => {
+    const params = new URLSearchParams(searchParams);
+    if (value) {
+      params.set('category', value);
+    } else {
+      params.delete('category');
+    }
+    params.set('offset', '0');
+    router.push(`/search?${params.toString()}`);
+  };
 
   const handlePageChange = (page: number) => {
     const params = new URLSearchParams(searchParams);
@@ -61,13 +75,41 @@ function SearchContent() {
       <h1 className='text-2xl font-bold'>
         Explore & Search MCP Servers (Beta)
       </h1>
-      <Input
-        type='search'
-        placeholder='Search...'
-        value={searchQuery}
-        onChange={(e) => setSearchQuery(e.target.value)}
-        className='max-w-xl mx-auto'
-      />
+      <div className='flex w-full max-w-3xl gap-2'>
+        <Input
+          type='search'
+          placeholder='Search...'
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          className='flex-1'
+        />
+        <select
+          aria-label='Category'
+          className='p-2 border rounded-md bg-background text-sm'
+          value={category}
+          onChange={(e) => handleCategoryChange(e.target.value)}>
+          <option value=''>All categories</option>
+          {categories?.map((item) => (
+            <option key={item.category} value={item.category}>
+              {item.category} ({item.count})
+            </option>
+          ))}
+        </select>
+        <CatalogImportDialog
+          onImported={() => Promise.all([mutate(), mutateCategories()])}
+        />
+      </div>
+
+      {error && (
+        <div className='text-red-500'>
+          {error instanceof Error ? error.message : 'Failed to search catalog'}
+        </div>
+      )}
+      {data && data.total === 0 && (
+        <div className='text-sm text-muted-foreground'>
+          No servers match your search.
+        </div>
+      )}
 
       {data?.results && <CardGrid items={data.results} />}
 
@@ -0,0 +1,337 @@
+'use client';
+
+import { Copy, Pencil, Plus, Trash2 } from 'lucide-react';
+import { useState } from 'react';
+import useSWR from 'swr';
+
+import {
+  createSecret,
+  deleteSecret,
+  getProjectSecrets,
+  updateSecretValue,
+} from '@/app/actions/secrets';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useProjects } from '@/hooks/use-projects';
+import { useToast } from '@/hooks/use-toast';
+import { formatSecretReference } from '@/lib/secrets/references';
+import { Secret } from '@/types/secret';
+
+export default function SecretsPage() {
+  const { currentProject } = useProjects();
+  const { data, error, isLoading, mutate } = useSWR(
+    currentProject?.uuid ? `${currentProject?.uuid}/secrets` : null,
+    () => getProjectSecrets(currentProject?.uuid || '')
+  );
+  const [isCreateDialogOpen, setIsCreateDialogOpen] = useState(false);
+  const [newSecretName, setNewSecretName] = useState('');
+  const [newSecretValue, setNewSecretValue] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  const [secretToUpdate, setSecretToUpdate] = useState<Secret | null>(null);
+  const [updatedValue, setUpdatedValue] = useState('');
+  const [isUpdating, setIsUpdating] = useState(false);
+  const [secretToDelete, setSecretToDelete] = useState<Secret | null>(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const { toast } = useToast();
+
+  const copyReference = async (name: string) => {
+    await navigator.clipboard.writeText(formatSecretReference(name));
+    toast({
+      title: 'Reference copied',
+      description: `Paste ${formatSecretReference(name)} into a server's env, headers or args.`,
+    });
+  };
+
+  const resetCreateForm = () => {
+    setNewSecretName('');
+    setNewSecretValue('');
+  };
+
+  const handleCreateSecret = async () => {
+    if (!currentProject?.uuid) {
+      return;
+    }
+    try {
+      setIsCreating(true);
+      await createSecret(currentProject.uuid, {
+        name: newSecretName,
+        value: newSecretValue,
+      });
+      await mutate();
+      setIsCreateDialogOpen(false);
+      resetCreateForm();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error ? error.message : 'Failed to create secret',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleUpdateSecret = async () => {
+    if (!currentProject?.uuid || !secretToUpdate?.uuid) {
+      return;
+    }
+    try {
+      setIsUpdating(true);
+      await updateSecretValue(
+        currentProject.uuid,
+        secretToUpdate.uuid,
+        updatedValue
+      );
+      await mutate();
+      setSecretToUpdate(null);
+      setUpdatedValue('');
+      toast({
+        title: 'Secret updated',
+        description: `Servers using ${secretToUpdate.name} get the new value the next time the proxy fetches its config.`,
+      });
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error ? error.message : 'Failed to update secret',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleDeleteSecret = async () => {
+    if (!currentProject?.uuid || !secretToDelete?.uuid) {
+      return;
+    }
+    try {
+      setIsDeleting(true);
+      await deleteSecret(currentProject.uuid, secretToDelete.uuid);
+      await mutate();
+      setSecretToDelete(null);
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error ? error.message : 'Failed to delete secret',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className='flex justify-between items-center mb-4'>
+        <h1 className='text-2xl font-bold'>Secrets</h1>
+        <Button
+          onClick={() => setIsCreateDialogOpen(true)}
+          disabled={!currentProject?.uuid}>
+          <Plus className='h-4 w-4 mr-2' />
+          Add Secret
+        </Button>
+      </div>
+
+      <div>
+        {isLoading ? (
+          <div>Loading...</div>
+        ) : error ? (
+          <div className='text-red-500'>
+            {error instanceof Error ? error.message : 'Failed to fetch secrets'}
+          </div>
+        ) : (
+          <div className='space-y-4'>
+            <div className='text-sm text-muted-foreground'>
+              Secrets are shared by every workspace in this project. Reference
+              one from a server&apos;s env values, headers or arguments as{' '}
+              <code className='font-mono'>{'${secrets.NAME}'}</code>; it is
+              replaced with the secret&apos;s value when MetaMCP serves the
+              config to the proxy, so updating a secret here updates every
+              server that uses it. Values cannot be viewed once saved.
+            </div>
+            {data && data.undefinedReferences.length > 0 && (
+              <div className='text-sm text-red-600'>
+                Servers reference secrets that are not defined:{' '}
+                {data.undefinedReferences.join(', ')}
+              </div>
+            )}
+            {data && data.secrets.length === 0 && (
+              <div className='text-sm text-muted-foreground'>
+                No secrets yet. Add one to get started.
+              </div>
+            )}
+            {data?.secrets.map((secret) => (
+              <div key={secret.uuid} className='space-y-2'>
+                <div className='flex items-center gap-2 bg-muted p-3 rounded-lg'>
+                  <code className='flex-1 font-mono text-sm'>
+                    {formatSecretReference(secret.name)}
+                  </code>
+                  <Badge variant='secondary'>
+                    Used by {secret.server_count} server
+                    {secret.server_count !== 1 ? 's' : ''}
+                  </Badge>
+                  <Button
+                    variant='ghost'
+                    size='icon'
+                    onClick={() => copyReference(secret.name)}
+                    title='Copy reference'>
+                    <Copy className='h-4 w-4' />
+                  </Button>
+                  <Button
+                    variant='ghost'
+                    size='icon'
+                    onClick={() => setSecretToUpdate(secret)}
+                    title='Update value'>
+                    <Pencil className='h-4 w-4' />
+                  </Button>
+                  <Button
+                    variant='ghost'
+                    size='icon'
+                    onClick={() => setSecretToDelete(secret)}
+                    title='Delete secret'>
+                    <Trash2 className='h-4 w-4 text-destructive' />
+                  </Button>
+                </div>
+                <div className='text-xs text-muted-foreground'>
+                  Created {new Date(secret.created_at).toLocaleDateString()}
+                  {' · '}
+                  Updated {new Date(secret.updated_at).toLocaleString()}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <Dialog
+        open={isCreateDialogOpen}
+        onOpenChange={(open) => {
+          setIsCreateDialogOpen(open);
+          if (!open) resetCreateForm();
+        }}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Add Secret</DialogTitle>
+            <DialogDescription>
+              Names may contain letters, digits and underscores, e.g.
+              GITHUB_TOKEN.
+            </DialogDescription>
+          </DialogHeader>
+          <div className='space-y-4 py-4'>
+            <div className='space-y-2'>
+              <Label htmlFor='name'>Name</Label>
+              <Input
+                id='name'
+                placeholder='e.g., GITHUB_TOKEN'
+                value={newSecretName}
+                onChange={(e) => setNewSecretName(e.target.value)}
+              />
+            </div>
+            <div className='space-y-2'>
+              <Label htmlFor='value'>Value</Label>
+              <Input
+                id='value'
+                type='password'
+                autoComplete='off'
+                value={newSecretValue}
+                onChange={(e) => setNewSecretValue(e.target.value)}
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button
+              variant='outline'
+              onClick={() => setIsCreateDialogOpen(false)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={handleCreateSecret}
+              disabled={isCreating || !newSecretName.trim()}>
+              {isCreating ? 'Adding...' : 'Add Secret'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog
+        open={!!secretToUpdate}
+        onOpenChange={(open) => {
+          if (!open) {
+            setSecretToUpdate(null);
+            setUpdatedValue('');
+          }
+        }}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Update {secretToUpdate?.name}</DialogTitle>
+            <DialogDescription>
+              The new value replaces the current one for all{' '}
+              {secretToUpdate?.server_count ?? 0} server
+              {secretToUpdate?.server_count !== 1 ? 's' : ''} that reference
+              this secret.
+            </DialogDescription>
+          </DialogHeader>
+          <div className='space-y-2 py-4'>
+            <Label htmlFor='updated_value'>New Value</Label>
+            <Input
+              id='updated_value'
+              type='password'
+              autoComplete='off'
+              value={updatedValue}
+              onChange={(e) => setUpdatedValue(e.target.value)}
+            />
+          </div>
+          <DialogFooter>
+            <Button variant='outline' onClick={() => setSecretToUpdate(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleUpdateSecret} disabled={isUpdating}>
+              {isUpdating ? 'Updating...' : 'Update Secret'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog
+        open={!!secretToDelete}
+        onOpenChange={(open) => !open && setSecretToDelete(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Delete Secret</DialogTitle>
+            <DialogDescription>
+              Are you sure you want to delete {secretToDelete?.name}?
+              {secretToDelete?.server_count
+                ? ` ${secretToDelete.server_count} server${secretToDelete.server_count !== 1 ? 's' : ''} still reference it and will receive the reference unresolved.`
+                : ''}{' '}
+              This action cannot be undone.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant='outline' onClick={() => setSecretToDelete(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant='destructive'
+              onClick={handleDeleteSecret}
+              disabled={isDeleting}>
+              {isDeleting ? 'Deleting...' : 'Delete Secret'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
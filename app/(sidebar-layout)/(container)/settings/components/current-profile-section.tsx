@@ -1,9 +1,10 @@
 'use client';
 
-import { AlertTriangle, Pencil, Save, X } from 'lucide-react';
+import { AlertTriangle, Copy, Pencil, Save, X } from 'lucide-react';
 import { useEffect, useState } from 'react';
 
 import { deleteProfile, updateProfileName } from '@/app/actions/profiles';
+import { DuplicateProfileDialog } from '@/components/duplicate-profile-dialog';
 import { Button } from '@/components/ui/button';
 import {
   Card,
@@ -21,6 +22,7 @@ export function CurrentProfileSection() {
   const [isEditing, setIsEditing] = useState(false);
   const [newName, setNewName] = useState(currentProfile?.name || '');
   const [isLoading, setIsLoading] = useState(false);
+  const [showDuplicateDialog, setShowDuplicateDialog] = useState(false);
   const { toast } = useToast();
 
   useEffect(() => {
@@ -140,6 +142,28 @@ export function CurrentProfileSection() {
           </div>
         </div>
 
+        <div className='space-y-4'>
+          <div className='border-t pt-6'>
+            <h3 className='text-lg font-medium'>Duplicate Workspace</h3>
+            <p className='text-sm text-muted-foreground mt-1'>
+              Create a new workspace with a copy of every MCP server and custom
+              MCP server in this one.
+            </p>
+            <Button
+              variant='outline'
+              className='mt-4'
+              onClick={() => setShowDuplicateDialog(true)}
+              disabled={isLoading}>
+              <Copy className='mr-2 h-4 w-4' />
+              Duplicate Workspace
+            </Button>
+            <DuplicateProfileDialog
+              open={showDuplicateDialog}
+              onOpenChange={setShowDuplicateDialog}
+            />
+          </div>
+        </div>
+
         <div className='space-y-4'>
           <div className='border-t pt-6'>
             <h3 className='text-lg font-medium text-destructive flex items-center gap-2'>
@@ -147,8 +171,8 @@ export function CurrentProfileSection() {
               Danger Zone
             </h3>
             <p className='text-sm text-muted-foreground mt-1'>
-              Once you delete a workspace, there is no going back. Please be
-              careful.
+              Once you delete a workspace, there is no going back. API keys
+              bound to it are deleted with it. Please be careful.
             </p>
             <Button
               variant='destructive'
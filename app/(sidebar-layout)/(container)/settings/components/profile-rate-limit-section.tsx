@@ -0,0 +1,104 @@
+'use client';
+
+import { Save } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import { getDefaultRateLimits } from '@/app/actions/api-keys';
+import { getProfile, updateProfileRateLimit } from '@/app/actions/profiles';
+import { Button } from '@/components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useProfiles } from '@/hooks/use-profiles';
+import { useToast } from '@/hooks/use-toast';
+import { parseLimitInput } from '@/lib/rate-limit/token-bucket';
+
+export function ProfileRateLimitSection() {
+  const { currentProfile } = useProfiles();
+  const { data: profile, mutate } = useSWR(
+    currentProfile?.uuid ? `${currentProfile.uuid}/profile` : null,
+    () => getProfile(currentProfile?.uuid || '')
+  );
+  const { data: defaults } = useSWR('rate-limits/defaults', () =>
+    getDefaultRateLimits()
+  );
+  const [rateLimit, setRateLimit] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    setRateLimit(profile?.rate_limit_per_minute?.toString() ?? '');
+  }, [profile]);
+
+  if (!profile) {
+    return null;
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await updateProfileRateLimit(profile.uuid, parseLimitInput(rateLimit));
+      await mutate();
+      toast({
+        title: 'Success',
+        description: 'Workspace rate limit updated successfully',
+      });
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error
+            ? error.message
+            : 'Failed to update workspace rate limit',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>API Rate Limit</CardTitle>
+        <CardDescription>
+          Requests per minute shared by every API key that uses this workspace.
+          Requests over the limit are refused with 429 and a Retry-After header.
+          Each key also has its own limit on the API Keys page.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className='space-y-2'>
+          <Label htmlFor='profile_rate_limit'>Requests per minute</Label>
+          <div className='flex items-center gap-4'>
+            <Input
+              id='profile_rate_limit'
+              type='number'
+              min={0}
+              placeholder={
+                defaults ? `Default (${defaults.profile})` : 'Default'
+              }
+              value={rateLimit}
+              onChange={(e) => setRateLimit(e.target.value)}
+              className='max-w-xs'
+            />
+            <Button onClick={handleSave} disabled={isSaving}>
+              <Save className='mr-2 h-4 w-4' />
+              Save
+            </Button>
+          </div>
+          <p className='text-sm text-muted-foreground'>
+            Leave empty to use the default; 0 removes the limit.
+          </p>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,176 @@
+'use client';
+
+import { AlertTriangle, Save } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import { updateProfileToolNaming } from '@/app/actions/profiles';
+import { getToolNamingReport } from '@/app/actions/tools';
+import { Button } from '@/components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ToolNamingPolicy } from '@/db/schema';
+import { useProfiles } from '@/hooks/use-profiles';
+import { useToast } from '@/hooks/use-toast';
+import { slugifyServerName } from '@/lib/mcp/tool-names';
+
+const POLICY_LABELS: Record<ToolNamingPolicy, string> = {
+  [ToolNamingPolicy.RAW]: 'Tool names as they are',
+  [ToolNamingPolicy.SERVER_PREFIX]: 'Prefixed with the server name',
+  [ToolNamingPolicy.CUSTOM_PREFIX]: 'Prefixed with a custom prefix per server',
+};
+
+export function ToolNamingSection() {
+  const { currentProfile } = useProfiles();
+  const { data: report, mutate } = useSWR(
+    currentProfile?.uuid ? `${currentProfile.uuid}/tool-naming` : null,
+    () => getToolNamingReport(currentProfile?.uuid || '')
+  );
+  const [policy, setPolicy] = useState(ToolNamingPolicy.RAW);
+  const [prefixes, setPrefixes] = useState<{ [serverUuid: string]: string }>(
+    {}
+  );
+  const [isSaving, setIsSaving] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    if (!report) return;
+    setPolicy(report.policy);
+    setPrefixes(
+      Object.fromEntries(
+        report.servers.map((server) => [server.uuid, server.customPrefix ?? ''])
+      )
+    );
+  }, [report]);
+
+  if (!currentProfile || !report) {
+    return null;
+  }
+
+  const serverNames = new Map(
+    report.servers.map((server) => [server.uuid, server.name])
+  );
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await updateProfileToolNaming(currentProfile.uuid, policy, prefixes);
+      await mutate();
+      toast({
+        title: 'Success',
+        description: 'Tool naming updated successfully',
+      });
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error
+            ? error.message
+            : 'Failed to update tool naming',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Tool Naming</CardTitle>
+        <CardDescription>
+          How tools are named when the servers of this workspace are combined.
+          Prefixes are joined to tool names with {report.separator}, e.g. github
+          {report.separator}search. When two servers still expose the same name,
+          the one added first keeps it and the other&apos;s tool is left out.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className='space-y-6'>
+        <div className='space-y-2'>
+          <Label htmlFor='tool_naming_policy'>Naming policy</Label>
+          <div className='flex items-center gap-4'>
+            <select
+              id='tool_naming_policy'
+              className='p-2 border rounded-md bg-background'
+              value={policy}
+              onChange={(e) => setPolicy(e.target.value as ToolNamingPolicy)}>
+              {Object.values(ToolNamingPolicy).map((value) => (
+                <option key={value} value={value}>
+                  {POLICY_LABELS[value]}
+                </option>
+              ))}
+            </select>
+            <Button onClick={handleSave} disabled={isSaving}>
+              <Save className='mr-2 h-4 w-4' />
+              Save
+            </Button>
+          </div>
+        </div>
+
+        {policy === ToolNamingPolicy.CUSTOM_PREFIX &&
+          report.servers.length > 0 && (
+            <div className='space-y-2'>
+              <Label>Prefixes</Label>
+              {report.servers.map((server) => (
+                <div key={server.uuid} className='flex items-center gap-4'>
+                  <span className='w-48 truncate text-sm'>{server.name}</span>
+                  <Input
+                    aria-label={`Prefix for ${server.name}`}
+                    placeholder={slugifyServerName(server.name)}
+                    value={prefixes[server.uuid] ?? ''}
+                    onChange={(e) =>
+                      setPrefixes({
+                        ...prefixes,
+                        [server.uuid]: e.target.value,
+                      })
+                    }
+                    className='max-w-xs'
+                  />
+                </div>
+              ))}
+              <p className='text-sm text-muted-foreground'>
+                Letters, digits, _ and -. Leave empty to use the server name.
+              </p>
+            </div>
+          )}
+
+        <div className='space-y-2'>
+          <Label>Name collisions</Label>
+          {report.collisions.length === 0 ? (
+            <p className='text-sm text-muted-foreground'>
+              No two active servers expose the same tool name.
+            </p>
+          ) : (
+            <ul className='space-y-1 text-sm'>
+              {report.collisions.map((collision) => (
+                <li key={collision.name} className='flex items-start gap-2'>
+                  <AlertTriangle className='mt-0.5 h-4 w-4 shrink-0 text-yellow-600' />
+                  <span>
+                    <span className='font-mono'>{collision.name}</span> is
+                    exposed by{' '}
+                    {collision.serverUuids
+                      .map((uuid) => serverNames.get(uuid) ?? uuid)
+                      .join(', ')}
+                    ; only {serverNames.get(collision.serverUuids[0])}&apos;s is
+                    used.
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className='text-sm text-muted-foreground'>
+            Based on the saved policy and the tools last reported for each
+            server.
+          </p>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,101 @@
+'use client';
+
+import { Save } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import { getProfile, updateProfileToolRag } from '@/app/actions/profiles';
+import { Button } from '@/components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useProfiles } from '@/hooks/use-profiles';
+import { useToast } from '@/hooks/use-toast';
+
+export function ToolRagSection() {
+  const { currentProfile } = useProfiles();
+  const { data: profile, mutate } = useSWR(
+    currentProfile?.uuid ? `${currentProfile.uuid}/profile` : null,
+    () => getProfile(currentProfile?.uuid || '')
+  );
+  const [topK, setTopK] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    setTopK(profile?.tool_rag_top_k?.toString() ?? '');
+  }, [profile]);
+
+  if (!profile) {
+    return null;
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await updateProfileToolRag(
+        profile.uuid,
+        topK.trim() ? Number(topK) : null
+      );
+      await mutate();
+      toast({
+        title: 'Success',
+        description: 'Tool selection updated successfully',
+      });
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error
+            ? error.message
+            : 'Failed to update tool selection',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Tool Selection</CardTitle>
+        <CardDescription>
+          For workspaces with many tools. When the proxy asks for tools with a
+          query, only the tools most relevant to it are returned, along with the
+          tools pinned on a server&apos;s Tools tab. Relevance is worked out
+          from tool names and descriptions by a model run on this server.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className='space-y-2'>
+          <Label htmlFor='tool_rag_top_k'>Relevant tools to return</Label>
+          <div className='flex items-center gap-4'>
+            <Input
+              id='tool_rag_top_k'
+              type='number'
+              min={1}
+              placeholder='All tools'
+              value={topK}
+              onChange={(e) => setTopK(e.target.value)}
+              className='max-w-xs'
+            />
+            <Button onClick={handleSave} disabled={isSaving}>
+              <Save className='mr-2 h-4 w-4' />
+              Save
+            </Button>
+          </div>
+          <p className='text-sm text-muted-foreground'>
+            Leave empty to always return every tool.
+          </p>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
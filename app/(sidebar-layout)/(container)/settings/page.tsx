@@ -2,6 +2,9 @@
 
 import { CurrentProfileSection } from './components/current-profile-section';
 import { CurrentProjectSection } from './components/current-project-section';
+import { ProfileRateLimitSection } from './components/profile-rate-limit-section';
+import { ToolNamingSection } from './components/tool-naming-section';
+import { ToolRagSection } from './components/tool-rag-section';
 
 export default function SettingsPage() {
   return (
@@ -9,6 +12,9 @@ export default function SettingsPage() {
       <h1 className='text-2xl font-bold mb-6'>Settings</h1>
       <div className='space-y-8'>
         <CurrentProfileSection />
+        <ProfileRateLimitSection />
+        <ToolNamingSection />
+        <ToolRagSection />
         <CurrentProjectSection />
       </div>
     </div>
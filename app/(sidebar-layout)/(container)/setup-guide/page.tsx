@@ -3,24 +3,29 @@
 import { Copy } from 'lucide-react';
 import Link from 'next/link';
 import { Highlight, themes } from 'prism-react-renderer';
-import useSWR from 'swr';
 
-import { getFirstApiKey } from '@/app/actions/api-keys';
-import { useProjects } from '@/hooks/use-projects';
 import { useToast } from '@/hooks/use-toast';
 
+// API keys are only shown once at creation, so the guide uses a placeholder.
+const API_KEY_PLACEHOLDER = '<YOUR_API_KEY>';
+
 export default function SetupGuidePage() {
-  const { currentProject } = useProjects();
-  const { data: apiKey } = useSWR(
-    currentProject?.uuid ? `${currentProject?.uuid}/api-keys/getFirst` : null,
-    () => getFirstApiKey(currentProject?.uuid || '')
-  );
   const { toast } = useToast();
 
   return (
     <div className='max-w-4xl mx-auto py-8 px-4'>
       <h1 className='text-3xl font-bold mb-8'>Setup Guide</h1>
 
+      <p className='mb-8'>
+        Replace <code>{API_KEY_PLACEHOLDER}</code> below with a key from the{' '}
+        <Link
+          href='/api-keys'
+          className='text-blue-600 hover:text-blue-800 underline'>
+          API Keys
+        </Link>{' '}
+        page. Keys are only shown once, when they are created or rotated.
+      </p>
+
       <section className='mb-8'>
         <h2 className='text-2xl font-semibold mb-4'>Prerequisites</h2>
         <div className='space-y-4'>
@@ -105,7 +110,7 @@ export default function SetupGuidePage() {
                           args: ['-y', '@metamcp/mcp-server-metamcp@latest'],
                           env: {
                             METAMCP_API_KEY:
-                              apiKey?.api_key ?? '<create an api key first>',
+                              API_KEY_PLACEHOLDER,
                           },
                         },
                       },
@@ -130,7 +135,7 @@ export default function SetupGuidePage() {
       "command": "npx",
       "args": ["-y", "@metamcp/mcp-server-metamcp@latest"],
       "env": {
-        "METAMCP_API_KEY": "${apiKey?.api_key ?? '<create an api key first>'}"
+        "METAMCP_API_KEY": "${API_KEY_PLACEHOLDER}"
       }
     }
   }
@@ -169,7 +174,7 @@ export default function SetupGuidePage() {
         <div className='relative'>
           <button
             onClick={() => {
-              const command = `npx -y @metamcp/mcp-server-metamcp@latest --metamcp-api-key ${apiKey?.api_key ?? '<create an api key first>'}`;
+              const command = `npx -y @metamcp/mcp-server-metamcp@latest --metamcp-api-key ${API_KEY_PLACEHOLDER}`;
               navigator.clipboard.writeText(command);
               toast({
                 description: 'Cursor command copied to clipboard',
@@ -181,7 +186,7 @@ export default function SetupGuidePage() {
           </button>
           <Highlight
             theme={themes.github}
-            code={`npx -y @metamcp/mcp-server-metamcp@latest --metamcp-api-key ${apiKey?.api_key ?? '<create an api key first>'}`}
+            code={`npx -y @metamcp/mcp-server-metamcp@latest --metamcp-api-key ${API_KEY_PLACEHOLDER}`}
             language='bash'>
             {({ tokens, getLineProps, getTokenProps }) => (
               <pre className='bg-[#f6f8fa] text-[#24292f] p-4 rounded-md overflow-x-auto'>
@@ -220,7 +225,7 @@ export default function SetupGuidePage() {
           <div className='relative mb-6'>
             <button
               onClick={() => {
-                const command = `smithery run @metatool-ai/mcp-server-metamcp --config '{"metamcpApiKey":"${apiKey?.api_key ?? '<create an api key first>'}"}'`;
+                const command = `smithery run @metatool-ai/mcp-server-metamcp --config '{"metamcpApiKey":"${API_KEY_PLACEHOLDER}"}'`;
                 navigator.clipboard.writeText(command);
                 toast({
                   description: 'Smithery command copied to clipboard',
@@ -232,7 +237,7 @@ export default function SetupGuidePage() {
             </button>
             <Highlight
               theme={themes.github}
-              code={`smithery run @metatool-ai/mcp-server-metamcp --config '{"metamcpApiKey":"${apiKey?.api_key ?? '<create an api key first>'}"}'`}
+              code={`smithery run @metatool-ai/mcp-server-metamcp --config '{"metamcpApiKey":"${API_KEY_PLACEHOLDER}"}'`}
               language='bash'>
               {({ tokens, getLineProps, getTokenProps }) => (
                 <pre className='bg-[#f6f8fa] text-[#24292f] p-4 rounded-md overflow-x-auto'>
@@ -264,7 +269,7 @@ export default function SetupGuidePage() {
                           "run",
                           "@metatool-ai/mcp-server-metamcp",
                           "--config",
-                          `{\"metamcpApiKey\":\"${apiKey?.api_key ?? '<create an api key first>'} \"}`
+                          `{\"metamcpApiKey\":\"${API_KEY_PLACEHOLDER} \"}`
                         ]
                       }
                     }
@@ -291,7 +296,7 @@ export default function SetupGuidePage() {
         "run",
         "@metatool-ai/mcp-server-metamcp",
         "--config",
-        "{\\"metamcpApiKey\\":\\"${apiKey?.api_key ?? '<create an api key first>'}\\"}"
+        "{\\"metamcpApiKey\\":\\"${API_KEY_PLACEHOLDER}\\"}"
       ]
     }
   }
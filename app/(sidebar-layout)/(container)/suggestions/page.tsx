@@ -0,0 +1,272 @@
+'use client';
+
+import { Check, Trash2, X } from 'lucide-react';
+import Link from 'next/link';
+import { useState } from 'react';
+import useSWR from 'swr';
+
+import {
+  acceptMcpServerSuggestion,
+  declineMcpServerSuggestion,
+  deleteMcpServerByUuid,
+  getMcpServerSuggestions,
+} from '@/app/actions/mcp-servers';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { McpServerStatus, McpServerType } from '@/db/schema';
+import { useProfiles } from '@/hooks/use-profiles';
+import { useToast } from '@/hooks/use-toast';
+import { McpServer } from '@/types/mcp-server';
+
+function SuggestionCard({
+  server,
+  busy,
+  onAccept,
+  onDecline,
+  onForget,
+}: {
+  server: McpServer;
+  busy: boolean;
+  onAccept: () => void;
+  onDecline?: () => void;
+  onForget?: () => void;
+}) {
+  return (
+    <Card className='flex flex-col'>
+      <CardHeader>
+        <CardTitle className='flex items-center gap-2'>
+          {server.name}
+          <Badge variant='outline'>{server.type}</Badge>
+        </CardTitle>
+        {server.description && (
+          <CardDescription>{server.description}</CardDescription>
+        )}
+      </CardHeader>
+      <CardContent className='flex-grow space-y-2 text-sm'>
+        <p className='font-mono break-all bg-muted p-2 rounded'>
+          {server.type === McpServerType.STDIO
+            ? [server.command, ...server.args].join(' ')
+            : server.url}
+        </p>
+        {server.suggestion_reason && <p>{server.suggestion_reason}</p>}
+        {Object.keys(server.env).length > 0 && (
+          <div className='flex flex-wrap gap-2'>
+            {Object.keys(server.env).map((name) => (
+              <Badge key={name} variant='secondary'>
+                {name}
+              </Badge>
+            ))}
+          </div>
+        )}
+        <p className='text-xs text-muted-foreground'>
+          Suggested by {server.suggestion_source ?? 'unknown'} on{' '}
+          {new Date(server.created_at).toLocaleString()}
+        </p>
+      </CardContent>
+      <CardFooter className='flex justify-end gap-2'>
+        {onDecline && (
+          <Button variant='outline' onClick={onDecline} disabled={busy}>
+            <X className='h-4 w-4 mr-2' />
+            Decline
+          </Button>
+        )}
+        {onForget && (
+          <Button variant='outline' onClick={onForget} disabled={busy}>
+            <Trash2 className='h-4 w-4 mr-2' />
+            Forget
+          </Button>
+        )}
+        <Button onClick={onAccept} disabled={busy}>
+          <Check className='h-4 w-4 mr-2' />
+          Accept
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+}
+
+export default function SuggestionsPage() {
+  const { currentProfile } = useProfiles();
+  const profileUuid = currentProfile?.uuid ?? '';
+  const { data, error, isLoading, mutate } = useSWR(
+    profileUuid ? `${profileUuid}/mcp-servers/suggestions` : null,
+    () => getMcpServerSuggestions(profileUuid)
+  );
+  const [busyUuid, setBusyUuid] = useState<string | null>(null);
+  const [serverToForget, setServerToForget] = useState<McpServer | null>(null);
+  const { toast } = useToast();
+
+  const pending =
+    data?.filter((server) => server.status === McpServerStatus.SUGGESTED) ?? [];
+  const declined =
+    data?.filter((server) => server.status === McpServerStatus.DECLINED) ?? [];
+
+  const run = async (
+    server: McpServer,
+    action: (profileUuid: string, uuid: string) => Promise<void>,
+    failureMessage: string
+  ) => {
+    try {
+      setBusyUuid(server.uuid);
+      await action(profileUuid, server.uuid);
+      await mutate();
+      return true;
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error instanceof Error ? error.message : failureMessage,
+        variant: 'destructive',
+      });
+      return false;
+    } finally {
+      setBusyUuid(null);
+    }
+  };
+
+  const handleAccept = async (server: McpServer) => {
+    const accepted = await run(
+      server,
+      acceptMcpServerSuggestion,
+      'Failed to accept suggestion'
+    );
+    if (!accepted) return;
+    toast({
+      title: 'Server added',
+      description: `${server.name} is now active in MCP Servers.`,
+    });
+  };
+
+  const handleForget = async () => {
+    if (!serverToForget) return;
+    await run(
+      serverToForget,
+      deleteMcpServerByUuid,
+      'Failed to forget suggestion'
+    );
+    setServerToForget(null);
+  };
+
+  return (
+    <div>
+      <div className='mb-4'>
+        <h1 className='text-2xl font-bold'>Suggestions</h1>
+        <p className='text-sm text-muted-foreground'>
+          Servers proposed for this workspace by the MetaMCP proxy or other API
+          clients. Accepting a suggestion adds it to{' '}
+          <Link href='/mcp-servers' className='underline'>
+            MCP Servers
+          </Link>{' '}
+          as active. Declined suggestions are remembered so the same server is
+          not proposed again.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div>Loading...</div>
+      ) : error ? (
+        <div className='text-red-500'>
+          {error instanceof Error
+            ? error.message
+            : 'Failed to fetch suggestions'}
+        </div>
+      ) : (
+        <Tabs defaultValue='pending'>
+          <TabsList>
+            <TabsTrigger value='pending'>
+              Pending ({pending.length})
+            </TabsTrigger>
+            <TabsTrigger value='declined'>
+              Declined ({declined.length})
+            </TabsTrigger>
+          </TabsList>
+          <TabsContent value='pending'>
+            {pending.length === 0 ? (
+              <div className='text-sm text-muted-foreground py-4'>
+                No suggestions waiting.
+              </div>
+            ) : (
+              <div className='grid grid-cols-1 md:grid-cols-2 gap-4'>
+                {pending.map((server) => (
+                  <SuggestionCard
+                    key={server.uuid}
+                    server={server}
+                    busy={busyUuid === server.uuid}
+                    onAccept={() => handleAccept(server)}
+                    onDecline={() =>
+                      run(
+                        server,
+                        declineMcpServerSuggestion,
+                        'Failed to decline suggestion'
+                      )
+                    }
+                  />
+                ))}
+              </div>
+            )}
+          </TabsContent>
+          <TabsContent value='declined'>
+            {declined.length === 0 ? (
+              <div className='text-sm text-muted-foreground py-4'>
+                No declined suggestions.
+              </div>
+            ) : (
+              <div className='grid grid-cols-1 md:grid-cols-2 gap-4'>
+                {declined.map((server) => (
+                  <SuggestionCard
+                    key={server.uuid}
+                    server={server}
+                    busy={busyUuid === server.uuid}
+                    onAccept={() => handleAccept(server)}
+                    onForget={() => setServerToForget(server)}
+                  />
+                ))}
+              </div>
+            )}
+          </TabsContent>
+        </Tabs>
+      )}
+
+      <Dialog
+        open={!!serverToForget}
+        onOpenChange={(open) => !open && setServerToForget(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Forget Suggestion</DialogTitle>
+            <DialogDescription>
+              {serverToForget?.name} will be removed from the declined list and
+              may be suggested again.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant='outline' onClick={() => setServerToForget(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant='destructive'
+              onClick={handleForget}
+              disabled={!!busyUuid}>
+              Forget
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -1,72 +1,278 @@
 'use server';
 
-import { and, eq } from 'drizzle-orm';
+import { and, eq, sql } from 'drizzle-orm';
 import { customAlphabet } from 'nanoid';
 
 import { db } from '@/db';
-import { apiKeysTable } from '@/db/schema';
-import { ApiKey } from '@/types/api-key';
+import {
+  ApiKeyScope,
+  apiKeysTable,
+  apiKeyUsageTable,
+  AuditAction,
+  AuditEntityType,
+  profilesTable,
+} from '@/db/schema';
+import { recordAuditEvent } from '@/lib/audit/events';
+import {
+  API_KEY_PREFIX,
+  getApiKeyDisplayPrefix,
+  hashApiKey,
+} from '@/lib/auth/api-keys';
+import { deleteRateLimitBucket } from '@/lib/rate-limit/store';
+import {
+  assertValidLimit,
+  getApiKeyRateLimit,
+  getProfileRateLimit,
+  getUsageDay,
+} from '@/lib/rate-limit/token-bucket';
+import { ApiKey, CreatedApiKey } from '@/types/api-key';
 
 const nanoid = customAlphabet(
   '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
   64
 );
 
-export async function createApiKey(projectUuid: string, name?: string) {
-  const newApiKey = `sk_mt_${nanoid(64)}`;
+// Everything except key_hash, which never leaves the server.
+const apiKeyColumns = {
+  uuid: apiKeysTable.uuid,
+  project_uuid: apiKeysTable.project_uuid,
+  key_prefix: apiKeysTable.key_prefix,
+  name: apiKeysTable.name,
+  profile_uuid: apiKeysTable.profile_uuid,
+  scopes: apiKeysTable.scopes,
+  expires_at: apiKeysTable.expires_at,
+  last_used_at: apiKeysTable.last_used_at,
+  last_used_ip: apiKeysTable.last_used_ip,
+  rate_limit_per_minute: apiKeysTable.rate_limit_per_minute,
+  daily_tool_call_quota: apiKeysTable.daily_tool_call_quota,
+  created_at: apiKeysTable.created_at,
+};
 
-  const apiKey = await db
-    .insert(apiKeysTable)
-    .values({
-      project_uuid: projectUuid,
-      api_key: newApiKey,
-      name,
-    })
-    .returning();
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${nanoid(64)}`;
+  return {
+    key,
+    key_hash: hashApiKey(key),
+    key_prefix: getApiKeyDisplayPrefix(key),
+  };
+}
+
+async function assertProjectProfile(projectUuid: string, profileUuid: string) {
+  const profile = await db.query.profilesTable.findFirst({
+    where: and(
+      eq(profilesTable.uuid, profileUuid),
+      eq(profilesTable.project_uuid, projectUuid)
+    ),
+  });
+
+  if (!profile) {
+    throw new Error('Workspace not found in this project');
+  }
+}
+
+/**
+ * Updates one key of a project and records the change in the audit log.
+ * Returns the updated key, or undefined if it does not exist.
+ */
+async function updateApiKeyRow(
+  projectUuid: string,
+  apiKeyUuid: string,
+  values: Partial<typeof apiKeysTable.$inferInsert>
+) {
+  return db.transaction(async (tx) => {
+    const where = and(
+      eq(apiKeysTable.uuid, apiKeyUuid),
+      eq(apiKeysTable.project_uuid, projectUuid)
+    );
+    const [before] = await tx
+      .select(apiKeyColumns)
+      .from(apiKeysTable)
+      .where(where);
+    if (!before) return undefined;
+
+    const [after] = await tx
+      .update(apiKeysTable)
+      .set(values)
+      .where(where)
+      .returning(apiKeyColumns);
 
-  return apiKey[0] as ApiKey;
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.API_KEY,
+        action: AuditAction.UPDATE,
+        before,
+        after,
+        projectUuid,
+      },
+      tx
+    );
+    return after;
+  });
 }
 
-export async function getFirstApiKey(projectUuid: string) {
-  if (!projectUuid) {
-    return null;
+export async function createApiKey(
+  projectUuid: string,
+  data: {
+    name?: string;
+    profile_uuid?: string | null;
+    scopes: ApiKeyScope[];
+    expires_at?: Date | null;
+    rate_limit_per_minute?: number | null;
+    daily_tool_call_quota?: number | null;
+  }
+): Promise<CreatedApiKey> {
+  if (data.scopes.length === 0) {
+    throw new Error('Select at least one scope');
   }
+  assertValidLimit(data.rate_limit_per_minute ?? null, 'Rate limit');
+  assertValidLimit(data.daily_tool_call_quota ?? null, 'Daily quota');
+  if (data.profile_uuid) {
+    await assertProjectProfile(projectUuid, data.profile_uuid);
+  }
+
+  const { key, key_hash, key_prefix } = generateApiKey();
 
-  let apiKey = await db.query.apiKeysTable.findFirst({
-    where: eq(apiKeysTable.project_uuid, projectUuid),
+  const apiKey = await db.transaction(async (tx) => {
+    const [created] = await tx
+      .insert(apiKeysTable)
+      .values({
+        project_uuid: projectUuid,
+        key_hash,
+        key_prefix,
+        name: data.name || undefined,
+        profile_uuid: data.profile_uuid ?? null,
+        scopes: data.scopes,
+        expires_at: data.expires_at ?? null,
+        rate_limit_per_minute: data.rate_limit_per_minute ?? null,
+        daily_tool_call_quota: data.daily_tool_call_quota ?? null,
+      })
+      .returning(apiKeyColumns);
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.API_KEY,
+        action: AuditAction.CREATE,
+        after: created,
+        projectUuid,
+      },
+      tx
+    );
+    return created;
+  });
+
+  return { apiKey: apiKey as ApiKey, key };
+}
+
+/**
+ * Replaces the secret of an existing key, keeping its name, scopes and
+ * expiry. The old key stops working immediately.
+ */
+export async function rotateApiKey(
+  projectUuid: string,
+  apiKeyUuid: string
+): Promise<CreatedApiKey> {
+  const { key, key_hash, key_prefix } = generateApiKey();
+
+  const apiKey = await updateApiKeyRow(projectUuid, apiKeyUuid, {
+    key_hash,
+    key_prefix,
+    last_used_at: null,
+    last_used_ip: null,
   });
 
   if (!apiKey) {
-    const newApiKey = `sk_mt_${nanoid(64)}`;
-    await db.insert(apiKeysTable).values({
-      project_uuid: projectUuid,
-      api_key: newApiKey,
-    });
-
-    apiKey = await db.query.apiKeysTable.findFirst({
-      where: eq(apiKeysTable.project_uuid, projectUuid),
-    });
+    throw new Error('API key not found');
+  }
+
+  return { apiKey: apiKey as ApiKey, key };
+}
+
+/**
+ * Binds a key to a workspace, or unbinds it with null so it follows the
+ * project's active profile again.
+ */
+export async function updateApiKeyProfile(
+  projectUuid: string,
+  apiKeyUuid: string,
+  profileUuid: string | null
+): Promise<void> {
+  if (profileUuid) {
+    await assertProjectProfile(projectUuid, profileUuid);
+  }
+
+  await updateApiKeyRow(projectUuid, apiKeyUuid, { profile_uuid: profileUuid });
+}
+
+/**
+ * Sets a key's rate limit and daily tool call quota. A null rate limit uses
+ * the default, 0 disables it; a null quota means no quota.
+ */
+export async function updateApiKeyLimits(
+  projectUuid: string,
+  apiKeyUuid: string,
+  limits: {
+    rate_limit_per_minute: number | null;
+    daily_tool_call_quota: number | null;
   }
+): Promise<void> {
+  assertValidLimit(limits.rate_limit_per_minute, 'Rate limit');
+  assertValidLimit(limits.daily_tool_call_quota, 'Daily quota');
 
-  return apiKey as ApiKey;
+  await updateApiKeyRow(projectUuid, apiKeyUuid, limits);
 }
 
 export async function getProjectApiKeys(projectUuid: string) {
   const apiKeys = await db
-    .select()
+    .select({
+      ...apiKeyColumns,
+      tool_calls_today: sql<number>`coalesce(${apiKeyUsageTable.tool_calls}, 0)`,
+    })
     .from(apiKeysTable)
+    .leftJoin(
+      apiKeyUsageTable,
+      and(
+        eq(apiKeyUsageTable.api_key_uuid, apiKeysTable.uuid),
+        eq(apiKeyUsageTable.day, getUsageDay())
+      )
+    )
     .where(eq(apiKeysTable.project_uuid, projectUuid));
 
   return apiKeys as ApiKey[];
 }
 
+/**
+ * Rate limits that apply when a key or workspace has no limit of its own.
+ */
+export async function getDefaultRateLimits() {
+  return {
+    apiKey: getApiKeyRateLimit(null),
+    profile: getProfileRateLimit(null),
+  };
+}
+
 export async function deleteApiKey(projectUuid: string, apiKeyUuid: string) {
-  await db
-    .delete(apiKeysTable)
-    .where(
-      and(
-        eq(apiKeysTable.uuid, apiKeyUuid),
-        eq(apiKeysTable.project_uuid, projectUuid)
+  await db.transaction(async (tx) => {
+    const [deleted] = await tx
+      .delete(apiKeysTable)
+      .where(
+        and(
+          eq(apiKeysTable.uuid, apiKeyUuid),
+          eq(apiKeysTable.project_uuid, projectUuid)
+        )
       )
-    );
+      .returning(apiKeyColumns);
+
+    if (deleted) {
+      await recordAuditEvent(
+        {
+          entityType: AuditEntityType.API_KEY,
+          action: AuditAction.DELETE,
+          before: deleted,
+          projectUuid,
+        },
+        tx
+      );
+    }
+  });
+  await deleteRateLimitBucket(`api_key:${apiKeyUuid}`);
 }
@@ -0,0 +1,57 @@
+'use server';
+
+import { and, desc, eq, ilike, isNull, or, SQL } from 'drizzle-orm';
+
+import { db } from '@/db';
+import { auditEventsTable } from '@/db/schema';
+import { AuditEvent, AuditEventFilters } from '@/types/audit-event';
+
+const AUDIT_PAGE_SIZE = 50;
+
+/**
+ * Lists a project's audit events, newest first. Code files are shared by all
+ * projects, so their events are included for every project.
+ */
+export async function getAuditEvents(
+  projectUuid: string,
+  filters: AuditEventFilters = {}
+) {
+  const conditions: (SQL | undefined)[] = [
+    or(
+      eq(auditEventsTable.project_uuid, projectUuid),
+      isNull(auditEventsTable.project_uuid)
+    ),
+  ];
+  if (filters.entityType) {
+    conditions.push(eq(auditEventsTable.entity_type, filters.entityType));
+  }
+  if (filters.actorType) {
+    conditions.push(eq(auditEventsTable.actor_type, filters.actorType));
+  }
+  if (filters.action) {
+    conditions.push(eq(auditEventsTable.action, filters.action));
+  }
+  if (filters.search?.trim()) {
+    const pattern = `%${filters.search.trim()}%`;
+    conditions.push(
+      or(
+        ilike(auditEventsTable.entity_name, pattern),
+        ilike(auditEventsTable.actor_name, pattern)
+      )
+    );
+  }
+
+  const page = filters.page ?? 0;
+  const events = await db
+    .select()
+    .from(auditEventsTable)
+    .where(and(...conditions))
+    .orderBy(desc(auditEventsTable.created_at))
+    .limit(AUDIT_PAGE_SIZE + 1)
+    .offset(page * AUDIT_PAGE_SIZE);
+
+  return {
+    events: events.slice(0, AUDIT_PAGE_SIZE) as AuditEvent[],
+    hasMore: events.length > AUDIT_PAGE_SIZE,
+  };
+}
@@ -0,0 +1,161 @@
+'use server';
+
+import {
+  and,
+  asc,
+  count,
+  desc,
+  eq,
+  ilike,
+  isNull,
+  notInArray,
+  or,
+  SQL,
+  sql,
+} from 'drizzle-orm';
+
+import { db } from '@/db';
+import { catalogServersTable } from '@/db/schema';
+import { escapeLikePattern, parseCatalogFile } from '@/lib/catalog/catalog';
+import { completeInstallRecipe } from '@/lib/catalog/recipe';
+import { upsertCatalogEntries } from '@/lib/catalog/store';
+import { PaginatedSearchResult, SearchIndex } from '@/types/search';
+
+const MAX_PAGE_SIZE = 50;
+
+// Must match the expression of catalog_servers_search_idx so the index is used.
+const searchDocument = sql`to_tsvector('english', ${catalogServersTable.name} || ' ' || ${catalogServersTable.description} || ' ' || coalesce(${catalogServersTable.package_name}, ''))`;
+
+export async function searchCatalog({
+  query = '',
+  category,
+  offset = 0,
+  pageSize = 6,
+}: {
+  query?: string;
+  category?: string;
+  offset?: number;
+  pageSize?: number;
+}): Promise<PaginatedSearchResult> {
+  const limit = Math.min(Math.max(Math.floor(pageSize) || 1, 1), MAX_PAGE_SIZE);
+  const start = Math.max(Math.floor(offset) || 0, 0);
+  const trimmedQuery = query.trim();
+
+  const conditions: (SQL | undefined)[] = [
+    isNull(catalogServersTable.removed_at),
+  ];
+  if (category) {
+    conditions.push(eq(catalogServersTable.category, category));
+  }
+  let rank: SQL<number> | undefined;
+  if (trimmedQuery) {
+    const tsQuery = sql`websearch_to_tsquery('english', ${trimmedQuery})`;
+    const pattern = `%${escapeLikePattern(trimmedQuery)}%`;
+    rank = sql<number>`ts_rank(${searchDocument}, ${tsQuery})`;
+    // Full-text search matches whole words; the ilike fallback also finds
+    // partial names such as "git" for "github".
+    conditions.push(
+      or(
+        sql`${searchDocument} @@ ${tsQuery}`,
+        ilike(catalogServersTable.name, pattern),
+        ilike(catalogServersTable.package_name, pattern)
+      )
+    );
+  }
+  const where = and(...conditions);
+
+  const [rows, [{ total }]] = await Promise.all([
+    db
+      .select()
+      .from(catalogServersTable)
+      .where(where)
+      .orderBy(
+        ...(rank ? [desc(rank)] : []),
+        asc(catalogServersTable.name),
+        asc(catalogServersTable.key)
+      )
+      .limit(limit)
+      .offset(start),
+    db.select({ total: count() }).from(catalogServersTable).where(where),
+  ]);
+
+  const results: SearchIndex = Object.fromEntries(
+    rows.map((row) => [
+      row.key,
+      {
+        name: row.name,
+        description: row.description,
+        category: row.category,
+        githubUrl: row.github_url,
+        package_name: row.package_name,
+        command: row.command,
+        args: row.args,
+        envs: row.envs,
+        // Rows imported before recipes existed only list env names.
+        recipe: completeInstallRecipe(row.recipe, row.args, row.envs),
+        github_stars: null,
+        package_registry: null,
+        package_download_count: null,
+      },
+    ])
+  );
+
+  return {
+    results,
+    total,
+    offset: start,
+    pageSize: limit,
+    hasMore: start + rows.length < total,
+  };
+}
+
+export async function getCatalogCategories() {
+  return await db
+    .select({
+      category: catalogServersTable.category,
+      count: count(),
+    })
+    .from(catalogServersTable)
+    .where(isNull(catalogServersTable.removed_at))
+    .groupBy(catalogServersTable.category)
+    .orderBy(asc(catalogServersTable.category));
+}
+
+/**
+ * Refreshes the catalog from an uploaded catalog or client config file.
+ * Entries are matched by key; with `replace`, entries missing from the file
+ * are removed as well. Invalid entries are skipped and reported.
+ */
+export async function importCatalog(
+  data: unknown,
+  options: { replace?: boolean } = {}
+) {
+  const { entries, skipped } = parseCatalogFile(data);
+  if (entries.length === 0) {
+    throw new Error('The file does not contain any catalog entries');
+  }
+
+  const removed = await db.transaction(async (tx) => {
+    let removedCount = 0;
+    if (options.replace) {
+      const removedRows = await tx
+        .update(catalogServersTable)
+        .set({ removed_at: new Date() })
+        .where(
+          and(
+            isNull(catalogServersTable.removed_at),
+            notInArray(
+              catalogServersTable.key,
+              entries.map((entry) => entry.key)
+            )
+          )
+        )
+        .returning({ uuid: catalogServersTable.uuid });
+      removedCount = removedRows.length;
+    }
+    await upsertCatalogEntries(entries, tx);
+    return removedCount;
+  });
+
+  return { imported: entries.length, removed, skipped };
+}
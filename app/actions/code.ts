@@ -3,7 +3,13 @@
 import { desc, eq } from 'drizzle-orm';
 
 import { db } from '@/db';
-import { codesTable } from '@/db/schema';
+import { AuditAction, AuditEntityType, codesTable } from '@/db/schema';
+import { recordAuditEvent } from '@/lib/audit/events';
+import {
+  ConfigEventType,
+  publishConfigEvent,
+} from '@/lib/events/config-events';
+
 import { trackResourceAccess } from './resource-tracking';
 
 // Optional session ID for resource tracking
@@ -45,13 +51,27 @@ export async function getCode(uuid: string) {
 }
 
 export async function createCode(fileName: string, code: string) {
-  const results = await db
-    .insert(codesTable)
-    .values({
-      fileName,
-      code,
-    })
-    .returning();
+  const results = await db.transaction(async (tx) => {
+    const created = await tx
+      .insert(codesTable)
+      .values({
+        fileName,
+        code,
+      })
+      .returning();
+
+    // Code files are shared by every project, so the event has none.
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.CODE,
+        action: AuditAction.CREATE,
+        after: created[0],
+        projectUuid: null,
+      },
+      tx
+    );
+    return created;
+  });
     
   // Track resource creation if session is active
   if (activeSessionId && results[0]) {
@@ -67,14 +87,40 @@ export async function createCode(fileName: string, code: string) {
 }
 
 export async function updateCode(uuid: string, fileName: string, code: string) {
-  const results = await db
-    .update(codesTable)
-    .set({
-      fileName,
-      code,
-    })
-    .where(eq(codesTable.uuid, uuid))
-    .returning();
+  const results = await db.transaction(async (tx) => {
+    const [before] = await tx
+      .select()
+      .from(codesTable)
+      .where(eq(codesTable.uuid, uuid));
+
+    const updated = await tx
+      .update(codesTable)
+      .set({
+        fileName,
+        code,
+      })
+      .where(eq(codesTable.uuid, uuid))
+      .returning();
+
+    if (updated[0]) {
+      await recordAuditEvent(
+        {
+          entityType: AuditEntityType.CODE,
+          action: AuditAction.UPDATE,
+          before,
+          after: updated[0],
+          projectUuid: null,
+        },
+        tx
+      );
+      // Any workspace may run a custom server with this file.
+      await publishConfigEvent(
+        { type: ConfigEventType.CUSTOM_CODE_CHANGED },
+        tx
+      );
+    }
+    return updated;
+  });
     
   // Track resource update if session is active
   if (activeSessionId && results[0]) {
@@ -93,10 +139,29 @@ export async function deleteCode(uuid: string) {
   // Get the code before deleting for tracking purposes
   const codeToDelete = await getCode(uuid);
   
-  const results = await db
-    .delete(codesTable)
-    .where(eq(codesTable.uuid, uuid))
-    .returning();
+  const results = await db.transaction(async (tx) => {
+    const deleted = await tx
+      .delete(codesTable)
+      .where(eq(codesTable.uuid, uuid))
+      .returning();
+
+    if (deleted[0]) {
+      await recordAuditEvent(
+        {
+          entityType: AuditEntityType.CODE,
+          action: AuditAction.DELETE,
+          before: deleted[0],
+          projectUuid: null,
+        },
+        tx
+      );
+      await publishConfigEvent(
+        { type: ConfigEventType.CUSTOM_CODE_CHANGED },
+        tx
+      );
+    }
+    return deleted;
+  });
     
   // Track resource deletion if session is active
   if (activeSessionId && codeToDelete) {
@@ -1,18 +1,39 @@
 'use server';
 
-import { and, desc, eq, or } from 'drizzle-orm';
+import { and, desc, eq, inArray, or } from 'drizzle-orm';
 
 import { db } from '@/db';
 import {
+  AuditAction,
+  AuditEntityType,
   codesTable,
   customMcpServersTable,
   McpServerStatus,
+  serverRevisionsTable,
 } from '@/db/schema';
+import { recordAuditEvent } from '@/lib/audit/events';
+import {
+  decryptServerSecrets,
+  encryptServerSecrets,
+  encryptValues,
+} from '@/lib/crypto/envelope';
+import {
+  ConfigEventType,
+  publishConfigEvent,
+} from '@/lib/events/config-events';
+import { copyCustomMcpServers } from '@/lib/profiles/copy-servers';
+import {
+  decryptRevisionConfig,
+  recordCustomMcpServerRevision,
+} from '@/lib/revisions/revisions';
 import { CustomMcpServer } from '@/types/custom-mcp-server';
 import {
   CreateCustomMcpServerData,
   UpdateCustomMcpServerData,
 } from '@/types/custom-mcp-server';
+import { ServerRevision } from '@/types/server-revision';
+
+import { getSiblingProfile } from './profiles';
 
 export async function getCustomMcpServers(profileUuid: string) {
   const servers = await db
@@ -42,7 +63,7 @@ export async function getCustomMcpServers(profileUuid: string) {
     )
     .orderBy(desc(customMcpServersTable.created_at));
 
-  return servers as CustomMcpServer[];
+  return (servers as CustomMcpServer[]).map(decryptServerSecrets);
 }
 
 export async function getCustomMcpServerByUuid(
@@ -77,7 +98,7 @@ export async function getCustomMcpServerByUuid(
     return null;
   }
 
-  return server[0] as CustomMcpServer;
+  return decryptServerSecrets(server[0] as CustomMcpServer);
 }
 
 export async function deleteCustomMcpServerByUuid(
@@ -98,51 +119,199 @@ export async function deleteCustomMcpServerByUuid(
 
   if (server.length > 0) {
     // Delete the custom MCP server first
-    await db
-      .delete(customMcpServersTable)
-      .where(
-        and(
-          eq(customMcpServersTable.uuid, uuid),
-          eq(customMcpServersTable.profile_uuid, profileUuid)
+    await db.transaction(async (tx) => {
+      const [deleted] = await tx
+        .delete(customMcpServersTable)
+        .where(
+          and(
+            eq(customMcpServersTable.uuid, uuid),
+            eq(customMcpServersTable.profile_uuid, profileUuid)
+          )
         )
-      );
+        .returning();
+
+      if (deleted) {
+        await recordAuditEvent(
+          {
+            entityType: AuditEntityType.CUSTOM_MCP_SERVER,
+            action: AuditAction.DELETE,
+            before: deleted,
+            profileUuid,
+          },
+          tx
+        );
+        await publishConfigEvent(
+          { type: ConfigEventType.CUSTOM_CODE_CHANGED, profileUuid },
+          tx
+        );
+      }
+    });
   }
 }
 
+/**
+ * Applies an update to one custom server of a workspace, records it in the
+ * audit log with the row as it was before and after, and keeps the previous
+ * config as a revision.
+ */
+async function updateCustomMcpServerRow(
+  profileUuid: string,
+  uuid: string,
+  values: Partial<typeof customMcpServersTable.$inferInsert>
+) {
+  await db.transaction(async (tx) => {
+    const where = and(
+      eq(customMcpServersTable.uuid, uuid),
+      eq(customMcpServersTable.profile_uuid, profileUuid)
+    );
+    const [before] = await tx.select().from(customMcpServersTable).where(where);
+    if (!before) return;
+
+    const [after] = await tx
+      .update(customMcpServersTable)
+      .set(values)
+      .where(where)
+      .returning();
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.CUSTOM_MCP_SERVER,
+        action: AuditAction.UPDATE,
+        before,
+        after,
+        profileUuid,
+      },
+      tx
+    );
+    await recordCustomMcpServerRevision(before, after, tx);
+    await publishConfigEvent(
+      { type: ConfigEventType.CUSTOM_CODE_CHANGED, profileUuid },
+      tx
+    );
+  });
+}
+
 export async function toggleCustomMcpServerStatus(
   profileUuid: string,
   uuid: string,
   newStatus: McpServerStatus
 ): Promise<void> {
-  await db
-    .update(customMcpServersTable)
-    .set({ status: newStatus })
+  await updateCustomMcpServerRow(profileUuid, uuid, { status: newStatus });
+}
+
+/**
+ * Lists the earlier configs of a custom server, newest first.
+ */
+export async function getCustomMcpServerRevisions(
+  profileUuid: string,
+  uuid: string
+): Promise<ServerRevision[]> {
+  const revisions = await db
+    .select({
+      uuid: serverRevisionsTable.uuid,
+      config: serverRevisionsTable.config,
+      created_by: serverRevisionsTable.created_by,
+      created_at: serverRevisionsTable.created_at,
+    })
+    .from(serverRevisionsTable)
+    .innerJoin(
+      customMcpServersTable,
+      eq(
+        serverRevisionsTable.custom_mcp_server_uuid,
+        customMcpServersTable.uuid
+      )
+    )
     .where(
       and(
         eq(customMcpServersTable.uuid, uuid),
         eq(customMcpServersTable.profile_uuid, profileUuid)
       )
-    );
+    )
+    .orderBy(desc(serverRevisionsTable.created_at));
+
+  return revisions.map((revision) => ({
+    ...revision,
+    config: decryptRevisionConfig(revision.config),
+  }));
+}
+
+/**
+ * Puts a custom server back to the config of one of its revisions. The config
+ * being replaced becomes a revision itself, so a restore can be undone.
+ */
+export async function restoreCustomMcpServerRevision(
+  profileUuid: string,
+  uuid: string,
+  revisionUuid: string
+): Promise<void> {
+  const [revision] = await db
+    .select({ config: serverRevisionsTable.config })
+    .from(serverRevisionsTable)
+    .where(
+      and(
+        eq(serverRevisionsTable.uuid, revisionUuid),
+        eq(serverRevisionsTable.custom_mcp_server_uuid, uuid)
+      )
+    )
+    .limit(1);
+
+  if (!revision) {
+    throw new Error('Revision not found');
+  }
+
+  const [code] = await db
+    .select({ uuid: codesTable.uuid })
+    .from(codesTable)
+    .where(eq(codesTable.uuid, revision.config.code_uuid as string))
+    .limit(1);
+
+  if (!code) {
+    throw new Error('The code file of this revision no longer exists');
+  }
+
+  // Revision configs are stored with env already encrypted
+  await updateCustomMcpServerRow(
+    profileUuid,
+    uuid,
+    revision.config as Partial<typeof customMcpServersTable.$inferInsert>
+  );
 }
 
 export async function createCustomMcpServer(
   profileUuid: string,
   data: CreateCustomMcpServerData
 ) {
-  const [server] = await db
-    .insert(customMcpServersTable)
-    .values({
-      profile_uuid: profileUuid,
-      name: data.name,
-      description: data.description || '',
-      code_uuid: data.code_uuid,
-      additionalArgs: data.additionalArgs || [],
-      env: data.env || {},
-      status: McpServerStatus.ACTIVE,
-    })
-    .returning();
+  const server = await db.transaction(async (tx) => {
+    const [created] = await tx
+      .insert(customMcpServersTable)
+      .values({
+        profile_uuid: profileUuid,
+        name: data.name,
+        description: data.description || '',
+        code_uuid: data.code_uuid,
+        additionalArgs: data.additionalArgs || [],
+        env: encryptValues(data.env || {}),
+        status: McpServerStatus.ACTIVE,
+      })
+      .returning();
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.CUSTOM_MCP_SERVER,
+        action: AuditAction.CREATE,
+        after: created,
+        profileUuid,
+      },
+      tx
+    );
+    await publishConfigEvent(
+      { type: ConfigEventType.CUSTOM_CODE_CHANGED, profileUuid },
+      tx
+    );
+    return created;
+  });
 
-  return server;
+  return decryptServerSecrets(server);
 }
 
 export async function updateCustomMcpServer(
@@ -150,15 +319,77 @@ export async function updateCustomMcpServer(
   uuid: string,
   data: UpdateCustomMcpServerData
 ): Promise<void> {
-  await db
-    .update(customMcpServersTable)
-    .set({
-      ...data,
-    })
-    .where(
-      and(
-        eq(customMcpServersTable.uuid, uuid),
-        eq(customMcpServersTable.profile_uuid, profileUuid)
-      )
+  await updateCustomMcpServerRow(profileUuid, uuid, encryptServerSecrets(data));
+}
+
+/**
+ * Copies custom servers into another workspace of the same project. The copies
+ * run the same code file as the originals. Returns the number of servers
+ * copied.
+ */
+export async function copyCustomMcpServersToProfile(
+  profileUuid: string,
+  uuids: string[],
+  targetProfileUuid: string
+): Promise<number> {
+  await getSiblingProfile(profileUuid, targetProfileUuid);
+  if (uuids.length === 0) {
+    return 0;
+  }
+
+  return db.transaction((tx) =>
+    copyCustomMcpServers(tx, profileUuid, uuids, targetProfileUuid)
+  );
+}
+
+/**
+ * Moves custom servers into another workspace of the same project. Returns
+ * the number of servers moved.
+ */
+export async function moveCustomMcpServersToProfile(
+  profileUuid: string,
+  uuids: string[],
+  targetProfileUuid: string
+): Promise<number> {
+  await getSiblingProfile(profileUuid, targetProfileUuid);
+  if (uuids.length === 0) {
+    return 0;
+  }
+
+  return db.transaction(async (tx) => {
+    const where = and(
+      eq(customMcpServersTable.profile_uuid, profileUuid),
+      inArray(customMcpServersTable.uuid, uuids)
     );
+    const servers = await tx.select().from(customMcpServersTable).where(where);
+    const moved = await tx
+      .update(customMcpServersTable)
+      .set({ profile_uuid: targetProfileUuid })
+      .where(where)
+      .returning();
+
+    for (const after of moved) {
+      await recordAuditEvent(
+        {
+          entityType: AuditEntityType.CUSTOM_MCP_SERVER,
+          action: AuditAction.UPDATE,
+          before: servers.find((server) => server.uuid === after.uuid),
+          after,
+          profileUuid: targetProfileUuid,
+        },
+        tx
+      );
+    }
+
+    for (const changedProfileUuid of [profileUuid, targetProfileUuid]) {
+      await publishConfigEvent(
+        {
+          type: ConfigEventType.CUSTOM_CODE_CHANGED,
+          profileUuid: changedProfileUuid,
+        },
+        tx
+      );
+    }
+    return moved.length;
+  });
 }
@@ -1,10 +1,46 @@
 'use server';
 
-import { and, desc, eq, or } from 'drizzle-orm';
+import { and, desc, eq, inArray, or } from 'drizzle-orm';
 
 import { db } from '@/db';
-import { mcpServersTable, McpServerStatus, McpServerType } from '@/db/schema';
+import {
+  AuditAction,
+  AuditEntityType,
+  McpServerHealthCheck,
+  mcpServersTable,
+  McpServerStatus,
+  McpServerType,
+  serverRevisionsTable,
+} from '@/db/schema';
+import { recordAuditEvent } from '@/lib/audit/events';
+import {
+  decryptServerSecrets,
+  encryptServerSecrets,
+} from '@/lib/crypto/envelope';
+import {
+  ConfigEventType,
+  publishConfigEvent,
+} from '@/lib/events/config-events';
+import { testMcpServerConnection } from '@/lib/mcp/connection-test';
+import { buildMcpClientConfig, McpClientFormat } from '@/lib/mcp/export';
+import {
+  ImportAction,
+  ImportMergeMode,
+  ImportServerConfig,
+  planImport,
+} from '@/lib/mcp/import';
+import { copyMcpServers } from '@/lib/profiles/copy-servers';
+import {
+  decryptRevisionConfig,
+  recordMcpServerRevision,
+} from '@/lib/revisions/revisions';
+import { getProjectSecretValues } from '@/lib/secrets/store';
 import { McpServer } from '@/types/mcp-server';
+import { ServerRevision } from '@/types/server-revision';
+import { Tool } from '@/types/tool';
+
+import { getProfile, getSiblingProfile } from './profiles';
+import { saveDiscoveredTools } from './tools';
 
 export async function getMcpServers(profileUuid: string) {
   const servers = await db
@@ -21,7 +57,7 @@ export async function getMcpServers(profileUuid: string) {
     )
     .orderBy(desc(mcpServersTable.created_at));
 
-  return servers as McpServer[];
+  return (servers as McpServer[]).map(decryptServerSecrets);
 }
 
 export async function getMcpServerByUuid(
@@ -34,21 +70,82 @@ export async function getMcpServerByUuid(
       eq(mcpServersTable.profile_uuid, profileUuid)
     ),
   });
-  return server;
+  return server && decryptServerSecrets(server);
 }
 
 export async function deleteMcpServerByUuid(
   profileUuid: string,
   uuid: string
 ): Promise<void> {
-  await db
-    .delete(mcpServersTable)
-    .where(
-      and(
-        eq(mcpServersTable.uuid, uuid),
-        eq(mcpServersTable.profile_uuid, profileUuid)
+  await db.transaction(async (tx) => {
+    const [deleted] = await tx
+      .delete(mcpServersTable)
+      .where(
+        and(
+          eq(mcpServersTable.uuid, uuid),
+          eq(mcpServersTable.profile_uuid, profileUuid)
+        )
       )
+      .returning();
+
+    if (deleted) {
+      await recordAuditEvent(
+        {
+          entityType: AuditEntityType.MCP_SERVER,
+          action: AuditAction.DELETE,
+          before: deleted,
+          profileUuid,
+        },
+        tx
+      );
+      await publishConfigEvent(
+        { type: ConfigEventType.SERVERS_CHANGED, profileUuid },
+        tx
+      );
+    }
+  });
+}
+
+/**
+ * Applies an update to one server of a workspace, records it in the audit log
+ * with the row as it was before and after, and keeps the previous config as a
+ * revision.
+ */
+async function updateMcpServerRow(
+  profileUuid: string,
+  uuid: string,
+  values: Partial<typeof mcpServersTable.$inferInsert>
+) {
+  await db.transaction(async (tx) => {
+    const where = and(
+      eq(mcpServersTable.uuid, uuid),
+      eq(mcpServersTable.profile_uuid, profileUuid)
+    );
+    const [before] = await tx.select().from(mcpServersTable).where(where);
+    if (!before) return;
+
+    const [after] = await tx
+      .update(mcpServersTable)
+      .set(values)
+      .where(where)
+      .returning();
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.MCP_SERVER,
+        action: AuditAction.UPDATE,
+        before,
+        after,
+        profileUuid,
+      },
+      tx
     );
+    await recordMcpServerRevision(before, after, tx);
+    await publishConfigEvent(
+      { type: ConfigEventType.SERVERS_CHANGED, profileUuid },
+      tx
+    );
+  });
 }
 
 export async function toggleMcpServerStatus(
@@ -56,15 +153,61 @@ export async function toggleMcpServerStatus(
   uuid: string,
   newStatus: McpServerStatus
 ): Promise<void> {
-  await db
-    .update(mcpServersTable)
-    .set({ status: newStatus })
+  await updateMcpServerRow(profileUuid, uuid, { status: newStatus });
+}
+
+/**
+ * Lists the servers proposed to a workspace: pending suggestions and the
+ * declined ones that are kept so they are not proposed again.
+ */
+export async function getMcpServerSuggestions(profileUuid: string) {
+  const servers = await db
+    .select()
+    .from(mcpServersTable)
     .where(
       and(
-        eq(mcpServersTable.uuid, uuid),
-        eq(mcpServersTable.profile_uuid, profileUuid)
+        eq(mcpServersTable.profile_uuid, profileUuid),
+        inArray(mcpServersTable.status, [
+          McpServerStatus.SUGGESTED,
+          McpServerStatus.DECLINED,
+        ])
       )
-    );
+    )
+    .orderBy(desc(mcpServersTable.created_at));
+
+  return (servers as McpServer[]).map(decryptServerSecrets);
+}
+
+async function resolveMcpServerSuggestion(
+  profileUuid: string,
+  uuid: string,
+  status: McpServerStatus.ACTIVE | McpServerStatus.DECLINED
+) {
+  const server = await getMcpServerByUuid(profileUuid, uuid);
+  if (
+    server?.status !== McpServerStatus.SUGGESTED &&
+    server?.status !== McpServerStatus.DECLINED
+  ) {
+    throw new Error('Suggestion not found');
+  }
+  await updateMcpServerRow(profileUuid, uuid, { status });
+}
+
+/**
+ * Installs a suggested server, or one that was declined earlier, as ACTIVE.
+ */
+export async function acceptMcpServerSuggestion(
+  profileUuid: string,
+  uuid: string
+): Promise<void> {
+  await resolveMcpServerSuggestion(profileUuid, uuid, McpServerStatus.ACTIVE);
+}
+
+export async function declineMcpServerSuggestion(
+  profileUuid: string,
+  uuid: string
+): Promise<void> {
+  await resolveMcpServerSuggestion(profileUuid, uuid, McpServerStatus.DECLINED);
 }
 
 export async function updateMcpServer(
@@ -73,24 +216,80 @@ export async function updateMcpServer(
   data: {
     name?: string;
     description?: string;
-    command?: string;
+    command?: string | null;
     args?: string[];
     env?: { [key: string]: string };
-    url?: string;
+    url?: string | null;
+    headers?: { [key: string]: string };
     type?: McpServerType;
   }
 ): Promise<void> {
-  await db
-    .update(mcpServersTable)
-    .set({
-      ...data,
+  await updateMcpServerRow(profileUuid, uuid, encryptServerSecrets(data));
+}
+
+/**
+ * Lists the earlier configs of a server, newest first.
+ */
+export async function getMcpServerRevisions(
+  profileUuid: string,
+  uuid: string
+): Promise<ServerRevision[]> {
+  const revisions = await db
+    .select({
+      uuid: serverRevisionsTable.uuid,
+      config: serverRevisionsTable.config,
+      created_by: serverRevisionsTable.created_by,
+      created_at: serverRevisionsTable.created_at,
     })
+    .from(serverRevisionsTable)
+    .innerJoin(
+      mcpServersTable,
+      eq(serverRevisionsTable.mcp_server_uuid, mcpServersTable.uuid)
+    )
     .where(
       and(
         eq(mcpServersTable.uuid, uuid),
         eq(mcpServersTable.profile_uuid, profileUuid)
       )
-    );
+    )
+    .orderBy(desc(serverRevisionsTable.created_at));
+
+  return revisions.map((revision) => ({
+    ...revision,
+    config: decryptRevisionConfig(revision.config),
+  }));
+}
+
+/**
+ * Puts a server back to the config of one of its revisions. The config being
+ * replaced becomes a revision itself, so a restore can be undone.
+ */
+export async function restoreMcpServerRevision(
+  profileUuid: string,
+  uuid: string,
+  revisionUuid: string
+): Promise<void> {
+  const [revision] = await db
+    .select({ config: serverRevisionsTable.config })
+    .from(serverRevisionsTable)
+    .where(
+      and(
+        eq(serverRevisionsTable.uuid, revisionUuid),
+        eq(serverRevisionsTable.mcp_server_uuid, uuid)
+      )
+    )
+    .limit(1);
+
+  if (!revision) {
+    throw new Error('Revision not found');
+  }
+
+  // Revision configs are stored with env and headers already encrypted
+  await updateMcpServerRow(
+    profileUuid,
+    uuid,
+    revision.config as Partial<typeof mcpServersTable.$inferInsert>
+  );
 }
 
 export async function createMcpServer(
@@ -102,54 +301,257 @@ export async function createMcpServer(
     args: string[];
     env: { [key: string]: string };
     url?: string;
+    headers?: { [key: string]: string };
     type?: McpServerType;
   }
 ): Promise<void> {
-  await db.insert(mcpServersTable).values({
-    ...data,
-    profile_uuid: profileUuid,
+  await db.transaction(async (tx) => {
+    const [server] = await tx
+      .insert(mcpServersTable)
+      .values({
+        ...encryptServerSecrets(data),
+        profile_uuid: profileUuid,
+      })
+      .returning();
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.MCP_SERVER,
+        action: AuditAction.CREATE,
+        after: server,
+        profileUuid,
+      },
+      tx
+    );
+    await publishConfigEvent(
+      { type: ConfigEventType.SERVERS_CHANGED, profileUuid },
+      tx
+    );
+  });
+}
+
+/**
+ * Copies servers into another workspace of the same project. Env values and
+ * headers are copied as stored, and discovered tools are copied along with
+ * their status. Returns the number of servers copied.
+ */
+export async function copyMcpServersToProfile(
+  profileUuid: string,
+  uuids: string[],
+  targetProfileUuid: string
+): Promise<number> {
+  await getSiblingProfile(profileUuid, targetProfileUuid);
+  if (uuids.length === 0) {
+    return 0;
+  }
+
+  return db.transaction((tx) =>
+    copyMcpServers(tx, profileUuid, uuids, targetProfileUuid)
+  );
+}
+
+/**
+ * Moves servers, with their tools, into another workspace of the same
+ * project. Returns the number of servers moved.
+ */
+export async function moveMcpServersToProfile(
+  profileUuid: string,
+  uuids: string[],
+  targetProfileUuid: string
+): Promise<number> {
+  await getSiblingProfile(profileUuid, targetProfileUuid);
+  if (uuids.length === 0) {
+    return 0;
+  }
+
+  return db.transaction(async (tx) => {
+    const where = and(
+      eq(mcpServersTable.profile_uuid, profileUuid),
+      inArray(mcpServersTable.uuid, uuids)
+    );
+    const servers = await tx.select().from(mcpServersTable).where(where);
+    const moved = await tx
+      .update(mcpServersTable)
+      .set({ profile_uuid: targetProfileUuid })
+      .where(where)
+      .returning();
+
+    for (const after of moved) {
+      await recordAuditEvent(
+        {
+          entityType: AuditEntityType.MCP_SERVER,
+          action: AuditAction.UPDATE,
+          before: servers.find((server) => server.uuid === after.uuid),
+          after,
+          profileUuid: targetProfileUuid,
+        },
+        tx
+      );
+    }
+
+    for (const changedProfileUuid of [profileUuid, targetProfileUuid]) {
+      await publishConfigEvent(
+        {
+          type: ConfigEventType.SERVERS_CHANGED,
+          profileUuid: changedProfileUuid,
+        },
+        tx
+      );
+    }
+    return moved.length;
   });
 }
 
+export async function checkMcpServerHealth(
+  profileUuid: string,
+  uuid: string
+): Promise<McpServerHealthCheck> {
+  const [server, profile] = await Promise.all([
+    getMcpServerByUuid(profileUuid, uuid),
+    getProfile(profileUuid),
+  ]);
+  if (!server) {
+    throw new Error('MCP server not found');
+  }
+
+  const secrets = await getProjectSecretValues(profile.project_uuid);
+  const { health, tools } = await testMcpServerConnection(server, secrets);
+
+  await db
+    .update(mcpServersTable)
+    .set({ last_health_check: health })
+    .where(
+      and(
+        eq(mcpServersTable.uuid, uuid),
+        eq(mcpServersTable.profile_uuid, profileUuid)
+      )
+    );
+
+  if (health.ok) {
+    await saveDiscoveredTools(
+      tools.map((tool) => ({
+        mcp_server_uuid: uuid,
+        name: tool.name,
+        description: tool.description,
+        toolSchema: tool.inputSchema as Tool['toolSchema'],
+      }))
+    );
+  }
+
+  return health;
+}
+
+/**
+ * Exports the active servers of a workspace as a client configuration file.
+ */
+export async function exportMcpServers(
+  profileUuid: string,
+  options: { format: McpClientFormat; redact: boolean }
+) {
+  const servers = await getMcpServers(profileUuid);
+
+  // getMcpServers lists newest first; export in the order servers were added.
+  return buildMcpClientConfig(
+    servers
+      .filter((server) => server.status === McpServerStatus.ACTIVE)
+      .reverse(),
+    options
+  );
+}
+
+/**
+ * Imports `{ mcpServers: {...} }` JSON into a workspace. Every entry is
+ * planned against the existing servers first; with dryRun the plan is
+ * returned without writing. Otherwise all writes run in one transaction, so
+ * a failing entry leaves the workspace unchanged. New servers start active;
+ * overwritten ones keep their status.
+ */
 export async function bulkImportMcpServers(
   data: {
-    mcpServers: {
-      [name: string]: {
-        command?: string;
-        args?: string[];
-        env?: { [key: string]: string };
-        description?: string;
-        url?: string;
-        type?: McpServerType;
-      };
-    };
+    mcpServers: { [name: string]: ImportServerConfig };
   },
-  profileUuid?: string | null
+  profileUuid?: string | null,
+  options: { mode?: ImportMergeMode; dryRun?: boolean } = {}
 ) {
   if (!profileUuid) {
     throw new Error('Current workspace not found');
   }
 
-  const { mcpServers } = data;
-
-  const serverEntries = Object.entries(mcpServers);
-
-  for (const [name, serverConfig] of serverEntries) {
-    const serverData = {
-      name,
-      description: serverConfig.description || '',
-      command: serverConfig.command || null,
-      args: serverConfig.args || [],
-      env: serverConfig.env || {},
-      url: serverConfig.url || null,
-      type: serverConfig.type || McpServerType.STDIO,
-      profile_uuid: profileUuid,
-      status: McpServerStatus.ACTIVE,
-    };
-
-    // Insert the server into the database
-    await db.insert(mcpServersTable).values(serverData);
+  const existingServers = await getMcpServers(profileUuid);
+  const entries = planImport(
+    data.mcpServers,
+    existingServers,
+    options.mode ?? ImportMergeMode.SKIP
+  );
+
+  if (!options.dryRun) {
+    await db.transaction(async (tx) => {
+      for (const entry of entries) {
+        if (!entry.server) continue;
+
+        const serverData = encryptServerSecrets(entry.server);
+
+        if (entry.action === ImportAction.CREATE) {
+          const [created] = await tx
+            .insert(mcpServersTable)
+            .values({
+              ...serverData,
+              status: McpServerStatus.ACTIVE,
+              profile_uuid: profileUuid,
+            })
+            .returning();
+          await recordAuditEvent(
+            {
+              entityType: AuditEntityType.MCP_SERVER,
+              action: AuditAction.CREATE,
+              after: created,
+              profileUuid,
+            },
+            tx
+          );
+        } else if (entry.action === ImportAction.UPDATE && entry.existingUuid) {
+          const [updated] = await tx
+            .update(mcpServersTable)
+            .set(serverData)
+            .where(
+              and(
+                eq(mcpServersTable.uuid, entry.existingUuid),
+                eq(mcpServersTable.profile_uuid, profileUuid)
+              )
+            )
+            .returning();
+          const existing = existingServers.find(
+            (server) => server.uuid === entry.existingUuid
+          );
+          await recordAuditEvent(
+            {
+              entityType: AuditEntityType.MCP_SERVER,
+              action: AuditAction.UPDATE,
+              before: existing,
+              after: updated,
+              profileUuid,
+            },
+            tx
+          );
+          if (existing) {
+            await recordMcpServerRevision(existing, updated, tx);
+          }
+        }
+      }
+
+      if (entries.some((entry) => entry.action !== ImportAction.SKIP)) {
+        await publishConfigEvent(
+          { type: ConfigEventType.SERVERS_CHANGED, profileUuid },
+          tx
+        );
+      }
+    });
   }
 
-  return { success: true, count: serverEntries.length };
+  return {
+    success: true,
+    dryRun: !!options.dryRun,
+    count: entries.filter((entry) => entry.action !== ImportAction.SKIP).length,
+    entries: entries.map(({ server: _server, ...entry }) => entry),
+  };
 }
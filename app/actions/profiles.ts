@@ -3,11 +3,35 @@
 import { eq } from 'drizzle-orm';
 
 import { db } from '@/db';
-import { profilesTable } from '@/db/schema';
+import {
+  AuditAction,
+  AuditEntityType,
+  customMcpServersTable,
+  mcpServersTable,
+  profilesTable,
+  ToolNamingPolicy,
+} from '@/db/schema';
 import { projectsTable } from '@/db/schema';
-
-export async function createProfile(currentProjectUuid: string, name: string) {
-  const profile = await db
+import { recordAuditEvent } from '@/lib/audit/events';
+import {
+  ConfigEventType,
+  publishConfigEvent,
+} from '@/lib/events/config-events';
+import { assertValidToolPrefixes } from '@/lib/mcp/tool-names';
+import {
+  copyCustomMcpServers,
+  copyMcpServers,
+} from '@/lib/profiles/copy-servers';
+import { assertValidLimit } from '@/lib/rate-limit/token-bucket';
+
+type Transaction = Parameters<Parameters<typeof db.transaction>[0]>[0];
+
+async function insertProfile(
+  tx: Transaction,
+  currentProjectUuid: string,
+  name: string
+) {
+  const [profile] = await tx
     .insert(profilesTable)
     .values({
       name,
@@ -15,7 +39,64 @@ export async function createProfile(currentProjectUuid: string, name: string) {
     })
     .returning();
 
-  return profile[0];
+  await recordAuditEvent(
+    {
+      entityType: AuditEntityType.PROFILE,
+      action: AuditAction.CREATE,
+      after: profile,
+      projectUuid: currentProjectUuid,
+    },
+    tx
+  );
+  return profile;
+}
+
+export async function createProfile(currentProjectUuid: string, name: string) {
+  return db.transaction((tx) => insertProfile(tx, currentProjectUuid, name));
+}
+
+/**
+ * Creates a new workspace holding a copy of every MCP server and custom MCP
+ * server of an existing one, whatever their status. Everything is copied in
+ * one transaction, so a failure leaves no workspace behind.
+ */
+export async function duplicateProfile(
+  currentProjectUuid: string,
+  sourceProfileUuid: string,
+  name: string
+) {
+  const source = await getProfile(sourceProfileUuid);
+  if (source.project_uuid !== currentProjectUuid) {
+    throw new Error('Profile not found');
+  }
+
+  return db.transaction(async (tx) => {
+    const profile = await insertProfile(tx, currentProjectUuid, name);
+
+    const mcpServers = await tx
+      .select({ uuid: mcpServersTable.uuid })
+      .from(mcpServersTable)
+      .where(eq(mcpServersTable.profile_uuid, source.uuid));
+    const customMcpServers = await tx
+      .select({ uuid: customMcpServersTable.uuid })
+      .from(customMcpServersTable)
+      .where(eq(customMcpServersTable.profile_uuid, source.uuid));
+
+    const mcpServerCount = await copyMcpServers(
+      tx,
+      source.uuid,
+      mcpServers.map((server) => server.uuid),
+      profile.uuid
+    );
+    const customMcpServerCount = await copyCustomMcpServers(
+      tx,
+      source.uuid,
+      customMcpServers.map((server) => server.uuid),
+      profile.uuid
+    );
+
+    return { profile, mcpServerCount, customMcpServerCount };
+  });
 }
 
 export async function getProfile(profileUuid: string) {
@@ -32,6 +113,31 @@ export async function getProfile(profileUuid: string) {
   return profile[0];
 }
 
+/**
+ * Returns the target workspace for copying or moving servers out of a
+ * workspace. Both must belong to the same project.
+ */
+export async function getSiblingProfile(
+  profileUuid: string,
+  targetProfileUuid: string
+) {
+  const [source, target] = await Promise.all([
+    getProfile(profileUuid),
+    getProfile(targetProfileUuid),
+  ]);
+
+  if (
+    source.uuid === target.uuid ||
+    source.project_uuid !== target.project_uuid
+  ) {
+    throw new Error(
+      'Target workspace must be another workspace in this project'
+    );
+  }
+
+  return target;
+}
+
 export async function getProfiles(currentProjectUuid: string) {
   const profiles = await db
     .select()
@@ -115,15 +221,32 @@ export async function setProfileActive(
     throw new Error('Project not found');
   }
 
-  const updatedProject = await db
-    .update(projectsTable)
-    .set({ active_profile_uuid: profileUuid })
-    .where(eq(projectsTable.uuid, projectUuid))
-    .returning();
+  await db.transaction(async (tx) => {
+    const [updatedProject] = await tx
+      .update(projectsTable)
+      .set({ active_profile_uuid: profileUuid })
+      .where(eq(projectsTable.uuid, projectUuid))
+      .returning();
 
-  if (updatedProject.length === 0) {
-    throw new Error('Project not found');
-  }
+    if (!updatedProject) {
+      throw new Error('Project not found');
+    }
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.PROJECT,
+        action: AuditAction.UPDATE,
+        before: project[0],
+        after: updatedProject,
+        projectUuid,
+      },
+      tx
+    );
+    await publishConfigEvent(
+      { type: ConfigEventType.PROFILE_SWITCHED, profileUuid, projectUuid },
+      tx
+    );
+  });
 }
 
 export async function updateProfileName(profileUuid: string, newName: string) {
@@ -137,13 +260,175 @@ export async function updateProfileName(profileUuid: string, newName: string) {
     throw new Error('Profile not found');
   }
 
-  const updatedProfile = await db
-    .update(profilesTable)
-    .set({ name: newName })
-    .where(eq(profilesTable.uuid, profileUuid))
-    .returning();
+  return db.transaction(async (tx) => {
+    const [updatedProfile] = await tx
+      .update(profilesTable)
+      .set({ name: newName })
+      .where(eq(profilesTable.uuid, profileUuid))
+      .returning();
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.PROFILE,
+        action: AuditAction.UPDATE,
+        before: profile[0],
+        after: updatedProfile,
+        projectUuid: updatedProfile.project_uuid,
+      },
+      tx
+    );
+    return updatedProfile;
+  });
+}
+
+/**
+ * Sets the requests per minute shared by all API keys using the workspace.
+ * Null uses the default; 0 disables the limit.
+ */
+export async function updateProfileRateLimit(
+  profileUuid: string,
+  rateLimitPerMinute: number | null
+) {
+  assertValidLimit(rateLimitPerMinute, 'Rate limit');
+  const profile = await getProfile(profileUuid);
+
+  return db.transaction(async (tx) => {
+    const [updatedProfile] = await tx
+      .update(profilesTable)
+      .set({ rate_limit_per_minute: rateLimitPerMinute })
+      .where(eq(profilesTable.uuid, profileUuid))
+      .returning();
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.PROFILE,
+        action: AuditAction.UPDATE,
+        before: profile,
+        after: updatedProfile,
+        projectUuid: updatedProfile.project_uuid,
+      },
+      tx
+    );
+    return updatedProfile;
+  });
+}
 
-  return updatedProfile[0];
+/**
+ * Sets how the workspace's tools are named when aggregated. Prefixes are
+ * only used by the custom prefix policy; servers without one fall back to
+ * their name.
+ */
+export async function updateProfileToolNaming(
+  profileUuid: string,
+  policy: ToolNamingPolicy,
+  prefixes: { [serverUuid: string]: string }
+) {
+  if (!Object.values(ToolNamingPolicy).includes(policy)) {
+    throw new Error('Invalid tool naming policy');
+  }
+  const toolPrefixes = Object.fromEntries(
+    Object.entries(prefixes)
+      .map(([serverUuid, prefix]) => [serverUuid, prefix.trim()])
+      .filter(([, prefix]) => prefix !== '')
+  );
+  assertValidToolPrefixes(toolPrefixes);
+  const profile = await getProfile(profileUuid);
+
+  return db.transaction(async (tx) => {
+    const [updatedProfile] = await tx
+      .update(profilesTable)
+      .set({ tool_naming_policy: policy, tool_prefixes: toolPrefixes })
+      .where(eq(profilesTable.uuid, profileUuid))
+      .returning();
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.PROFILE,
+        action: AuditAction.UPDATE,
+        before: profile,
+        after: updatedProfile,
+        projectUuid: updatedProfile.project_uuid,
+      },
+      tx
+    );
+    await publishConfigEvent(
+      { type: ConfigEventType.TOOLS_CHANGED, profileUuid },
+      tx
+    );
+    return updatedProfile;
+  });
+}
+
+/**
+ * Sets the tokens the workspace's tool list may take up before the MCP
+ * Servers page warns about it.
+ */
+export async function updateProfileToolTokenWarningThreshold(
+  profileUuid: string,
+  threshold: number
+) {
+  if (!Number.isInteger(threshold) || threshold < 1) {
+    throw new Error('Warning threshold must be a whole number of 1 or more');
+  }
+  const profile = await getProfile(profileUuid);
+
+  return db.transaction(async (tx) => {
+    const [updatedProfile] = await tx
+      .update(profilesTable)
+      .set({ tool_token_warning_threshold: threshold })
+      .where(eq(profilesTable.uuid, profileUuid))
+      .returning();
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.PROFILE,
+        action: AuditAction.UPDATE,
+        before: profile,
+        after: updatedProfile,
+        projectUuid: updatedProfile.project_uuid,
+      },
+      tx
+    );
+    return updatedProfile;
+  });
+}
+
+/**
+ * Turns query-relevant tool selection on with the number of tools to return
+ * besides pinned ones, or off with null.
+ */
+export async function updateProfileToolRag(
+  profileUuid: string,
+  topK: number | null
+) {
+  if (topK !== null && (!Number.isInteger(topK) || topK < 1)) {
+    throw new Error('Number of tools must be a whole number of 1 or more');
+  }
+  const profile = await getProfile(profileUuid);
+
+  return db.transaction(async (tx) => {
+    const [updatedProfile] = await tx
+      .update(profilesTable)
+      .set({ tool_rag_top_k: topK })
+      .where(eq(profilesTable.uuid, profileUuid))
+      .returning();
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.PROFILE,
+        action: AuditAction.UPDATE,
+        before: profile,
+        after: updatedProfile,
+        projectUuid: updatedProfile.project_uuid,
+      },
+      tx
+    );
+    await publishConfigEvent(
+      { type: ConfigEventType.TOOLS_CHANGED, profileUuid },
+      tx
+    );
+    return updatedProfile;
+  });
 }
 
 export async function deleteProfile(profileUuid: string) {
@@ -164,7 +449,19 @@ export async function deleteProfile(profileUuid: string) {
     throw new Error('Cannot delete the last profile');
   }
 
-  await db.delete(profilesTable).where(eq(profilesTable.uuid, profileUuid));
+  await db.transaction(async (tx) => {
+    await tx.delete(profilesTable).where(eq(profilesTable.uuid, profileUuid));
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.PROFILE,
+        action: AuditAction.DELETE,
+        before: profile[0],
+        projectUuid: profile[0].project_uuid,
+      },
+      tx
+    );
+  });
 
   return { success: true };
 }
@@ -3,7 +3,13 @@
 import { eq } from 'drizzle-orm';
 
 import { db } from '@/db';
-import { profilesTable, projectsTable } from '@/db/schema';
+import {
+  AuditAction,
+  AuditEntityType,
+  profilesTable,
+  projectsTable,
+} from '@/db/schema';
+import { recordAuditEvent } from '@/lib/audit/events';
 
 export async function createProject(name: string) {
   return await db.transaction(async (tx) => {
@@ -32,6 +38,16 @@ export async function createProject(name: string) {
       .where(eq(projectsTable.uuid, project.uuid))
       .returning();
 
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.PROJECT,
+        action: AuditAction.CREATE,
+        after: updatedProject,
+        projectUuid: updatedProject.uuid,
+      },
+      tx
+    );
+
     return updatedProject;
   });
 }
@@ -72,13 +88,25 @@ export async function updateProjectName(projectUuid: string, newName: string) {
     throw new Error('Project not found');
   }
 
-  const updatedProject = await db
-    .update(projectsTable)
-    .set({ name: newName })
-    .where(eq(projectsTable.uuid, projectUuid))
-    .returning();
+  return db.transaction(async (tx) => {
+    const [updatedProject] = await tx
+      .update(projectsTable)
+      .set({ name: newName })
+      .where(eq(projectsTable.uuid, projectUuid))
+      .returning();
 
-  return updatedProject[0];
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.PROJECT,
+        action: AuditAction.UPDATE,
+        before: project[0],
+        after: updatedProject,
+        projectUuid,
+      },
+      tx
+    );
+    return updatedProject;
+  });
 }
 
 export async function deleteProject(projectUuid: string) {
@@ -99,7 +127,19 @@ export async function deleteProject(projectUuid: string) {
     throw new Error('Cannot delete the last project');
   }
 
-  await db.delete(projectsTable).where(eq(projectsTable.uuid, projectUuid));
+  await db.transaction(async (tx) => {
+    await tx.delete(projectsTable).where(eq(projectsTable.uuid, projectUuid));
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.PROJECT,
+        action: AuditAction.DELETE,
+        before: project[0],
+        projectUuid,
+      },
+      tx
+    );
+  });
 
   return { success: true };
 }
@@ -0,0 +1,233 @@
+'use server';
+
+import { and, eq, inArray } from 'drizzle-orm';
+
+import { db } from '@/db';
+import {
+  AuditAction,
+  AuditEntityType,
+  customMcpServersTable,
+  mcpServersTable,
+  profilesTable,
+  secretsTable,
+} from '@/db/schema';
+import { recordAuditEvent } from '@/lib/audit/events';
+import { decryptServerSecrets, encryptValue } from '@/lib/crypto/envelope';
+import {
+  ConfigEventType,
+  publishConfigEvent,
+} from '@/lib/events/config-events';
+import {
+  findServerSecretReferences,
+  isValidSecretName,
+} from '@/lib/secrets/references';
+import { ProjectSecrets, Secret } from '@/types/secret';
+
+type Transaction = Parameters<Parameters<typeof db.transaction>[0]>[0];
+
+// Everything except value, which is write-only.
+const secretColumns = {
+  uuid: secretsTable.uuid,
+  project_uuid: secretsTable.project_uuid,
+  name: secretsTable.name,
+  created_at: secretsTable.created_at,
+  updated_at: secretsTable.updated_at,
+};
+
+/**
+ * Counts how many servers of the project reference each secret name.
+ */
+async function countSecretReferences(projectUuid: string) {
+  const profiles = await db
+    .select({ uuid: profilesTable.uuid })
+    .from(profilesTable)
+    .where(eq(profilesTable.project_uuid, projectUuid));
+  const profileUuids = profiles.map((profile) => profile.uuid);
+  if (profileUuids.length === 0) {
+    return new Map<string, number>();
+  }
+
+  const [mcpServers, customMcpServers] = await Promise.all([
+    db
+      .select({
+        env: mcpServersTable.env,
+        headers: mcpServersTable.headers,
+        args: mcpServersTable.args,
+      })
+      .from(mcpServersTable)
+      .where(inArray(mcpServersTable.profile_uuid, profileUuids)),
+    db
+      .select({
+        env: customMcpServersTable.env,
+        additionalArgs: customMcpServersTable.additionalArgs,
+      })
+      .from(customMcpServersTable)
+      .where(inArray(customMcpServersTable.profile_uuid, profileUuids)),
+  ]);
+
+  const counts = new Map<string, number>();
+  for (const server of [...mcpServers, ...customMcpServers]) {
+    for (const name of findServerSecretReferences(
+      decryptServerSecrets(server)
+    )) {
+      counts.set(name, (counts.get(name) ?? 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Secrets are resolved into server configs when the proxy fetches them, so a
+ * change to one can change any server of the project.
+ */
+async function publishSecretChange(projectUuid: string, tx: Transaction) {
+  for (const type of [
+    ConfigEventType.SERVERS_CHANGED,
+    ConfigEventType.CUSTOM_CODE_CHANGED,
+  ]) {
+    await publishConfigEvent({ type, projectUuid }, tx);
+  }
+}
+
+export async function getProjectSecrets(
+  projectUuid: string
+): Promise<ProjectSecrets> {
+  const [secrets, counts] = await Promise.all([
+    db
+      .select(secretColumns)
+      .from(secretsTable)
+      .where(eq(secretsTable.project_uuid, projectUuid))
+      .orderBy(secretsTable.name),
+    countSecretReferences(projectUuid),
+  ]);
+
+  const names = new Set(secrets.map((secret) => secret.name));
+  return {
+    secrets: secrets.map(
+      (secret): Secret => ({
+        ...secret,
+        server_count: counts.get(secret.name) ?? 0,
+      })
+    ),
+    undefinedReferences: [...counts.keys()]
+      .filter((name) => !names.has(name))
+      .sort(),
+  };
+}
+
+export async function createSecret(
+  projectUuid: string,
+  data: { name: string; value: string }
+) {
+  const name = data.name.trim();
+  if (!isValidSecretName(name)) {
+    throw new Error(
+      'Secret names may only contain letters, digits and underscores, and cannot start with a digit'
+    );
+  }
+
+  const existing = await db
+    .select({ uuid: secretsTable.uuid })
+    .from(secretsTable)
+    .where(
+      and(
+        eq(secretsTable.project_uuid, projectUuid),
+        eq(secretsTable.name, name)
+      )
+    )
+    .limit(1);
+  if (existing.length > 0) {
+    throw new Error(`A secret named ${name} already exists in this project`);
+  }
+
+  await db.transaction(async (tx) => {
+    const [created] = await tx
+      .insert(secretsTable)
+      .values({
+        project_uuid: projectUuid,
+        name,
+        value: encryptValue(data.value),
+      })
+      .returning(secretColumns);
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.SECRET,
+        action: AuditAction.CREATE,
+        after: created,
+        projectUuid,
+      },
+      tx
+    );
+    await publishSecretChange(projectUuid, tx);
+  });
+}
+
+/**
+ * Replaces the value of a secret. Every server that references it picks up
+ * the new value the next time the proxy fetches its config.
+ */
+export async function updateSecretValue(
+  projectUuid: string,
+  secretUuid: string,
+  value: string
+) {
+  await db.transaction(async (tx) => {
+    const where = and(
+      eq(secretsTable.uuid, secretUuid),
+      eq(secretsTable.project_uuid, projectUuid)
+    );
+    const [before] = await tx
+      .select(secretColumns)
+      .from(secretsTable)
+      .where(where);
+    if (!before) {
+      throw new Error('Secret not found');
+    }
+
+    const [after] = await tx
+      .update(secretsTable)
+      .set({ value: encryptValue(value), updated_at: new Date() })
+      .where(where)
+      .returning(secretColumns);
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.SECRET,
+        action: AuditAction.UPDATE,
+        before,
+        after,
+        projectUuid,
+      },
+      tx
+    );
+    await publishSecretChange(projectUuid, tx);
+  });
+}
+
+export async function deleteSecret(projectUuid: string, secretUuid: string) {
+  await db.transaction(async (tx) => {
+    const [deleted] = await tx
+      .delete(secretsTable)
+      .where(
+        and(
+          eq(secretsTable.uuid, secretUuid),
+          eq(secretsTable.project_uuid, projectUuid)
+        )
+      )
+      .returning(secretColumns);
+
+    if (deleted) {
+      await recordAuditEvent(
+        {
+          entityType: AuditEntityType.SECRET,
+          action: AuditAction.DELETE,
+          before: deleted,
+          projectUuid,
+        },
+        tx
+      );
+      await publishSecretChange(projectUuid, tx);
+    }
+  });
+}
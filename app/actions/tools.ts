@@ -0,0 +1,488 @@
+'use server';
+
+import { and, asc, eq, inArray, sql } from 'drizzle-orm';
+
+import { db } from '@/db';
+import {
+  AuditAction,
+  AuditEntityType,
+  customMcpServersTable,
+  mcpServersTable,
+  McpServerStatus,
+  profilesTable,
+  ToggleStatus,
+  toolsTable,
+} from '@/db/schema';
+import { recordAuditEvent } from '@/lib/audit/events';
+import {
+  ConfigEventType,
+  publishConfigEvent,
+} from '@/lib/events/config-events';
+import { scoreToolsForQuery } from '@/lib/mcp/tool-embeddings';
+import { buildToolFootprint } from '@/lib/mcp/tool-footprint';
+import {
+  applyToolPrefix,
+  findToolNameCollisions,
+  getToolPrefix,
+  TOOL_PREFIX_SEPARATOR,
+} from '@/lib/mcp/tool-names';
+import {
+  applyToolOverride,
+  countToolTokens,
+  normalizeToolOverride,
+  ToolOverride,
+} from '@/lib/mcp/tool-overrides';
+import { selectRelevantTools } from '@/lib/mcp/tool-rag';
+import { TokenCounter } from '@/lib/token-counting/TokenCounter';
+import { Tool } from '@/types/tool';
+
+export async function getToolsByMcpServerUuid(
+  profileUuid: string,
+  mcpServerUuid: string
+) {
+  const tools = await db
+    .select({
+      uuid: toolsTable.uuid,
+      name: toolsTable.name,
+      description: toolsTable.description,
+      toolSchema: toolsTable.toolSchema,
+      created_at: toolsTable.created_at,
+      mcp_server_uuid: toolsTable.mcp_server_uuid,
+      status: toolsTable.status,
+      name_override: toolsTable.name_override,
+      description_override: toolsTable.description_override,
+      parameter_description_overrides:
+        toolsTable.parameter_description_overrides,
+      pinned: toolsTable.pinned,
+    })
+    .from(toolsTable)
+    .innerJoin(
+      mcpServersTable,
+      eq(toolsTable.mcp_server_uuid, mcpServersTable.uuid)
+    )
+    .where(
+      and(
+        eq(toolsTable.mcp_server_uuid, mcpServerUuid),
+        eq(mcpServersTable.profile_uuid, profileUuid)
+      )
+    )
+    .orderBy(asc(toolsTable.name));
+
+  return tools as Tool[];
+}
+
+export async function getProfileTools(profileUuid: string) {
+  const tools = await db
+    .select({
+      uuid: toolsTable.uuid,
+      name: toolsTable.name,
+      description: toolsTable.description,
+      toolSchema: toolsTable.toolSchema,
+      created_at: toolsTable.created_at,
+      mcp_server_uuid: toolsTable.mcp_server_uuid,
+      status: toolsTable.status,
+      name_override: toolsTable.name_override,
+      description_override: toolsTable.description_override,
+      parameter_description_overrides:
+        toolsTable.parameter_description_overrides,
+      pinned: toolsTable.pinned,
+    })
+    .from(toolsTable)
+    .innerJoin(
+      mcpServersTable,
+      eq(toolsTable.mcp_server_uuid, mcpServersTable.uuid)
+    )
+    .where(eq(mcpServersTable.profile_uuid, profileUuid))
+    .orderBy(asc(toolsTable.mcp_server_uuid), asc(toolsTable.name));
+
+  return tools as Tool[];
+}
+
+/**
+ * The names a workspace's tools are exposed under: its naming policy, the
+ * prefix of each active server in the order they were added, and the names
+ * more than one server exposes. Collisions are found among the switched-on
+ * tools last reported for each server.
+ */
+export async function getToolNamingReport(profileUuid: string) {
+  const [profile] = await db
+    .select({
+      tool_naming_policy: profilesTable.tool_naming_policy,
+      tool_prefixes: profilesTable.tool_prefixes,
+    })
+    .from(profilesTable)
+    .where(eq(profilesTable.uuid, profileUuid))
+    .limit(1);
+  if (!profile) {
+    throw new Error('Profile not found');
+  }
+
+  const [mcpServers, customMcpServers, tools] = await Promise.all([
+    db
+      .select({ uuid: mcpServersTable.uuid, name: mcpServersTable.name })
+      .from(mcpServersTable)
+      .where(
+        and(
+          eq(mcpServersTable.profile_uuid, profileUuid),
+          eq(mcpServersTable.status, McpServerStatus.ACTIVE)
+        )
+      )
+      .orderBy(asc(mcpServersTable.created_at)),
+    db
+      .select({
+        uuid: customMcpServersTable.uuid,
+        name: customMcpServersTable.name,
+      })
+      .from(customMcpServersTable)
+      .where(
+        and(
+          eq(customMcpServersTable.profile_uuid, profileUuid),
+          eq(customMcpServersTable.status, McpServerStatus.ACTIVE)
+        )
+      )
+      .orderBy(asc(customMcpServersTable.created_at)),
+    getProfileTools(profileUuid),
+  ]);
+
+  const config = {
+    policy: profile.tool_naming_policy,
+    prefixes: profile.tool_prefixes,
+  };
+  const servers = [...mcpServers, ...customMcpServers];
+
+  return {
+    policy: config.policy,
+    separator: TOOL_PREFIX_SEPARATOR,
+    servers: servers.map((server) => ({
+      uuid: server.uuid,
+      name: server.name,
+      prefix: getToolPrefix(config, server),
+      customPrefix: config.prefixes[server.uuid] ?? null,
+    })),
+    collisions: findToolNameCollisions(
+      config,
+      servers.map((server) => ({
+        ...server,
+        toolNames: tools
+          .filter(
+            (tool) =>
+              tool.mcp_server_uuid === server.uuid &&
+              tool.status === ToggleStatus.ACTIVE
+          )
+          .map((tool) => tool.name_override ?? tool.name),
+      }))
+    ),
+  };
+}
+
+export async function toggleToolStatus(
+  profileUuid: string,
+  toolUuid: string,
+  newStatus: ToggleStatus
+): Promise<void> {
+  await db.transaction(async (tx) => {
+    const where = and(
+      eq(toolsTable.uuid, toolUuid),
+      inArray(
+        toolsTable.mcp_server_uuid,
+        tx
+          .select({ uuid: mcpServersTable.uuid })
+          .from(mcpServersTable)
+          .where(eq(mcpServersTable.profile_uuid, profileUuid))
+      )
+    );
+    const [before] = await tx.select().from(toolsTable).where(where);
+    if (!before) return;
+
+    const [after] = await tx
+      .update(toolsTable)
+      .set({ status: newStatus })
+      .where(where)
+      .returning();
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.TOOL,
+        action: AuditAction.UPDATE,
+        before,
+        after,
+        profileUuid,
+      },
+      tx
+    );
+    await publishConfigEvent(
+      { type: ConfigEventType.TOOLS_CHANGED, profileUuid },
+      tx
+    );
+  });
+}
+
+async function updateProfileTool(
+  profileUuid: string,
+  toolUuid: string,
+  values: Partial<typeof toolsTable.$inferInsert>
+) {
+  await db.transaction(async (tx) => {
+    const where = and(
+      eq(toolsTable.uuid, toolUuid),
+      inArray(
+        toolsTable.mcp_server_uuid,
+        tx
+          .select({ uuid: mcpServersTable.uuid })
+          .from(mcpServersTable)
+          .where(eq(mcpServersTable.profile_uuid, profileUuid))
+      )
+    );
+    const [before] = await tx.select().from(toolsTable).where(where);
+    if (!before) {
+      throw new Error('Tool not found');
+    }
+
+    const [after] = await tx
+      .update(toolsTable)
+      .set(values)
+      .where(where)
+      .returning();
+
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.TOOL,
+        action: AuditAction.UPDATE,
+        before,
+        after,
+        profileUuid,
+      },
+      tx
+    );
+    await publishConfigEvent(
+      { type: ConfigEventType.TOOLS_CHANGED, profileUuid },
+      tx
+    );
+  });
+}
+
+/**
+ * Sets the name, description and parameter descriptions a tool is exposed
+ * with in the workspace. Empty fields keep the server's own.
+ */
+export async function updateToolOverride(
+  profileUuid: string,
+  toolUuid: string,
+  override: ToolOverride
+): Promise<void> {
+  await updateProfileTool(
+    profileUuid,
+    toolUuid,
+    normalizeToolOverride(override)
+  );
+}
+
+/**
+ * Pins a tool so it is always returned when tools are selected for a query.
+ */
+export async function setToolPinned(
+  profileUuid: string,
+  toolUuid: string,
+  pinned: boolean
+): Promise<void> {
+  await updateProfileTool(profileUuid, toolUuid, { pinned });
+}
+
+/**
+ * The workspace's tools for a query from the proxy. With query-relevant
+ * selection on, these are the pinned tools and the `tool_rag_top_k`
+ * switched-on tools of active servers whose exposed names and descriptions
+ * are closest to the query; otherwise, or when the embedding model is not
+ * installed, every tool.
+ */
+export async function getRelevantProfileTools(
+  profileUuid: string,
+  query: string
+) {
+  const [[profile], tools, activeServers] = await Promise.all([
+    db
+      .select({ tool_rag_top_k: profilesTable.tool_rag_top_k })
+      .from(profilesTable)
+      .where(eq(profilesTable.uuid, profileUuid))
+      .limit(1),
+    getProfileTools(profileUuid),
+    db
+      .select({ uuid: mcpServersTable.uuid })
+      .from(mcpServersTable)
+      .where(
+        and(
+          eq(mcpServersTable.profile_uuid, profileUuid),
+          eq(mcpServersTable.status, McpServerStatus.ACTIVE)
+        )
+      ),
+  ]);
+  if (!profile) {
+    throw new Error('Profile not found');
+  }
+  if (profile.tool_rag_top_k === null) {
+    return tools;
+  }
+
+  const activeServerUuids = new Set(activeServers.map((server) => server.uuid));
+  const candidates = tools.filter(
+    (tool) =>
+      tool.status === ToggleStatus.ACTIVE &&
+      activeServerUuids.has(tool.mcp_server_uuid)
+  );
+  const scores = await scoreToolsForQuery(
+    candidates.map((tool) => ({
+      uuid: tool.uuid,
+      name: tool.name_override ?? tool.name,
+      description: tool.description_override ?? tool.description,
+    })),
+    query
+  );
+  if (!scores) {
+    return tools;
+  }
+  return selectRelevantTools(candidates, scores, profile.tool_rag_top_k);
+}
+
+const tokenCounter = new TokenCounter();
+
+/**
+ * Tokens a tool's definition takes up as the server reports it and with an
+ * override applied.
+ */
+export async function countToolOverrideTokens(
+  tool: Pick<Tool, 'name' | 'description' | 'toolSchema'>,
+  override: ToolOverride
+) {
+  const definition = {
+    name: tool.name,
+    description: tool.description,
+    inputSchema: tool.toolSchema,
+  };
+  return {
+    before: countToolTokens(definition, tokenCounter),
+    after: countToolTokens(
+      applyToolOverride(definition, normalizeToolOverride(override)),
+      tokenCounter
+    ),
+  };
+}
+
+/**
+ * Token counts of a server's tools before and after their overrides, by
+ * tool uuid.
+ */
+export async function getToolTokenCounts(
+  profileUuid: string,
+  mcpServerUuid: string
+) {
+  const tools = await getToolsByMcpServerUuid(profileUuid, mcpServerUuid);
+  return Object.fromEntries(
+    await Promise.all(
+      tools.map(
+        async (tool) =>
+          [tool.uuid, await countToolOverrideTokens(tool, tool)] as const
+      )
+    )
+  );
+}
+
+/**
+ * Tokens the workspace's tool list costs a client on every turn, counted
+ * with each tokenizer over the switched-on tools last reported for each
+ * active server, named and overridden as they are exposed.
+ */
+export async function getToolTokenFootprint(profileUuid: string) {
+  const [profile] = await db
+    .select({
+      tool_naming_policy: profilesTable.tool_naming_policy,
+      tool_prefixes: profilesTable.tool_prefixes,
+      tool_token_warning_threshold: profilesTable.tool_token_warning_threshold,
+    })
+    .from(profilesTable)
+    .where(eq(profilesTable.uuid, profileUuid))
+    .limit(1);
+  if (!profile) {
+    throw new Error('Profile not found');
+  }
+
+  const [servers, tools] = await Promise.all([
+    db
+      .select({ uuid: mcpServersTable.uuid, name: mcpServersTable.name })
+      .from(mcpServersTable)
+      .where(
+        and(
+          eq(mcpServersTable.profile_uuid, profileUuid),
+          eq(mcpServersTable.status, McpServerStatus.ACTIVE)
+        )
+      )
+      .orderBy(asc(mcpServersTable.created_at)),
+    getProfileTools(profileUuid),
+  ]);
+  const naming = {
+    policy: profile.tool_naming_policy,
+    prefixes: profile.tool_prefixes,
+  };
+
+  const footprint = buildToolFootprint(
+    servers.map((server) => {
+      const prefix = getToolPrefix(naming, server);
+      return {
+        ...server,
+        tools: tools
+          .filter(
+            (tool) =>
+              tool.mcp_server_uuid === server.uuid &&
+              tool.status === ToggleStatus.ACTIVE
+          )
+          .map((tool) => {
+            const exposed = applyToolOverride(
+              {
+                name: tool.name,
+                description: tool.description,
+                inputSchema: tool.toolSchema,
+              },
+              tool
+            );
+            return { ...exposed, name: applyToolPrefix(exposed.name, prefix) };
+          }),
+      };
+    }),
+    tokenCounter
+  );
+
+  return {
+    ...footprint,
+    warningThreshold: profile.tool_token_warning_threshold,
+  };
+}
+
+/**
+ * Records tools discovered on MCP servers. Existing tools keep their status
+ * and only have their description and input schema refreshed.
+ */
+export async function saveDiscoveredTools(
+  tools: {
+    mcp_server_uuid: string;
+    name: string;
+    description?: string | null;
+    toolSchema: Tool['toolSchema'];
+  }[]
+) {
+  if (tools.length === 0) {
+    return [];
+  }
+
+  const savedTools = await db
+    .insert(toolsTable)
+    .values(tools)
+    .onConflictDoUpdate({
+      target: [toolsTable.mcp_server_uuid, toolsTable.name],
+      set: {
+        description: sql`excluded.description`,
+        toolSchema: sql`excluded.tool_schema`,
+      },
+    })
+    .returning();
+
+  return savedTools as Tool[];
+}
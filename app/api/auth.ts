@@ -1,18 +1,31 @@
 import { eq } from 'drizzle-orm';
-import { NextResponse } from 'next/server';
 
 import { db } from '@/db';
-import { apiKeysTable } from '@/db/schema';
+import { ApiKeyScope, apiKeysTable } from '@/db/schema';
+import { getApiKeyActor } from '@/lib/audit/events';
+import {
+  getRequestIp,
+  hasApiKeyScope,
+  hashApiKey,
+  isApiKeyExpired,
+} from '@/lib/auth/api-keys';
+import { consumeRateLimitToken } from '@/lib/rate-limit/store';
+import {
+  getApiKeyRateLimit,
+  getProfileRateLimit,
+} from '@/lib/rate-limit/token-bucket';
 
-import { getProjectActiveProfile } from '../actions/profiles';
+import { getProfile, getProjectActiveProfile } from '../actions/profiles';
+import { ApiErrorCode, errorResponse, rateLimitedResponse } from './errors';
 
-export async function authenticateApiKey(request: Request) {
+export async function authenticateApiKey(request: Request, scope: ApiKeyScope) {
   const authHeader = request.headers.get('authorization');
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return {
-      error: NextResponse.json(
-        { error: 'Authorization header with Bearer token is required' },
-        { status: 401 }
+      error: errorResponse(
+        401,
+        ApiErrorCode.UNAUTHORIZED,
+        'Authorization header with Bearer token is required'
       ),
     };
   }
@@ -21,23 +34,78 @@ export async function authenticateApiKey(request: Request) {
   const apiKeyRecord = await db
     .select()
     .from(apiKeysTable)
-    .where(eq(apiKeysTable.api_key, apiKey))
+    .where(eq(apiKeysTable.key_hash, hashApiKey(apiKey)))
     .limit(1);
 
   if (apiKeyRecord.length === 0) {
     return {
-      error: NextResponse.json({ error: 'Invalid API key' }, { status: 401 }),
+      error: errorResponse(401, ApiErrorCode.UNAUTHORIZED, 'Invalid API key'),
     };
   }
 
-  const activeProfile = await getProjectActiveProfile(
-    apiKeyRecord[0].project_uuid
-  );
+  if (isApiKeyExpired(apiKeyRecord[0])) {
+    return {
+      error: errorResponse(
+        401,
+        ApiErrorCode.UNAUTHORIZED,
+        'API key has expired'
+      ),
+    };
+  }
+
+  if (!hasApiKeyScope(apiKeyRecord[0], scope)) {
+    return {
+      error: errorResponse(
+        403,
+        ApiErrorCode.FORBIDDEN,
+        `API key is missing the ${scope} scope`
+      ),
+    };
+  }
+
+  await db
+    .update(apiKeysTable)
+    .set({ last_used_at: new Date(), last_used_ip: getRequestIp(request) })
+    .where(eq(apiKeysTable.uuid, apiKeyRecord[0].uuid));
+
+  // A key bound to a workspace ignores the project's active profile, so
+  // switching workspaces in the GUI does not change what its clients see.
+  const activeProfile = apiKeyRecord[0].profile_uuid
+    ? await getProfile(apiKeyRecord[0].profile_uuid)
+    : await getProjectActiveProfile(apiKeyRecord[0].project_uuid);
   if (!activeProfile) {
     return {
-      error: NextResponse.json(
-        { error: 'No active profile found for this API key' },
-        { status: 401 }
+      error: errorResponse(
+        401,
+        ApiErrorCode.UNAUTHORIZED,
+        'No active profile found for this API key'
+      ),
+    };
+  }
+
+  // Check the key's own limit first so a key over its limit does not also
+  // drain the bucket it shares with the other keys of the workspace.
+  const keyLimit = await consumeRateLimitToken(
+    `api_key:${apiKeyRecord[0].uuid}`,
+    getApiKeyRateLimit(apiKeyRecord[0].rate_limit_per_minute)
+  );
+  if (!keyLimit.allowed) {
+    return {
+      error: rateLimitedResponse(
+        `Rate limit of ${keyLimit.limit} requests per minute exceeded for this API key`,
+        keyLimit.retryAfterSeconds
+      ),
+    };
+  }
+  const profileLimit = await consumeRateLimitToken(
+    `profile:${activeProfile.uuid}`,
+    getProfileRateLimit(activeProfile.rate_limit_per_minute)
+  );
+  if (!profileLimit.allowed) {
+    return {
+      error: rateLimitedResponse(
+        `Rate limit of ${profileLimit.limit} requests per minute exceeded for this workspace`,
+        profileLimit.retryAfterSeconds
       ),
     };
   }
@@ -46,5 +114,7 @@ export async function authenticateApiKey(request: Request) {
     success: true,
     apiKey: apiKeyRecord[0],
     activeProfile,
+    /** Attribute changes to this key with runAsAuditActor. */
+    actor: getApiKeyActor(apiKeyRecord[0]),
   };
 }
@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server';
+
+import {
+  deleteCustomMcpServerByUuid,
+  getCustomMcpServerByUuid,
+  updateCustomMcpServer,
+} from '@/app/actions/custom-mcp-servers';
+import { ApiKeyScope } from '@/db/schema';
+import { runAsAuditActor } from '@/lib/audit/events';
+import { updateCustomMcpServerSchema } from '@/lib/validation/mcp-servers';
+
+import { authenticateApiKey } from '../../auth';
+import {
+  ApiErrorCode,
+  errorResponse,
+  handleApiError,
+  parseRequestBody,
+} from '../../errors';
+
+function notFound() {
+  return errorResponse(
+    404,
+    ApiErrorCode.NOT_FOUND,
+    'Custom MCP server not found'
+  );
+}
+
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ uuid: string }> }
+) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
+    if (auth.error) return auth.error;
+
+    const { uuid } = await params;
+    const customMcpServer = await getCustomMcpServerByUuid(
+      auth.activeProfile.uuid,
+      uuid
+    );
+    if (!customMcpServer) return notFound();
+
+    return NextResponse.json(customMcpServer);
+  } catch (error) {
+    return handleApiError(error, 'Failed to fetch custom MCP server');
+  }
+}
+
+export async function PATCH(
+  request: Request,
+  { params }: { params: Promise<{ uuid: string }> }
+) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_WRITE);
+    if (auth.error) return auth.error;
+
+    const { uuid } = await params;
+    const existing = await getCustomMcpServerByUuid(
+      auth.activeProfile.uuid,
+      uuid
+    );
+    if (!existing) return notFound();
+
+    const update = await parseRequestBody(request, updateCustomMcpServerSchema);
+
+    await runAsAuditActor(auth.actor, () =>
+      updateCustomMcpServer(auth.activeProfile.uuid, uuid, update)
+    );
+
+    const updatedCustomMcpServer = await getCustomMcpServerByUuid(
+      auth.activeProfile.uuid,
+      uuid
+    );
+    return NextResponse.json(updatedCustomMcpServer);
+  } catch (error) {
+    return handleApiError(error, 'Failed to update custom MCP server');
+  }
+}
+
+export async function DELETE(
+  request: Request,
+  { params }: { params: Promise<{ uuid: string }> }
+) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_WRITE);
+    if (auth.error) return auth.error;
+
+    const { uuid } = await params;
+    const existing = await getCustomMcpServerByUuid(
+      auth.activeProfile.uuid,
+      uuid
+    );
+    if (!existing) return notFound();
+
+    await runAsAuditActor(auth.actor, () =>
+      deleteCustomMcpServerByUuid(auth.activeProfile.uuid, uuid)
+    );
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    return handleApiError(error, 'Failed to delete custom MCP server');
+  }
+}
@@ -3,16 +3,33 @@ import { NextResponse } from 'next/server';
 
 import { db } from '@/db';
 import {
+  ApiKeyScope,
+  AuditAction,
+  AuditEntityType,
   codesTable,
   customMcpServersTable,
   McpServerStatus,
 } from '@/db/schema';
+import { recordAuditEvent, runAsAuditActor } from '@/lib/audit/events';
+import {
+  decryptServerSecrets,
+  encryptValues,
+} from '@/lib/crypto/envelope';
+import {
+  ConfigEventType,
+  publishConfigEvent,
+} from '@/lib/events/config-events';
+import { resolveServerSecretReferences } from '@/lib/secrets/references';
+import { getProjectSecretValues } from '@/lib/secrets/store';
+import { createCustomMcpServerSchema } from '@/lib/validation/mcp-servers';
 
 import { authenticateApiKey } from '../auth';
+import { handleApiError, parseRequestBody } from '../errors';
+import { jsonWithETag } from '../etag';
 
 export async function GET(request: Request) {
   try {
-    const auth = await authenticateApiKey(request);
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
     if (auth.error) return auth.error;
 
     const customMcpServers = await db
@@ -45,43 +62,64 @@ export async function GET(request: Request) {
       )
       .orderBy(desc(customMcpServersTable.created_at));
 
-    return NextResponse.json(customMcpServers);
-  } catch (error) {
-    console.error(error);
-    return NextResponse.json(
-      { error: 'Failed to fetch custom MCP servers' },
-      { status: 500 }
+    const secrets = await getProjectSecretValues(auth.apiKey.project_uuid);
+
+    return jsonWithETag(
+      request,
+      customMcpServers.map((server) =>
+        resolveServerSecretReferences(decryptServerSecrets(server), secrets)
+      )
     );
+  } catch (error) {
+    return handleApiError(error, 'Failed to fetch custom MCP servers');
   }
 }
 
 export async function POST(request: Request) {
   try {
-    const auth = await authenticateApiKey(request);
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_WRITE);
     if (auth.error) return auth.error;
 
-    const body = await request.json();
-    const { name, description, code_uuid, additionalArgs, env } = body;
+    const { name, description, code_uuid, additionalArgs, env } =
+      await parseRequestBody(request, createCustomMcpServerSchema);
 
-    const [newCustomMcpServer] = await db
-      .insert(customMcpServersTable)
-      .values({
-        name,
-        description,
-        code_uuid,
-        additionalArgs,
-        env,
-        status: McpServerStatus.ACTIVE,
-        profile_uuid: auth.activeProfile.uuid,
-      })
-      .returning();
+    const newCustomMcpServer = await db.transaction(async (tx) => {
+      const [created] = await tx
+        .insert(customMcpServersTable)
+        .values({
+          name,
+          description,
+          code_uuid,
+          additionalArgs,
+          env: encryptValues(env),
+          status: McpServerStatus.ACTIVE,
+          profile_uuid: auth.activeProfile.uuid,
+        })
+        .returning();
 
-    return NextResponse.json(newCustomMcpServer);
+      await runAsAuditActor(auth.actor, () =>
+        recordAuditEvent(
+          {
+            entityType: AuditEntityType.CUSTOM_MCP_SERVER,
+            action: AuditAction.CREATE,
+            after: created,
+            profileUuid: auth.activeProfile.uuid,
+          },
+          tx
+        )
+      );
+      await publishConfigEvent(
+        {
+          type: ConfigEventType.CUSTOM_CODE_CHANGED,
+          profileUuid: auth.activeProfile.uuid,
+        },
+        tx
+      );
+      return created;
+    });
+
+    return NextResponse.json(decryptServerSecrets(newCustomMcpServer));
   } catch (error) {
-    console.error(error);
-    return NextResponse.json(
-      { error: 'Failed to create custom MCP server' },
-      { status: 500 }
-    );
+    return handleApiError(error, 'Failed to create custom MCP server');
   }
 }
@@ -0,0 +1,127 @@
+import { NextResponse } from 'next/server';
+import { ZodError, ZodTypeAny } from 'zod';
+
+export enum ApiErrorCode {
+  UNAUTHORIZED = 'UNAUTHORIZED',
+  FORBIDDEN = 'FORBIDDEN',
+  INVALID_JSON = 'INVALID_JSON',
+  VALIDATION_ERROR = 'VALIDATION_ERROR',
+  NOT_FOUND = 'NOT_FOUND',
+  RATE_LIMITED = 'RATE_LIMITED',
+  INTERNAL_ERROR = 'INTERNAL_ERROR',
+}
+
+export type FieldErrors = { [field: string]: string[] };
+
+/**
+ * Error envelope returned by every /api route:
+ * `{ error: string, code: ApiErrorCode, fieldErrors?: FieldErrors }`
+ */
+export class ApiError extends Error {
+  constructor(
+    public status: number,
+    public code: ApiErrorCode,
+    message: string,
+    public fieldErrors?: FieldErrors
+  ) {
+    super(message);
+    this.name = 'ApiError';
+  }
+}
+
+export function errorResponse(
+  status: number,
+  code: ApiErrorCode,
+  message: string,
+  fieldErrors?: FieldErrors
+) {
+  return NextResponse.json(
+    { error: message, code, ...(fieldErrors ? { fieldErrors } : {}) },
+    { status }
+  );
+}
+
+/**
+ * 429 response telling the client when it may try again.
+ */
+export function rateLimitedResponse(
+  message: string,
+  retryAfterSeconds: number
+) {
+  const response = errorResponse(429, ApiErrorCode.RATE_LIMITED, message);
+  response.headers.set('Retry-After', String(retryAfterSeconds));
+  return response;
+}
+
+function zodFieldErrors(error: ZodError): FieldErrors {
+  const fieldErrors: FieldErrors = {};
+  for (const issue of error.issues) {
+    const field = issue.path.length > 0 ? issue.path.join('.') : 'body';
+    (fieldErrors[field] ??= []).push(issue.message);
+  }
+  return fieldErrors;
+}
+
+// Postgres error codes that point at a bad payload rather than a server fault
+const PG_CHECK_VIOLATION = '23514';
+const PG_FOREIGN_KEY_VIOLATION = '23503';
+
+/**
+ * Maps anything thrown inside a route handler to the error envelope.
+ */
+export function handleApiError(error: unknown, fallbackMessage: string) {
+  if (error instanceof ApiError) {
+    return errorResponse(
+      error.status,
+      error.code,
+      error.message,
+      error.fieldErrors
+    );
+  }
+
+  if (error instanceof ZodError) {
+    return errorResponse(
+      400,
+      ApiErrorCode.VALIDATION_ERROR,
+      'Request validation failed',
+      zodFieldErrors(error)
+    );
+  }
+
+  const pgCode = (error as { code?: unknown } | null)?.code;
+  if (pgCode === PG_CHECK_VIOLATION || pgCode === PG_FOREIGN_KEY_VIOLATION) {
+    return errorResponse(
+      400,
+      ApiErrorCode.VALIDATION_ERROR,
+      pgCode === PG_CHECK_VIOLATION
+        ? 'Request violates a database constraint'
+        : 'Request references a record that does not exist'
+    );
+  }
+
+  console.error(error);
+  return errorResponse(500, ApiErrorCode.INTERNAL_ERROR, fallbackMessage);
+}
+
+/**
+ * Reads the JSON body of a request and validates it against a zod schema.
+ *
+ * @throws ApiError if the body is not valid JSON
+ * @throws ZodError if the body does not match the schema
+ */
+export async function parseRequestBody<T extends ZodTypeAny>(
+  request: Request,
+  schema: T
+): Promise<T['_output']> {
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch (_error) {
+    throw new ApiError(
+      400,
+      ApiErrorCode.INVALID_JSON,
+      'Request body must be valid JSON'
+    );
+  }
+  return schema.parse(body);
+}
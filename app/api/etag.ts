@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+
+import { computeETag, matchesIfNoneMatch } from '@/lib/events/etag';
+
+/**
+ * Responds with `data` as JSON and its ETag, or with 304 Not Modified when
+ * the request's If-None-Match already names that ETag.
+ */
+export function jsonWithETag(request: Request, data: unknown) {
+  const body = JSON.stringify(data);
+  const etag = computeETag(body);
+  // Responses depend on the API key, so shared caches must not reuse them.
+  const headers = { ETag: etag, 'Cache-Control': 'private, no-cache' };
+
+  if (matchesIfNoneMatch(request.headers.get('if-none-match'), etag)) {
+    return new NextResponse(null, { status: 304, headers });
+  }
+  return new NextResponse(body, {
+    headers: { ...headers, 'Content-Type': 'application/json' },
+  });
+}
@@ -0,0 +1,137 @@
+import { NextResponse } from 'next/server';
+
+import { ApiKeyScope } from '@/db/schema';
+import {
+  applyProfileSwitch,
+  ConfigEvent,
+  ConfigEventClient,
+  isConfigEventForClient,
+  subscribeConfigEvents,
+} from '@/lib/events/config-events';
+
+import { authenticateApiKey } from '../auth';
+import { handleApiError } from '../errors';
+
+const HEARTBEAT_INTERVAL_MS = 25_000;
+const DEFAULT_LONG_POLL_SECONDS = 30;
+const MAX_LONG_POLL_SECONDS = 60;
+
+function toEventData(event: ConfigEvent) {
+  return {
+    type: event.type,
+    profileUuid: event.profileUuid ?? null,
+    projectUuid: event.projectUuid ?? null,
+  };
+}
+
+function streamEvents(request: Request, client: ConfigEventClient) {
+  const encoder = new TextEncoder();
+  let stop = () => {};
+
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller) {
+      const send = (chunk: string) => {
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch (_e) {
+          stop();
+        }
+      };
+
+      const unsubscribe = subscribeConfigEvents((event) => {
+        if (!isConfigEventForClient(event, client)) return;
+        applyProfileSwitch(client, event);
+        send(
+          `event: ${event.type}\ndata: ${JSON.stringify(toEventData(event))}\n\n`
+        );
+      });
+      // Comments keep proxies and load balancers from closing an idle stream.
+      const heartbeat = setInterval(
+        () => send(': heartbeat\n\n'),
+        HEARTBEAT_INTERVAL_MS
+      );
+
+      stop = () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+        try {
+          controller.close();
+        } catch (_e) {
+          // Already closed by the client
+        }
+      };
+      request.signal.addEventListener('abort', () => stop());
+
+      send(`retry: 5000\n: connected\n\n`);
+    },
+    cancel() {
+      stop();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    },
+  });
+}
+
+function waitForEvent(
+  request: Request,
+  client: ConfigEventClient,
+  timeoutSeconds: number
+) {
+  return new Promise<ConfigEvent | null>((resolve) => {
+    const finish = (event: ConfigEvent | null) => {
+      unsubscribe();
+      clearTimeout(timer);
+      resolve(event);
+    };
+    const unsubscribe = subscribeConfigEvents((event) => {
+      if (isConfigEventForClient(event, client)) finish(event);
+    });
+    const timer = setTimeout(() => finish(null), timeoutSeconds * 1000);
+    request.signal.addEventListener('abort', () => finish(null));
+  });
+}
+
+/**
+ * Notifies a proxy when the config of its workspace changes. Clients that
+ * accept text/event-stream get a Server-Sent Events stream; others get a
+ * long poll that answers with the next event, or 204 after `timeout`
+ * seconds (default 30, at most 60) without one.
+ */
+export async function GET(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
+    if (auth.error) return auth.error;
+
+    const client: ConfigEventClient = {
+      projectUuid: auth.apiKey.project_uuid,
+      profileUuid: auth.activeProfile.uuid,
+      followsActiveProfile: !auth.apiKey.profile_uuid,
+    };
+
+    if (request.headers.get('accept')?.includes('text/event-stream')) {
+      return streamEvents(request, client);
+    }
+
+    const timeout = Number(new URL(request.url).searchParams.get('timeout'));
+    const event = await waitForEvent(
+      request,
+      client,
+      Number.isFinite(timeout) && timeout > 0
+        ? Math.min(timeout, MAX_LONG_POLL_SECONDS)
+        : DEFAULT_LONG_POLL_SECONDS
+    );
+    if (!event) {
+      return new NextResponse(null, { status: 204 });
+    }
+    return NextResponse.json(toEventData(event));
+  } catch (error) {
+    return handleApiError(error, 'Failed to subscribe to config events');
+  }
+}
@@ -0,0 +1,95 @@
+import { NextResponse } from 'next/server';
+
+import {
+  deleteMcpServerByUuid,
+  getMcpServerByUuid,
+  updateMcpServer,
+} from '@/app/actions/mcp-servers';
+import { ApiKeyScope } from '@/db/schema';
+import { runAsAuditActor } from '@/lib/audit/events';
+import {
+  resolveMcpServerUpdate,
+  updateMcpServerSchema,
+} from '@/lib/validation/mcp-servers';
+
+import { authenticateApiKey } from '../../auth';
+import {
+  ApiErrorCode,
+  errorResponse,
+  handleApiError,
+  parseRequestBody,
+} from '../../errors';
+
+function notFound() {
+  return errorResponse(404, ApiErrorCode.NOT_FOUND, 'MCP server not found');
+}
+
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ uuid: string }> }
+) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
+    if (auth.error) return auth.error;
+
+    const { uuid } = await params;
+    const mcpServer = await getMcpServerByUuid(auth.activeProfile.uuid, uuid);
+    if (!mcpServer) return notFound();
+
+    return NextResponse.json(mcpServer);
+  } catch (error) {
+    return handleApiError(error, 'Failed to fetch MCP server');
+  }
+}
+
+export async function PATCH(
+  request: Request,
+  { params }: { params: Promise<{ uuid: string }> }
+) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_WRITE);
+    if (auth.error) return auth.error;
+
+    const { uuid } = await params;
+    const existing = await getMcpServerByUuid(auth.activeProfile.uuid, uuid);
+    if (!existing) return notFound();
+
+    const update = resolveMcpServerUpdate(
+      existing,
+      await parseRequestBody(request, updateMcpServerSchema)
+    );
+
+    await runAsAuditActor(auth.actor, () =>
+      updateMcpServer(auth.activeProfile.uuid, uuid, update)
+    );
+
+    const updatedMcpServer = await getMcpServerByUuid(
+      auth.activeProfile.uuid,
+      uuid
+    );
+    return NextResponse.json(updatedMcpServer);
+  } catch (error) {
+    return handleApiError(error, 'Failed to update MCP server');
+  }
+}
+
+export async function DELETE(
+  request: Request,
+  { params }: { params: Promise<{ uuid: string }> }
+) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_WRITE);
+    if (auth.error) return auth.error;
+
+    const { uuid } = await params;
+    const existing = await getMcpServerByUuid(auth.activeProfile.uuid, uuid);
+    if (!existing) return notFound();
+
+    await runAsAuditActor(auth.actor, () =>
+      deleteMcpServerByUuid(auth.activeProfile.uuid, uuid)
+    );
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    return handleApiError(error, 'Failed to delete MCP server');
+  }
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+
+import {
+  getMcpServerByUuid,
+  toggleMcpServerStatus,
+} from '@/app/actions/mcp-servers';
+import { ApiKeyScope } from '@/db/schema';
+import { runAsAuditActor } from '@/lib/audit/events';
+import { serverStatusSchema } from '@/lib/validation/mcp-servers';
+
+import { authenticateApiKey } from '../../../auth';
+import {
+  ApiErrorCode,
+  errorResponse,
+  handleApiError,
+  parseRequestBody,
+} from '../../../errors';
+
+export async function PATCH(
+  request: Request,
+  { params }: { params: Promise<{ uuid: string }> }
+) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_WRITE);
+    if (auth.error) return auth.error;
+
+    const { uuid } = await params;
+    const { status } = await parseRequestBody(request, serverStatusSchema);
+
+    const existing = await getMcpServerByUuid(auth.activeProfile.uuid, uuid);
+    if (!existing) {
+      return errorResponse(404, ApiErrorCode.NOT_FOUND, 'MCP server not found');
+    }
+
+    await runAsAuditActor(auth.actor, () =>
+      toggleMcpServerStatus(auth.activeProfile.uuid, uuid, status)
+    );
+
+    const updatedMcpServer = await getMcpServerByUuid(
+      auth.activeProfile.uuid,
+      uuid
+    );
+    return NextResponse.json(updatedMcpServer);
+  } catch (error) {
+    return handleApiError(error, 'Failed to update MCP server status');
+  }
+}
@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+
+import { exportMcpServers } from '@/app/actions/mcp-servers';
+import { ApiKeyScope } from '@/db/schema';
+import { exportMcpServersQuerySchema } from '@/lib/validation/mcp-servers';
+
+import { authenticateApiKey } from '../../auth';
+import { handleApiError } from '../../errors';
+
+/**
+ * GET /api/mcp-servers/export?format=claude|cursor|vscode|windsurf&redact=true
+ */
+export async function GET(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
+    if (auth.error) return auth.error;
+
+    const { searchParams } = new URL(request.url);
+    const options = exportMcpServersQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
+
+    const config = await exportMcpServers(auth.activeProfile.uuid, options);
+    return NextResponse.json(config);
+  } catch (error) {
+    return handleApiError(error, 'Failed to export MCP servers');
+  }
+}
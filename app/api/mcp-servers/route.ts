@@ -2,13 +2,33 @@ import { and, eq } from 'drizzle-orm';
 import { NextResponse } from 'next/server';
 
 import { db } from '@/db';
-import { mcpServersTable, McpServerStatus } from '@/db/schema';
+import {
+  ApiKeyScope,
+  AuditAction,
+  AuditEntityType,
+  mcpServersTable,
+  McpServerStatus,
+} from '@/db/schema';
+import { recordAuditEvent, runAsAuditActor } from '@/lib/audit/events';
+import {
+  decryptServerSecrets,
+  encryptServerSecrets,
+} from '@/lib/crypto/envelope';
+import {
+  ConfigEventType,
+  publishConfigEvent,
+} from '@/lib/events/config-events';
+import { resolveServerSecretReferences } from '@/lib/secrets/references';
+import { getProjectSecretValues } from '@/lib/secrets/store';
+import { createMcpServerSchema } from '@/lib/validation/mcp-servers';
 
 import { authenticateApiKey } from '../auth';
+import { handleApiError, parseRequestBody } from '../errors';
+import { jsonWithETag } from '../etag';
 
 export async function GET(request: Request) {
   try {
-    const auth = await authenticateApiKey(request);
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
     if (auth.error) return auth.error;
 
     const activeMcpServers = await db
@@ -20,44 +40,77 @@ export async function GET(request: Request) {
           eq(mcpServersTable.profile_uuid, auth.activeProfile.uuid)
         )
       );
-    return NextResponse.json(activeMcpServers);
-  } catch (error) {
-    console.error(error);
-    return NextResponse.json(
-      { error: 'Failed to fetch active MCP servers' },
-      { status: 500 }
+    const secrets = await getProjectSecretValues(auth.apiKey.project_uuid);
+
+    return jsonWithETag(
+      request,
+      activeMcpServers.map((server) =>
+        resolveServerSecretReferences(decryptServerSecrets(server), secrets)
+      )
     );
+  } catch (error) {
+    return handleApiError(error, 'Failed to fetch active MCP servers');
   }
 }
 
 export async function POST(request: Request) {
   try {
-    const auth = await authenticateApiKey(request);
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_WRITE);
     if (auth.error) return auth.error;
 
-    const body = await request.json();
-    const { uuid, name, description, command, args, env, status } = body;
-
-    const newMcpServer = await db
-      .insert(mcpServersTable)
-      .values({
-        uuid,
-        name,
-        description,
-        command,
-        args,
-        env,
-        status,
-        profile_uuid: auth.activeProfile.uuid,
-      })
-      .returning();
-
-    return NextResponse.json(newMcpServer[0]);
+    const {
+      uuid,
+      name,
+      description,
+      type,
+      command,
+      args,
+      env,
+      url,
+      headers,
+      status,
+    } = await parseRequestBody(request, createMcpServerSchema);
+
+    const newMcpServer = await db.transaction(async (tx) => {
+      const [created] = await tx
+        .insert(mcpServersTable)
+        .values({
+          uuid,
+          name,
+          description,
+          type,
+          command,
+          args,
+          ...encryptServerSecrets({ env, headers }),
+          url,
+          status,
+          profile_uuid: auth.activeProfile.uuid,
+        })
+        .returning();
+
+      await runAsAuditActor(auth.actor, () =>
+        recordAuditEvent(
+          {
+            entityType: AuditEntityType.MCP_SERVER,
+            action: AuditAction.CREATE,
+            after: created,
+            profileUuid: auth.activeProfile.uuid,
+          },
+          tx
+        )
+      );
+      await publishConfigEvent(
+        {
+          type: ConfigEventType.SERVERS_CHANGED,
+          profileUuid: auth.activeProfile.uuid,
+        },
+        tx
+      );
+      return created;
+    });
+
+    return NextResponse.json(decryptServerSecrets(newMcpServer));
   } catch (error) {
-    console.error(error);
-    return NextResponse.json(
-      { error: 'Failed to create MCP server' },
-      { status: 500 }
-    );
+    return handleApiError(error, 'Failed to create MCP server');
   }
 }
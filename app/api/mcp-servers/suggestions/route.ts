@@ -0,0 +1,167 @@
+import { and, desc, eq, inArray, sql } from 'drizzle-orm';
+import { NextResponse } from 'next/server';
+
+import { db } from '@/db';
+import {
+  ApiKeyScope,
+  AuditAction,
+  AuditEntityType,
+  mcpServersTable,
+  McpServerStatus,
+} from '@/db/schema';
+import { recordAuditEvent, runAsAuditActor } from '@/lib/audit/events';
+import { encryptServerSecrets } from '@/lib/crypto/envelope';
+import {
+  hashServerFingerprint,
+  resolveSuggestion,
+  SuggestionOutcome,
+} from '@/lib/mcp/suggestions';
+import { suggestMcpServerSchema } from '@/lib/validation/mcp-servers';
+
+import { authenticateApiKey } from '../../auth';
+import { handleApiError, parseRequestBody } from '../../errors';
+
+// Env values and headers are left out: callers only need to know what was
+// proposed and what became of it.
+const suggestionColumns = {
+  uuid: mcpServersTable.uuid,
+  name: mcpServersTable.name,
+  description: mcpServersTable.description,
+  type: mcpServersTable.type,
+  command: mcpServersTable.command,
+  args: mcpServersTable.args,
+  url: mcpServersTable.url,
+  status: mcpServersTable.status,
+  suggestion_source: mcpServersTable.suggestion_source,
+  suggestion_reason: mcpServersTable.suggestion_reason,
+  created_at: mcpServersTable.created_at,
+};
+
+/**
+ * Lists the pending and declined suggestions of the workspace, so a rules
+ * engine can see what it proposed before.
+ */
+export async function GET(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
+    if (auth.error) return auth.error;
+
+    const suggestions = await db
+      .select(suggestionColumns)
+      .from(mcpServersTable)
+      .where(
+        and(
+          eq(mcpServersTable.profile_uuid, auth.activeProfile.uuid),
+          inArray(mcpServersTable.status, [
+            McpServerStatus.SUGGESTED,
+            McpServerStatus.DECLINED,
+          ])
+        )
+      )
+      .orderBy(desc(mcpServersTable.created_at));
+
+    return NextResponse.json(suggestions);
+  } catch (error) {
+    return handleApiError(error, 'Failed to fetch MCP server suggestions');
+  }
+}
+
+/**
+ * Proposes a server to the workspace. It is stored as SUGGESTED unless the
+ * workspace already has a server that runs the same thing: a pending or
+ * installed one, or one that was declined. In those cases nothing is stored
+ * and the existing server is returned with the outcome.
+ */
+export async function POST(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_WRITE);
+    if (auth.error) return auth.error;
+
+    const {
+      name,
+      description,
+      type,
+      command,
+      args,
+      env,
+      url,
+      headers,
+      source,
+      reason,
+    } = await parseRequestBody(request, suggestMcpServerSchema);
+
+    const result = await db.transaction(async (tx) => {
+      const servers = await tx
+        .select(suggestionColumns)
+        .from(mcpServersTable)
+        .where(eq(mcpServersTable.profile_uuid, auth.activeProfile.uuid));
+      const { outcome, match } = resolveSuggestion(
+        { type, command, args, url },
+        servers
+      );
+      if (outcome !== SuggestionOutcome.SUGGESTED) {
+        return { outcome, server: match };
+      }
+
+      const fingerprint = hashServerFingerprint({ type, command, args, url });
+      const [created] = await tx
+        .insert(mcpServersTable)
+        .values({
+          name,
+          description,
+          type,
+          command,
+          args,
+          ...encryptServerSecrets({ env, headers }),
+          url,
+          status: McpServerStatus.SUGGESTED,
+          suggestion_source: source ?? auth.actor.name,
+          suggestion_reason: reason,
+          suggestion_fingerprint: fingerprint,
+          profile_uuid: auth.activeProfile.uuid,
+        })
+        .onConflictDoNothing({
+          target: [
+            mcpServersTable.profile_uuid,
+            mcpServersTable.suggestion_fingerprint,
+          ],
+          where: sql`${mcpServersTable.status} = 'SUGGESTED'`,
+        })
+        .returning(suggestionColumns);
+
+      // A concurrent proposal of the same server was stored first.
+      if (!created) {
+        const [pending] = await tx
+          .select(suggestionColumns)
+          .from(mcpServersTable)
+          .where(
+            and(
+              eq(mcpServersTable.profile_uuid, auth.activeProfile.uuid),
+              eq(mcpServersTable.suggestion_fingerprint, fingerprint),
+              eq(mcpServersTable.status, McpServerStatus.SUGGESTED)
+            )
+          );
+        return { outcome: SuggestionOutcome.PENDING, server: pending ?? null };
+      }
+
+      await runAsAuditActor(auth.actor, () =>
+        recordAuditEvent(
+          {
+            entityType: AuditEntityType.MCP_SERVER,
+            action: AuditAction.CREATE,
+            after: created,
+            profileUuid: auth.activeProfile.uuid,
+          },
+          tx
+        )
+      );
+      return { outcome, server: created };
+    });
+
+    return NextResponse.json(result, {
+      status: result.outcome === SuggestionOutcome.SUGGESTED ? 201 : 200,
+    });
+  } catch (error) {
+    return handleApiError(error, 'Failed to suggest MCP server');
+  }
+}
@@ -0,0 +1,58 @@
+import {
+  ErrorCode,
+  JSONRPCMessage,
+  JSONRPCMessageSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+
+/**
+ * A JSON-RPC error response to a request that could not be read, which
+ * therefore has no id.
+ */
+export function jsonRpcErrorResponse(
+  status: number,
+  code: ErrorCode,
+  message: string
+) {
+  return NextResponse.json(
+    { jsonrpc: '2.0', error: { code, message }, id: null },
+    { status }
+  );
+}
+
+/**
+ * Reads a JSON-RPC message or batch from a request body. Returns the
+ * messages, whether they were sent as a batch, or the error response.
+ */
+export async function parseJsonRpcMessages(
+  request: Request
+): Promise<
+  | { messages: JSONRPCMessage[]; batch: boolean; error?: never }
+  | { error: NextResponse }
+> {
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch (_e) {
+    return {
+      error: jsonRpcErrorResponse(400, ErrorCode.ParseError, 'Parse error'),
+    };
+  }
+
+  const batch = Array.isArray(body);
+  const parsed = z
+    .array(JSONRPCMessageSchema)
+    .min(1)
+    .safeParse(batch ? body : [body]);
+  if (!parsed.success) {
+    return {
+      error: jsonRpcErrorResponse(
+        400,
+        ErrorCode.InvalidRequest,
+        'Invalid JSON-RPC message'
+      ),
+    };
+  }
+  return { messages: parsed.data, batch };
+}
@@ -0,0 +1,37 @@
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { NextResponse } from 'next/server';
+
+import { ApiKeyScope } from '@/db/schema';
+import { getHostedSession } from '@/lib/mcp/hosted-server';
+
+import { authenticateApiKey } from '../../auth';
+import { handleApiError } from '../../errors';
+import { jsonRpcErrorResponse, parseJsonRpcMessages } from '../jsonrpc';
+
+/**
+ * Receives the messages of a session opened with GET /api/mcp/sse. They are
+ * accepted right away; responses are sent on the session's stream.
+ */
+export async function POST(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
+    if (auth.error) return auth.error;
+
+    const sessionId = new URL(request.url).searchParams.get('sessionId');
+    const session = sessionId ? getHostedSession(sessionId, auth) : null;
+    if (!session) {
+      return jsonRpcErrorResponse(
+        404,
+        ErrorCode.InvalidRequest,
+        'Session not found'
+      );
+    }
+
+    const parsed = await parseJsonRpcMessages(request);
+    if (parsed.error) return parsed.error;
+    session.transport.dispatch(parsed.messages);
+    return new NextResponse(null, { status: 202 });
+  } catch (error) {
+    return handleApiError(error, 'Failed to handle MCP message');
+  }
+}
@@ -0,0 +1,120 @@
+import {
+  ErrorCode,
+  isInitializeRequest,
+} from '@modelcontextprotocol/sdk/types.js';
+import { NextResponse } from 'next/server';
+
+import { ApiKeyScope } from '@/db/schema';
+import {
+  closeHostedSession,
+  createHostedSession,
+  getHostedSession,
+  HostedSessionAuth,
+} from '@/lib/mcp/hosted-server';
+
+import { authenticateApiKey } from '../auth';
+import { handleApiError } from '../errors';
+import { jsonRpcErrorResponse, parseJsonRpcMessages } from './jsonrpc';
+import { streamSessionMessages } from './stream';
+
+const SESSION_HEADER = 'mcp-session-id';
+
+function findSession(request: Request, auth: HostedSessionAuth) {
+  const sessionId = request.headers.get(SESSION_HEADER);
+  if (!sessionId) {
+    return {
+      error: jsonRpcErrorResponse(
+        400,
+        ErrorCode.InvalidRequest,
+        'Mcp-Session-Id header is required'
+      ),
+    };
+  }
+  const session = getHostedSession(sessionId, auth);
+  if (!session) {
+    return {
+      error: jsonRpcErrorResponse(
+        404,
+        ErrorCode.InvalidRequest,
+        'Session not found'
+      ),
+    };
+  }
+  return { session };
+}
+
+/**
+ * Streamable HTTP transport of the hosted MCP endpoint. An initialize
+ * request opens a session, whose id is returned in the Mcp-Session-Id
+ * header and must be sent with every later request. Responses are returned
+ * as JSON; server notifications go to the stream opened with GET.
+ */
+export async function POST(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
+    if (auth.error) return auth.error;
+
+    const parsed = await parseJsonRpcMessages(request);
+    if (parsed.error) return parsed.error;
+    const { messages, batch } = parsed;
+
+    let session;
+    if (messages.some(isInitializeRequest)) {
+      if (messages.length > 1 || request.headers.has(SESSION_HEADER)) {
+        return jsonRpcErrorResponse(
+          400,
+          ErrorCode.InvalidRequest,
+          'initialize must be sent alone and without a session'
+        );
+      }
+      session = await createHostedSession(auth);
+    } else {
+      const found = findSession(request, auth);
+      if (found.error) return found.error;
+      session = found.session;
+    }
+
+    const headers = { 'Mcp-Session-Id': session.id };
+    const responses = await session.transport.handleMessages(messages);
+    if (responses.length === 0) {
+      return new NextResponse(null, { status: 202, headers });
+    }
+    return NextResponse.json(batch ? responses : responses[0], { headers });
+  } catch (error) {
+    return handleApiError(error, 'Failed to handle MCP request');
+  }
+}
+
+/**
+ * Opens the stream a session's server notifications are sent on, such as
+ * list_changed when the workspace's servers change.
+ */
+export async function GET(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
+    if (auth.error) return auth.error;
+
+    const found = findSession(request, auth);
+    if (found.error) return found.error;
+    return streamSessionMessages(request, found.session);
+  } catch (error) {
+    return handleApiError(error, 'Failed to open MCP stream');
+  }
+}
+
+/**
+ * Ends a session and releases its resources.
+ */
+export async function DELETE(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
+    if (auth.error) return auth.error;
+
+    const found = findSession(request, auth);
+    if (found.error) return found.error;
+    await closeHostedSession(found.session);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return handleApiError(error, 'Failed to close MCP session');
+  }
+}
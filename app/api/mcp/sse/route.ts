@@ -0,0 +1,29 @@
+import { ApiKeyScope } from '@/db/schema';
+import {
+  closeHostedSession,
+  createHostedSession,
+} from '@/lib/mcp/hosted-server';
+
+import { authenticateApiKey } from '../../auth';
+import { handleApiError } from '../../errors';
+import { streamSessionMessages } from '../stream';
+
+/**
+ * SSE transport of the hosted MCP endpoint, for clients that do not support
+ * Streamable HTTP. Opens a session whose messages are POSTed to the URL sent
+ * in the `endpoint` event; the session ends when the stream closes.
+ */
+export async function GET(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
+    if (auth.error) return auth.error;
+
+    const session = await createHostedSession(auth);
+    return streamSessionMessages(request, session, {
+      prelude: `event: endpoint\ndata: /api/mcp/messages?sessionId=${session.id}\n\n`,
+      onClose: () => void closeHostedSession(session),
+    });
+  } catch (error) {
+    return handleApiError(error, 'Failed to open MCP stream');
+  }
+}
@@ -0,0 +1,70 @@
+import { JSONRPCMessage } from '@modelcontextprotocol/sdk/types.js';
+
+import { HostedSession } from '@/lib/mcp/hosted-server';
+
+const HEARTBEAT_INTERVAL_MS = 25_000;
+
+/**
+ * Streams a session's outgoing messages as Server-Sent Events until the
+ * client disconnects. `prelude` is written first, for the endpoint event of
+ * the SSE transport.
+ */
+export function streamSessionMessages(
+  request: Request,
+  session: HostedSession,
+  options: { prelude?: string; onClose?: () => void } = {}
+) {
+  const encoder = new TextEncoder();
+  let stop = () => {};
+
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller) {
+      const write = (chunk: string) => {
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch (_e) {
+          stop();
+        }
+      };
+
+      const detach = session.transport.attachStream((message: JSONRPCMessage) =>
+        write(`event: message\ndata: ${JSON.stringify(message)}\n\n`)
+      );
+      const heartbeat = setInterval(() => {
+        write(': heartbeat\n\n');
+      }, HEARTBEAT_INTERVAL_MS);
+
+      let stopped = false;
+      stop = () => {
+        if (stopped) return;
+        stopped = true;
+        detach();
+        clearInterval(heartbeat);
+        try {
+          controller.close();
+        } catch (_e) {
+          // Already closed by the client
+        }
+        options.onClose?.();
+      };
+      request.signal.addEventListener('abort', () => stop());
+
+      if (options.prelude) {
+        write(options.prelude);
+      }
+    },
+    cancel() {
+      stop();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+      'Mcp-Session-Id': session.id,
+    },
+  });
+}
@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+
+import { ApiKeyScope } from '@/db/schema';
+import { getToolCallsToday, recordToolCalls } from '@/lib/rate-limit/store';
+import { reportToolCallsSchema } from '@/lib/validation/tools';
+
+import { authenticateApiKey } from '../../auth';
+import {
+  handleApiError,
+  parseRequestBody,
+  rateLimitedResponse,
+} from '../../errors';
+
+/**
+ * Returns the tool calls the key reported today and its daily quota.
+ */
+export async function GET(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.TELEMETRY_WRITE);
+    if (auth.error) return auth.error;
+
+    return NextResponse.json({
+      used: await getToolCallsToday(auth.apiKey.uuid),
+      quota: auth.apiKey.daily_tool_call_quota,
+    });
+  } catch (error) {
+    return handleApiError(error, 'Failed to fetch tool call usage');
+  }
+}
+
+/**
+ * Counts tool calls against the key's daily quota. Once the quota is used
+ * up the calls are refused with 429 until the next UTC day, and the proxy
+ * should not forward them.
+ */
+export async function POST(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.TELEMETRY_WRITE);
+    if (auth.error) return auth.error;
+
+    const { count } = await parseRequestBody(request, reportToolCallsSchema);
+    const usage = await recordToolCalls(
+      auth.apiKey.uuid,
+      count,
+      auth.apiKey.daily_tool_call_quota
+    );
+    if (!usage.allowed) {
+      return rateLimitedResponse(
+        `Daily quota of ${usage.quota} tool calls exceeded for this API key`,
+        usage.retryAfterSeconds
+      );
+    }
+
+    return NextResponse.json({ used: usage.used, quota: usage.quota });
+  } catch (error) {
+    return handleApiError(error, 'Failed to record tool calls');
+  }
+}
@@ -0,0 +1,24 @@
+import { getToolNamingReport } from '@/app/actions/tools';
+import { ApiKeyScope } from '@/db/schema';
+
+import { authenticateApiKey } from '../../auth';
+import { handleApiError } from '../../errors';
+import { jsonWithETag } from '../../etag';
+
+/**
+ * How the proxy should name the workspace's tools: each server's prefix
+ * (null to keep tool names as they are) joined to tool names with
+ * `separator`, and the names more than one server exposes, which go to the
+ * first server listed.
+ */
+export async function GET(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
+    if (auth.error) return auth.error;
+
+    const report = await getToolNamingReport(auth.activeProfile.uuid);
+    return jsonWithETag(request, report);
+  } catch (error) {
+    return handleApiError(error, 'Failed to fetch tool naming');
+  }
+}
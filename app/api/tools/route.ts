@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server';
+
+import { getMcpServers } from '@/app/actions/mcp-servers';
+import {
+  getProfileTools,
+  getRelevantProfileTools,
+  saveDiscoveredTools,
+} from '@/app/actions/tools';
+import { ApiKeyScope } from '@/db/schema';
+import { reportToolsSchema } from '@/lib/validation/tools';
+
+import { authenticateApiKey } from '../auth';
+import {
+  ApiError,
+  ApiErrorCode,
+  FieldErrors,
+  handleApiError,
+  parseRequestBody,
+} from '../errors';
+import { jsonWithETag } from '../etag';
+
+/**
+ * Lists the workspace's tools. With `?query=`, a hint of what the user is
+ * asking for, workspaces with query-relevant selection on return only the
+ * pinned tools and the ones most relevant to it.
+ */
+export async function GET(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.CONFIG_READ);
+    if (auth.error) return auth.error;
+
+    const query = new URL(request.url).searchParams.get('query')?.trim();
+    const tools = query
+      ? await getRelevantProfileTools(auth.activeProfile.uuid, query)
+      : await getProfileTools(auth.activeProfile.uuid);
+    return jsonWithETag(request, tools);
+  } catch (error) {
+    return handleApiError(error, 'Failed to fetch tools');
+  }
+}
+
+export async function POST(request: Request) {
+  try {
+    const auth = await authenticateApiKey(request, ApiKeyScope.TELEMETRY_WRITE);
+    if (auth.error) return auth.error;
+
+    const { tools } = await parseRequestBody(request, reportToolsSchema);
+
+    const profileServerUuids = new Set(
+      (await getMcpServers(auth.activeProfile.uuid)).map(
+        (server) => server.uuid
+      )
+    );
+    const fieldErrors: FieldErrors = {};
+    tools.forEach((tool, index) => {
+      if (!profileServerUuids.has(tool.mcp_server_uuid)) {
+        fieldErrors[`tools.${index}.mcp_server_uuid`] = [
+          'MCP server not found in the active profile',
+        ];
+      }
+    });
+    if (Object.keys(fieldErrors).length > 0) {
+      throw new ApiError(
+        400,
+        ApiErrorCode.VALIDATION_ERROR,
+        'Request validation failed',
+        fieldErrors
+      );
+    }
+
+    const savedTools = await saveDiscoveredTools(tools);
+    return NextResponse.json(savedTools);
+  } catch (error) {
+    return handleApiError(error, 'Failed to save tools');
+  }
+}
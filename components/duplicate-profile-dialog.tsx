@@ -0,0 +1,110 @@
+'use client';
+
+import { useState } from 'react';
+
+import { duplicateProfile } from '@/app/actions/profiles';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useProfiles } from '@/hooks/use-profiles';
+import { useProjects } from '@/hooks/use-projects';
+import { useToast } from '@/hooks/use-toast';
+
+export function DuplicateProfileDialog({
+  open,
+  onOpenChange,
+}: {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}) {
+  const { currentProject } = useProjects();
+  const { currentProfile, setCurrentProfile } = useProfiles();
+  const { toast } = useToast();
+  const [name, setName] = useState('');
+  const [isDuplicating, setIsDuplicating] = useState(false);
+
+  const defaultName = currentProfile ? `${currentProfile.name} (copy)` : '';
+
+  const handleOpenChange = (isOpen: boolean) => {
+    setName('');
+    onOpenChange(isOpen);
+  };
+
+  async function handleDuplicate() {
+    const profileName = (name || defaultName).trim();
+    if (!currentProject?.uuid || !currentProfile) return;
+    if (!profileName) {
+      toast({
+        title: 'Error',
+        description: 'Profile name cannot be empty',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setIsDuplicating(true);
+    try {
+      const { profile } = await duplicateProfile(
+        currentProject.uuid,
+        currentProfile.uuid,
+        profileName
+      );
+      // Switch to the copy the same way the workspace switcher does.
+      setCurrentProfile(profile);
+      window.location.reload();
+    } catch (error) {
+      console.error('Failed to duplicate workspace:', error);
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error
+            ? error.message
+            : 'Failed to duplicate workspace',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsDuplicating(false);
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Duplicate workspace</DialogTitle>
+          <DialogDescription>
+            Create a new workspace with a copy of every MCP server and custom
+            MCP server in {currentProfile?.name ?? 'this workspace'}.
+          </DialogDescription>
+        </DialogHeader>
+        <div className='space-y-2 py-2 pb-4'>
+          <Label htmlFor='duplicate-name'>Profile name</Label>
+          <Input
+            id='duplicate-name'
+            placeholder={defaultName}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </div>
+        <DialogFooter>
+          <Button variant='outline' onClick={() => handleOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            disabled={isDuplicating || !currentProfile}
+            onClick={handleDuplicate}>
+            {isDuplicating ? 'Duplicating...' : 'Duplicate'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
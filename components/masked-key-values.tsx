@@ -0,0 +1,70 @@
+'use client';
+
+import { Eye, EyeOff } from 'lucide-react';
+import { useState } from 'react';
+
+import { Button } from '@/components/ui/button';
+
+const MASK = '••••••••';
+
+/**
+ * Renders a key/value map (headers, env) with each value hidden until its
+ * reveal button is clicked.
+ */
+export function MaskedKeyValues({
+  values,
+  separator = '=',
+  emptyText,
+}: {
+  values: { [key: string]: string };
+  separator?: string;
+  emptyText: string;
+}) {
+  const [revealed, setRevealed] = useState<Set<string>>(new Set());
+  const entries = Object.entries(values);
+
+  if (entries.length === 0) {
+    return <pre className='mt-2 p-2 bg-secondary rounded-md'>{emptyText}</pre>;
+  }
+
+  const toggle = (key: string) => {
+    setRevealed((current) => {
+      const next = new Set(current);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div className='mt-2 p-2 bg-secondary rounded-md font-mono text-sm'>
+      {entries.map(([key, value]) => (
+        <div key={key} className='flex items-center justify-between gap-2'>
+          <span className='break-all'>
+            {key}
+            {separator}
+            {revealed.has(key) ? value : MASK}
+          </span>
+          <Button
+            type='button'
+            variant='ghost'
+            size='sm'
+            className='h-6 w-6 p-0 shrink-0'
+            onClick={() => toggle(key)}
+            title={revealed.has(key) ? 'Hide value' : 'Reveal value'}>
+            {revealed.has(key) ? (
+              <EyeOff className='h-3 w-3' />
+            ) : (
+              <Eye className='h-3 w-3' />
+            )}
+          </Button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default MaskedKeyValues;
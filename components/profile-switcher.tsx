@@ -1,9 +1,10 @@
 'use client';
 
-import { Check, ChevronsUpDown, PlusCircle } from 'lucide-react';
+import { Check, ChevronsUpDown, Copy, PlusCircle } from 'lucide-react';
 import * as React from 'react';
 
 import { createProfile, setProfileActive } from '@/app/actions/profiles';
+import { DuplicateProfileDialog } from '@/components/duplicate-profile-dialog';
 import { Button } from '@/components/ui/button';
 import {
   Command,
@@ -47,6 +48,8 @@ export function ProfileSwitcher() {
   const { toast } = useToast();
   const [open, setOpen] = React.useState(false);
   const [showNewProfileDialog, setShowNewProfileDialog] = React.useState(false);
+  const [showDuplicateProfileDialog, setShowDuplicateProfileDialog] =
+    React.useState(false);
   const [newProfileName, setNewProfileName] = React.useState('');
   const [isCreating, setIsCreating] = React.useState(false);
   const [isActivating, setIsActivating] = React.useState(false);
@@ -146,6 +149,15 @@ export function ProfileSwitcher() {
                     <PlusCircle className='mr-2 h-5 w-5' />
                     Create Workspace
                   </CommandItem>
+                  <CommandItem
+                    disabled={!currentProfile}
+                    onSelect={() => {
+                      setOpen(false);
+                      setShowDuplicateProfileDialog(true);
+                    }}>
+                    <Copy className='mr-2 h-5 w-5' />
+                    Duplicate Workspace
+                  </CommandItem>
                 </CommandGroup>
               </CommandList>
             </Command>
@@ -211,6 +223,10 @@ export function ProfileSwitcher() {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+      <DuplicateProfileDialog
+        open={showDuplicateProfileDialog}
+        onOpenChange={setShowDuplicateProfileDialog}
+      />
     </div>
   );
 }
@@ -8,12 +8,14 @@
 'use client';
 
 import React from 'react';
+
 import { Progress } from '../ui/progress';
 
 interface TokenBudgetIndicatorProps {
   tokenUsage: number;
   tokenBudget: number;
   showLabel?: boolean;
+  label?: string;
   colorThresholds?: {
     warning: number;  // Percentage at which to show warning color (default: 70)
     danger: number;   // Percentage at which to show danger color (default: 90)
@@ -28,6 +30,7 @@ export const TokenBudgetIndicator = ({
   tokenUsage,
   tokenBudget,
   showLabel = true,
+  label = 'Token usage:',
   colorThresholds = { warning: 70, danger: 90 }, 
   size = 'md'
 }: TokenBudgetIndicatorProps) => {
@@ -52,7 +55,7 @@ export const TokenBudgetIndicator = ({
     <div className="w-full">
       {showLabel && (
         <div className="flex justify-between text-xs text-gray-500 mb-1">
-          <span>Token usage:</span>
+          <span>{label}</span>
           <span>
             {tokenUsage.toLocaleString()} / {tokenBudget.toLocaleString()} 
             ({percentage}%)
@@ -61,7 +64,7 @@ export const TokenBudgetIndicator = ({
       )}
       <Progress 
         value={percentage} 
-        className={`${getHeight()} ${getColor()}`} 
+        className={getHeight()} 
         indicatorClassName={getColor()}
       />
     </div>
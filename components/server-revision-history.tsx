@@ -0,0 +1,201 @@
+'use client';
+
+import { History, RotateCcw } from 'lucide-react';
+import { useState } from 'react';
+
+import { MaskedKeyValues } from '@/components/masked-key-values';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/hooks/use-toast';
+import { compareRevisionConfigs, RevisionConfig } from '@/lib/revisions/config';
+import { ServerRevision } from '@/types/server-revision';
+
+export type RevisionField = {
+  field: string;
+  label: string;
+  /** Separator shown between the keys and values of a map field. */
+  separator?: string;
+  /** Turns a stored value into display text, e.g. a code uuid into its name. */
+  format?: (value: unknown) => string;
+};
+
+function RevisionValue({
+  value,
+  field,
+}: {
+  value: unknown;
+  field: RevisionField;
+}) {
+  if (field.format && value !== null) {
+    return <span className='whitespace-pre-wrap'>{field.format(value)}</span>;
+  }
+  if (Array.isArray(value)) {
+    return <span className='font-mono'>{value.join(' ') || '—'}</span>;
+  }
+  if (value && typeof value === 'object') {
+    return (
+      <MaskedKeyValues
+        values={value as { [key: string]: string }}
+        separator={field.separator}
+        emptyText='None'
+      />
+    );
+  }
+  return (
+    <span className='whitespace-pre-wrap break-all'>
+      {value === null || value === '' ? '—' : String(value)}
+    </span>
+  );
+}
+
+/**
+ * Lists the earlier configs of a server and shows the selected one side by
+ * side with the current config, with a button to restore it.
+ */
+export function ServerRevisionHistory({
+  revisions,
+  current,
+  fields,
+  onRestore,
+}: {
+  revisions: ServerRevision[] | undefined;
+  current: RevisionConfig;
+  fields: RevisionField[];
+  onRestore: (revisionUuid: string) => Promise<void>;
+}) {
+  const { toast } = useToast();
+  const [selectedUuid, setSelectedUuid] = useState<string | null>(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  if (!revisions) {
+    return <div>Loading...</div>;
+  }
+
+  if (revisions.length === 0) {
+    return (
+      <p className='text-sm text-muted-foreground'>
+        No earlier configs yet. Each time this server&apos;s config is edited,
+        the previous version is kept here.
+      </p>
+    );
+  }
+
+  // Show the most recent revision until the user picks one.
+  const selected =
+    revisions.find((revision) => revision.uuid === selectedUuid) ??
+    revisions[0];
+  const comparisons = compareRevisionConfigs(
+    selected.config as RevisionConfig,
+    current,
+    fields.map(({ field }) => field)
+  );
+  const changedCount = comparisons.filter(({ changed }) => changed).length;
+
+  const handleRestore = async () => {
+    if (
+      !confirm(
+        'Restore this config? The current config will be kept as a revision.'
+      )
+    ) {
+      return;
+    }
+    setIsRestoring(true);
+    try {
+      await onRestore(selected.uuid);
+      setSelectedUuid(null);
+      toast({
+        title: 'Success',
+        description: 'Config restored',
+      });
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error ? error.message : 'Failed to restore config',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <div className='grid grid-cols-1 md:grid-cols-[16rem_1fr] gap-6'>
+      <div className='space-y-1'>
+        {revisions.map((revision) => (
+          <button
+            key={revision.uuid}
+            type='button'
+            onClick={() => setSelectedUuid(revision.uuid)}
+            className={`w-full text-left p-2 rounded-md border text-sm ${
+              revision.uuid === selected.uuid
+                ? 'bg-secondary border-primary'
+                : 'hover:bg-gray-50'
+            }`}>
+            <div className='flex items-center gap-2'>
+              <History className='h-3 w-3 shrink-0' />
+              {new Date(revision.created_at).toLocaleString()}
+            </div>
+            <div className='text-xs text-muted-foreground'>
+              Replaced by {revision.created_by}
+            </div>
+          </button>
+        ))}
+      </div>
+
+      <div>
+        <div className='flex justify-between items-center mb-4'>
+          <p className='text-sm text-muted-foreground'>
+            {changedCount === 0
+              ? 'This revision matches the current config.'
+              : `${changedCount} field${changedCount !== 1 ? 's' : ''} differ from the current config.`}
+          </p>
+          <Button
+            variant='outline'
+            onClick={handleRestore}
+            disabled={isRestoring || changedCount === 0}>
+            <RotateCcw className='h-4 w-4 mr-2' />
+            {isRestoring ? 'Restoring...' : 'Restore'}
+          </Button>
+        </div>
+        <table className='w-full text-sm border border-gray-300'>
+          <thead>
+            <tr className='bg-gray-100 text-left'>
+              <th className='py-2 px-4 border-b w-40'>Field</th>
+              <th className='py-2 px-4 border-b'>
+                Revision ({new Date(selected.created_at).toLocaleString()})
+              </th>
+              <th className='py-2 px-4 border-b'>Current</th>
+            </tr>
+          </thead>
+          <tbody>
+            {comparisons.map((comparison, index) => (
+              <tr
+                key={comparison.field}
+                className={`align-top ${comparison.changed ? 'bg-yellow-50' : ''}`}>
+                <td className='py-2 px-4 border-b font-semibold'>
+                  {fields[index].label}
+                </td>
+                <td
+                  className={`py-2 px-4 border-b ${comparison.changed ? 'text-red-700' : ''}`}>
+                  <RevisionValue
+                    value={comparison.revision}
+                    field={fields[index]}
+                  />
+                </td>
+                <td
+                  className={`py-2 px-4 border-b ${comparison.changed ? 'text-green-700' : ''}`}>
+                  <RevisionValue
+                    value={comparison.current}
+                    field={fields[index]}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default ServerRevisionHistory;
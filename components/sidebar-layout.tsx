@@ -1,9 +1,12 @@
 'use client';
 
 import {
+  ClipboardList,
   Code2,
+  Inbox,
   Info,
   Key,
+  KeyRound,
   Plus,
   Search,
   Server,
@@ -117,6 +120,14 @@ export default function SidebarLayout({
                       </Link>
                     </SidebarMenuButton>
                   </SidebarMenuItem>
+                  <SidebarMenuItem>
+                    <SidebarMenuButton asChild>
+                      <Link href='/suggestions'>
+                        <Inbox className='mr-2 h-4 w-4' />
+                        <span>Suggestions</span>
+                      </Link>
+                    </SidebarMenuButton>
+                  </SidebarMenuItem>
                   {/* <SidebarMenuItem>
                     <SidebarMenuButton asChild>
                       <Link href='/custom-mcp-servers'>
@@ -141,6 +152,22 @@ export default function SidebarLayout({
                       </Link>
                     </SidebarMenuButton>
                   </SidebarMenuItem>
+                  <SidebarMenuItem>
+                    <SidebarMenuButton asChild>
+                      <Link href='/secrets'>
+                        <KeyRound className='mr-2 h-4 w-4' />
+                        <span>Secrets</span>
+                      </Link>
+                    </SidebarMenuButton>
+                  </SidebarMenuItem>
+                  <SidebarMenuItem>
+                    <SidebarMenuButton asChild>
+                      <Link href='/audit'>
+                        <ClipboardList className='mr-2 h-4 w-4' />
+                        <span>Audit Log</span>
+                      </Link>
+                    </SidebarMenuButton>
+                  </SidebarMenuItem>
                   <SidebarMenuItem>
                     <SidebarMenuButton asChild>
                       <Link href='/inspector-guide'>
@@ -0,0 +1,190 @@
+'use client';
+
+import { ArrowRightLeft } from 'lucide-react';
+import { useState } from 'react';
+
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { Label } from '@/components/ui/label';
+import { useProfiles } from '@/hooks/use-profiles';
+import { useToast } from '@/hooks/use-toast';
+
+export enum WorkspaceTransferMode {
+  COPY = 'copy',
+  MOVE = 'move',
+}
+
+export type WorkspaceTransfer = {
+  mode: WorkspaceTransferMode;
+  uuids: string[];
+};
+
+/**
+ * "Copy to…" / "Move to…" menu for a single server or a selection of servers.
+ */
+export function WorkspaceTransferMenu({
+  uuids,
+  onSelect,
+  label,
+}: {
+  uuids: string[];
+  onSelect: (transfer: WorkspaceTransfer) => void;
+  label?: string;
+}) {
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button
+          variant='outline'
+          size='sm'
+          disabled={uuids.length === 0}
+          aria-label='Copy or move to workspace'>
+          <ArrowRightLeft size={16} />
+          {label}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align='end'>
+        <DropdownMenuItem
+          onSelect={() =>
+            onSelect({ mode: WorkspaceTransferMode.COPY, uuids })
+          }>
+          Copy to…
+        </DropdownMenuItem>
+        <DropdownMenuItem
+          onSelect={() =>
+            onSelect({ mode: WorkspaceTransferMode.MOVE, uuids })
+          }>
+          Move to…
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
+
+export function WorkspaceTransferDialog({
+  transfer,
+  onClose,
+  onTransfer,
+}: {
+  transfer: WorkspaceTransfer | null;
+  onClose: () => void;
+  /** Copies or moves the servers and resolves to the number transferred. */
+  onTransfer: (
+    transfer: WorkspaceTransfer,
+    targetProfileUuid: string
+  ) => Promise<number>;
+}) {
+  const { profiles, currentProfile } = useProfiles();
+  const { toast } = useToast();
+  const [targetProfileUuid, setTargetProfileUuid] = useState('');
+  const [isTransferring, setIsTransferring] = useState(false);
+
+  const targetProfiles = profiles.filter(
+    (profile) => profile.uuid !== currentProfile?.uuid
+  );
+
+  // Preselect the first other workspace until the user picks one.
+  const selectedProfileUuid = targetProfileUuid || targetProfiles[0]?.uuid;
+
+  const isMove = transfer?.mode === WorkspaceTransferMode.MOVE;
+  const count = transfer?.uuids.length ?? 0;
+  const serverLabel = `${count} server${count !== 1 ? 's' : ''}`;
+
+  const handleTransfer = async () => {
+    if (!transfer || !selectedProfileUuid) return;
+    setIsTransferring(true);
+    try {
+      const transferred = await onTransfer(transfer, selectedProfileUuid);
+      const target = targetProfiles.find(
+        (profile) => profile.uuid === selectedProfileUuid
+      );
+      toast({
+        title: 'Success',
+        description: `${isMove ? 'Moved' : 'Copied'} ${transferred} server${transferred !== 1 ? 's' : ''} to ${target?.name}`,
+      });
+      handleClose();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description:
+          error instanceof Error
+            ? error.message
+            : `Failed to ${isMove ? 'move' : 'copy'} servers`,
+        variant: 'destructive',
+      });
+    } finally {
+      setIsTransferring(false);
+    }
+  };
+
+  const handleClose = () => {
+    setTargetProfileUuid('');
+    onClose();
+  };
+
+  return (
+    <Dialog open={!!transfer} onOpenChange={(open) => !open && handleClose()}>
+      <DialogContent className='sm:max-w-[425px]'>
+        <DialogHeader>
+          <DialogTitle>
+            {isMove ? 'Move' : 'Copy'} {serverLabel} to workspace
+          </DialogTitle>
+          <DialogDescription>
+            {isMove
+              ? 'The servers will be removed from this workspace.'
+              : 'The servers will stay in this workspace as well.'}
+          </DialogDescription>
+        </DialogHeader>
+        {targetProfiles.length === 0 ? (
+          <p className='text-sm text-muted-foreground'>
+            This project has no other workspace yet.
+          </p>
+        ) : (
+          <div className='space-y-2'>
+            <Label htmlFor='transfer-target'>Workspace</Label>
+            <select
+              id='transfer-target'
+              className='w-full p-2 border rounded-md'
+              value={selectedProfileUuid}
+              onChange={(e) => setTargetProfileUuid(e.target.value)}>
+              {targetProfiles.map((profile) => (
+                <option key={profile.uuid} value={profile.uuid}>
+                  {profile.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        <DialogFooter>
+          <Button variant='outline' onClick={handleClose}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleTransfer}
+            disabled={isTransferring || !selectedProfileUuid}>
+            {isTransferring
+              ? isMove
+                ? 'Moving...'
+                : 'Copying...'
+              : isMove
+                ? 'Move'
+                : 'Copy'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
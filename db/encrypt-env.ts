@@ -0,0 +1,88 @@
+/**
+ * Encrypt Existing Env Values
+ *
+ * One-shot migration that encrypts env (and header) values stored in
+ * plaintext before envelope encryption was introduced. Rows that are already
+ * fully encrypted are skipped, so it is safe to run more than once.
+ *
+ * Usage: pnpm db:encrypt-env (requires DATABASE_URL and ENCRYPTION_MASTER_KEY)
+ */
+
+import { eq } from 'drizzle-orm';
+
+import {
+  encryptStoredValues,
+  hasPlaintextValues,
+} from '../lib/crypto/envelope';
+import { db } from './index';
+import { customMcpServersTable, mcpServersTable } from './schema';
+
+type Transaction = Parameters<Parameters<typeof db.transaction>[0]>[0];
+
+async function encryptMcpServers(tx: Transaction): Promise<number> {
+  const servers = await tx
+    .select({
+      uuid: mcpServersTable.uuid,
+      env: mcpServersTable.env,
+      headers: mcpServersTable.headers,
+    })
+    .from(mcpServersTable);
+
+  let updated = 0;
+  for (const server of servers) {
+    if (
+      !hasPlaintextValues(server.env) &&
+      !hasPlaintextValues(server.headers)
+    ) {
+      continue;
+    }
+    await tx
+      .update(mcpServersTable)
+      .set({
+        env: encryptStoredValues(server.env),
+        headers: encryptStoredValues(server.headers),
+      })
+      .where(eq(mcpServersTable.uuid, server.uuid));
+    updated++;
+  }
+  return updated;
+}
+
+async function encryptCustomMcpServers(tx: Transaction): Promise<number> {
+  const servers = await tx
+    .select({
+      uuid: customMcpServersTable.uuid,
+      env: customMcpServersTable.env,
+    })
+    .from(customMcpServersTable);
+
+  let updated = 0;
+  for (const server of servers) {
+    if (!hasPlaintextValues(server.env)) {
+      continue;
+    }
+    await tx
+      .update(customMcpServersTable)
+      .set({ env: encryptStoredValues(server.env) })
+      .where(eq(customMcpServersTable.uuid, server.uuid));
+    updated++;
+  }
+  return updated;
+}
+
+async function main() {
+  await db.transaction(async (tx) => {
+    const mcpServers = await encryptMcpServers(tx);
+    const customMcpServers = await encryptCustomMcpServers(tx);
+    console.log(
+      `Encrypted env values for ${mcpServers} MCP servers and ${customMcpServers} custom MCP servers`
+    );
+  });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Failed to encrypt env values:', error);
+    process.exit(1);
+  });
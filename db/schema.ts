@@ -1,12 +1,19 @@
 import { sql } from 'drizzle-orm';
 import {
   AnyPgColumn,
+  boolean,
+  date,
+  doublePrecision,
   index,
+  integer,
   jsonb,
   pgEnum,
   pgTable,
+  real,
   text,
   timestamp,
+  unique,
+  uniqueIndex,
   uuid,
 } from 'drizzle-orm/pg-core';
 
@@ -22,8 +29,62 @@ export enum McpServerStatus {
 export enum McpServerType {
   STDIO = 'STDIO',
   SSE = 'SSE',
+  STREAMABLE_HTTP = 'STREAMABLE_HTTP',
 }
 
+export enum ToggleStatus {
+  ACTIVE = 'ACTIVE',
+  INACTIVE = 'INACTIVE',
+}
+
+export enum ToolNamingPolicy {
+  RAW = 'raw',
+  SERVER_PREFIX = 'server_prefix',
+  CUSTOM_PREFIX = 'custom_prefix',
+}
+
+export enum ApiKeyScope {
+  CONFIG_READ = 'config:read',
+  CONFIG_WRITE = 'config:write',
+  TELEMETRY_WRITE = 'telemetry:write',
+}
+
+export enum AuditActorType {
+  GUI = 'gui',
+  API_KEY = 'api_key',
+}
+
+export enum AuditEntityType {
+  MCP_SERVER = 'mcp_server',
+  CUSTOM_MCP_SERVER = 'custom_mcp_server',
+  TOOL = 'tool',
+  API_KEY = 'api_key',
+  PROFILE = 'profile',
+  PROJECT = 'project',
+  CODE = 'code',
+  SECRET = 'secret',
+}
+
+export enum AuditAction {
+  CREATE = 'create',
+  UPDATE = 'update',
+  DELETE = 'delete',
+}
+
+export type McpServerHealthCheck = {
+  ok: boolean;
+  checked_at: string;
+  latency_ms: number;
+  protocol_version?: string;
+  server_info?: { name: string; version: string };
+  capabilities?: { [key: string]: unknown };
+  tool_count?: number;
+  prompt_count?: number;
+  resource_count?: number;
+  stderr?: string;
+  error?: string;
+};
+
 export const mcpServerStatusEnum = pgEnum(
   'mcp_server_status',
   enumToPgEnum(McpServerStatus)
@@ -34,6 +95,36 @@ export const mcpServerTypeEnum = pgEnum(
   enumToPgEnum(McpServerType)
 );
 
+export const toggleStatusEnum = pgEnum(
+  'toggle_status',
+  enumToPgEnum(ToggleStatus)
+);
+
+export const toolNamingPolicyEnum = pgEnum(
+  'tool_naming_policy',
+  enumToPgEnum(ToolNamingPolicy)
+);
+
+export const apiKeyScopeEnum = pgEnum(
+  'api_key_scope',
+  enumToPgEnum(ApiKeyScope)
+);
+
+export const auditActorTypeEnum = pgEnum(
+  'audit_actor_type',
+  enumToPgEnum(AuditActorType)
+);
+
+export const auditEntityTypeEnum = pgEnum(
+  'audit_entity_type',
+  enumToPgEnum(AuditEntityType)
+);
+
+export const auditActionEnum = pgEnum(
+  'audit_action',
+  enumToPgEnum(AuditAction)
+);
+
 export const projectsTable = pgTable('projects', {
   uuid: uuid('uuid').primaryKey().defaultRandom(),
   name: text('name').notNull(),
@@ -55,6 +146,26 @@ export const profilesTable = pgTable(
     project_uuid: uuid('project_uuid')
       .notNull()
       .references(() => projectsTable.uuid),
+    // Requests per minute shared by all API keys using the workspace; null
+    // uses PROFILE_RATE_LIMIT_PER_MINUTE and 0 disables the limit.
+    rate_limit_per_minute: integer('rate_limit_per_minute'),
+    // How tools are named when the workspace's servers are aggregated.
+    tool_naming_policy: toolNamingPolicyEnum('tool_naming_policy')
+      .notNull()
+      .default(ToolNamingPolicy.RAW),
+    // Server uuid to the prefix its tools get under the custom prefix policy.
+    tool_prefixes: jsonb('tool_prefixes')
+      .$type<{ [serverUuid: string]: string }>()
+      .notNull()
+      .default(sql`'{}'::jsonb`),
+    // Tokens the workspace's tool list may take up before the MCP Servers
+    // page warns about it.
+    tool_token_warning_threshold: integer('tool_token_warning_threshold')
+      .notNull()
+      .default(10000),
+    // Tools returned for a query from the proxy, besides pinned ones; null
+    // turns query-relevant tool selection off and returns every tool.
+    tool_rag_top_k: integer('tool_rag_top_k'),
     created_at: timestamp('created_at', { withTimezone: true })
       .notNull()
       .defaultNow(),
@@ -69,13 +180,61 @@ export const apiKeysTable = pgTable(
     project_uuid: uuid('project_uuid')
       .notNull()
       .references(() => projectsTable.uuid),
-    api_key: text('api_key').notNull(),
+    key_hash: text('key_hash').notNull(),
+    key_prefix: text('key_prefix').notNull(),
     name: text('name').default('API Key'),
+    // Keys bound to a workspace are deleted with it rather than falling back
+    // to the project's active workspace.
+    profile_uuid: uuid('profile_uuid').references(() => profilesTable.uuid, {
+      onDelete: 'cascade',
+    }),
+    scopes: apiKeyScopeEnum('scopes')
+      .array()
+      .notNull()
+      .default(
+        sql`'{config:read,config:write,telemetry:write}'::api_key_scope[]`
+      ),
+    expires_at: timestamp('expires_at', { withTimezone: true }),
+    last_used_at: timestamp('last_used_at', { withTimezone: true }),
+    last_used_ip: text('last_used_ip'),
+    // Null uses API_KEY_RATE_LIMIT_PER_MINUTE; 0 disables the limit.
+    rate_limit_per_minute: integer('rate_limit_per_minute'),
+    // Tool calls the key may report per UTC day; null means no quota.
+    daily_tool_call_quota: integer('daily_tool_call_quota'),
     created_at: timestamp('created_at', { withTimezone: true })
       .notNull()
       .defaultNow(),
   },
-  (table) => [index('api_keys_project_uuid_idx').on(table.project_uuid)]
+  (table) => [
+    index('api_keys_project_uuid_idx').on(table.project_uuid),
+    unique('api_keys_key_hash_unique').on(table.key_hash),
+  ]
+);
+
+// Values are encrypted like server env values. Servers reference a secret by
+// name as ${secrets.NAME} in their env, args and headers.
+export const secretsTable = pgTable(
+  'secrets',
+  {
+    uuid: uuid('uuid').primaryKey().defaultRandom(),
+    project_uuid: uuid('project_uuid')
+      .notNull()
+      .references(() => projectsTable.uuid, { onDelete: 'cascade' }),
+    name: text('name').notNull(),
+    value: text('value').notNull(),
+    created_at: timestamp('created_at', { withTimezone: true })
+      .notNull()
+      .defaultNow(),
+    updated_at: timestamp('updated_at', { withTimezone: true })
+      .notNull()
+      .defaultNow(),
+  },
+  (table) => [
+    unique('secrets_project_uuid_name_unique').on(
+      table.project_uuid,
+      table.name
+    ),
+  ]
 );
 
 export const mcpServersTable = pgTable(
@@ -95,6 +254,10 @@ export const mcpServersTable = pgTable(
       .notNull()
       .default(sql`'{}'::jsonb`),
     url: text('url'),
+    headers: jsonb('headers')
+      .$type<{ [key: string]: string }>()
+      .notNull()
+      .default(sql`'{}'::jsonb`),
     created_at: timestamp('created_at', { withTimezone: true })
       .notNull()
       .defaultNow(),
@@ -104,18 +267,83 @@ export const mcpServersTable = pgTable(
     status: mcpServerStatusEnum('status')
       .notNull()
       .default(McpServerStatus.ACTIVE),
+    last_health_check: jsonb('last_health_check').$type<McpServerHealthCheck>(),
+    // Set for servers proposed through /api/mcp-servers/suggestions.
+    suggestion_source: text('suggestion_source'),
+    suggestion_reason: text('suggestion_reason'),
+    // Hash of what a suggested server runs; see lib/mcp/suggestions.
+    suggestion_fingerprint: text('suggestion_fingerprint'),
   },
   (table) => [
     index('mcp_servers_status_idx').on(table.status),
     index('mcp_servers_profile_uuid_idx').on(table.profile_uuid),
     index('mcp_servers_type_idx').on(table.type),
+    // At most one pending suggestion per server config in a workspace, even
+    // when the same server is proposed concurrently.
+    uniqueIndex('mcp_servers_pending_suggestion_idx')
+      .on(table.profile_uuid, table.suggestion_fingerprint)
+      .where(sql`${table.status} = 'SUGGESTED'`),
     sql`CONSTRAINT mcp_servers_url_check CHECK (
-      (type = 'SSE' AND url IS NOT NULL AND command IS NULL AND url ~ '^https?://[a-zA-Z0-9-]+(\.[a-zA-Z0-9-]+)*(:[0-9]+)?(/[a-zA-Z0-9-._~:/?#\[\]@!$&''()*+,;=]*)?$') OR
+      (type::text IN ('SSE', 'STREAMABLE_HTTP') AND url IS NOT NULL AND command IS NULL AND url ~ '^https?://[a-zA-Z0-9-]+(\.[a-zA-Z0-9-]+)*(:[0-9]+)?(/[a-zA-Z0-9-._~:/?#\[\]@!$&''()*+,;=]*)?$') OR
       (type = 'STDIO' AND url IS NULL AND command IS NOT NULL)
     )`,
   ]
 );
 
+export const toolsTable = pgTable(
+  'tools',
+  {
+    uuid: uuid('uuid').primaryKey().defaultRandom(),
+    name: text('name').notNull(),
+    description: text('description'),
+    toolSchema: jsonb('tool_schema')
+      .$type<{
+        type: 'object';
+        properties?: Record<string, any>;
+        required?: string[];
+      }>()
+      .notNull(),
+    created_at: timestamp('created_at', { withTimezone: true })
+      .notNull()
+      .defaultNow(),
+    mcp_server_uuid: uuid('mcp_server_uuid')
+      .notNull()
+      .references(() => mcpServersTable.uuid, { onDelete: 'cascade' }),
+    status: toggleStatusEnum('status').notNull().default(ToggleStatus.ACTIVE),
+    // Exposed in place of what the server reports, to shorten definitions
+    // that cost too many tokens; null keeps the server's own.
+    name_override: text('name_override'),
+    description_override: text('description_override'),
+    parameter_description_overrides: jsonb('parameter_description_overrides')
+      .$type<{ [parameter: string]: string }>()
+      .notNull()
+      .default(sql`'{}'::jsonb`),
+    // Always returned when tools are selected for a query.
+    pinned: boolean('pinned').notNull().default(false),
+  },
+  (table) => [
+    index('tools_mcp_server_uuid_idx').on(table.mcp_server_uuid),
+    unique('tools_unique_tool_name_per_server_idx').on(
+      table.mcp_server_uuid,
+      table.name
+    ),
+  ]
+);
+
+// Embeddings of exposed tool names and descriptions, kept until the text
+// or the model changes.
+export const toolEmbeddingsTable = pgTable('tool_embeddings', {
+  tool_uuid: uuid('tool_uuid')
+    .primaryKey()
+    .references(() => toolsTable.uuid, { onDelete: 'cascade' }),
+  model: text('model').notNull(),
+  content_hash: text('content_hash').notNull(),
+  embedding: real('embedding').array().notNull(),
+  created_at: timestamp('created_at', { withTimezone: true })
+    .notNull()
+    .defaultNow(),
+});
+
 export const codesTable = pgTable('codes', {
   uuid: uuid('uuid').primaryKey().defaultRandom(),
   fileName: text('file_name').notNull(),
@@ -157,3 +385,162 @@ export const customMcpServersTable = pgTable(
     index('custom_mcp_servers_profile_uuid_idx').on(table.profile_uuid),
   ]
 );
+
+// Audit events outlive the entities they describe, so none of the uuid
+// columns reference other tables.
+export const auditEventsTable = pgTable(
+  'audit_events',
+  {
+    uuid: uuid('uuid').primaryKey().defaultRandom(),
+    project_uuid: uuid('project_uuid'),
+    profile_uuid: uuid('profile_uuid'),
+    actor_type: auditActorTypeEnum('actor_type').notNull(),
+    actor_uuid: uuid('actor_uuid'),
+    actor_name: text('actor_name').notNull(),
+    entity_type: auditEntityTypeEnum('entity_type').notNull(),
+    entity_uuid: uuid('entity_uuid'),
+    entity_name: text('entity_name'),
+    action: auditActionEnum('action').notNull(),
+    before: jsonb('before').$type<{ [key: string]: unknown }>(),
+    after: jsonb('after').$type<{ [key: string]: unknown }>(),
+    created_at: timestamp('created_at', { withTimezone: true })
+      .notNull()
+      .defaultNow(),
+  },
+  (table) => [
+    index('audit_events_project_uuid_created_at_idx').on(
+      table.project_uuid,
+      table.created_at
+    ),
+    index('audit_events_entity_idx').on(table.entity_type, table.entity_uuid),
+  ]
+);
+
+// Each revision holds the config a server had before one of its updates, with
+// env and header values encrypted as they were stored. Exactly one of the two
+// server columns is set.
+export const serverRevisionsTable = pgTable(
+  'server_revisions',
+  {
+    uuid: uuid('uuid').primaryKey().defaultRandom(),
+    mcp_server_uuid: uuid('mcp_server_uuid').references(
+      () => mcpServersTable.uuid,
+      { onDelete: 'cascade' }
+    ),
+    custom_mcp_server_uuid: uuid('custom_mcp_server_uuid').references(
+      () => customMcpServersTable.uuid,
+      { onDelete: 'cascade' }
+    ),
+    config: jsonb('config').$type<{ [key: string]: unknown }>().notNull(),
+    created_by: text('created_by').notNull(),
+    created_at: timestamp('created_at', { withTimezone: true })
+      .notNull()
+      .defaultNow(),
+  },
+  (table) => [
+    index('server_revisions_mcp_server_uuid_idx').on(
+      table.mcp_server_uuid,
+      table.created_at
+    ),
+    index('server_revisions_custom_mcp_server_uuid_idx').on(
+      table.custom_mcp_server_uuid,
+      table.created_at
+    ),
+    sql`CONSTRAINT server_revisions_server_check CHECK (
+      (mcp_server_uuid IS NULL) <> (custom_mcp_server_uuid IS NULL)
+    )`,
+  ]
+);
+
+// A value a catalog server needs before it can be installed: an env variable,
+// or a {{NAME}} placeholder in its args.
+export type CatalogRecipeParam = {
+  name: string;
+  description: string | null;
+  required: boolean;
+  /** Regular expression the value must match. */
+  pattern: string | null;
+  default: string | null;
+};
+
+export type CatalogInstallRecipe = {
+  env: CatalogRecipeParam[];
+  args: CatalogRecipeParam[];
+};
+
+// Local copy of the server catalog behind the Search page, so it works
+// without reaching an external search service. Seeded from
+// lib/catalog/server-catalog.json and refreshed by catalog imports.
+export const catalogServersTable = pgTable(
+  'catalog_servers',
+  {
+    uuid: uuid('uuid').primaryKey().defaultRandom(),
+    key: text('key').notNull(),
+    name: text('name').notNull(),
+    description: text('description').notNull().default(''),
+    category: text('category').notNull(),
+    github_url: text('github_url'),
+    package_name: text('package_name'),
+    command: text('command').notNull(),
+    args: text('args')
+      .array()
+      .notNull()
+      .default(sql`'{}'::text[]`),
+    envs: text('envs')
+      .array()
+      .notNull()
+      .default(sql`'{}'::text[]`),
+    recipe: jsonb('recipe')
+      .$type<CatalogInstallRecipe>()
+      .notNull()
+      .default(sql`'{"env": [], "args": []}'::jsonb`),
+    created_at: timestamp('created_at', { withTimezone: true })
+      .notNull()
+      .defaultNow(),
+    updated_at: timestamp('updated_at', { withTimezone: true })
+      .notNull()
+      .defaultNow(),
+    // Set when an import in replace mode drops the entry. The row is kept so
+    // syncing the bundled catalog does not bring the entry back.
+    removed_at: timestamp('removed_at', { withTimezone: true }),
+  },
+  (table) => [
+    unique('catalog_servers_key_unique').on(table.key),
+    index('catalog_servers_category_idx').on(table.category),
+    index('catalog_servers_search_idx').using(
+      'gin',
+      sql`to_tsvector('english', ${table.name} || ' ' || ${table.description} || ' ' || coalesce(${table.package_name}, ''))`
+    ),
+  ]
+);
+
+// Token buckets behind the /api rate limits, keyed by what they limit, e.g.
+// "api_key:<uuid>". Kept in Postgres so limits hold across app instances
+// without another service.
+export const rateLimitBucketsTable = pgTable('rate_limit_buckets', {
+  key: text('key').primaryKey(),
+  tokens: doublePrecision('tokens').notNull(),
+  updated_at: timestamp('updated_at', { withTimezone: true })
+    .notNull()
+    .defaultNow(),
+});
+
+// Tool calls reported per API key and UTC day, checked against
+// api_keys.daily_tool_call_quota.
+export const apiKeyUsageTable = pgTable(
+  'api_key_usage',
+  {
+    uuid: uuid('uuid').primaryKey().defaultRandom(),
+    api_key_uuid: uuid('api_key_uuid')
+      .notNull()
+      .references(() => apiKeysTable.uuid, { onDelete: 'cascade' }),
+    day: date('day').notNull(),
+    tool_calls: integer('tool_calls').notNull().default(0),
+  },
+  (table) => [
+    unique('api_key_usage_api_key_uuid_day_unique').on(
+      table.api_key_uuid,
+      table.day
+    ),
+  ]
+);
@@ -0,0 +1 @@
+ALTER TABLE "mcp_servers" ADD COLUMN "last_health_check" jsonb;
\ No newline at end of file
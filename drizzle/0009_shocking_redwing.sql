@@ -0,0 +1,6 @@
+ALTER TYPE "public"."mcp_server_type" ADD VALUE 'STREAMABLE_HTTP';--> statement-breakpoint
+ALTER TABLE "mcp_servers" DROP CONSTRAINT IF EXISTS "mcp_servers_url_check";--> statement-breakpoint
+ALTER TABLE "mcp_servers" ADD CONSTRAINT "mcp_servers_url_check" CHECK (
+  (type::text IN ('SSE', 'STREAMABLE_HTTP') AND url IS NOT NULL AND command IS NULL AND url ~ '^https?://[a-zA-Z0-9-]+(\.[a-zA-Z0-9-]+)*(:[0-9]+)?(/[a-zA-Z0-9-._~:/?#\[\]@!$&''()*+,;=]*)?$') OR
+  (type = 'STDIO' AND url IS NULL AND command IS NOT NULL)
+);
@@ -0,0 +1 @@
+ALTER TABLE "mcp_servers" ADD COLUMN "headers" jsonb DEFAULT '{}'::jsonb NOT NULL;
\ No newline at end of file
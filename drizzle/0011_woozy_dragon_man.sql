@@ -0,0 +1,11 @@
+CREATE TYPE "public"."api_key_scope" AS ENUM('config:read', 'config:write', 'telemetry:write');--> statement-breakpoint
+ALTER TABLE "api_keys" ADD COLUMN "key_hash" text;--> statement-breakpoint
+ALTER TABLE "api_keys" ADD COLUMN "key_prefix" text;--> statement-breakpoint
+UPDATE "api_keys" SET "key_hash" = encode(sha256(convert_to("api_key", 'UTF8')), 'hex'), "key_prefix" = left("api_key", 10);--> statement-breakpoint
+ALTER TABLE "api_keys" ALTER COLUMN "key_hash" SET NOT NULL;--> statement-breakpoint
+ALTER TABLE "api_keys" ALTER COLUMN "key_prefix" SET NOT NULL;--> statement-breakpoint
+ALTER TABLE "api_keys" ADD COLUMN "scopes" "api_key_scope"[] DEFAULT '{config:read,config:write,telemetry:write}'::api_key_scope[] NOT NULL;--> statement-breakpoint
+ALTER TABLE "api_keys" ADD COLUMN "expires_at" timestamp with time zone;--> statement-breakpoint
+ALTER TABLE "api_keys" ADD COLUMN "last_used_at" timestamp with time zone;--> statement-breakpoint
+ALTER TABLE "api_keys" ADD COLUMN "last_used_ip" text;--> statement-breakpoint
+ALTER TABLE "api_keys" ADD CONSTRAINT "api_keys_key_hash_unique" UNIQUE("key_hash");
\ No newline at end of file
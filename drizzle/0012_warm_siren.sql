@@ -0,0 +1 @@
+ALTER TABLE "api_keys" DROP COLUMN "api_key";
\ No newline at end of file
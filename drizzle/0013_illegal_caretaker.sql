@@ -0,0 +1,2 @@
+ALTER TABLE "api_keys" ADD COLUMN "profile_uuid" uuid;--> statement-breakpoint
+ALTER TABLE "api_keys" ADD CONSTRAINT "api_keys_profile_uuid_profiles_uuid_fk" FOREIGN KEY ("profile_uuid") REFERENCES "public"."profiles"("uuid") ON DELETE set null ON UPDATE no action;
\ No newline at end of file
@@ -0,0 +1,21 @@
+CREATE TYPE "public"."audit_action" AS ENUM('create', 'update', 'delete');--> statement-breakpoint
+CREATE TYPE "public"."audit_actor_type" AS ENUM('gui', 'api_key');--> statement-breakpoint
+CREATE TYPE "public"."audit_entity_type" AS ENUM('mcp_server', 'custom_mcp_server', 'tool', 'api_key', 'profile', 'project', 'code');--> statement-breakpoint
+CREATE TABLE "audit_events" (
+	"uuid" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"project_uuid" uuid,
+	"profile_uuid" uuid,
+	"actor_type" "audit_actor_type" NOT NULL,
+	"actor_uuid" uuid,
+	"actor_name" text NOT NULL,
+	"entity_type" "audit_entity_type" NOT NULL,
+	"entity_uuid" uuid,
+	"entity_name" text,
+	"action" "audit_action" NOT NULL,
+	"before" jsonb,
+	"after" jsonb,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX "audit_events_project_uuid_created_at_idx" ON "audit_events" USING btree ("project_uuid","created_at");--> statement-breakpoint
+CREATE INDEX "audit_events_entity_idx" ON "audit_events" USING btree ("entity_type","entity_uuid");
\ No newline at end of file
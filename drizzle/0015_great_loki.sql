@@ -0,0 +1,16 @@
+CREATE TABLE "server_revisions" (
+	"uuid" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"mcp_server_uuid" uuid,
+	"custom_mcp_server_uuid" uuid,
+	"config" jsonb NOT NULL,
+	"created_by" text NOT NULL,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "server_revisions" ADD CONSTRAINT "server_revisions_mcp_server_uuid_mcp_servers_uuid_fk" FOREIGN KEY ("mcp_server_uuid") REFERENCES "public"."mcp_servers"("uuid") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "server_revisions" ADD CONSTRAINT "server_revisions_custom_mcp_server_uuid_custom_mcp_servers_uuid_fk" FOREIGN KEY ("custom_mcp_server_uuid") REFERENCES "public"."custom_mcp_servers"("uuid") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "server_revisions_mcp_server_uuid_idx" ON "server_revisions" USING btree ("mcp_server_uuid","created_at");--> statement-breakpoint
+CREATE INDEX "server_revisions_custom_mcp_server_uuid_idx" ON "server_revisions" USING btree ("custom_mcp_server_uuid","created_at");--> statement-breakpoint
+ALTER TABLE "server_revisions" ADD CONSTRAINT "server_revisions_server_check" CHECK (
+  ("mcp_server_uuid" IS NULL) <> ("custom_mcp_server_uuid" IS NULL)
+);
\ No newline at end of file
@@ -0,0 +1,12 @@
+ALTER TYPE "public"."audit_entity_type" ADD VALUE 'secret';--> statement-breakpoint
+CREATE TABLE "secrets" (
+	"uuid" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"project_uuid" uuid NOT NULL,
+	"name" text NOT NULL,
+	"value" text NOT NULL,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now() NOT NULL,
+	CONSTRAINT "secrets_project_uuid_name_unique" UNIQUE("project_uuid","name")
+);
+--> statement-breakpoint
+ALTER TABLE "secrets" ADD CONSTRAINT "secrets_project_uuid_projects_uuid_fk" FOREIGN KEY ("project_uuid") REFERENCES "public"."projects"("uuid") ON DELETE cascade ON UPDATE no action;
\ No newline at end of file
@@ -0,0 +1,18 @@
+CREATE TABLE "catalog_servers" (
+	"uuid" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"key" text NOT NULL,
+	"name" text NOT NULL,
+	"description" text DEFAULT '' NOT NULL,
+	"category" text NOT NULL,
+	"github_url" text,
+	"package_name" text,
+	"command" text NOT NULL,
+	"args" text[] DEFAULT '{}'::text[] NOT NULL,
+	"envs" text[] DEFAULT '{}'::text[] NOT NULL,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now() NOT NULL,
+	CONSTRAINT "catalog_servers_key_unique" UNIQUE("key")
+);
+--> statement-breakpoint
+CREATE INDEX "catalog_servers_category_idx" ON "catalog_servers" USING btree ("category");--> statement-breakpoint
+CREATE INDEX "catalog_servers_search_idx" ON "catalog_servers" USING gin (to_tsvector('english', "name" || ' ' || "description" || ' ' || coalesce("package_name", '')));
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "catalog_servers" ADD COLUMN "recipe" jsonb DEFAULT '{"env": [], "args": []}'::jsonb NOT NULL;
\ No newline at end of file
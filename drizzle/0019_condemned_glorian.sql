@@ -0,0 +1,2 @@
+ALTER TABLE "mcp_servers" ADD COLUMN "suggestion_source" text;--> statement-breakpoint
+ALTER TABLE "mcp_servers" ADD COLUMN "suggestion_reason" text;
\ No newline at end of file
@@ -0,0 +1,18 @@
+CREATE TABLE "api_key_usage" (
+	"uuid" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"api_key_uuid" uuid NOT NULL,
+	"day" date NOT NULL,
+	"tool_calls" integer DEFAULT 0 NOT NULL,
+	CONSTRAINT "api_key_usage_api_key_uuid_day_unique" UNIQUE("api_key_uuid","day")
+);
+--> statement-breakpoint
+CREATE TABLE "rate_limit_buckets" (
+	"key" text PRIMARY KEY NOT NULL,
+	"tokens" double precision NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "api_keys" ADD COLUMN "rate_limit_per_minute" integer;--> statement-breakpoint
+ALTER TABLE "api_keys" ADD COLUMN "daily_tool_call_quota" integer;--> statement-breakpoint
+ALTER TABLE "profiles" ADD COLUMN "rate_limit_per_minute" integer;--> statement-breakpoint
+ALTER TABLE "api_key_usage" ADD CONSTRAINT "api_key_usage_api_key_uuid_api_keys_uuid_fk" FOREIGN KEY ("api_key_uuid") REFERENCES "public"."api_keys"("uuid") ON DELETE cascade ON UPDATE no action;
\ No newline at end of file
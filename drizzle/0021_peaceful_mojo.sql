@@ -0,0 +1,3 @@
+CREATE TYPE "public"."tool_naming_policy" AS ENUM('raw', 'server_prefix', 'custom_prefix');--> statement-breakpoint
+ALTER TABLE "profiles" ADD COLUMN "tool_naming_policy" "tool_naming_policy" DEFAULT 'raw' NOT NULL;--> statement-breakpoint
+ALTER TABLE "profiles" ADD COLUMN "tool_prefixes" jsonb DEFAULT '{}'::jsonb NOT NULL;
\ No newline at end of file
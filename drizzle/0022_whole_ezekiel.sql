@@ -0,0 +1,3 @@
+ALTER TABLE "tools" ADD COLUMN "name_override" text;--> statement-breakpoint
+ALTER TABLE "tools" ADD COLUMN "description_override" text;--> statement-breakpoint
+ALTER TABLE "tools" ADD COLUMN "parameter_description_overrides" jsonb DEFAULT '{}'::jsonb NOT NULL;
\ No newline at end of file
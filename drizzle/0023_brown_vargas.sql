@@ -0,0 +1 @@
+ALTER TABLE "profiles" ADD COLUMN "tool_token_warning_threshold" integer DEFAULT 10000 NOT NULL;
\ No newline at end of file
@@ -0,0 +1,11 @@
+CREATE TABLE "tool_embeddings" (
+	"tool_uuid" uuid PRIMARY KEY NOT NULL,
+	"model" text NOT NULL,
+	"content_hash" text NOT NULL,
+	"embedding" real[] NOT NULL,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "profiles" ADD COLUMN "tool_rag_top_k" integer;--> statement-breakpoint
+ALTER TABLE "tools" ADD COLUMN "pinned" boolean DEFAULT false NOT NULL;--> statement-breakpoint
+ALTER TABLE "tool_embeddings" ADD CONSTRAINT "tool_embeddings_tool_uuid_tools_uuid_fk" FOREIGN KEY ("tool_uuid") REFERENCES "public"."tools"("uuid") ON DELETE cascade ON UPDATE no action;
\ No newline at end of file
@@ -0,0 +1,3 @@
+ALTER TABLE "api_keys" DROP CONSTRAINT "api_keys_profile_uuid_profiles_uuid_fk";
+--> statement-breakpoint
+ALTER TABLE "api_keys" ADD CONSTRAINT "api_keys_profile_uuid_profiles_uuid_fk" FOREIGN KEY ("profile_uuid") REFERENCES "public"."profiles"("uuid") ON DELETE cascade ON UPDATE no action;
\ No newline at end of file
@@ -0,0 +1,2 @@
+ALTER TABLE "mcp_servers" ADD COLUMN "suggestion_fingerprint" text;--> statement-breakpoint
+CREATE UNIQUE INDEX "mcp_servers_pending_suggestion_idx" ON "mcp_servers" USING btree ("profile_uuid","suggestion_fingerprint") WHERE "mcp_servers"."status" = 'SUGGESTED';
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "catalog_servers" ADD COLUMN "removed_at" timestamp with time zone;
\ No newline at end of file
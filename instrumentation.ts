@@ -0,0 +1,13 @@
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs') {
+    return;
+  }
+
+  const { syncBundledCatalog } = await import('./lib/catalog/store');
+  try {
+    await syncBundledCatalog();
+  } catch (error) {
+    // The app still serves everything else, e.g. before migrations have run.
+    console.error('Failed to sync the bundled server catalog:', error);
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Audit Snapshot Tests
+ *
+ * Tests for secret redaction and snapshot diffs.
+ */
+
+import { REDACTED_VALUE } from '../../mcp/export';
+import { diffAuditSnapshots, toAuditSnapshot } from '../snapshot';
+
+describe('toAuditSnapshot', () => {
+  it('should redact env and header values but keep their names', () => {
+    expect(
+      toAuditSnapshot({
+        name: 'remote',
+        env: { TOKEN: 'secret' },
+        headers: { Authorization: 'Bearer token' },
+      })
+    ).toEqual({
+      name: 'remote',
+      env: { TOKEN: REDACTED_VALUE },
+      headers: { Authorization: REDACTED_VALUE },
+    });
+  });
+
+  it('should drop API key hashes', () => {
+    expect(
+      toAuditSnapshot({ name: 'CI', key_hash: 'abc', key_prefix: 'sk_mt_abcd' })
+    ).toEqual({ name: 'CI', key_prefix: 'sk_mt_abcd' });
+  });
+
+  it('should serialize dates and skip undefined fields', () => {
+    expect(
+      toAuditSnapshot({
+        created_at: new Date('2025-01-01T00:00:00.000Z'),
+        description: undefined,
+      })
+    ).toEqual({ created_at: '2025-01-01T00:00:00.000Z' });
+  });
+
+  it('should return null for missing entities', () => {
+    expect(toAuditSnapshot(null)).toBeNull();
+    expect(toAuditSnapshot(undefined)).toBeNull();
+  });
+});
+
+describe('diffAuditSnapshots', () => {
+  it('should list only changed fields', () => {
+    expect(
+      diffAuditSnapshots(
+        { name: 'time', status: 'ACTIVE', args: ['a'] },
+        { name: 'time', status: 'INACTIVE', args: ['a'] }
+      )
+    ).toEqual([{ field: 'status', before: 'ACTIVE', after: 'INACTIVE' }]);
+  });
+
+  it('should treat a missing snapshot as empty', () => {
+    expect(diffAuditSnapshots(null, { name: 'time' })).toEqual([
+      { field: 'name', before: undefined, after: 'time' },
+    ]);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Audit Events
+ *
+ * Records configuration changes to the audit_events table. Changes are
+ * attributed to the GUI unless they run inside runAsAuditActor, which the
+ * REST API routes use to attribute them to the calling API key. The actor is
+ * kept in async context rather than passed as an argument so that server
+ * actions called from the browser cannot claim to be an API key.
+ *
+ * Tool discovery reported through POST /api/tools is telemetry rather than a
+ * configuration change and is not recorded.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { eq } from 'drizzle-orm';
+
+import { db } from '../../db';
+import {
+  AuditAction,
+  AuditActorType,
+  AuditEntityType,
+  auditEventsTable,
+  profilesTable,
+} from '../../db/schema';
+import { toAuditSnapshot } from './snapshot';
+
+type Transaction = Parameters<Parameters<typeof db.transaction>[0]>[0];
+
+export type AuditActor = {
+  type: AuditActorType;
+  uuid: string | null;
+  name: string;
+};
+
+export const GUI_ACTOR: AuditActor = {
+  type: AuditActorType.GUI,
+  uuid: null,
+  name: 'GUI',
+};
+
+const actorStorage = new AsyncLocalStorage<AuditActor>();
+
+export function getApiKeyActor(apiKey: {
+  uuid: string;
+  name: string | null;
+  key_prefix: string;
+}): AuditActor {
+  return {
+    type: AuditActorType.API_KEY,
+    uuid: apiKey.uuid,
+    name: apiKey.name || apiKey.key_prefix,
+  };
+}
+
+export function runAsAuditActor<T>(actor: AuditActor, fn: () => Promise<T>) {
+  return actorStorage.run(actor, fn);
+}
+
+export function getAuditActor(): AuditActor {
+  return actorStorage.getStore() ?? GUI_ACTOR;
+}
+
+type AuditedEntity = {
+  uuid?: string;
+  name?: string | null;
+  fileName?: string;
+};
+
+export type AuditEventInput = {
+  entityType: AuditEntityType;
+  action: AuditAction;
+  before?: AuditedEntity | null;
+  after?: AuditedEntity | null;
+  /** Workspace the entity belongs to; its project is looked up if needed. */
+  profileUuid?: string | null;
+  projectUuid?: string | null;
+};
+
+async function resolveProjectUuid(
+  executor: typeof db | Transaction,
+  event: AuditEventInput
+) {
+  if (event.projectUuid !== undefined || !event.profileUuid) {
+    return event.projectUuid ?? null;
+  }
+
+  const [profile] = await executor
+    .select({ project_uuid: profilesTable.project_uuid })
+    .from(profilesTable)
+    .where(eq(profilesTable.uuid, event.profileUuid))
+    .limit(1);
+  return profile?.project_uuid ?? null;
+}
+
+/**
+ * Records one audit event. Pass the transaction the change runs in so the
+ * event is rolled back with it.
+ */
+export async function recordAuditEvent(
+  event: AuditEventInput,
+  executor: typeof db | Transaction = db
+) {
+  const actor = getAuditActor();
+  const entity = event.after ?? event.before;
+
+  await executor.insert(auditEventsTable).values({
+    project_uuid: await resolveProjectUuid(executor, event),
+    profile_uuid: event.profileUuid ?? null,
+    actor_type: actor.type,
+    actor_uuid: actor.uuid,
+    actor_name: actor.name,
+    entity_type: event.entityType,
+    entity_uuid: entity?.uuid ?? null,
+    entity_name: entity?.name ?? entity?.fileName ?? null,
+    action: event.action,
+    before: toAuditSnapshot(event.before),
+    after: toAuditSnapshot(event.after),
+  });
+}
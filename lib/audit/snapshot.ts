@@ -0,0 +1,74 @@
+/**
+ * Audit Snapshots
+ *
+ * Converts entity rows into the before/after JSON stored on audit events.
+ * Secrets never reach the audit log: API key hashes are dropped, and env and
+ * header values are redacted while their names are kept.
+ */
+
+import { REDACTED_VALUE } from '../mcp/export';
+
+export type AuditSnapshot = { [key: string]: unknown };
+
+const OMITTED_FIELDS = new Set(['key_hash']);
+
+const REDACTED_FIELDS = new Set(['env', 'headers']);
+
+function redactValues(values: unknown) {
+  if (!values || typeof values !== 'object') {
+    return values;
+  }
+  return Object.fromEntries(
+    Object.keys(values).map((key) => [key, REDACTED_VALUE])
+  );
+}
+
+export function toAuditSnapshot(
+  entity: object | null | undefined
+): AuditSnapshot | null {
+  if (!entity) {
+    return null;
+  }
+
+  return Object.fromEntries(
+    Object.entries(entity)
+      .filter(([key, value]) => !OMITTED_FIELDS.has(key) && value !== undefined)
+      .map(([key, value]) => [
+        key,
+        REDACTED_FIELDS.has(key)
+          ? redactValues(value)
+          : value instanceof Date
+            ? value.toISOString()
+            : value,
+      ])
+  );
+}
+
+export type AuditFieldChange = {
+  field: string;
+  before: unknown;
+  after: unknown;
+};
+
+/**
+ * Lists the top-level fields that differ between two snapshots. A missing
+ * snapshot (creates and deletes) is treated as an empty object.
+ */
+export function diffAuditSnapshots(
+  before: AuditSnapshot | null,
+  after: AuditSnapshot | null
+): AuditFieldChange[] {
+  const previous = before ?? {};
+  const next = after ?? {};
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return [...fields]
+    .filter(
+      (field) => JSON.stringify(previous[field]) !== JSON.stringify(next[field])
+    )
+    .map((field) => ({
+      field,
+      before: previous[field],
+      after: next[field],
+    }));
+}
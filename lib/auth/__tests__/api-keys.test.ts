@@ -0,0 +1,83 @@
+/**
+ * API Key Helper Tests
+ *
+ * Tests for key hashing, expiry, scope checks and client IP detection.
+ */
+
+import { createHash } from 'crypto';
+
+import { ApiKeyScope } from '../../../db/schema';
+import {
+  getApiKeyDisplayPrefix,
+  getRequestIp,
+  hasApiKeyScope,
+  hashApiKey,
+  isApiKeyExpired,
+} from '../api-keys';
+
+describe('hashApiKey', () => {
+  it('should produce the SHA-256 hex digest the migration backfills', () => {
+    const key = 'sk_mt_abc123';
+
+    expect(hashApiKey(key)).toBe(
+      createHash('sha256').update(key).digest('hex')
+    );
+    expect(hashApiKey(key)).toHaveLength(64);
+  });
+
+  it('should not reveal the key', () => {
+    expect(hashApiKey('sk_mt_abc123')).not.toContain('abc123');
+  });
+});
+
+describe('getApiKeyDisplayPrefix', () => {
+  it('should keep the first ten characters', () => {
+    expect(getApiKeyDisplayPrefix('sk_mt_abcdefghijkl')).toBe('sk_mt_abcd');
+  });
+});
+
+describe('isApiKeyExpired', () => {
+  const now = new Date('2025-01-15T12:00:00Z');
+
+  it('should treat keys without expiry as valid', () => {
+    expect(isApiKeyExpired({ expires_at: null }, now)).toBe(false);
+  });
+
+  it('should compare the expiry against now', () => {
+    expect(
+      isApiKeyExpired({ expires_at: new Date('2025-01-16T00:00:00Z') }, now)
+    ).toBe(false);
+    expect(isApiKeyExpired({ expires_at: now }, now)).toBe(true);
+  });
+});
+
+describe('hasApiKeyScope', () => {
+  it('should only grant listed scopes', () => {
+    const apiKey = { scopes: [ApiKeyScope.CONFIG_READ] };
+
+    expect(hasApiKeyScope(apiKey, ApiKeyScope.CONFIG_READ)).toBe(true);
+    expect(hasApiKeyScope(apiKey, ApiKeyScope.CONFIG_WRITE)).toBe(false);
+  });
+});
+
+describe('getRequestIp', () => {
+  it('should use the first x-forwarded-for entry', () => {
+    const request = new Request('http://localhost/api', {
+      headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' },
+    });
+
+    expect(getRequestIp(request)).toBe('203.0.113.7');
+  });
+
+  it('should fall back to x-real-ip', () => {
+    const request = new Request('http://localhost/api', {
+      headers: { 'x-real-ip': '198.51.100.2' },
+    });
+
+    expect(getRequestIp(request)).toBe('198.51.100.2');
+  });
+
+  it('should return null without proxy headers', () => {
+    expect(getRequestIp(new Request('http://localhost/api'))).toBeNull();
+  });
+});
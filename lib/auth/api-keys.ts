@@ -0,0 +1,53 @@
+/**
+ * API Key Helpers
+ *
+ * API keys are stored as SHA-256 hashes. Keys are 64 random characters, so a
+ * fast unsalted hash is enough to make a leaked table useless while keeping
+ * lookups a single indexed equality match.
+ */
+
+import { createHash } from 'crypto';
+
+import { ApiKeyScope } from '../../db/schema';
+
+export const API_KEY_PREFIX = 'sk_mt_';
+
+/**
+ * Number of leading characters kept in plaintext so users can tell keys
+ * apart after creation.
+ */
+export const API_KEY_DISPLAY_PREFIX_LENGTH = 10;
+
+export function hashApiKey(apiKey: string): string {
+  return createHash('sha256').update(apiKey, 'utf8').digest('hex');
+}
+
+export function getApiKeyDisplayPrefix(apiKey: string): string {
+  return apiKey.slice(0, API_KEY_DISPLAY_PREFIX_LENGTH);
+}
+
+export function isApiKeyExpired(
+  apiKey: { expires_at: Date | null },
+  now: Date = new Date()
+): boolean {
+  return apiKey.expires_at !== null && apiKey.expires_at <= now;
+}
+
+export function hasApiKeyScope(
+  apiKey: { scopes: ApiKeyScope[] },
+  scope: ApiKeyScope
+): boolean {
+  return apiKey.scopes.includes(scope);
+}
+
+/**
+ * Best-effort client IP for last-used tracking. Behind a proxy the first
+ * x-forwarded-for entry is the original client.
+ */
+export function getRequestIp(request: Request): string | null {
+  const forwardedFor = request.headers.get('x-forwarded-for');
+  if (forwardedFor) {
+    return forwardedFor.split(',')[0].trim() || null;
+  }
+  return request.headers.get('x-real-ip');
+}
@@ -0,0 +1,197 @@
+/**
+ * Server Catalog Tests
+ *
+ * Tests for parsing catalog and client config files into catalog entries.
+ */
+
+import bundledCatalog from '../server-catalog.json';
+import {
+  escapeLikePattern,
+  inferPackageName,
+  parseCatalogFile,
+  UNCATEGORIZED_CATEGORY,
+} from '../catalog';
+
+describe('escapeLikePattern', () => {
+  it('should escape LIKE wildcards and the escape character', () => {
+    expect(escapeLikePattern('_')).toBe('\\_');
+    expect(escapeLikePattern('100%')).toBe('100\\%');
+    expect(escapeLikePattern('a\\b')).toBe('a\\\\b');
+  });
+
+  it('should leave other input unchanged', () => {
+    expect(escapeLikePattern('server-github')).toBe('server-github');
+  });
+});
+
+describe('inferPackageName', () => {
+  it('should use the first positional argument of a runner', () => {
+    expect(
+      inferPackageName('npx', ['-y', '@modelcontextprotocol/server-github'])
+    ).toBe('@modelcontextprotocol/server-github');
+    expect(inferPackageName('uvx', ['mcp-server-time'])).toBe(
+      'mcp-server-time'
+    );
+  });
+
+  it('should prefer the source given with --from', () => {
+    expect(
+      inferPackageName('uvx', ['--from', 'git+https://x/y.git', 'server'])
+    ).toBe('git+https://x/y.git');
+  });
+
+  it('should not guess for other commands', () => {
+    expect(inferPackageName('node', ['server.js'])).toBeNull();
+  });
+});
+
+describe('parseCatalogFile', () => {
+  it('should parse catalog entries', () => {
+    expect(
+      parseCatalogFile({
+        servers: {
+          github: {
+            name: 'GitHub',
+            description: 'Repository management',
+            category: 'Development',
+            githubUrl: 'https://github.com/modelcontextprotocol/servers',
+            command: 'npx',
+            args: ['-y', '@modelcontextprotocol/server-github'],
+            envs: ['GITHUB_PERSONAL_ACCESS_TOKEN'],
+          },
+        },
+      })
+    ).toEqual({
+      entries: [
+        {
+          key: 'github',
+          name: 'GitHub',
+          description: 'Repository management',
+          category: 'Development',
+          githubUrl: 'https://github.com/modelcontextprotocol/servers',
+          package_name: '@modelcontextprotocol/server-github',
+          command: 'npx',
+          args: ['-y', '@modelcontextprotocol/server-github'],
+          envs: ['GITHUB_PERSONAL_ACCESS_TOKEN'],
+          recipe: {
+            env: [
+              {
+                name: 'GITHUB_PERSONAL_ACCESS_TOKEN',
+                description: null,
+                required: true,
+                pattern: null,
+                default: null,
+              },
+            ],
+            args: [],
+          },
+        },
+      ],
+      skipped: [],
+    });
+  });
+
+  it('should accept client config files without keeping env values', () => {
+    const { entries } = parseCatalogFile({
+      mcpServers: {
+        time: {
+          command: 'uvx',
+          args: ['mcp-server-time'],
+          env: { TZ: 'UTC' },
+        },
+      },
+    });
+
+    expect(entries).toEqual([
+      expect.objectContaining({
+        key: 'time',
+        name: 'time',
+        category: UNCATEGORIZED_CATEGORY,
+        package_name: 'mcp-server-time',
+        envs: ['TZ'],
+      }),
+    ]);
+  });
+
+  it('should read declared recipe params', () => {
+    const { entries } = parseCatalogFile({
+      servers: {
+        filesystem: {
+          command: 'npx',
+          args: ['-y', '@modelcontextprotocol/server-filesystem', '{{DIR}}'],
+          recipe: {
+            args: { DIR: { description: 'Allowed directory', pattern: '^/' } },
+            env: { DEBUG: { required: false, default: 'false' } },
+          },
+        },
+      },
+    });
+
+    expect(entries[0].envs).toEqual(['DEBUG']);
+    expect(entries[0].recipe).toEqual({
+      env: [
+        {
+          name: 'DEBUG',
+          description: null,
+          required: false,
+          pattern: null,
+          default: 'false',
+        },
+      ],
+      args: [
+        {
+          name: 'DIR',
+          description: 'Allowed directory',
+          required: true,
+          pattern: '^/',
+          default: null,
+        },
+      ],
+    });
+  });
+
+  it('should skip entries with an invalid pattern', () => {
+    const { skipped } = parseCatalogFile({
+      servers: {
+        broken: {
+          command: 'npx',
+          recipe: { env: { KEY: { pattern: '(' } } },
+        },
+      },
+    });
+
+    expect(skipped).toEqual([
+      {
+        key: 'broken',
+        error: 'recipe.env.KEY.pattern: Invalid regular expression',
+      },
+    ]);
+  });
+
+  it('should skip entries without a command', () => {
+    const { entries, skipped } = parseCatalogFile({
+      mcpServers: {
+        remote: { url: 'https://example.com/mcp' },
+        time: { command: 'uvx', args: ['mcp-server-time'] },
+      },
+    });
+
+    expect(entries.map((entry) => entry.key)).toEqual(['time']);
+    expect(skipped).toEqual([
+      { key: 'remote', error: 'command: Command is required' },
+    ]);
+  });
+
+  it('should reject files without a servers object', () => {
+    expect(() => parseCatalogFile([])).toThrow(
+      'Expected a JSON object with a "servers" or "mcpServers" object'
+    );
+  });
+
+  it('should parse the bundled catalog without skipping entries', () => {
+    const { entries, skipped } = parseCatalogFile(bundledCatalog);
+
+    expect(skipped).toEqual([]);
+    expect(entries.length).toBeGreaterThan(0);
+  });
+});
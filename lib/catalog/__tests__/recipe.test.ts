@@ -0,0 +1,145 @@
+/**
+ * Install Recipe Tests
+ *
+ * Tests for completing, validating and applying catalog install recipes.
+ */
+
+import {
+  applyInstallRecipe,
+  completeInstallRecipe,
+  findArgPlaceholders,
+  validateRecipeValue,
+  validateRecipeValues,
+} from '../recipe';
+
+const directoryParam = {
+  name: 'ALLOWED_DIRECTORY',
+  description: 'Directory the server may access',
+  required: true,
+  pattern: '^/',
+  default: null,
+};
+
+const limitParam = {
+  name: 'LIMIT',
+  description: null,
+  required: false,
+  pattern: '^[0-9]+$',
+  default: '4000',
+};
+
+describe('findArgPlaceholders', () => {
+  it('should list each placeholder once', () => {
+    expect(
+      findArgPlaceholders(['{{DIR}}/index.js', '--root', '{{DIR}}', '{{X}}'])
+    ).toEqual(['DIR', 'X']);
+  });
+});
+
+describe('completeInstallRecipe', () => {
+  it('should require undeclared env names and placeholders', () => {
+    expect(
+      completeInstallRecipe(
+        { env: [limitParam] },
+        ['-y', 'server', '{{ALLOWED_DIRECTORY}}'],
+        ['LIMIT', 'API_KEY']
+      )
+    ).toEqual({
+      env: [
+        limitParam,
+        {
+          name: 'API_KEY',
+          description: null,
+          required: true,
+          pattern: null,
+          default: null,
+        },
+      ],
+      args: [
+        {
+          name: 'ALLOWED_DIRECTORY',
+          description: null,
+          required: true,
+          pattern: null,
+          default: null,
+        },
+      ],
+    });
+  });
+
+  it('should drop declared args that no placeholder uses', () => {
+    expect(
+      completeInstallRecipe({ args: [directoryParam] }, ['server'], [])
+    ).toEqual({ env: [], args: [] });
+  });
+});
+
+describe('validateRecipeValue', () => {
+  it('should require values of required params', () => {
+    expect(validateRecipeValue(directoryParam, ' ')).toBe(
+      'ALLOWED_DIRECTORY is required'
+    );
+    expect(validateRecipeValue(limitParam, '')).toBeNull();
+  });
+
+  it('should check values against the pattern', () => {
+    expect(validateRecipeValue(directoryParam, '/data')).toBeNull();
+    expect(validateRecipeValue(directoryParam, 'data')).toBe(
+      'ALLOWED_DIRECTORY must match ^/'
+    );
+  });
+
+  it('should accept secret references without checking the pattern', () => {
+    expect(validateRecipeValue(limitParam, '${secrets.LIMIT}')).toBeNull();
+  });
+});
+
+describe('validateRecipeValues', () => {
+  it('should report errors by param name', () => {
+    expect(
+      validateRecipeValues(
+        { env: [limitParam], args: [directoryParam] },
+        { env: { LIMIT: 'many' }, args: {} }
+      )
+    ).toEqual({
+      LIMIT: 'LIMIT must match ^[0-9]+$',
+      ALLOWED_DIRECTORY: 'ALLOWED_DIRECTORY is required',
+    });
+  });
+});
+
+describe('applyInstallRecipe', () => {
+  const recipe = {
+    env: [limitParam],
+    args: [directoryParam, { ...limitParam, name: 'EXTRA' }],
+  };
+
+  it('should fill placeholders and collect env values', () => {
+    expect(
+      applyInstallRecipe(
+        ['-y', 'server', '--root={{ALLOWED_DIRECTORY}}', '{{EXTRA}}'],
+        recipe,
+        {
+          env: { LIMIT: '100' },
+          args: { ALLOWED_DIRECTORY: '/data', EXTRA: 'more' },
+        }
+      )
+    ).toEqual({
+      args: ['-y', 'server', '--root=/data', 'more'],
+      env: { LIMIT: '100' },
+    });
+  });
+
+  it('should leave out optional values that are empty', () => {
+    expect(
+      applyInstallRecipe(
+        ['server', '{{ALLOWED_DIRECTORY}}', '{{EXTRA}}'],
+        recipe,
+        {
+          env: { LIMIT: '' },
+          args: { ALLOWED_DIRECTORY: '/data', EXTRA: ' ' },
+        }
+      )
+    ).toEqual({ args: ['server', '/data'], env: {} });
+  });
+});
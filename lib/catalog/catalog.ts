@@ -0,0 +1,175 @@
+/**
+ * Server Catalog
+ *
+ * Parses files for the local server catalog behind the Search page. Two
+ * formats are accepted: the bundled catalog format,
+ * `{ servers: { key: { name, description, category, command, ... } } }`, and
+ * client config files, `{ mcpServers: { key: { command, args, env } } }`,
+ * whose entries are named after their key. Only entries with a command can be
+ * installed from the catalog, so remote servers are skipped.
+ *
+ * Catalog entries may declare an install recipe describing their env
+ * variables and {{NAME}} arg placeholders; see ./recipe.
+ */
+
+import { z } from 'zod';
+
+import type { CatalogInstallRecipe } from '../../db/schema';
+import { completeInstallRecipe } from './recipe';
+
+export const UNCATEGORIZED_CATEGORY = 'Uncategorized';
+
+export type CatalogEntry = {
+  key: string;
+  name: string;
+  description: string;
+  category: string;
+  githubUrl: string | null;
+  package_name: string | null;
+  command: string;
+  args: string[];
+  /** Names of the env variables the server needs; values are never kept. */
+  envs: string[];
+  recipe: CatalogInstallRecipe;
+};
+
+export type SkippedCatalogEntry = {
+  key: string;
+  error: string;
+};
+
+export type ParsedCatalog = {
+  entries: CatalogEntry[];
+  skipped: SkippedCatalogEntry[];
+};
+
+const recipeParamSchema = z.object({
+  description: z.string().optional(),
+  required: z.boolean().optional(),
+  pattern: z
+    .string()
+    .refine((pattern) => {
+      try {
+        new RegExp(pattern);
+        return true;
+      } catch (_e) {
+        return false;
+      }
+    }, 'Invalid regular expression')
+    .optional(),
+  default: z.string().optional(),
+});
+
+const recipeParamsSchema = z.record(recipeParamSchema).optional();
+
+const catalogEntrySchema = z.object({
+  name: z.string().optional(),
+  description: z.string().optional(),
+  category: z.string().optional(),
+  githubUrl: z.string().url().nullish(),
+  package_name: z.string().nullish(),
+  command: z.string({ required_error: 'Command is required' }).min(1),
+  args: z.array(z.string()).optional(),
+  envs: z.array(z.string()).optional(),
+  env: z.record(z.string()).optional(),
+  recipe: z
+    .object({ env: recipeParamsSchema, args: recipeParamsSchema })
+    .optional(),
+});
+
+function toRecipeParams(params: z.infer<typeof recipeParamsSchema>) {
+  return Object.entries(params ?? {}).map(([name, param]) => ({
+    name,
+    description: param.description ?? null,
+    required: param.required ?? true,
+    pattern: param.pattern ?? null,
+    default: param.default ?? null,
+  }));
+}
+
+const catalogFileSchema = z.union([
+  z.object({ servers: z.record(z.unknown()) }),
+  z.object({ mcpServers: z.record(z.unknown()) }),
+]);
+
+const PACKAGE_RUNNERS = ['npx', 'uvx', 'bunx', 'pipx'];
+
+/**
+ * Escapes the LIKE wildcards % and _ (and the escape character itself) so
+ * search input matches literally inside a LIKE or ILIKE pattern.
+ */
+export function escapeLikePattern(value: string): string {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Guesses the package a runner command installs: the first positional
+ * argument, or the source given with `--from`.
+ */
+export function inferPackageName(
+  command: string,
+  args: string[]
+): string | null {
+  if (!PACKAGE_RUNNERS.includes(command)) {
+    return null;
+  }
+  const fromIndex = args.indexOf('--from');
+  if (fromIndex !== -1 && args[fromIndex + 1]) {
+    return args[fromIndex + 1];
+  }
+  return args.find((arg) => !arg.startsWith('-')) ?? null;
+}
+
+/**
+ * @throws Error if the file is neither a catalog nor a client config file
+ */
+export function parseCatalogFile(data: unknown): ParsedCatalog {
+  const file = catalogFileSchema.safeParse(data);
+  if (!file.success) {
+    throw new Error(
+      'Expected a JSON object with a "servers" or "mcpServers" object'
+    );
+  }
+
+  const servers =
+    'servers' in file.data ? file.data.servers : file.data.mcpServers;
+  const parsed: ParsedCatalog = { entries: [], skipped: [] };
+
+  for (const [key, value] of Object.entries(servers)) {
+    const entry = catalogEntrySchema.safeParse(value);
+    if (!entry.success) {
+      parsed.skipped.push({
+        key,
+        error: entry.error.issues
+          .map((issue) => `${issue.path.join('.') || key}: ${issue.message}`)
+          .join('; '),
+      });
+      continue;
+    }
+
+    const args = entry.data.args ?? [];
+    const recipe = completeInstallRecipe(
+      {
+        env: toRecipeParams(entry.data.recipe?.env),
+        args: toRecipeParams(entry.data.recipe?.args),
+      },
+      args,
+      entry.data.envs ?? Object.keys(entry.data.env ?? {})
+    );
+    parsed.entries.push({
+      key,
+      name: entry.data.name || key,
+      description: entry.data.description ?? '',
+      category: entry.data.category || UNCATEGORIZED_CATEGORY,
+      githubUrl: entry.data.githubUrl ?? null,
+      package_name:
+        entry.data.package_name ?? inferPackageName(entry.data.command, args),
+      command: entry.data.command,
+      args,
+      envs: recipe.env.map((param) => param.name),
+      recipe,
+    });
+  }
+
+  return parsed;
+}
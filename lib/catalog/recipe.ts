@@ -0,0 +1,145 @@
+/**
+ * Install Recipes
+ *
+ * A catalog entry's recipe lists the values a server needs before it can be
+ * installed: env variables, and {{NAME}} placeholders in its args such as the
+ * directory the filesystem server may access. Each value can carry a
+ * description, a default and a pattern it must match. The add dialog renders
+ * a form from the recipe and installs the server only once it validates.
+ */
+
+import type { CatalogInstallRecipe, CatalogRecipeParam } from '../../db/schema';
+import { findSecretReferences } from '../secrets/references';
+
+const ARG_PLACEHOLDER_PATTERN = /\{\{([A-Za-z_][A-Za-z0-9_]*)\}\}/g;
+const WHOLE_ARG_PLACEHOLDER_PATTERN = /^\{\{([A-Za-z_][A-Za-z0-9_]*)\}\}$/;
+
+export type RecipeValues = {
+  env: { [name: string]: string };
+  args: { [name: string]: string };
+};
+
+export function findArgPlaceholders(args: string[]): string[] {
+  const names = args.flatMap((arg) =>
+    [...arg.matchAll(ARG_PLACEHOLDER_PATTERN)].map((match) => match[1])
+  );
+  return [...new Set(names)];
+}
+
+function requiredParam(name: string): CatalogRecipeParam {
+  return {
+    name,
+    description: null,
+    required: true,
+    pattern: null,
+    default: null,
+  };
+}
+
+/**
+ * Adds a required param for every env name and arg placeholder the recipe
+ * does not declare, and drops declared args that no placeholder uses.
+ */
+export function completeInstallRecipe(
+  recipe: Partial<CatalogInstallRecipe>,
+  args: string[],
+  envs: string[]
+): CatalogInstallRecipe {
+  const declaredEnv = recipe.env ?? [];
+  const declaredArgs = new Map(
+    (recipe.args ?? []).map((param) => [param.name, param])
+  );
+
+  return {
+    env: [
+      ...declaredEnv,
+      ...envs
+        .filter((name) => !declaredEnv.some((param) => param.name === name))
+        .map(requiredParam),
+    ],
+    args: findArgPlaceholders(args).map(
+      (name) => declaredArgs.get(name) ?? requiredParam(name)
+    ),
+  };
+}
+
+/**
+ * Returns why a value is not acceptable for the param, or null if it is.
+ * Values that reference a project secret are only checked for presence, as
+ * the secret's value is not known here.
+ */
+export function validateRecipeValue(
+  param: CatalogRecipeParam,
+  value: string
+): string | null {
+  if (!value.trim()) {
+    return param.required ? `${param.name} is required` : null;
+  }
+  if (!param.pattern || findSecretReferences(value).length > 0) {
+    return null;
+  }
+  return new RegExp(param.pattern).test(value)
+    ? null
+    : `${param.name} must match ${param.pattern}`;
+}
+
+/**
+ * Validates all values of a recipe, keyed by param name.
+ */
+export function validateRecipeValues(
+  recipe: CatalogInstallRecipe,
+  values: RecipeValues
+): { [name: string]: string } {
+  const errors: { [name: string]: string } = {};
+  for (const [params, paramValues] of [
+    [recipe.env, values.env],
+    [recipe.args, values.args],
+  ] as const) {
+    for (const param of params) {
+      const error = validateRecipeValue(param, paramValues[param.name] ?? '');
+      if (error) {
+        errors[param.name] = error;
+      }
+    }
+  }
+  return errors;
+}
+
+export function getRecipeDefaults(recipe: CatalogInstallRecipe): RecipeValues {
+  const defaults = (params: CatalogRecipeParam[]) =>
+    Object.fromEntries(
+      params.map((param) => [param.name, param.default ?? ''])
+    );
+  return { env: defaults(recipe.env), args: defaults(recipe.args) };
+}
+
+/**
+ * Fills the arg placeholders and collects the env values of a recipe. Args
+ * that consist only of a placeholder left empty are dropped, as are empty
+ * env values, so optional params can simply be left blank.
+ */
+export function applyInstallRecipe(
+  args: string[],
+  recipe: CatalogInstallRecipe,
+  values: RecipeValues
+): { args: string[]; env: { [name: string]: string } } {
+  const valueOf = (name: string) => values.args[name]?.trim() ?? '';
+
+  return {
+    args: args
+      .filter((arg) => {
+        const placeholder = arg.match(WHOLE_ARG_PLACEHOLDER_PATTERN);
+        return !placeholder || valueOf(placeholder[1]) !== '';
+      })
+      .map((arg) =>
+        arg.replace(ARG_PLACEHOLDER_PATTERN, (_placeholder, name: string) =>
+          valueOf(name)
+        )
+      ),
+    env: Object.fromEntries(
+      recipe.env
+        .map((param) => [param.name, values.env[param.name]?.trim() ?? ''])
+        .filter(([, value]) => value !== '')
+    ),
+  };
+}
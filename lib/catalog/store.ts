@@ -0,0 +1,80 @@
+/**
+ * Catalog Store
+ *
+ * Writes catalog entries to the catalog_servers table. The catalog bundled
+ * with the app is synced in once when the server starts, so a fresh install
+ * can search without any import or network access and entries added to a
+ * newer bundled catalog appear after an upgrade. Imports win over the
+ * bundled catalog: entries an import refreshed or removed stay that way.
+ */
+
+import { sql } from 'drizzle-orm';
+
+import { db } from '../../db';
+import { catalogServersTable } from '../../db/schema';
+import { CatalogEntry, parseCatalogFile } from './catalog';
+import bundledCatalog from './server-catalog.json';
+
+type Transaction = Parameters<Parameters<typeof db.transaction>[0]>[0];
+
+function toCatalogRow(entry: CatalogEntry) {
+  return {
+    key: entry.key,
+    name: entry.name,
+    description: entry.description,
+    category: entry.category,
+    github_url: entry.githubUrl,
+    package_name: entry.package_name,
+    command: entry.command,
+    args: entry.args,
+    envs: entry.envs,
+    recipe: entry.recipe,
+  };
+}
+
+/**
+ * Inserts entries, updating those whose key is already in the catalog and
+ * restoring those an earlier import removed.
+ */
+export async function upsertCatalogEntries(
+  entries: CatalogEntry[],
+  executor: Transaction | typeof db = db
+) {
+  if (entries.length === 0) {
+    return;
+  }
+  await executor
+    .insert(catalogServersTable)
+    .values(entries.map(toCatalogRow))
+    .onConflictDoUpdate({
+      target: catalogServersTable.key,
+      set: {
+        name: sql`excluded.name`,
+        description: sql`excluded.description`,
+        category: sql`excluded.category`,
+        github_url: sql`excluded.github_url`,
+        package_name: sql`excluded.package_name`,
+        command: sql`excluded.command`,
+        args: sql`excluded.args`,
+        envs: sql`excluded.envs`,
+        recipe: sql`excluded.recipe`,
+        updated_at: new Date(),
+        removed_at: null,
+      },
+    });
+}
+
+/**
+ * Adds the bundled entries whose key the catalog has never had. Existing
+ * rows, including removed ones, are left as they are.
+ */
+export async function syncBundledCatalog() {
+  const { entries } = parseCatalogFile(bundledCatalog);
+  if (entries.length === 0) {
+    return;
+  }
+  await db
+    .insert(catalogServersTable)
+    .values(entries.map(toCatalogRow))
+    .onConflictDoNothing({ target: catalogServersTable.key });
+}
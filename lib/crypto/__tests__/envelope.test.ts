@@ -0,0 +1,114 @@
+/**
+ * Envelope Encryption Tests
+ *
+ * Tests for encrypting and decrypting env values with the master key.
+ */
+
+import { randomBytes } from 'crypto';
+
+import {
+  decryptServerSecrets,
+  decryptValue,
+  encryptServerSecrets,
+  encryptStoredValues,
+  encryptValue,
+  encryptValues,
+  hasPlaintextValues,
+  isEncryptedValue,
+} from '../envelope';
+
+describe('envelope encryption', () => {
+  const originalKey = process.env.ENCRYPTION_MASTER_KEY;
+
+  beforeEach(() => {
+    process.env.ENCRYPTION_MASTER_KEY = randomBytes(32).toString('base64');
+  });
+
+  afterAll(() => {
+    process.env.ENCRYPTION_MASTER_KEY = originalKey;
+  });
+
+  it('should round-trip a value', () => {
+    const encrypted = encryptValue('sk-secret-token');
+
+    expect(isEncryptedValue(encrypted)).toBe(true);
+    expect(encrypted).not.toContain('sk-secret-token');
+    expect(decryptValue(encrypted)).toBe('sk-secret-token');
+  });
+
+  it('should use a fresh data key and IV for every value', () => {
+    expect(encryptValue('same')).not.toBe(encryptValue('same'));
+  });
+
+  it('should encrypt input that looks encrypted like any other value', () => {
+    const pasted = encryptValue('token');
+    const encrypted = encryptValue(pasted);
+
+    expect(encrypted).not.toBe(pasted);
+    expect(decryptValue(encrypted)).toBe(pasted);
+  });
+
+  it('should keep stored values that are already encrypted', () => {
+    const encrypted = encryptValue('token');
+    const stored = encryptStoredValues({ A: encrypted, B: 'legacy' });
+
+    expect(stored.A).toBe(encrypted);
+    expect(decryptValue(stored.B)).toBe('legacy');
+  });
+
+  it('should pass plaintext values through on decrypt', () => {
+    expect(decryptValue('legacy-plaintext')).toBe('legacy-plaintext');
+  });
+
+  it('should reject tampered ciphertext', () => {
+    const encrypted = encryptValue('token');
+    const tampered = encrypted.slice(0, -4) + 'AAAA';
+
+    expect(() => decryptValue(tampered)).toThrow();
+  });
+
+  it('should fail to decrypt with a different master key', () => {
+    const encrypted = encryptValue('token');
+    process.env.ENCRYPTION_MASTER_KEY = randomBytes(32).toString('base64');
+
+    expect(() => decryptValue(encrypted)).toThrow();
+  });
+
+  it('should require a 32 byte master key', () => {
+    delete process.env.ENCRYPTION_MASTER_KEY;
+    expect(() => encryptValue('token')).toThrow('ENCRYPTION_MASTER_KEY');
+
+    process.env.ENCRYPTION_MASTER_KEY = randomBytes(16).toString('base64');
+    expect(() => encryptValue('token')).toThrow('32 bytes');
+  });
+
+  it('should report maps that still hold plaintext values', () => {
+    expect(hasPlaintextValues({ A: 'plain' })).toBe(true);
+    expect(hasPlaintextValues(encryptValues({ A: 'plain' }))).toBe(false);
+    expect(hasPlaintextValues({})).toBe(false);
+  });
+
+  it('should encrypt and decrypt env and headers of a server', () => {
+    const server = {
+      name: 'remote',
+      env: { API_KEY: 'secret' },
+      headers: { Authorization: 'Bearer token' },
+    };
+    const encrypted = encryptServerSecrets(server);
+
+    expect(encrypted.name).toBe('remote');
+    expect(isEncryptedValue(encrypted.env.API_KEY)).toBe(true);
+    expect(isEncryptedValue(encrypted.headers.Authorization)).toBe(true);
+    expect(decryptServerSecrets(encrypted)).toEqual(server);
+  });
+
+  it('should leave absent fields out of partial updates', () => {
+    const update = encryptServerSecrets({
+      name: 'renamed',
+      headers: { Authorization: 'Bearer token' },
+    });
+
+    expect(update).not.toHaveProperty('env');
+    expect(update.name).toBe('renamed');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Envelope Encryption
+ *
+ * Encrypts secret values (server env vars and request headers) before they
+ * are stored. Every value gets its own random data key; the data key is
+ * wrapped with the master key from ENCRYPTION_MASTER_KEY and stored next to
+ * the ciphertext, so rotating the master key only requires re-wrapping keys.
+ *
+ * Stored format: `enc:v1:<wrapped data key>:<payload>`, where both parts are
+ * base64 of `iv | auth tag | ciphertext` sealed with AES-256-GCM.
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+export type SecretValues = { [key: string]: string };
+
+function getMasterKey(): Buffer {
+  const encoded = process.env.ENCRYPTION_MASTER_KEY;
+  if (!encoded) {
+    throw new Error(
+      'ENCRYPTION_MASTER_KEY is not set. Generate one with `openssl rand -base64 32`.'
+    );
+  }
+
+  const key = Buffer.from(encoded, 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error('ENCRYPTION_MASTER_KEY must be 32 bytes encoded as base64');
+  }
+  return key;
+}
+
+function seal(key: Buffer, plaintext: Buffer): Buffer {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function unseal(key: Buffer, sealed: Buffer): Buffer {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final(),
+  ]);
+}
+
+export function isEncryptedValue(value: string): boolean {
+  return value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypts a single value. Input that happens to look encrypted, such as a
+ * value pasted from an export, is encrypted like any other value.
+ */
+export function encryptValue(value: string): string {
+  const dataKey = randomBytes(KEY_LENGTH);
+  const wrappedKey = seal(getMasterKey(), dataKey);
+  const payload = seal(dataKey, Buffer.from(value, 'utf8'));
+
+  return `${PREFIX}${wrappedKey.toString('base64')}:${payload.toString('base64')}`;
+}
+
+/**
+ * Decrypts a single value. Plaintext values written before encryption was
+ * enabled are returned unchanged until the encrypt-env script rewrites them.
+ *
+ * @throws Error if the value was tampered with or the master key is wrong
+ */
+export function decryptValue(value: string): string {
+  if (!isEncryptedValue(value)) {
+    return value;
+  }
+
+  const [wrappedKey, payload] = value.slice(PREFIX.length).split(':');
+  if (!wrappedKey || !payload) {
+    throw new Error('Malformed encrypted value');
+  }
+
+  const dataKey = unseal(getMasterKey(), Buffer.from(wrappedKey, 'base64'));
+  return unseal(dataKey, Buffer.from(payload, 'base64')).toString('utf8');
+}
+
+export function encryptValues(values: SecretValues): SecretValues {
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, encryptValue(value)])
+  );
+}
+
+/**
+ * Encrypts the plaintext values of a row read from the DB, such as values
+ * written before encryption was enabled, and keeps those already encrypted.
+ * Only for stored values: values from callers go through encryptValues.
+ */
+export function encryptStoredValues(values: SecretValues): SecretValues {
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [
+      key,
+      isEncryptedValue(value) ? value : encryptValue(value),
+    ])
+  );
+}
+
+export function decryptValues(values: SecretValues): SecretValues {
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, decryptValue(value)])
+  );
+}
+
+export function hasPlaintextValues(values: SecretValues): boolean {
+  return Object.values(values).some((value) => !isEncryptedValue(value));
+}
+
+/**
+ * Decrypts the env (and, for remote servers, headers) of a server row.
+ */
+export function decryptServerSecrets<
+  T extends { env: SecretValues; headers?: SecretValues },
+>(server: T): T {
+  return {
+    ...server,
+    env: decryptValues(server.env),
+    ...(server.headers && { headers: decryptValues(server.headers) }),
+  };
+}
+
+/**
+ * Encrypts whichever of env and headers are present in a write payload.
+ */
+export function encryptServerSecrets<
+  T extends { env?: SecretValues; headers?: SecretValues },
+>(data: T): T {
+  return {
+    ...data,
+    ...(data.env && { env: encryptValues(data.env) }),
+    ...(data.headers && { headers: encryptValues(data.headers) }),
+  };
+}
+
+/**
+ * Encrypts whichever of env and headers are present in a config read from
+ * the DB, keeping the values that are already encrypted.
+ */
+export function encryptStoredServerSecrets<
+  T extends { env?: SecretValues; headers?: SecretValues },
+>(data: T): T {
+  return {
+    ...data,
+    ...(data.env && { env: encryptStoredValues(data.env) }),
+    ...(data.headers && { headers: encryptStoredValues(data.headers) }),
+  };
+}
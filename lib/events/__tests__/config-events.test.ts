@@ -0,0 +1,108 @@
+/**
+ * Config Event Tests
+ *
+ * Tests for deciding which /api/events clients receive an event.
+ */
+
+import {
+  applyProfileSwitch,
+  ConfigEventClient,
+  ConfigEventType,
+  isConfigEventForClient,
+  parseConfigEvent,
+} from '../config-events';
+
+const client: ConfigEventClient = {
+  projectUuid: 'project-1',
+  profileUuid: 'profile-1',
+  followsActiveProfile: true,
+};
+
+describe('isConfigEventForClient', () => {
+  it('should deliver workspace events to clients of that workspace', () => {
+    const event = {
+      type: ConfigEventType.SERVERS_CHANGED,
+      profileUuid: 'profile-1',
+    };
+    expect(isConfigEventForClient(event, client)).toBe(true);
+    expect(
+      isConfigEventForClient(event, { ...client, profileUuid: 'profile-2' })
+    ).toBe(false);
+  });
+
+  it('should deliver project events to every workspace of the project', () => {
+    const event = {
+      type: ConfigEventType.SERVERS_CHANGED,
+      projectUuid: 'project-1',
+    };
+    expect(isConfigEventForClient(event, client)).toBe(true);
+    expect(
+      isConfigEventForClient(event, { ...client, projectUuid: 'project-2' })
+    ).toBe(false);
+  });
+
+  it('should deliver events without a scope to everyone', () => {
+    expect(
+      isConfigEventForClient(
+        { type: ConfigEventType.CUSTOM_CODE_CHANGED },
+        client
+      )
+    ).toBe(true);
+  });
+
+  it('should only deliver profile switches to keys that follow them', () => {
+    const event = {
+      type: ConfigEventType.PROFILE_SWITCHED,
+      profileUuid: 'profile-2',
+      projectUuid: 'project-1',
+    };
+    expect(isConfigEventForClient(event, client)).toBe(true);
+    expect(
+      isConfigEventForClient(event, { ...client, followsActiveProfile: false })
+    ).toBe(false);
+    expect(
+      isConfigEventForClient(event, { ...client, projectUuid: 'project-2' })
+    ).toBe(false);
+  });
+});
+
+describe('parseConfigEvent', () => {
+  it('should parse event payloads', () => {
+    expect(
+      parseConfigEvent('{"type":"tools_changed","profileUuid":"profile-1"}')
+    ).toEqual({
+      type: ConfigEventType.TOOLS_CHANGED,
+      profileUuid: 'profile-1',
+    });
+  });
+
+  it('should ignore malformed and unknown payloads', () => {
+    expect(parseConfigEvent(undefined)).toBeNull();
+    expect(parseConfigEvent('not json')).toBeNull();
+    expect(parseConfigEvent('{"type":"something_else"}')).toBeNull();
+  });
+});
+
+describe('applyProfileSwitch', () => {
+  const event = {
+    type: ConfigEventType.PROFILE_SWITCHED,
+    profileUuid: 'profile-2',
+    projectUuid: 'project-1',
+  };
+
+  it('should move clients that follow the active workspace', () => {
+    const following = { ...client };
+    applyProfileSwitch(following, event);
+    expect(following.profileUuid).toBe('profile-2');
+  });
+
+  it('should leave bound clients and other projects alone', () => {
+    const bound = { ...client, followsActiveProfile: false };
+    applyProfileSwitch(bound, event);
+    expect(bound.profileUuid).toBe('profile-1');
+
+    const other = { ...client, projectUuid: 'project-2' };
+    applyProfileSwitch(other, event);
+    expect(other.profileUuid).toBe('profile-1');
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * ETag Tests
+ *
+ * Tests for ETags on the list routes and If-None-Match matching.
+ */
+
+import { computeETag, matchesIfNoneMatch } from '../etag';
+
+describe('computeETag', () => {
+  it('should be stable for the same body', () => {
+    expect(computeETag('[{"a":1}]')).toBe(computeETag('[{"a":1}]'));
+  });
+
+  it('should change when the body changes', () => {
+    expect(computeETag('[{"a":1}]')).not.toBe(computeETag('[{"a":2}]'));
+  });
+
+  it('should be a quoted strong ETag', () => {
+    expect(computeETag('[]')).toMatch(/^"[A-Za-z0-9_-]+"$/);
+  });
+});
+
+describe('matchesIfNoneMatch', () => {
+  const etag = computeETag('[]');
+
+  it('should not match without a header', () => {
+    expect(matchesIfNoneMatch(null, etag)).toBe(false);
+  });
+
+  it('should match the same ETag, weak or strong', () => {
+    expect(matchesIfNoneMatch(etag, etag)).toBe(true);
+    expect(matchesIfNoneMatch(`W/${etag}`, etag)).toBe(true);
+  });
+
+  it('should match any ETag in a list and the wildcard', () => {
+    expect(matchesIfNoneMatch(`"other", ${etag}`, etag)).toBe(true);
+    expect(matchesIfNoneMatch('*', etag)).toBe(true);
+  });
+
+  it('should not match other ETags', () => {
+    expect(matchesIfNoneMatch('"other"', etag)).toBe(false);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Config Events
+ *
+ * Tells connected proxies that the config they fetched has changed, so they
+ * refetch it instead of polling. Events are sent with Postgres NOTIFY from
+ * inside the transaction that makes the change: they are delivered only if
+ * it commits, and reach every instance of the app, each of which keeps one
+ * LISTEN connection shared by all of its subscribers.
+ *
+ * Events say what changed, not the new config; clients refetch the list
+ * routes, which answer 304 when nothing they return has changed.
+ */
+
+import { sql } from 'drizzle-orm';
+import { Client } from 'pg';
+
+import { db } from '../../db';
+
+type Transaction = Parameters<Parameters<typeof db.transaction>[0]>[0];
+
+export enum ConfigEventType {
+  SERVERS_CHANGED = 'servers_changed',
+  PROFILE_SWITCHED = 'profile_switched',
+  TOOLS_CHANGED = 'tools_changed',
+  CUSTOM_CODE_CHANGED = 'custom_code_changed',
+}
+
+export type ConfigEvent = {
+  type: ConfigEventType;
+  /** Workspace the change applies to, or the newly active one on a switch. */
+  profileUuid?: string | null;
+  /** Project the change applies to when it is not limited to a workspace. */
+  projectUuid?: string | null;
+};
+
+/** Who an event stream is for: the workspace an API key currently sees. */
+export type ConfigEventClient = {
+  projectUuid: string;
+  profileUuid: string;
+  /** False when the key is bound to a workspace and ignores switches. */
+  followsActiveProfile: boolean;
+};
+
+const CONFIG_EVENTS_CHANNEL = 'metamcp_config_events';
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Whether a client should receive an event. Events without a workspace or
+ * project, such as changes to code files, go to everyone.
+ */
+export function isConfigEventForClient(
+  event: ConfigEvent,
+  client: ConfigEventClient
+): boolean {
+  if (event.type === ConfigEventType.PROFILE_SWITCHED) {
+    return (
+      client.followsActiveProfile && event.projectUuid === client.projectUuid
+    );
+  }
+  if (event.profileUuid) {
+    return event.profileUuid === client.profileUuid;
+  }
+  if (event.projectUuid) {
+    return event.projectUuid === client.projectUuid;
+  }
+  return true;
+}
+
+/**
+ * Moves a client that follows the active workspace to the newly active one.
+ */
+export function applyProfileSwitch(
+  client: ConfigEventClient,
+  event: ConfigEvent
+) {
+  if (
+    event.type === ConfigEventType.PROFILE_SWITCHED &&
+    event.profileUuid &&
+    isConfigEventForClient(event, client)
+  ) {
+    client.profileUuid = event.profileUuid;
+  }
+}
+
+export function parseConfigEvent(payload: string | undefined) {
+  if (!payload) return null;
+  try {
+    const event = JSON.parse(payload) as ConfigEvent;
+    return Object.values(ConfigEventType).includes(event.type) ? event : null;
+  } catch (_e) {
+    return null;
+  }
+}
+
+/**
+ * Sends an event. Pass the transaction the change runs in so the event is
+ * only delivered once the change is committed.
+ */
+export async function publishConfigEvent(
+  event: ConfigEvent,
+  executor: typeof db | Transaction = db
+) {
+  await executor.execute(
+    sql`select pg_notify(${CONFIG_EVENTS_CHANNEL}, ${JSON.stringify(event)})`
+  );
+}
+
+type ConfigEventListener = (event: ConfigEvent) => void;
+
+const listeners = new Set<ConfigEventListener>();
+let listenClient: Client | null = null;
+let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+
+function scheduleReconnect() {
+  if (reconnectTimer || listeners.size === 0) return;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    void connect();
+  }, RECONNECT_DELAY_MS);
+}
+
+async function connect() {
+  if (listenClient || listeners.size === 0) return;
+
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  listenClient = client;
+  const drop = () => {
+    if (listenClient !== client) return;
+    listenClient = null;
+    client.removeAllListeners();
+    client.end().catch(() => {});
+    scheduleReconnect();
+  };
+  client.on('error', (error) => {
+    console.error('Config event connection failed:', error);
+    drop();
+  });
+  client.on('end', drop);
+  client.on('notification', ({ channel, payload }) => {
+    if (channel !== CONFIG_EVENTS_CHANNEL) return;
+    const event = parseConfigEvent(payload);
+    if (!event) return;
+    for (const listener of listeners) {
+      listener(event);
+    }
+  });
+
+  try {
+    await client.connect();
+    await client.query(`LISTEN ${CONFIG_EVENTS_CHANNEL}`);
+  } catch (error) {
+    console.error('Failed to listen for config events:', error);
+    drop();
+  }
+}
+
+/**
+ * Calls `listener` with every event sent from now on, by any instance.
+ * Events sent while the connection is being re-established are lost, so
+ * long-lived clients should refetch after reconnecting. Returns a function
+ * that stops listening.
+ */
+export function subscribeConfigEvents(listener: ConfigEventListener) {
+  listeners.add(listener);
+  void connect();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size > 0) return;
+
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    const client = listenClient;
+    listenClient = null;
+    client?.removeAllListeners();
+    client?.end().catch(() => {});
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * ETags
+ *
+ * Lets clients that poll the list routes revalidate with If-None-Match and
+ * get 304 Not Modified instead of the full body when nothing changed. The
+ * ETag is a hash of the response body, so it changes with anything the
+ * route returns, including resolved secrets.
+ */
+
+import { createHash } from 'crypto';
+
+export function computeETag(body: string): string {
+  return `"${createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`;
+}
+
+/**
+ * Whether an If-None-Match header matches `etag`, comparing weakly as
+ * RFC 9110 requires for If-None-Match.
+ */
+export function matchesIfNoneMatch(
+  ifNoneMatch: string | null,
+  etag: string
+): boolean {
+  if (!ifNoneMatch) {
+    return false;
+  }
+  if (ifNoneMatch.trim() === '*') {
+    return true;
+  }
+  const opaque = (tag: string) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some((tag) => opaque(tag) === opaque(etag));
+}
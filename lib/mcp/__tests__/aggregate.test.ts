@@ -0,0 +1,48 @@
+/**
+ * Aggregate Tests
+ *
+ * Tests for merging the lists of several upstream servers.
+ */
+
+import { mergeUpstreamItems } from '../aggregate';
+
+const byName = (item: { name: string }) => item.name;
+
+describe('mergeUpstreamItems', () => {
+  it('should merge items in server order and record their owners', () => {
+    const merged = mergeUpstreamItems(
+      [
+        { serverUuid: 'a', items: [{ name: 'search' }, { name: 'fetch' }] },
+        { serverUuid: 'b', items: [{ name: 'query' }] },
+      ],
+      byName
+    );
+
+    expect(merged.items.map(byName)).toEqual(['search', 'fetch', 'query']);
+    expect(merged.owners.get('fetch')).toBe('a');
+    expect(merged.owners.get('query')).toBe('b');
+    expect(merged.collisions.size).toBe(0);
+  });
+
+  it('should keep the first server on a collision and report the others', () => {
+    const merged = mergeUpstreamItems(
+      [
+        { serverUuid: 'a', items: [{ name: 'search', from: 'a' }] },
+        { serverUuid: 'b', items: [{ name: 'search', from: 'b' }] },
+        { serverUuid: 'c', items: [{ name: 'search', from: 'c' }] },
+      ],
+      byName
+    );
+
+    expect(merged.items).toEqual([{ name: 'search', from: 'a' }]);
+    expect(merged.owners.get('search')).toBe('a');
+    expect(merged.collisions.get('search')).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should handle servers without items', () => {
+    const merged = mergeUpstreamItems([{ serverUuid: 'a', items: [] }], byName);
+
+    expect(merged.items).toEqual([]);
+    expect(merged.owners.size).toBe(0);
+  });
+});
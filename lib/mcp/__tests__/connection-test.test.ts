@@ -0,0 +1,66 @@
+/**
+ * MCP Connection Test Tests
+ *
+ * Tests that server configs are tested as the proxy would run them.
+ */
+
+import { McpServerType } from '../../../db/schema';
+import { createClientTransport } from '../client';
+import { testMcpServerConnection } from '../connection-test';
+
+jest.mock('@modelcontextprotocol/sdk/client/index.js', () => ({
+  Client: jest.fn().mockImplementation(() => ({
+    connect: jest.fn().mockResolvedValue(undefined),
+    getServerCapabilities: () => ({}),
+    getServerVersion: () => ({ name: 'test', version: '1.0.0' }),
+    close: jest.fn().mockResolvedValue(undefined),
+  })),
+}));
+
+jest.mock('../client', () => ({
+  ...jest.requireActual('../client'),
+  createClientTransport: jest.fn(() => ({ start: jest.fn() })),
+}));
+
+describe('testMcpServerConnection', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should pass referenced secrets to the transport', async () => {
+    const { health } = await testMcpServerConnection(
+      {
+        type: McpServerType.STREAMABLE_HTTP,
+        command: null,
+        args: [],
+        env: { GITHUB_TOKEN: '${secrets.GITHUB_TOKEN}' },
+        url: 'https://mcp.example.com/mcp',
+        headers: { Authorization: 'Bearer ${secrets.GITHUB_TOKEN}' },
+      },
+      new Map([['GITHUB_TOKEN', 'ghp_secret']])
+    );
+
+    expect(health.ok).toBe(true);
+    expect(createClientTransport).toHaveBeenCalledWith(
+      expect.objectContaining({
+        env: { GITHUB_TOKEN: 'ghp_secret' },
+        headers: { Authorization: 'Bearer ghp_secret' },
+      })
+    );
+  });
+
+  it('should leave configs without references unchanged', async () => {
+    await testMcpServerConnection({
+      type: McpServerType.STDIO,
+      command: 'uvx',
+      args: ['mcp-server-time'],
+      env: { TZ: 'UTC' },
+      url: null,
+      headers: {},
+    });
+
+    expect(createClientTransport).toHaveBeenCalledWith(
+      expect.objectContaining({ args: ['mcp-server-time'], env: { TZ: 'UTC' } })
+    );
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * MCP Server Export Tests
+ *
+ * Tests for the client-specific config formats, redaction and name handling.
+ */
+
+import { McpServerType } from '../../../db/schema';
+import {
+  buildMcpClientConfig,
+  ExportableMcpServer,
+  McpClientFormat,
+  REDACTED_VALUE,
+} from '../export';
+
+const stdioServer: ExportableMcpServer = {
+  name: 'time',
+  type: McpServerType.STDIO,
+  command: 'uvx',
+  args: ['mcp-server-time'],
+  env: { TZ: 'UTC' },
+  url: null,
+  headers: {},
+};
+
+const remoteServer: ExportableMcpServer = {
+  name: 'remote',
+  type: McpServerType.STREAMABLE_HTTP,
+  command: null,
+  args: [],
+  env: {},
+  url: 'https://example.com/mcp',
+  headers: { Authorization: 'Bearer token' },
+};
+
+describe('buildMcpClientConfig', () => {
+  it('should produce the Claude Desktop format bulk import accepts', () => {
+    expect(
+      buildMcpClientConfig([stdioServer, remoteServer], {
+        format: McpClientFormat.CLAUDE,
+        redact: false,
+      })
+    ).toEqual({
+      mcpServers: {
+        time: { command: 'uvx', args: ['mcp-server-time'], env: { TZ: 'UTC' } },
+        remote: {
+          type: 'streamable-http',
+          url: 'https://example.com/mcp',
+          headers: { Authorization: 'Bearer token' },
+        },
+      },
+    });
+  });
+
+  it('should use the servers root and typed entries for VS Code', () => {
+    expect(
+      buildMcpClientConfig([stdioServer, remoteServer], {
+        format: McpClientFormat.VSCODE,
+        redact: false,
+      })
+    ).toEqual({
+      servers: {
+        time: {
+          type: 'stdio',
+          command: 'uvx',
+          args: ['mcp-server-time'],
+          env: { TZ: 'UTC' },
+        },
+        remote: {
+          type: 'http',
+          url: 'https://example.com/mcp',
+          headers: { Authorization: 'Bearer token' },
+        },
+      },
+    });
+  });
+
+  it('should use url for Cursor and serverUrl for Windsurf', () => {
+    const cursor = buildMcpClientConfig([remoteServer], {
+      format: McpClientFormat.CURSOR,
+      redact: false,
+    });
+    const windsurf = buildMcpClientConfig([remoteServer], {
+      format: McpClientFormat.WINDSURF,
+      redact: false,
+    });
+
+    expect(cursor.mcpServers.remote).toEqual({
+      url: 'https://example.com/mcp',
+      headers: { Authorization: 'Bearer token' },
+    });
+    expect(windsurf.mcpServers.remote).toEqual({
+      serverUrl: 'https://example.com/mcp',
+      headers: { Authorization: 'Bearer token' },
+    });
+  });
+
+  it('should redact env values and headers but keep their names', () => {
+    const config = buildMcpClientConfig([stdioServer, remoteServer], {
+      format: McpClientFormat.CLAUDE,
+      redact: true,
+    });
+
+    expect(config.mcpServers.time).toMatchObject({
+      env: { TZ: REDACTED_VALUE },
+    });
+    expect(config.mcpServers.remote).toMatchObject({
+      headers: { Authorization: REDACTED_VALUE },
+    });
+  });
+
+  it('should omit empty env maps', () => {
+    const config = buildMcpClientConfig([{ ...stdioServer, env: {} }], {
+      format: McpClientFormat.CURSOR,
+      redact: false,
+    });
+
+    expect(config.mcpServers.time).not.toHaveProperty('env');
+  });
+
+  it('should suffix duplicate server names', () => {
+    const config = buildMcpClientConfig([stdioServer, stdioServer], {
+      format: McpClientFormat.CLAUDE,
+      redact: false,
+    });
+
+    expect(Object.keys(config.mcpServers)).toEqual(['time', 'time-2']);
+  });
+});
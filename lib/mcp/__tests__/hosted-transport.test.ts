@@ -0,0 +1,50 @@
+/**
+ * Hosted MCP Transport Tests
+ *
+ * Tests for answering the requests POSTed to a hosted session.
+ */
+
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+
+import { HostedSessionTransport } from '../hosted-transport';
+
+const request = { jsonrpc: '2.0' as const, id: 1, method: 'tools/list' };
+
+describe('HostedSessionTransport', () => {
+  it('should resolve with the response to each request', async () => {
+    const transport = new HostedSessionTransport('session');
+    transport.onmessage = (message) => {
+      if ('id' in message) {
+        transport.send({ jsonrpc: '2.0', id: message.id, result: {} });
+      }
+    };
+
+    await expect(transport.handleMessages([request])).resolves.toEqual([
+      { jsonrpc: '2.0', id: 1, result: {} },
+    ]);
+  });
+
+  it('should answer unanswered requests with a timeout error', async () => {
+    const transport = new HostedSessionTransport('session');
+    const stream = jest.fn();
+    transport.attachStream(stream);
+
+    const responses = await transport.handleMessages([request], 10);
+
+    expect(responses).toEqual([
+      {
+        jsonrpc: '2.0',
+        id: 1,
+        error: {
+          code: ErrorCode.RequestTimeout,
+          message: 'Request timed out after 10ms',
+        },
+      },
+    ]);
+
+    // The pending entry is gone, so a late response goes to the stream.
+    const late = { jsonrpc: '2.0' as const, id: 1, result: {} };
+    await transport.send(late);
+    expect(stream).toHaveBeenCalledWith(late);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * MCP Server Import Planning Tests
+ *
+ * Tests for entry classification, merge modes and secret-safe diffs.
+ */
+
+import { McpServerType } from '../../../db/schema';
+import {
+  ComparableMcpServer,
+  diffMcpServers,
+  ImportAction,
+  ImportEntryStatus,
+  ImportMergeMode,
+  planImport,
+} from '../import';
+
+const existingServer: ComparableMcpServer & { uuid: string } = {
+  uuid: '00000000-0000-0000-0000-000000000001',
+  name: 'time',
+  description: '',
+  type: McpServerType.STDIO,
+  command: 'uvx',
+  args: ['mcp-server-time'],
+  env: { TZ: 'UTC' },
+  url: null,
+  headers: {},
+};
+
+const identicalEntry = {
+  command: 'uvx',
+  args: ['mcp-server-time'],
+  env: { TZ: 'UTC' },
+};
+
+const changedEntry = {
+  command: 'uvx',
+  args: ['mcp-server-time', '--local-timezone=Europe/Berlin'],
+  env: { TZ: 'Europe/Berlin' },
+};
+
+describe('planImport', () => {
+  it('should create new servers and skip identical ones', () => {
+    const plan = planImport(
+      {
+        time: identicalEntry,
+        fetch: { command: 'uvx', args: ['mcp-server-fetch'] },
+      },
+      [existingServer],
+      ImportMergeMode.OVERWRITE
+    );
+
+    expect(plan).toMatchObject([
+      {
+        name: 'time',
+        status: ImportEntryStatus.IDENTICAL,
+        action: ImportAction.SKIP,
+        existingUuid: existingServer.uuid,
+      },
+      {
+        name: 'fetch',
+        status: ImportEntryStatus.NEW,
+        action: ImportAction.CREATE,
+        targetName: 'fetch',
+      },
+    ]);
+  });
+
+  it('should skip changed servers in skip mode', () => {
+    const [entry] = planImport(
+      { time: changedEntry },
+      [existingServer],
+      ImportMergeMode.SKIP
+    );
+
+    expect(entry.status).toBe(ImportEntryStatus.CHANGED);
+    expect(entry.action).toBe(ImportAction.SKIP);
+    expect(entry.server).toBeUndefined();
+  });
+
+  it('should update the matching server in overwrite mode', () => {
+    const [entry] = planImport(
+      { time: changedEntry },
+      [existingServer],
+      ImportMergeMode.OVERWRITE
+    );
+
+    expect(entry.action).toBe(ImportAction.UPDATE);
+    expect(entry.existingUuid).toBe(existingServer.uuid);
+    expect(entry.server?.env).toEqual({ TZ: 'Europe/Berlin' });
+  });
+
+  it('should create suffixed copies in rename mode', () => {
+    const plan = planImport(
+      { time: changedEntry },
+      [existingServer, { ...existingServer, name: 'time-2' }],
+      ImportMergeMode.RENAME
+    );
+
+    expect(plan[0]).toMatchObject({
+      action: ImportAction.CREATE,
+      targetName: 'time-3',
+      server: { name: 'time-3' },
+    });
+  });
+
+  it('should not rename onto the name of another imported entry', () => {
+    const plan = planImport(
+      { time: changedEntry, 'time-2': identicalEntry },
+      [existingServer],
+      ImportMergeMode.RENAME
+    );
+
+    expect(plan.map((entry) => entry.targetName)).toEqual(['time-3', 'time-2']);
+    expect(plan[1].action).toBe(ImportAction.CREATE);
+  });
+
+  it('should report invalid entries without a server to write', () => {
+    const [entry] = planImport(
+      { broken: { type: 'sse' } },
+      [],
+      ImportMergeMode.SKIP
+    );
+
+    expect(entry.status).toBe(ImportEntryStatus.INVALID);
+    expect(entry.action).toBe(ImportAction.SKIP);
+    expect(entry.error).toBeTruthy();
+    expect(entry.server).toBeUndefined();
+  });
+});
+
+describe('diffMcpServers', () => {
+  it('should report changed fields with before and after values', () => {
+    expect(
+      diffMcpServers(existingServer, {
+        ...existingServer,
+        args: ['mcp-server-time', '--verbose'],
+      })
+    ).toEqual([
+      {
+        field: 'args',
+        before: 'mcp-server-time',
+        after: 'mcp-server-time --verbose',
+      },
+    ]);
+  });
+
+  it('should report env and header changes by key without values', () => {
+    expect(
+      diffMcpServers(existingServer, {
+        ...existingServer,
+        env: { TZ: 'Europe/Berlin', LANG: 'de' },
+        headers: { Authorization: 'Bearer token' },
+      })
+    ).toEqual([
+      { field: 'env.LANG' },
+      { field: 'env.TZ' },
+      { field: 'headers.Authorization' },
+    ]);
+  });
+});
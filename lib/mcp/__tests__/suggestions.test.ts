@@ -0,0 +1,104 @@
+/**
+ * Server Suggestion Tests
+ *
+ * Tests for matching proposed servers against the servers a workspace
+ * already has.
+ */
+
+import { McpServerStatus, McpServerType } from '../../../db/schema';
+import {
+  getServerFingerprint,
+  hashServerFingerprint,
+  resolveSuggestion,
+  SuggestionOutcome,
+} from '../suggestions';
+
+const timeServer = {
+  type: McpServerType.STDIO,
+  command: 'uvx',
+  args: ['mcp-server-time'],
+  url: null,
+};
+
+const remoteServer = {
+  type: McpServerType.SSE,
+  command: null,
+  args: [],
+  url: 'https://example.com/sse',
+};
+
+describe('getServerFingerprint', () => {
+  it('should match STDIO servers by command and args', () => {
+    expect(
+      getServerFingerprint({ ...timeServer, args: [' mcp-server-time'] })
+    ).toBe(getServerFingerprint(timeServer));
+    expect(
+      getServerFingerprint({ ...timeServer, args: ['mcp-server-time', '-v'] })
+    ).not.toBe(getServerFingerprint(timeServer));
+  });
+
+  it('should not confuse args that contain spaces', () => {
+    expect(getServerFingerprint({ ...timeServer, args: ['a b'] })).not.toBe(
+      getServerFingerprint({ ...timeServer, args: ['a', 'b'] })
+    );
+  });
+
+  it('should match remote servers by URL', () => {
+    expect(
+      getServerFingerprint({ ...remoteServer, url: 'https://example.com/sse/' })
+    ).toBe(getServerFingerprint(remoteServer));
+    expect(
+      getServerFingerprint({
+        ...remoteServer,
+        type: McpServerType.STREAMABLE_HTTP,
+      })
+    ).not.toBe(getServerFingerprint(remoteServer));
+  });
+});
+
+describe('hashServerFingerprint', () => {
+  it('should hash matching servers alike and others differently', () => {
+    expect(hashServerFingerprint({ ...timeServer, command: ' uvx ' })).toBe(
+      hashServerFingerprint(timeServer)
+    );
+    expect(
+      hashServerFingerprint({ ...timeServer, args: ['mcp-server-fetch'] })
+    ).not.toBe(hashServerFingerprint(timeServer));
+  });
+
+  it('should be storable as text', () => {
+    expect(hashServerFingerprint(timeServer)).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe('resolveSuggestion', () => {
+  it('should suggest servers the workspace does not have', () => {
+    expect(
+      resolveSuggestion(timeServer, [
+        { ...remoteServer, status: McpServerStatus.ACTIVE },
+      ])
+    ).toEqual({ outcome: SuggestionOutcome.SUGGESTED, match: null });
+  });
+
+  it('should not re-propose declined servers', () => {
+    const declined = { ...timeServer, status: McpServerStatus.DECLINED };
+
+    expect(resolveSuggestion(timeServer, [declined])).toEqual({
+      outcome: SuggestionOutcome.DECLINED,
+      match: declined,
+    });
+  });
+
+  it('should report pending and installed servers', () => {
+    expect(
+      resolveSuggestion(timeServer, [
+        { ...timeServer, status: McpServerStatus.SUGGESTED },
+      ]).outcome
+    ).toBe(SuggestionOutcome.PENDING);
+    expect(
+      resolveSuggestion(timeServer, [
+        { ...timeServer, status: McpServerStatus.INACTIVE },
+      ]).outcome
+    ).toBe(SuggestionOutcome.INSTALLED);
+  });
+});
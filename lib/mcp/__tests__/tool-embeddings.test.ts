@@ -0,0 +1,82 @@
+/**
+ * Tool Embeddings Tests
+ *
+ * Tests for scoring tools against a query with the local embedding model.
+ */
+
+import { pipeline } from '@xenova/transformers';
+
+import { db } from '../../../db';
+import { scoreToolsForQuery } from '../tool-embeddings';
+
+jest.mock('@xenova/transformers', () => ({
+  env: {},
+  pipeline: jest.fn(),
+}));
+
+jest.mock('../../../db', () => ({
+  db: { select: jest.fn(), insert: jest.fn() },
+}));
+
+const tools = [
+  { uuid: 'a', name: 'search_issues', description: 'Search GitHub issues' },
+  { uuid: 'b', name: 'get_time', description: 'Get the current time' },
+];
+
+describe('scoreToolsForQuery', () => {
+  let now = 0;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Each test starts well past the wait after an earlier failed load.
+    now += 60 * 60_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  it('should return null when the model cannot be loaded', async () => {
+    (pipeline as jest.Mock).mockRejectedValue(
+      new Error('Could not locate file: models/Xenova/all-MiniLM-L6-v2')
+    );
+
+    await expect(scoreToolsForQuery(tools, 'open issues')).resolves.toBeNull();
+    expect(db.select).not.toHaveBeenCalled();
+  });
+
+  it('should not retry a failed load on every query', async () => {
+    (pipeline as jest.Mock).mockRejectedValue(
+      new Error('Could not locate file')
+    );
+
+    await scoreToolsForQuery(tools, 'open issues');
+    await scoreToolsForQuery(tools, 'current time');
+    expect(pipeline).toHaveBeenCalledTimes(1);
+
+    now += 5 * 60_000;
+    await scoreToolsForQuery(tools, 'open issues');
+    expect(pipeline).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledTimes(2);
+  });
+
+  it('should score tools by similarity to the query', async () => {
+    const vectors: { [text: string]: number[] } = {
+      'search_issues: Search GitHub issues': [1, 0],
+      'get_time: Get the current time': [0, 1],
+      'open issues': [1, 0],
+    };
+    (pipeline as jest.Mock).mockResolvedValue(async (texts: string[]) => ({
+      tolist: () => texts.map((text) => vectors[text]),
+    }));
+    (db.select as jest.Mock).mockReturnValue({
+      from: () => ({ where: () => Promise.resolve([]) }),
+    });
+    (db.insert as jest.Mock).mockReturnValue({
+      values: () => ({ onConflictDoUpdate: () => Promise.resolve() }),
+    });
+
+    const scores = await scoreToolsForQuery(tools, 'open issues');
+
+    expect(scores?.get('a')).toBeCloseTo(1);
+    expect(scores?.get('b')).toBeCloseTo(0);
+  });
+});
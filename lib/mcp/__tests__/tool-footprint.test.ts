@@ -0,0 +1,81 @@
+/**
+ * Tool Footprint Tests
+ *
+ * Tests for counting the tokens of a workspace's tools by server and tool.
+ */
+
+import { TokenCounter } from '../../token-counting/TokenCounter';
+import { buildToolFootprint } from '../tool-footprint';
+
+const inputSchema = { type: 'object' as const, properties: {} };
+
+describe('buildToolFootprint', () => {
+  const tokenCounter = new TokenCounter();
+
+  it('should count every registered tokenizer', () => {
+    const footprint = buildToolFootprint(
+      [
+        {
+          uuid: 'a',
+          name: 'GitHub',
+          tools: [{ name: 'search', description: 'Search', inputSchema }],
+        },
+      ],
+      tokenCounter
+    );
+
+    expect(footprint.tokenizers).toEqual(['claude', 'gpt']);
+    for (const tokenizer of footprint.tokenizers) {
+      expect(footprint.total[tokenizer]).toBeGreaterThan(0);
+    }
+  });
+
+  it('should add tools up by server and servers up to the total', () => {
+    const footprint = buildToolFootprint(
+      [
+        {
+          uuid: 'a',
+          name: 'Small',
+          tools: [{ name: 'ping', inputSchema }],
+        },
+        {
+          uuid: 'b',
+          name: 'Large',
+          tools: [
+            { name: 'short', description: 'Short', inputSchema },
+            { name: 'long', description: 'Long. '.repeat(50), inputSchema },
+          ],
+        },
+      ],
+      tokenCounter
+    );
+
+    expect(footprint.servers.map((server) => server.uuid)).toEqual(['b', 'a']);
+    expect(footprint.servers[0].tools.map((tool) => tool.name)).toEqual([
+      'long',
+      'short',
+    ]);
+    for (const tokenizer of footprint.tokenizers) {
+      const servers = footprint.servers.map(
+        (server) => server.total[tokenizer]
+      );
+      expect(servers[0]).toBe(
+        footprint.servers[0].tools.reduce(
+          (sum, tool) => sum + tool.tokens[tokenizer],
+          0
+        )
+      );
+      expect(footprint.total[tokenizer]).toBe(servers[0] + servers[1]);
+    }
+  });
+
+  it('should count servers without tools as zero', () => {
+    const footprint = buildToolFootprint(
+      [{ uuid: 'a', name: 'Empty', tools: [] }],
+      tokenCounter
+    );
+
+    expect(footprint.total).toEqual({ claude: 0, gpt: 0 });
+    expect(footprint.servers[0].total).toEqual({ claude: 0, gpt: 0 });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tool Names Tests
+ *
+ * Tests for naming policies, prefixes and collision detection.
+ */
+
+import { ToolNamingPolicy } from '../../../db/schema';
+import {
+  applyToolPrefix,
+  assertValidToolPrefixes,
+  findToolNameCollisions,
+  getToolPrefix,
+  removeToolPrefix,
+  slugifyServerName,
+} from '../tool-names';
+
+const github = { uuid: 'a', name: 'GitHub' };
+const files = { uuid: 'b', name: 'Local Files (home)' };
+
+describe('slugifyServerName', () => {
+  it('should keep letters, digits, _ and -', () => {
+    expect(slugifyServerName('GitHub')).toBe('github');
+    expect(slugifyServerName('my-server_2')).toBe('my-server_2');
+  });
+
+  it('should replace other characters with single underscores', () => {
+    expect(slugifyServerName('Local Files (home)')).toBe('local_files_home');
+  });
+
+  it('should fall back when nothing is left', () => {
+    expect(slugifyServerName('!!!')).toBe('server');
+  });
+});
+
+describe('getToolPrefix', () => {
+  const prefixes = { a: 'gh' };
+
+  it('should not prefix raw names', () => {
+    expect(
+      getToolPrefix({ policy: ToolNamingPolicy.RAW, prefixes }, github)
+    ).toBe(null);
+  });
+
+  it('should prefix with the server name', () => {
+    expect(
+      getToolPrefix(
+        { policy: ToolNamingPolicy.SERVER_PREFIX, prefixes },
+        github
+      )
+    ).toBe('github');
+  });
+
+  it('should use custom prefixes and fall back to the server name', () => {
+    const config = { policy: ToolNamingPolicy.CUSTOM_PREFIX, prefixes };
+    expect(getToolPrefix(config, github)).toBe('gh');
+    expect(getToolPrefix(config, files)).toBe('local_files_home');
+  });
+});
+
+describe('applyToolPrefix and removeToolPrefix', () => {
+  it('should join and split prefixed names', () => {
+    expect(applyToolPrefix('search', 'gh')).toBe('gh__search');
+    expect(removeToolPrefix('gh__search', 'gh')).toBe('search');
+  });
+
+  it('should leave names without a prefix unchanged', () => {
+    expect(applyToolPrefix('search', null)).toBe('search');
+    expect(removeToolPrefix('search', null)).toBe('search');
+    expect(removeToolPrefix('search', 'gh')).toBe('search');
+  });
+});
+
+describe('assertValidToolPrefixes', () => {
+  it('should accept letters, digits, _ and -', () => {
+    expect(() => assertValidToolPrefixes({ a: 'gh-2_x' })).not.toThrow();
+  });
+
+  it('should reject other characters and long prefixes', () => {
+    expect(() => assertValidToolPrefixes({ a: 'git hub' })).toThrow();
+    expect(() => assertValidToolPrefixes({ a: 'x'.repeat(33) })).toThrow();
+  });
+});
+
+describe('findToolNameCollisions', () => {
+  const servers = [
+    { ...github, toolNames: ['search', 'create_issue'] },
+    { ...files, toolNames: ['search', 'read_file'] },
+  ];
+
+  it('should report names exposed by several servers', () => {
+    expect(
+      findToolNameCollisions(
+        { policy: ToolNamingPolicy.RAW, prefixes: {} },
+        servers
+      )
+    ).toEqual([{ name: 'search', serverUuids: ['a', 'b'] }]);
+  });
+
+  it('should find no collisions once names are prefixed', () => {
+    expect(
+      findToolNameCollisions(
+        { policy: ToolNamingPolicy.SERVER_PREFIX, prefixes: {} },
+        servers
+      )
+    ).toEqual([]);
+  });
+
+  it('should report servers given the same custom prefix', () => {
+    expect(
+      findToolNameCollisions(
+        {
+          policy: ToolNamingPolicy.CUSTOM_PREFIX,
+          prefixes: { a: 'x', b: 'x' },
+        },
+        servers
+      )
+    ).toEqual([{ name: 'x__search', serverUuids: ['a', 'b'] }]);
+  });
+});
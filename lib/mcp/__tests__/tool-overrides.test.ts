@@ -0,0 +1,107 @@
+/**
+ * Tool Overrides Tests
+ *
+ * Tests for normalizing and applying tool overrides and counting the tokens
+ * they save.
+ */
+
+import { TokenCounter } from '../../token-counting/TokenCounter';
+import {
+  applyToolOverride,
+  countToolTokens,
+  hasToolOverride,
+  normalizeToolOverride,
+} from '../tool-overrides';
+
+const tool = {
+  name: 'search_repositories',
+  description: 'Search for GitHub repositories. '.repeat(20),
+  inputSchema: {
+    type: 'object' as const,
+    properties: {
+      query: { type: 'string', description: 'Search query. '.repeat(10) },
+      page: { type: 'number' },
+    },
+    required: ['query'],
+  },
+};
+
+const noOverride = {
+  name_override: null,
+  description_override: null,
+  parameter_description_overrides: {},
+};
+
+describe('normalizeToolOverride', () => {
+  it('should turn empty fields into no override', () => {
+    expect(
+      normalizeToolOverride({
+        name_override: ' ',
+        description_override: '',
+        parameter_description_overrides: { query: '  ', page: ' Page ' },
+      })
+    ).toEqual({
+      name_override: null,
+      description_override: null,
+      parameter_description_overrides: { page: 'Page' },
+    });
+  });
+
+  it('should reject names clients do not accept', () => {
+    expect(() =>
+      normalizeToolOverride({ ...noOverride, name_override: 'search repos' })
+    ).toThrow();
+  });
+});
+
+describe('hasToolOverride', () => {
+  it('should tell whether anything is overridden', () => {
+    expect(hasToolOverride(noOverride)).toBe(false);
+    expect(
+      hasToolOverride({
+        ...noOverride,
+        parameter_description_overrides: { query: 'Query' },
+      })
+    ).toBe(true);
+  });
+});
+
+describe('applyToolOverride', () => {
+  it('should leave a tool without overrides unchanged', () => {
+    expect(applyToolOverride(tool, noOverride)).toEqual(tool);
+  });
+
+  it('should replace the name, description and parameter descriptions', () => {
+    const overridden = applyToolOverride(tool, {
+      name_override: 'search',
+      description_override: 'Search repositories',
+      parameter_description_overrides: { query: 'Query', missing: 'Unused' },
+    });
+
+    expect(overridden.name).toBe('search');
+    expect(overridden.description).toBe('Search repositories');
+    expect(overridden.inputSchema.properties).toEqual({
+      query: { type: 'string', description: 'Query' },
+      page: { type: 'number' },
+    });
+    expect(overridden.inputSchema.required).toEqual(['query']);
+    expect(tool.inputSchema.properties.query.description).not.toBe('Query');
+  });
+});
+
+describe('countToolTokens', () => {
+  it('should count fewer tokens with shorter descriptions', () => {
+    const tokenCounter = new TokenCounter();
+    const before = countToolTokens(tool, tokenCounter);
+    const after = countToolTokens(
+      applyToolOverride(tool, {
+        ...noOverride,
+        description_override: 'Search repositories',
+      }),
+      tokenCounter
+    );
+
+    expect(before).toBeGreaterThan(0);
+    expect(after).toBeLessThan(before);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tool RAG Tests
+ *
+ * Tests for picking the tools relevant to a query.
+ */
+
+import {
+  cosineSimilarity,
+  getToolEmbeddingText,
+  hashToolEmbeddingText,
+  selectRelevantTools,
+} from '../tool-rag';
+
+describe('getToolEmbeddingText', () => {
+  it('should join the name and description', () => {
+    expect(
+      getToolEmbeddingText({ name: 'search', description: 'Search issues' })
+    ).toBe('search: Search issues');
+  });
+
+  it('should use the name alone without a description', () => {
+    expect(getToolEmbeddingText({ name: 'search', description: null })).toBe(
+      'search'
+    );
+  });
+});
+
+describe('hashToolEmbeddingText', () => {
+  it('should change when the text does', () => {
+    expect(hashToolEmbeddingText('search')).toBe(
+      hashToolEmbeddingText('search')
+    );
+    expect(hashToolEmbeddingText('search')).not.toBe(
+      hashToolEmbeddingText('search: Search issues')
+    );
+  });
+});
+
+describe('cosineSimilarity', () => {
+  it('should be 1 for vectors pointing the same way', () => {
+    expect(cosineSimilarity([1, 2], [2, 4])).toBeCloseTo(1);
+  });
+
+  it('should be 0 for orthogonal or zero vectors', () => {
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+  });
+});
+
+describe('selectRelevantTools', () => {
+  const tools = [
+    { uuid: 'a', pinned: false },
+    { uuid: 'b', pinned: true },
+    { uuid: 'c', pinned: false },
+    { uuid: 'd', pinned: false },
+  ];
+  const scores = new Map([
+    ['a', 0.2],
+    ['b', 0.1],
+    ['c', 0.9],
+    ['d', 0.5],
+  ]);
+
+  it('should return pinned tools first, then the top K by score', () => {
+    expect(
+      selectRelevantTools(tools, scores, 2).map((tool) => tool.uuid)
+    ).toEqual(['b', 'c', 'd']);
+  });
+
+  it('should not count pinned tools towards K', () => {
+    expect(
+      selectRelevantTools(tools, scores, 3).map((tool) => tool.uuid)
+    ).toEqual(['b', 'c', 'd', 'a']);
+  });
+
+  it('should leave out unscored tools', () => {
+    expect(
+      selectRelevantTools(tools, new Map([['a', 1]]), 5).map(
+        (tool) => tool.uuid
+      )
+    ).toEqual(['b', 'a']);
+  });
+});
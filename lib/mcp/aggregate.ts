@@ -0,0 +1,51 @@
+/**
+ * Capability Aggregation
+ *
+ * Merges the tools, prompts and resources of a workspace's servers into the
+ * single lists the hosted MCP endpoint returns, and remembers which server
+ * owns each name so calls can be routed back to it. Servers are given in the
+ * order they were added; when two expose the same name, the earlier one
+ * keeps it and the later one's item is left out.
+ */
+
+export type UpstreamItems<T> = {
+  serverUuid: string;
+  items: T[];
+};
+
+export type MergedItems<T> = {
+  items: T[];
+  /** Item key to the uuid of the server that owns it. */
+  owners: Map<string, string>;
+  /** Keys exposed by more than one server, with every server in order. */
+  collisions: Map<string, string[]>;
+};
+
+export function mergeUpstreamItems<T>(
+  upstreams: UpstreamItems<T>[],
+  getKey: (item: T) => string
+): MergedItems<T> {
+  const items: T[] = [];
+  const owners = new Map<string, string>();
+  const collisions = new Map<string, string[]>();
+
+  for (const upstream of upstreams) {
+    for (const item of upstream.items) {
+      const key = getKey(item);
+      const owner = owners.get(key);
+      if (owner === undefined) {
+        owners.set(key, upstream.serverUuid);
+        items.push(item);
+        continue;
+      }
+      if (owner === upstream.serverUuid) {
+        continue;
+      }
+      const servers = collisions.get(key) ?? [owner];
+      servers.push(upstream.serverUuid);
+      collisions.set(key, servers);
+    }
+  }
+
+  return { items, owners, collisions };
+}
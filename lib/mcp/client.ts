@@ -0,0 +1,96 @@
+/**
+ * MCP Client Helpers
+ *
+ * Connects to configured MCP servers. Shared by the connection test and the
+ * hosted MCP endpoint, which keeps connections open to every active server
+ * of a workspace.
+ */
+
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import {
+  getDefaultEnvironment,
+  StdioClientTransport,
+} from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { Transport } from '@modelcontextprotocol/sdk/shared/transport.js';
+
+import { McpServerType } from '../../db/schema';
+import { isRemoteMcpServerType } from '../validation/mcp-servers';
+
+export interface McpServerTarget {
+  type: McpServerType;
+  command: string | null;
+  args: string[];
+  env: { [key: string]: string };
+  url: string | null;
+  headers: { [key: string]: string };
+}
+
+export function withTimeout<T>(
+  promise: Promise<T>,
+  timeoutMs: number
+): Promise<T> {
+  let timer: ReturnType<typeof setTimeout>;
+  const timeout = new Promise<never>((_resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${timeoutMs}ms`)),
+      timeoutMs
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Creates the client transport for a server configuration.
+ */
+export function createClientTransport(target: McpServerTarget): Transport {
+  if (isRemoteMcpServerType(target.type)) {
+    if (!target.url) {
+      throw new Error(`${target.type} server has no URL configured`);
+    }
+    const url = new URL(target.url);
+    const requestInit = { headers: target.headers };
+
+    if (target.type === McpServerType.STREAMABLE_HTTP) {
+      return new StreamableHTTPClientTransport(url, { requestInit });
+    }
+    // The SSE stream is opened through EventSource, which needs the headers
+    // passed to its fetch separately from the POST requestInit.
+    return new SSEClientTransport(url, {
+      requestInit,
+      eventSourceInit: {
+        fetch: (input, init) =>
+          fetch(input, {
+            ...init,
+            headers: { ...init?.headers, ...target.headers },
+          }),
+      },
+    });
+  }
+
+  if (!target.command) {
+    throw new Error('STDIO server has no command configured');
+  }
+  return new StdioClientTransport({
+    command: target.command,
+    args: target.args,
+    env: { ...getDefaultEnvironment(), ...target.env },
+    stderr: 'pipe',
+  });
+}
+
+/**
+ * Collects every page of a paginated list request.
+ */
+export async function listAll<T>(
+  list: (cursor?: string) => Promise<{ nextCursor?: string; items: T[] }>
+): Promise<T[]> {
+  const items: T[] = [];
+  let cursor: string | undefined;
+  do {
+    const page = await list(cursor);
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return items;
+}
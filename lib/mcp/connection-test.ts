@@ -0,0 +1,160 @@
+/**
+ * MCP Connection Test
+ *
+ * Connects to a configured MCP server, runs the initialize handshake and lists
+ * its tools, prompts and resources. Used to verify a server configuration from
+ * the app before any client depends on it.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { Transport } from '@modelcontextprotocol/sdk/shared/transport.js';
+import { Tool } from '@modelcontextprotocol/sdk/types.js';
+
+import { McpServerHealthCheck } from '../../db/schema';
+import { resolveServerSecretReferences } from '../secrets/references';
+import {
+  createClientTransport,
+  listAll,
+  McpServerTarget,
+  withTimeout,
+} from './client';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const STDERR_EXCERPT_LENGTH = 2000;
+
+export type ConnectionTestTarget = McpServerTarget;
+
+export interface ConnectionTestResult {
+  health: McpServerHealthCheck;
+  tools: Tool[];
+}
+
+/**
+ * Hooks into transport startup. The client does not expose the negotiated
+ * protocol version after the handshake, so the message handler it installs is
+ * wrapped to read it from the initialize response. The STDIO stderr stream
+ * only exists once the process has been spawned, hence the onStarted hook.
+ */
+function instrumentTransport(
+  transport: Transport,
+  hooks: {
+    onProtocolVersion: (version: string) => void;
+    onStarted: () => void;
+  }
+) {
+  const start = transport.start.bind(transport);
+  transport.start = async () => {
+    const onmessage = transport.onmessage;
+    transport.onmessage = (message) => {
+      const result = (message as { result?: { protocolVersion?: unknown } })
+        .result;
+      if (typeof result?.protocolVersion === 'string') {
+        hooks.onProtocolVersion(result.protocolVersion);
+      }
+      onmessage?.(message);
+    };
+    await start();
+    hooks.onStarted();
+  };
+}
+
+/**
+ * Tests a server configuration end to end.
+ *
+ * @param target The server configuration to connect to, decrypted
+ * @param secrets Project secret values for the target's ${secrets.NAME}
+ *   references, resolved just as they are for the proxy
+ * @param timeoutMs Time allowed for the whole test, including process startup
+ * @returns The health check result and the tools the server exposes
+ */
+export async function testMcpServerConnection(
+  target: ConnectionTestTarget,
+  secrets: Map<string, string> = new Map(),
+  timeoutMs: number = DEFAULT_TIMEOUT_MS
+): Promise<ConnectionTestResult> {
+  const startedAt = Date.now();
+  const health: McpServerHealthCheck = {
+    ok: false,
+    checked_at: new Date(startedAt).toISOString(),
+    latency_ms: 0,
+  };
+  let tools: Tool[] = [];
+  let stderr = '';
+
+  const client = new Client(
+    { name: 'metamcp-connection-test', version: '0.1.0' },
+    { capabilities: {} }
+  );
+
+  try {
+    const transport = createClientTransport(
+      resolveServerSecretReferences(target, secrets)
+    );
+    instrumentTransport(transport, {
+      onProtocolVersion: (version) => {
+        health.protocol_version = version;
+      },
+      onStarted: () => {
+        if (transport instanceof StdioClientTransport) {
+          transport.stderr?.on('data', (chunk: Buffer) => {
+            stderr = (stderr + chunk.toString()).slice(-STDERR_EXCERPT_LENGTH);
+          });
+        }
+      },
+    });
+
+    await withTimeout(
+      (async () => {
+        await client.connect(transport);
+
+        const capabilities = client.getServerCapabilities() ?? {};
+        health.capabilities = capabilities;
+        health.server_info = client.getServerVersion();
+
+        tools = capabilities.tools
+          ? await listAll(async (cursor) => {
+              const result = await client.listTools({ cursor });
+              return { nextCursor: result.nextCursor, items: result.tools };
+            })
+          : [];
+        health.tool_count = tools.length;
+
+        health.prompt_count = capabilities.prompts
+          ? (
+              await listAll(async (cursor) => {
+                const result = await client.listPrompts({ cursor });
+                return { nextCursor: result.nextCursor, items: result.prompts };
+              })
+            ).length
+          : 0;
+
+        health.resource_count = capabilities.resources
+          ? (
+              await listAll(async (cursor) => {
+                const result = await client.listResources({ cursor });
+                return {
+                  nextCursor: result.nextCursor,
+                  items: result.resources,
+                };
+              })
+            ).length
+          : 0;
+      })(),
+      timeoutMs
+    );
+
+    health.ok = true;
+  } catch (error) {
+    health.error = error instanceof Error ? error.message : String(error);
+  } finally {
+    health.latency_ms = Date.now() - startedAt;
+    await client.close().catch(() => {});
+  }
+
+  if (stderr) {
+    health.stderr = stderr;
+  }
+
+  return { health, tools };
+}
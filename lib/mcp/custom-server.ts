@@ -0,0 +1,61 @@
+/**
+ * Custom MCP Servers
+ *
+ * Custom servers are Python files edited in the app. To run one, its code is
+ * written to a file under the system temp directory and started with
+ * `uv run`, which also installs dependencies declared in the script's inline
+ * metadata.
+ */
+
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+
+import { McpServerType } from '../../db/schema';
+import { McpServerTarget } from './client';
+
+const CUSTOM_SERVER_CODE_DIR = join(tmpdir(), 'metamcp-custom-servers');
+
+export type RunnableCustomServer = {
+  code_uuid: string;
+  code: string;
+  codeFileName: string;
+  additionalArgs: string[];
+  env: { [key: string]: string };
+};
+
+export function getCustomServerCodePath(
+  codeUuid: string,
+  fileName: string
+): string {
+  return join(
+    CUSTOM_SERVER_CODE_DIR,
+    basename(codeUuid),
+    basename(fileName) || 'server.py'
+  );
+}
+
+/**
+ * Writes the server's code to disk, unless it is already there unchanged,
+ * and returns the STDIO config that runs it.
+ */
+export async function prepareCustomServer(
+  server: RunnableCustomServer
+): Promise<McpServerTarget> {
+  const path = getCustomServerCodePath(server.code_uuid, server.codeFileName);
+
+  const existing = await readFile(path, 'utf8').catch(() => null);
+  if (existing !== server.code) {
+    await mkdir(join(path, '..'), { recursive: true });
+    await writeFile(path, server.code, 'utf8');
+  }
+
+  return {
+    type: McpServerType.STDIO,
+    command: 'uv',
+    args: ['run', path, ...server.additionalArgs],
+    env: server.env,
+    url: null,
+    headers: {},
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * MCP Server Export
+ *
+ * Builds client configuration files from a workspace's servers so they can be
+ * run directly by an MCP client instead of through the MetaMCP proxy. The
+ * Claude Desktop format is the same `{ mcpServers: {...} }` shape that
+ * bulkImportMcpServers accepts.
+ */
+
+import { McpServerType } from '../../db/schema';
+
+export enum McpClientFormat {
+  CLAUDE = 'claude',
+  CURSOR = 'cursor',
+  VSCODE = 'vscode',
+  WINDSURF = 'windsurf',
+}
+
+export const MCP_CLIENT_FORMAT_LABELS: { [format in McpClientFormat]: string } =
+  {
+    [McpClientFormat.CLAUDE]: 'Claude Desktop',
+    [McpClientFormat.CURSOR]: 'Cursor',
+    [McpClientFormat.VSCODE]: 'VS Code',
+    [McpClientFormat.WINDSURF]: 'Windsurf',
+  };
+
+/**
+ * File name each client reads its MCP configuration from.
+ */
+export const MCP_CLIENT_CONFIG_FILE_NAMES: {
+  [format in McpClientFormat]: string;
+} = {
+  [McpClientFormat.CLAUDE]: 'claude_desktop_config.json',
+  [McpClientFormat.CURSOR]: 'mcp.json',
+  [McpClientFormat.VSCODE]: 'mcp.json',
+  [McpClientFormat.WINDSURF]: 'mcp_config.json',
+};
+
+export const REDACTED_VALUE = '<REDACTED>';
+
+export type ExportableMcpServer = {
+  name: string;
+  type: McpServerType;
+  command: string | null;
+  args: string[];
+  env: { [key: string]: string };
+  url: string | null;
+  headers: { [key: string]: string };
+};
+
+type ClientServerConfig = { [key: string]: unknown };
+
+function redactValues(values: { [key: string]: string }) {
+  return Object.fromEntries(
+    Object.keys(values).map((key) => [key, REDACTED_VALUE])
+  );
+}
+
+function remoteType(type: McpServerType) {
+  return type === McpServerType.STREAMABLE_HTTP ? 'streamable-http' : 'sse';
+}
+
+/**
+ * Drops empty env/headers maps so exported files stay minimal.
+ */
+function withNonEmpty(
+  config: ClientServerConfig,
+  key: string,
+  values: { [key: string]: string }
+): ClientServerConfig {
+  return Object.keys(values).length > 0 ? { ...config, [key]: values } : config;
+}
+
+function toClientServerConfig(
+  server: ExportableMcpServer,
+  format: McpClientFormat
+): ClientServerConfig {
+  if (server.type === McpServerType.STDIO) {
+    const config: ClientServerConfig = {
+      ...(format === McpClientFormat.VSCODE && { type: 'stdio' }),
+      command: server.command,
+      args: server.args,
+    };
+    return withNonEmpty(config, 'env', server.env);
+  }
+
+  let config: ClientServerConfig;
+  switch (format) {
+    case McpClientFormat.VSCODE:
+      config = {
+        type: server.type === McpServerType.STREAMABLE_HTTP ? 'http' : 'sse',
+        url: server.url,
+      };
+      break;
+    case McpClientFormat.WINDSURF:
+      config = { serverUrl: server.url };
+      break;
+    case McpClientFormat.CURSOR:
+      config = { url: server.url };
+      break;
+    default:
+      config = { type: remoteType(server.type), url: server.url };
+  }
+  return withNonEmpty(config, 'headers', server.headers);
+}
+
+/**
+ * Server names are not unique within a workspace, but they are keys in the
+ * exported file, so later duplicates get a numeric suffix.
+ */
+function uniqueName(name: string, used: Set<string>) {
+  let candidate = name;
+  for (let i = 2; used.has(candidate); i++) {
+    candidate = `${name}-${i}`;
+  }
+  used.add(candidate);
+  return candidate;
+}
+
+export function buildMcpClientConfig(
+  servers: ExportableMcpServer[],
+  options: { format: McpClientFormat; redact: boolean }
+) {
+  const used = new Set<string>();
+  const entries = servers.map((server) => {
+    const exported = options.redact
+      ? {
+          ...server,
+          env: redactValues(server.env),
+          headers: redactValues(server.headers),
+        }
+      : server;
+    return [
+      uniqueName(server.name, used),
+      toClientServerConfig(exported, options.format),
+    ];
+  });
+
+  const rootKey =
+    options.format === McpClientFormat.VSCODE ? 'servers' : 'mcpServers';
+  return { [rootKey]: Object.fromEntries(entries) };
+}
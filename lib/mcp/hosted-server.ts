@@ -0,0 +1,368 @@
+/**
+ * Hosted MCP Server
+ *
+ * The MCP endpoint served by the app at /api/mcp, so remote clients can use
+ * a workspace without running the MetaMCP proxy. Each session is an MCP
+ * server bound to one API key that merges the tools, prompts and resources
+ * of the workspace's active servers and routes calls to the server that owns
+ * them. Sessions live in the memory of the instance that created them, so
+ * deployments with several instances need sticky sessions.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  CallToolResultSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  ResourceTemplate,
+} from '@modelcontextprotocol/sdk/types.js';
+import { randomUUID } from 'crypto';
+
+import {
+  applyProfileSwitch,
+  ConfigEventClient,
+  isConfigEventForClient,
+  subscribeConfigEvents,
+} from '../events/config-events';
+import { recordToolCalls } from '../rate-limit/store';
+import { mergeUpstreamItems } from './aggregate';
+import { listAll } from './client';
+import { HostedSessionTransport } from './hosted-transport';
+import { applyToolPrefix, removeToolPrefix } from './tool-names';
+import {
+  getUpstreamPrompts,
+  getUpstreamResources,
+  getUpstreamToolName,
+  getUpstreamTools,
+  getWorkspaceUpstreams,
+  Upstream,
+} from './upstreams';
+
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60_000;
+const SWEEP_INTERVAL_MS = 60_000;
+
+/** The authenticated API key a session is opened or resumed with. */
+export type HostedSessionAuth = {
+  apiKey: {
+    uuid: string;
+    project_uuid: string;
+    profile_uuid: string | null;
+    daily_tool_call_quota: number | null;
+  };
+  activeProfile: { uuid: string };
+};
+
+export type HostedSession = {
+  id: string;
+  apiKeyUuid: string;
+  client: ConfigEventClient;
+  dailyToolCallQuota: number | null;
+  transport: HostedSessionTransport;
+  server: Server;
+  lastActive: number;
+};
+
+const sessions = new Map<string, HostedSession>();
+let sweepTimer: ReturnType<typeof setInterval> | null = null;
+
+async function mergeWorkspaceItems<T>(
+  session: HostedSession,
+  load: (upstream: Upstream) => Promise<T[]>,
+  getKey: (item: T) => string
+) {
+  const upstreams = await getWorkspaceUpstreams(
+    session.client.profileUuid,
+    session.client.projectUuid
+  );
+  const merged = mergeUpstreamItems(
+    await Promise.all(
+      upstreams.map(async (upstream) => ({
+        serverUuid: upstream.uuid,
+        items: await load(upstream),
+      }))
+    ),
+    getKey
+  );
+  return { upstreams, ...merged };
+}
+
+/**
+ * Finds the connected server that owns an item.
+ */
+async function findOwner<T>(
+  session: HostedSession,
+  load: (upstream: Upstream) => Promise<T[]>,
+  getKey: (item: T) => string,
+  key: string,
+  notFoundMessage: string
+): Promise<Upstream & { client: Client }> {
+  const { upstreams, owners } = await mergeWorkspaceItems(
+    session,
+    load,
+    getKey
+  );
+  const owner = upstreams.find((upstream) => upstream.uuid === owners.get(key));
+  if (!owner?.client) {
+    throw new McpError(ErrorCode.InvalidParams, notFoundMessage);
+  }
+  return owner as Upstream & { client: Client };
+}
+
+/**
+ * A server's tools under the names the workspace exposes them as.
+ */
+async function getExposedTools(upstream: Upstream) {
+  return (await getUpstreamTools(upstream)).map((tool) => ({
+    ...tool,
+    name: applyToolPrefix(tool.name, upstream.toolPrefix),
+  }));
+}
+
+async function listResourceTemplates(upstream: Upstream) {
+  const client = upstream.client;
+  if (!client?.getServerCapabilities()?.resources) {
+    return [];
+  }
+  try {
+    return await listAll<ResourceTemplate>(async (cursor) => {
+      const result = await client.listResourceTemplates({ cursor });
+      return {
+        nextCursor: result.nextCursor,
+        items: result.resourceTemplates,
+      };
+    });
+  } catch (_e) {
+    // Servers with resources need not support templates
+    return [];
+  }
+}
+
+function createAggregatingServer(session: HostedSession) {
+  const server = new Server(
+    { name: 'metamcp', version: '0.1.0' },
+    {
+      capabilities: {
+        tools: { listChanged: true },
+        prompts: { listChanged: true },
+        resources: { listChanged: true },
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    const { items } = await mergeWorkspaceItems(
+      session,
+      getExposedTools,
+      (tool) => tool.name
+    );
+    return { tools: items };
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const owner = await findOwner(
+      session,
+      getExposedTools,
+      (tool) => tool.name,
+      request.params.name,
+      `Unknown tool: ${request.params.name}`
+    );
+
+    const usage = await recordToolCalls(
+      session.apiKeyUuid,
+      1,
+      session.dailyToolCallQuota
+    );
+    if (!usage.allowed) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text' as const,
+            text: `Daily tool call quota of ${usage.quota} exceeded for this API key. It resets in ${usage.retryAfterSeconds} seconds.`,
+          },
+        ],
+      };
+    }
+
+    return owner.client.request(
+      {
+        method: 'tools/call',
+        params: {
+          ...request.params,
+          name: getUpstreamToolName(
+            owner,
+            removeToolPrefix(request.params.name, owner.toolPrefix)
+          ),
+        },
+      },
+      CallToolResultSchema
+    );
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    const { items } = await mergeWorkspaceItems(
+      session,
+      getUpstreamPrompts,
+      (prompt) => prompt.name
+    );
+    return { prompts: items };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { client } = await findOwner(
+      session,
+      getUpstreamPrompts,
+      (prompt) => prompt.name,
+      request.params.name,
+      `Unknown prompt: ${request.params.name}`
+    );
+    return client.getPrompt(request.params);
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    const { items } = await mergeWorkspaceItems(
+      session,
+      getUpstreamResources,
+      (resource) => resource.uri
+    );
+    return { resources: items };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    const { items } = await mergeWorkspaceItems(
+      session,
+      listResourceTemplates,
+      (template) => template.uriTemplate
+    );
+    return { resourceTemplates: items };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { upstreams, owners } = await mergeWorkspaceItems(
+      session,
+      getUpstreamResources,
+      (resource) => resource.uri
+    );
+    const owner = upstreams.find(
+      (upstream) => upstream.uuid === owners.get(request.params.uri)
+    );
+    if (owner?.client) {
+      return owner.client.readResource(request.params);
+    }
+
+    // URIs built from a resource template are not listed, so ask each server
+    // that has resources in turn.
+    for (const upstream of upstreams) {
+      if (!upstream.client?.getServerCapabilities()?.resources) continue;
+      try {
+        return await upstream.client.readResource(request.params);
+      } catch (_e) {
+        // Not this server's resource
+      }
+    }
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown resource: ${request.params.uri}`
+    );
+  });
+
+  return server;
+}
+
+function startSweep() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    for (const session of sessions.values()) {
+      if (
+        !session.transport.hasStream &&
+        Date.now() - session.lastActive > SESSION_IDLE_TIMEOUT_MS
+      ) {
+        void closeHostedSession(session);
+      }
+    }
+    if (sessions.size === 0 && sweepTimer) {
+      clearInterval(sweepTimer);
+      sweepTimer = null;
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref?.();
+}
+
+/**
+ * Keeps a session on the workspace and quota its key has now, which can
+ * change between requests.
+ */
+function refreshSession(session: HostedSession, auth: HostedSessionAuth) {
+  session.client.profileUuid = auth.activeProfile.uuid;
+  session.dailyToolCallQuota = auth.apiKey.daily_tool_call_quota;
+  session.lastActive = Date.now();
+}
+
+export async function createHostedSession(
+  auth: HostedSessionAuth
+): Promise<HostedSession> {
+  const id = randomUUID();
+  const transport = new HostedSessionTransport(id);
+  const session = {
+    id,
+    apiKeyUuid: auth.apiKey.uuid,
+    client: {
+      projectUuid: auth.apiKey.project_uuid,
+      profileUuid: auth.activeProfile.uuid,
+      followsActiveProfile: !auth.apiKey.profile_uuid,
+    },
+    dailyToolCallQuota: auth.apiKey.daily_tool_call_quota,
+    transport,
+    lastActive: Date.now(),
+  } as HostedSession;
+  session.server = createAggregatingServer(session);
+
+  // Clients that keep a stream open refetch their lists when told to.
+  const unsubscribe = subscribeConfigEvents((event) => {
+    if (!isConfigEventForClient(event, session.client)) return;
+    applyProfileSwitch(session.client, event);
+    if (!transport.hasStream) return;
+    void Promise.all([
+      session.server.sendToolListChanged(),
+      session.server.sendPromptListChanged(),
+      session.server.sendResourceListChanged(),
+    ]).catch(() => {});
+  });
+  session.server.onclose = () => {
+    unsubscribe();
+    sessions.delete(id);
+  };
+
+  await session.server.connect(transport);
+  sessions.set(id, session);
+  startSweep();
+  return session;
+}
+
+/**
+ * Looks up a session for a request. Sessions can only be resumed with the
+ * API key that opened them.
+ */
+export function getHostedSession(
+  sessionId: string,
+  auth: HostedSessionAuth
+): HostedSession | null {
+  const session = sessions.get(sessionId);
+  if (!session || session.apiKeyUuid !== auth.apiKey.uuid) {
+    return null;
+  }
+  refreshSession(session, auth);
+  return session;
+}
+
+export async function closeHostedSession(session: HostedSession) {
+  await session.server.close();
+}
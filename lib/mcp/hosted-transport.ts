@@ -0,0 +1,125 @@
+/**
+ * Hosted MCP Transport
+ *
+ * Server-side transport for the MCP endpoint hosted by the app. Next.js
+ * route handlers work with web Requests and Responses rather than the Node
+ * streams the SDK's server transports expect, so each session gets this
+ * transport and the routes feed it:
+ *
+ * - Streamable HTTP: POSTed messages are dispatched with handleMessages,
+ *   which resolves with the responses to the requests among them so the
+ *   route can return them as JSON.
+ * - SSE: the route attaches the event stream with attachStream and POSTed
+ *   messages are dispatched without waiting; responses go out on the stream.
+ *
+ * Messages that answer no pending request, such as list_changed
+ * notifications, go to the attached stream, or are dropped if there is none.
+ */
+
+import { DEFAULT_REQUEST_TIMEOUT_MSEC } from '@modelcontextprotocol/sdk/shared/protocol.js';
+import { Transport } from '@modelcontextprotocol/sdk/shared/transport.js';
+import {
+  ErrorCode,
+  isJSONRPCError,
+  isJSONRPCRequest,
+  isJSONRPCResponse,
+  JSONRPCMessage,
+} from '@modelcontextprotocol/sdk/types.js';
+
+type MessageWriter = (message: JSONRPCMessage) => void;
+
+export class HostedSessionTransport implements Transport {
+  readonly sessionId: string;
+  onclose?: () => void;
+  onerror?: (error: Error) => void;
+  onmessage?: (message: JSONRPCMessage) => void;
+
+  private pending = new Map<string | number, MessageWriter>();
+  private stream: MessageWriter | null = null;
+  private closed = false;
+
+  constructor(sessionId: string) {
+    this.sessionId = sessionId;
+  }
+
+  async start() {}
+
+  async send(message: JSONRPCMessage) {
+    if (isJSONRPCResponse(message) || isJSONRPCError(message)) {
+      const respond = this.pending.get(message.id);
+      if (respond) {
+        this.pending.delete(message.id);
+        respond(message);
+        return;
+      }
+    }
+    this.stream?.(message);
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.stream = null;
+    this.onclose?.();
+  }
+
+  get hasStream() {
+    return this.stream !== null;
+  }
+
+  /**
+   * Sends messages that answer no pending request to `write` until the
+   * returned function is called. A new stream replaces the previous one.
+   */
+  attachStream(write: MessageWriter) {
+    this.stream = write;
+    return () => {
+      if (this.stream === write) {
+        this.stream = null;
+      }
+    };
+  }
+
+  /**
+   * Dispatches messages and resolves with the responses to the requests
+   * among them, in the same order. Requests not answered within `timeoutMs`,
+   * the same time the SDK allows upstream requests, are answered with a
+   * RequestTimeout error instead and their late responses go to the stream.
+   */
+  async handleMessages(
+    messages: JSONRPCMessage[],
+    timeoutMs: number = DEFAULT_REQUEST_TIMEOUT_MSEC
+  ): Promise<JSONRPCMessage[]> {
+    const responses = messages.filter(isJSONRPCRequest).map(
+      (request) =>
+        new Promise<JSONRPCMessage>((resolve) => {
+          const timer = setTimeout(() => {
+            this.pending.delete(request.id);
+            resolve({
+              jsonrpc: '2.0',
+              id: request.id,
+              error: {
+                code: ErrorCode.RequestTimeout,
+                message: `Request timed out after ${timeoutMs}ms`,
+              },
+            });
+          }, timeoutMs);
+          this.pending.set(request.id, (response) => {
+            clearTimeout(timer);
+            resolve(response);
+          });
+        })
+    );
+    this.dispatch(messages);
+    return Promise.all(responses);
+  }
+
+  /**
+   * Dispatches messages without waiting; responses go to the stream.
+   */
+  dispatch(messages: JSONRPCMessage[]) {
+    for (const message of messages) {
+      this.onmessage?.(message);
+    }
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * MCP Server Import Planning
+ *
+ * Compares `{ mcpServers: {...} }` entries against a workspace's existing
+ * servers and decides what bulk import should do with each one. Planning is
+ * pure so the same result backs both the dry-run preview and the import.
+ */
+
+import { McpServerType } from '../../db/schema';
+import {
+  mcpServerTransportSchema,
+  normalizeMcpServerType,
+} from '../validation/mcp-servers';
+
+export enum ImportMergeMode {
+  SKIP = 'skip',
+  OVERWRITE = 'overwrite',
+  RENAME = 'rename',
+}
+
+export enum ImportEntryStatus {
+  NEW = 'new',
+  CHANGED = 'changed',
+  IDENTICAL = 'identical',
+  INVALID = 'invalid',
+}
+
+export enum ImportAction {
+  CREATE = 'create',
+  UPDATE = 'update',
+  SKIP = 'skip',
+}
+
+export type ImportServerConfig = {
+  command?: string;
+  args?: string[];
+  env?: { [key: string]: string };
+  description?: string;
+  url?: string;
+  headers?: { [key: string]: string };
+  type?: McpServerType | string;
+};
+
+export type ComparableMcpServer = {
+  name: string;
+  description: string | null;
+  type: McpServerType;
+  command: string | null;
+  args: string[];
+  env: { [key: string]: string };
+  url: string | null;
+  headers: { [key: string]: string };
+};
+
+export type NormalizedImportServer = ComparableMcpServer & {
+  description: string;
+};
+
+/**
+ * A changed field. Env and header values are secrets, so their changes are
+ * reported per key without the values.
+ */
+export type ImportFieldChange = {
+  field: string;
+  before?: string;
+  after?: string;
+};
+
+export type ImportPlanEntry = {
+  name: string;
+  status: ImportEntryStatus;
+  action: ImportAction;
+  /** Name the server is created or updated under; differs in rename mode. */
+  targetName: string;
+  existingUuid?: string;
+  changes: ImportFieldChange[];
+  error?: string;
+  server?: NormalizedImportServer;
+};
+
+export function normalizeImportEntry(
+  name: string,
+  config: ImportServerConfig
+): NormalizedImportServer {
+  return {
+    name,
+    description: config.description || '',
+    type: normalizeMcpServerType(config.type, config),
+    command: config.command || null,
+    args: config.args || [],
+    env: config.env || {},
+    url: config.url || null,
+    headers: config.headers || {},
+  };
+}
+
+function formatValue(value: string | string[] | null): string {
+  if (Array.isArray(value)) {
+    return value.join(' ');
+  }
+  return value ?? '';
+}
+
+function diffSecretValues(
+  field: string,
+  before: { [key: string]: string },
+  after: { [key: string]: string }
+): ImportFieldChange[] {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys]
+    .filter((key) => before[key] !== after[key])
+    .sort()
+    .map((key) => ({ field: `${field}.${key}` }));
+}
+
+export function diffMcpServers(
+  existing: ComparableMcpServer,
+  incoming: ComparableMcpServer
+): ImportFieldChange[] {
+  const changes: ImportFieldChange[] = [];
+
+  for (const field of [
+    'description',
+    'type',
+    'command',
+    'args',
+    'url',
+  ] as const) {
+    const before = formatValue(existing[field]);
+    const after = formatValue(incoming[field]);
+    if (before !== after) {
+      changes.push({ field, before, after });
+    }
+  }
+
+  return [
+    ...changes,
+    ...diffSecretValues('env', existing.env, incoming.env),
+    ...diffSecretValues('headers', existing.headers, incoming.headers),
+  ];
+}
+
+function renameTarget(name: string, taken: Set<string>) {
+  let candidate = name;
+  for (let i = 2; taken.has(candidate); i++) {
+    candidate = `${name}-${i}`;
+  }
+  return candidate;
+}
+
+/**
+ * Decides the action for every import entry. Entries are matched to existing
+ * servers by name. Identical entries are always skipped; changed entries are
+ * skipped, overwritten or created under a new name depending on the mode.
+ */
+export function planImport(
+  entries: { [name: string]: ImportServerConfig },
+  existingServers: (ComparableMcpServer & { uuid: string })[],
+  mode: ImportMergeMode
+): ImportPlanEntry[] {
+  const existingByName = new Map(
+    existingServers.map((server) => [server.name, server])
+  );
+  // Names of later entries are reserved too, so a renamed entry never takes
+  // a name another entry of the same import is created under.
+  const taken = new Set([...existingByName.keys(), ...Object.keys(entries)]);
+
+  return Object.entries(entries).map(([name, config]) => {
+    const server = normalizeImportEntry(name, config);
+
+    const validation = mcpServerTransportSchema.safeParse(server);
+    if (!validation.success) {
+      return {
+        name,
+        status: ImportEntryStatus.INVALID,
+        action: ImportAction.SKIP,
+        targetName: name,
+        changes: [],
+        error: validation.error.issues.map((issue) => issue.message).join('; '),
+      };
+    }
+
+    const existing = existingByName.get(name);
+    if (!existing) {
+      return {
+        name,
+        status: ImportEntryStatus.NEW,
+        action: ImportAction.CREATE,
+        targetName: name,
+        changes: [],
+        server,
+      };
+    }
+
+    const changes = diffMcpServers(existing, server);
+    if (changes.length === 0) {
+      return {
+        name,
+        status: ImportEntryStatus.IDENTICAL,
+        action: ImportAction.SKIP,
+        targetName: name,
+        existingUuid: existing.uuid,
+        changes,
+      };
+    }
+
+    const changed = {
+      name,
+      status: ImportEntryStatus.CHANGED,
+      existingUuid: existing.uuid,
+      changes,
+    };
+    switch (mode) {
+      case ImportMergeMode.OVERWRITE:
+        return {
+          ...changed,
+          action: ImportAction.UPDATE,
+          targetName: name,
+          server,
+        };
+      case ImportMergeMode.RENAME: {
+        const targetName = renameTarget(name, taken);
+        taken.add(targetName);
+        return {
+          ...changed,
+          action: ImportAction.CREATE,
+          targetName,
+          server: { ...server, name: targetName },
+        };
+      }
+      default:
+        return { ...changed, action: ImportAction.SKIP, targetName: name };
+    }
+  });
+}
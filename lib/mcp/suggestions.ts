@@ -0,0 +1,81 @@
+/**
+ * Server Suggestions
+ *
+ * The proxy or a rules engine can propose servers into a workspace; they are
+ * stored with status SUGGESTED until someone accepts (ACTIVE) or declines
+ * (DECLINED) them. Declined suggestions are kept so the same server is not
+ * proposed again. Servers are matched by what they run, not by name: the
+ * command and args for STDIO servers, the URL for remote ones.
+ */
+
+import { createHash } from 'crypto';
+
+import { McpServerStatus, McpServerType } from '../../db/schema';
+
+type SuggestedServer = {
+  type: McpServerType;
+  command?: string | null;
+  args?: string[];
+  url?: string | null;
+};
+
+export enum SuggestionOutcome {
+  /** Stored as a new suggestion. */
+  SUGGESTED = 'SUGGESTED',
+  /** A matching suggestion is already waiting in the inbox. */
+  PENDING = 'PENDING',
+  /** A matching suggestion was declined before. */
+  DECLINED = 'DECLINED',
+  /** A matching server is already installed in the workspace. */
+  INSTALLED = 'INSTALLED',
+}
+
+export function getServerFingerprint(server: SuggestedServer): string {
+  if (server.type === McpServerType.STDIO) {
+    return [
+      McpServerType.STDIO,
+      server.command?.trim() ?? '',
+      ...(server.args ?? []).map((arg) => arg.trim()),
+    ].join('\u0000');
+  }
+  return [server.type, server.url?.trim().replace(/\/+$/, '') ?? ''].join(
+    '\u0000'
+  );
+}
+
+/**
+ * The fingerprint in a form that can be stored and indexed, which is how
+ * concurrent proposals of the same server are kept from both being stored.
+ */
+export function hashServerFingerprint(server: SuggestedServer): string {
+  return createHash('sha256')
+    .update(getServerFingerprint(server))
+    .digest('hex');
+}
+
+/**
+ * Decides what proposing a server to a workspace does, given the servers the
+ * workspace already has in any status. Returns the matching server, if any.
+ */
+export function resolveSuggestion<
+  T extends SuggestedServer & { status: McpServerStatus },
+>(
+  suggestion: SuggestedServer,
+  servers: T[]
+): { outcome: SuggestionOutcome; match: T | null } {
+  const fingerprint = getServerFingerprint(suggestion);
+  const match =
+    servers.find((server) => getServerFingerprint(server) === fingerprint) ??
+    null;
+
+  switch (match?.status) {
+    case undefined:
+      return { outcome: SuggestionOutcome.SUGGESTED, match };
+    case McpServerStatus.SUGGESTED:
+      return { outcome: SuggestionOutcome.PENDING, match };
+    case McpServerStatus.DECLINED:
+      return { outcome: SuggestionOutcome.DECLINED, match };
+    default:
+      return { outcome: SuggestionOutcome.INSTALLED, match };
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Tool Embeddings
+ *
+ * Embeds tool names and descriptions with a sentence embedding model run by
+ * @xenova/transformers. The model is loaded from TOOL_EMBEDDING_MODEL_PATH
+ * and never downloaded, so the app works offline. Embeddings are stored
+ * with the hash of the text they were computed from and are only
+ * recomputed when a tool's exposed name or description, or the model,
+ * changes.
+ */
+
+import { inArray, sql } from 'drizzle-orm';
+import { join } from 'path';
+
+import { db } from '../../db';
+import { toolEmbeddingsTable } from '../../db/schema';
+import {
+  cosineSimilarity,
+  getToolEmbeddingText,
+  hashToolEmbeddingText,
+} from './tool-rag';
+
+const DEFAULT_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const EMBEDDING_BATCH_SIZE = 32;
+const RETRY_FAILED_LOAD_AFTER_MS = 5 * 60_000;
+
+type FeatureExtractor = (
+  texts: string[],
+  options: { pooling: 'mean'; normalize: boolean }
+) => Promise<{ tolist(): number[][] }>;
+
+let extractor: Promise<FeatureExtractor> | null = null;
+let loadFailedAt: number | null = null;
+
+export function getToolEmbeddingModel() {
+  return process.env.TOOL_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+}
+
+async function loadExtractor(): Promise<FeatureExtractor> {
+  const { env, pipeline } = await import('@xenova/transformers');
+  env.allowRemoteModels = false;
+  env.localModelPath =
+    process.env.TOOL_EMBEDDING_MODEL_PATH || join(process.cwd(), 'models');
+  return (await pipeline(
+    'feature-extraction',
+    getToolEmbeddingModel()
+  )) as unknown as FeatureExtractor;
+}
+
+/**
+ * Returns the loaded model, or null when it cannot be loaded, e.g. because
+ * it was never placed in TOOL_EMBEDDING_MODEL_PATH. A failed load is tried
+ * again after a few minutes rather than on every query.
+ */
+async function getExtractor(): Promise<FeatureExtractor | null> {
+  if (!extractor) {
+    if (
+      loadFailedAt !== null &&
+      Date.now() - loadFailedAt < RETRY_FAILED_LOAD_AFTER_MS
+    ) {
+      return null;
+    }
+    extractor = loadExtractor();
+  }
+
+  const loading = extractor;
+  try {
+    return await loading;
+  } catch (error) {
+    // Requests waiting on the same load record and log the failure once.
+    if (extractor === loading) {
+      extractor = null;
+      loadFailedAt = Date.now();
+      console.error(
+        `Failed to load tool embedding model ${getToolEmbeddingModel()}:`,
+        error
+      );
+    }
+    return null;
+  }
+}
+
+export async function embedTexts(texts: string[]): Promise<number[][]> {
+  if (texts.length === 0) {
+    return [];
+  }
+  const extract = await getExtractor();
+  if (!extract) {
+    throw new Error('Tool embedding model is not available');
+  }
+
+  const embeddings: number[][] = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    const output = await extract(texts.slice(i, i + EMBEDDING_BATCH_SIZE), {
+      pooling: 'mean',
+      normalize: true,
+    });
+    embeddings.push(...output.tolist());
+  }
+  return embeddings;
+}
+
+/**
+ * Returns the embedding of each tool by uuid, computing and storing those
+ * not embedded yet for their current text and model.
+ */
+export async function getToolEmbeddings(
+  tools: { uuid: string; name: string; description: string | null }[]
+): Promise<Map<string, number[]>> {
+  const model = getToolEmbeddingModel();
+  const stored =
+    tools.length > 0
+      ? await db
+          .select()
+          .from(toolEmbeddingsTable)
+          .where(
+            inArray(
+              toolEmbeddingsTable.tool_uuid,
+              tools.map((tool) => tool.uuid)
+            )
+          )
+      : [];
+  const storedByTool = new Map(stored.map((row) => [row.tool_uuid, row]));
+
+  const embeddings = new Map<string, number[]>();
+  const outdated: { uuid: string; text: string; hash: string }[] = [];
+  for (const tool of tools) {
+    const text = getToolEmbeddingText(tool);
+    const hash = hashToolEmbeddingText(text);
+    const row = storedByTool.get(tool.uuid);
+    if (row && row.model === model && row.content_hash === hash) {
+      embeddings.set(tool.uuid, row.embedding);
+    } else {
+      outdated.push({ uuid: tool.uuid, text, hash });
+    }
+  }
+  if (outdated.length === 0) {
+    return embeddings;
+  }
+
+  const computed = await embedTexts(outdated.map((tool) => tool.text));
+  await db
+    .insert(toolEmbeddingsTable)
+    .values(
+      outdated.map((tool, index) => ({
+        tool_uuid: tool.uuid,
+        model,
+        content_hash: tool.hash,
+        embedding: computed[index],
+      }))
+    )
+    .onConflictDoUpdate({
+      target: toolEmbeddingsTable.tool_uuid,
+      set: {
+        model: sql`excluded.model`,
+        content_hash: sql`excluded.content_hash`,
+        embedding: sql`excluded.embedding`,
+        created_at: sql`now()`,
+      },
+    });
+  outdated.forEach((tool, index) => embeddings.set(tool.uuid, computed[index]));
+  return embeddings;
+}
+
+/**
+ * Scores each tool by how close its name and description are to a query.
+ * Returns null when the embedding model is not available, so callers can
+ * fall back to every tool.
+ */
+export async function scoreToolsForQuery(
+  tools: { uuid: string; name: string; description: string | null }[],
+  query: string
+): Promise<Map<string, number> | null> {
+  if (!(await getExtractor())) {
+    return null;
+  }
+
+  const [embeddings, [queryEmbedding]] = await Promise.all([
+    getToolEmbeddings(tools),
+    embedTexts([query]),
+  ]);
+  return new Map(
+    [...embeddings].map(([uuid, embedding]) => [
+      uuid,
+      cosineSimilarity(queryEmbedding, embedding),
+    ])
+  );
+}
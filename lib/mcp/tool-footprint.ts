@@ -0,0 +1,71 @@
+/**
+ * Tool Footprint
+ *
+ * Every tool definition a workspace exposes is sent to the model on each
+ * turn. The footprint counts the tokens they take up with each registered
+ * tokenizer, broken down by server and by tool.
+ */
+
+import type { TokenCounter } from '../token-counting/TokenCounter';
+import { countToolTokens, ToolDefinition } from './tool-overrides';
+
+/** Token counts by tokenizer name. */
+export type TokenCounts = { [tokenizer: string]: number };
+
+export type ToolFootprint = {
+  tokenizers: string[];
+  total: TokenCounts;
+  servers: {
+    uuid: string;
+    name: string;
+    total: TokenCounts;
+    tools: { name: string; tokens: TokenCounts }[];
+  }[];
+};
+
+function addCounts(total: TokenCounts, counts: TokenCounts) {
+  for (const [tokenizer, count] of Object.entries(counts)) {
+    total[tokenizer] += count;
+  }
+}
+
+/**
+ * Counts the tokens of each server's tools, given as they are exposed.
+ * Servers and tools are sorted by their cost with the first tokenizer, most
+ * expensive first.
+ */
+export function buildToolFootprint(
+  servers: { uuid: string; name: string; tools: ToolDefinition[] }[],
+  tokenCounter: TokenCounter
+): ToolFootprint {
+  const tokenizers = tokenCounter.getTokenizerNames();
+  const zero = (): TokenCounts =>
+    Object.fromEntries(tokenizers.map((tokenizer) => [tokenizer, 0]));
+  const byCost = (a: { total: TokenCounts }, b: { total: TokenCounts }) =>
+    b.total[tokenizers[0]] - a.total[tokenizers[0]];
+
+  const total = zero();
+  const serverFootprints = servers.map((server) => {
+    const serverTotal = zero();
+    const tools = server.tools.map((tool) => {
+      const tokens = Object.fromEntries(
+        tokenizers.map((tokenizer) => [
+          tokenizer,
+          countToolTokens(tool, tokenCounter, tokenizer),
+        ])
+      );
+      addCounts(serverTotal, tokens);
+      return { name: tool.name, tokens, total: tokens };
+    });
+    addCounts(total, serverTotal);
+
+    return {
+      uuid: server.uuid,
+      name: server.name,
+      total: serverTotal,
+      tools: tools.sort(byCost).map(({ name, tokens }) => ({ name, tokens })),
+    };
+  });
+
+  return { tokenizers, total, servers: serverFootprints.sort(byCost) };
+}
@@ -0,0 +1,116 @@
+/**
+ * Tool Names
+ *
+ * Servers in one workspace often expose tools with the same name, such as
+ * `search` or `read_file`. A workspace's naming policy decides the names its
+ * tools are exposed under once aggregated:
+ *
+ * - raw: tools keep the names their server gives them.
+ * - server_prefix: `<server>__<tool>`, where `<server>` is the server's name
+ *   reduced to letters, digits, `_` and `-`.
+ * - custom_prefix: `<prefix>__<tool>` with a prefix set per server, falling
+ *   back to the server prefix for servers without one.
+ *
+ * Names that still collide go to the server that was added first; the
+ * others' tools are left out and listed in the collision report.
+ */
+
+import { ToolNamingPolicy } from '../../db/schema';
+import { mergeUpstreamItems } from './aggregate';
+
+export const TOOL_PREFIX_SEPARATOR = '__';
+
+const TOOL_PREFIX_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+
+export type ToolNamingConfig = {
+  policy: ToolNamingPolicy;
+  /** Server uuid to its custom prefix. */
+  prefixes: { [serverUuid: string]: string };
+};
+
+export type NamedServer = {
+  uuid: string;
+  name: string;
+};
+
+export type ToolNameCollision = {
+  /** The exposed name. */
+  name: string;
+  /** Uuids of every server exposing it; the first one keeps it. */
+  serverUuids: string[];
+};
+
+export function slugifyServerName(name: string): string {
+  const slug = name
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '')
+    .slice(0, 32);
+  return slug || 'server';
+}
+
+/**
+ * The prefix a server's tools get under a workspace's naming, or null if
+ * they keep their own names.
+ */
+export function getToolPrefix(
+  config: ToolNamingConfig,
+  server: NamedServer
+): string | null {
+  switch (config.policy) {
+    case ToolNamingPolicy.RAW:
+      return null;
+    case ToolNamingPolicy.CUSTOM_PREFIX:
+      return config.prefixes[server.uuid] || slugifyServerName(server.name);
+    default:
+      return slugifyServerName(server.name);
+  }
+}
+
+export function applyToolPrefix(toolName: string, prefix: string | null) {
+  return prefix ? `${prefix}${TOOL_PREFIX_SEPARATOR}${toolName}` : toolName;
+}
+
+/**
+ * The name a server knows a tool by, given the name it is exposed under.
+ */
+export function removeToolPrefix(exposedName: string, prefix: string | null) {
+  const start = prefix ? `${prefix}${TOOL_PREFIX_SEPARATOR}` : '';
+  return exposedName.startsWith(start)
+    ? exposedName.slice(start.length)
+    : exposedName;
+}
+
+export function assertValidToolPrefixes(prefixes: {
+  [serverUuid: string]: string;
+}) {
+  for (const prefix of Object.values(prefixes)) {
+    if (!TOOL_PREFIX_PATTERN.test(prefix)) {
+      throw new Error(
+        `Tool prefix "${prefix}" must be 1 to 32 letters, digits, _ or -`
+      );
+    }
+  }
+}
+
+/**
+ * Finds the exposed tool names shared by more than one server. Servers are
+ * given in the order they were added, with the names of their tools.
+ */
+export function findToolNameCollisions(
+  config: ToolNamingConfig,
+  servers: (NamedServer & { toolNames: string[] })[]
+): ToolNameCollision[] {
+  const { collisions } = mergeUpstreamItems(
+    servers.map((server) => {
+      const prefix = getToolPrefix(config, server);
+      return {
+        serverUuid: server.uuid,
+        items: server.toolNames.map((name) => applyToolPrefix(name, prefix)),
+      };
+    }),
+    (name) => name
+  );
+  return [...collisions].map(([name, serverUuids]) => ({ name, serverUuids }));
+}
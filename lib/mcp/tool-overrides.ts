@@ -0,0 +1,104 @@
+/**
+ * Tool Overrides
+ *
+ * Third-party servers often ship long tool descriptions, and every tool
+ * definition is sent to the model before any work starts. A workspace can
+ * replace a tool's exposed name, description and parameter descriptions;
+ * calls are still sent to the server under the tool's own name.
+ */
+
+import type { TokenCounter } from '../token-counting/TokenCounter';
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+export type ToolOverride = {
+  name_override: string | null;
+  description_override: string | null;
+  parameter_description_overrides: { [parameter: string]: string };
+};
+
+/** A tool as listed by tools/list. */
+export type ToolDefinition = {
+  name: string;
+  description?: string | null;
+  inputSchema: {
+    type: 'object';
+    properties?: { [parameter: string]: unknown };
+    required?: string[];
+  };
+};
+
+export function hasToolOverride(override: ToolOverride) {
+  return (
+    override.name_override !== null ||
+    override.description_override !== null ||
+    Object.keys(override.parameter_description_overrides).length > 0
+  );
+}
+
+/**
+ * Trims an override as typed into a form, turning empty fields into no
+ * override, and checks the name is one clients accept.
+ */
+export function normalizeToolOverride(override: ToolOverride): ToolOverride {
+  const name = override.name_override?.trim() || null;
+  if (name !== null && !TOOL_NAME_PATTERN.test(name)) {
+    throw new Error('Tool name must be 1 to 64 letters, digits, _ or -');
+  }
+  return {
+    name_override: name,
+    description_override: override.description_override?.trim() || null,
+    parameter_description_overrides: Object.fromEntries(
+      Object.entries(override.parameter_description_overrides)
+        .map(([parameter, description]) => [parameter, description.trim()])
+        .filter(([, description]) => description !== '')
+    ),
+  };
+}
+
+export function applyToolOverride<T extends ToolDefinition>(
+  tool: T,
+  override: ToolOverride
+): T {
+  const properties = tool.inputSchema.properties;
+  const parameterDescriptions = override.parameter_description_overrides;
+
+  return {
+    ...tool,
+    name: override.name_override ?? tool.name,
+    description: override.description_override ?? tool.description,
+    inputSchema: properties
+      ? {
+          ...tool.inputSchema,
+          properties: Object.fromEntries(
+            Object.entries(properties).map(([parameter, schema]) => [
+              parameter,
+              parameter in parameterDescriptions &&
+              typeof schema === 'object' &&
+              schema !== null
+                ? { ...schema, description: parameterDescriptions[parameter] }
+                : schema,
+            ])
+          ),
+        }
+      : tool.inputSchema,
+  } as T;
+}
+
+/**
+ * Tokens a tool's definition takes up in a tools/list response.
+ */
+export function countToolTokens(
+  tool: ToolDefinition,
+  tokenCounter: TokenCounter,
+  modelName?: string
+) {
+  return tokenCounter.countTokens(
+    JSON.stringify({
+      name: tool.name,
+      description: tool.description ?? undefined,
+      inputSchema: tool.inputSchema,
+    }),
+    modelName
+  );
+}
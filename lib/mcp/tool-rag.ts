@@ -0,0 +1,55 @@
+/**
+ * Tool RAG
+ *
+ * Clients choke on workspaces with hundreds of tools. With query-relevant
+ * selection on, the proxy sends a hint of what the user is asking for and
+ * gets back only the tools whose names and descriptions are closest to it,
+ * plus the tools pinned to always be sent. Closeness is the cosine
+ * similarity of embeddings computed locally.
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * The text a tool is embedded from: its exposed name and description.
+ */
+export function getToolEmbeddingText(tool: {
+  name: string;
+  description?: string | null;
+}) {
+  return tool.description ? `${tool.name}: ${tool.description}` : tool.name;
+}
+
+/**
+ * Identifies the version of a tool an embedding was computed for.
+ */
+export function hashToolEmbeddingText(text: string) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+export function cosineSimilarity(a: number[], b: number[]) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Picks the pinned tools and the `topK` others that scored highest. Pinned
+ * tools come first, in the order given, then the others from most to least
+ * relevant. Tools without a score are left out.
+ */
+export function selectRelevantTools<
+  T extends { uuid: string; pinned: boolean },
+>(tools: T[], scores: Map<string, number>, topK: number): T[] {
+  const ranked = tools
+    .filter((tool) => !tool.pinned && scores.has(tool.uuid))
+    .sort((a, b) => scores.get(b.uuid)! - scores.get(a.uuid)!)
+    .slice(0, topK);
+  return [...tools.filter((tool) => tool.pinned), ...ranked];
+}
@@ -0,0 +1,495 @@
+/**
+ * Upstream Connections
+ *
+ * Keeps the hosted MCP endpoint connected to the active servers and custom
+ * servers of each workspace it serves. Connections are shared by every
+ * session of a workspace, opened on first use and closed after the
+ * workspace has been idle for a while. Config events mark a workspace stale;
+ * the next request reloads its servers, reconnecting only those whose config
+ * changed. A server that fails to connect is left out and retried later.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { Prompt, Resource, Tool } from '@modelcontextprotocol/sdk/types.js';
+import { and, asc, eq } from 'drizzle-orm';
+
+import { db } from '../../db';
+import {
+  codesTable,
+  customMcpServersTable,
+  mcpServersTable,
+  McpServerStatus,
+  profilesTable,
+  ToggleStatus,
+  toolsTable,
+} from '../../db/schema';
+import { decryptServerSecrets } from '../crypto/envelope';
+import {
+  isConfigEventForClient,
+  subscribeConfigEvents,
+} from '../events/config-events';
+import { resolveServerSecretReferences } from '../secrets/references';
+import { getProjectSecretValues } from '../secrets/store';
+import {
+  createClientTransport,
+  listAll,
+  McpServerTarget,
+  withTimeout,
+} from './client';
+import { prepareCustomServer } from './custom-server';
+import { getToolPrefix, ToolNamingConfig } from './tool-names';
+import {
+  applyToolOverride,
+  hasToolOverride,
+  ToolOverride,
+} from './tool-overrides';
+
+const CONNECT_TIMEOUT_MS = 15000;
+const LIST_TIMEOUT_MS = 15000;
+const RETRY_FAILED_AFTER_MS = 30_000;
+const IDLE_TIMEOUT_MS = 10 * 60_000;
+const SWEEP_INTERVAL_MS = 60_000;
+
+type UpstreamConfig = {
+  uuid: string;
+  name: string;
+  target: McpServerTarget;
+  /** Changes whenever the server has to be restarted. */
+  fingerprint: string;
+  /** Tools switched off on the Tools tab, which are not exposed. */
+  inactiveTools: Set<string>;
+  /** Overrides set on the Tools tab, by the tool's own name. */
+  toolOverrides: Map<string, ToolOverride>;
+  /** Prefix of the names its tools are exposed under, if any. */
+  toolPrefix: string | null;
+};
+
+export type Upstream = UpstreamConfig & {
+  client: Client | null;
+  error: string | null;
+  failedAt: number | null;
+  tools: Tool[] | null;
+  prompts: Prompt[] | null;
+  resources: Resource[] | null;
+};
+
+type WorkspaceUpstreams = {
+  profileUuid: string;
+  projectUuid: string;
+  upstreams: Map<string, Upstream>;
+  stale: boolean;
+  syncing: Promise<void> | null;
+  lastUsed: number;
+};
+
+const workspaces = new Map<string, WorkspaceUpstreams>();
+let unsubscribeConfigEvents: (() => void) | null = null;
+let sweepTimer: ReturnType<typeof setInterval> | null = null;
+
+async function loadUpstreamConfigs(
+  profileUuid: string,
+  projectUuid: string
+): Promise<UpstreamConfig[]> {
+  const [profiles, servers, customServers, tools, secrets] = await Promise.all([
+    db
+      .select({
+        tool_naming_policy: profilesTable.tool_naming_policy,
+        tool_prefixes: profilesTable.tool_prefixes,
+      })
+      .from(profilesTable)
+      .where(eq(profilesTable.uuid, profileUuid))
+      .limit(1),
+    db
+      .select()
+      .from(mcpServersTable)
+      .where(
+        and(
+          eq(mcpServersTable.profile_uuid, profileUuid),
+          eq(mcpServersTable.status, McpServerStatus.ACTIVE)
+        )
+      )
+      .orderBy(asc(mcpServersTable.created_at)),
+    db
+      .select({
+        uuid: customMcpServersTable.uuid,
+        name: customMcpServersTable.name,
+        code_uuid: customMcpServersTable.code_uuid,
+        additionalArgs: customMcpServersTable.additionalArgs,
+        env: customMcpServersTable.env,
+        code: codesTable.code,
+        codeFileName: codesTable.fileName,
+      })
+      .from(customMcpServersTable)
+      .innerJoin(
+        codesTable,
+        eq(customMcpServersTable.code_uuid, codesTable.uuid)
+      )
+      .where(
+        and(
+          eq(customMcpServersTable.profile_uuid, profileUuid),
+          eq(customMcpServersTable.status, McpServerStatus.ACTIVE)
+        )
+      )
+      .orderBy(asc(customMcpServersTable.created_at)),
+    db
+      .select({
+        mcp_server_uuid: toolsTable.mcp_server_uuid,
+        name: toolsTable.name,
+        status: toolsTable.status,
+        name_override: toolsTable.name_override,
+        description_override: toolsTable.description_override,
+        parameter_description_overrides:
+          toolsTable.parameter_description_overrides,
+      })
+      .from(toolsTable)
+      .innerJoin(
+        mcpServersTable,
+        eq(toolsTable.mcp_server_uuid, mcpServersTable.uuid)
+      )
+      .where(eq(mcpServersTable.profile_uuid, profileUuid)),
+    getProjectSecretValues(projectUuid),
+  ]);
+
+  const naming: ToolNamingConfig | null = profiles[0]
+    ? {
+        policy: profiles[0].tool_naming_policy,
+        prefixes: profiles[0].tool_prefixes,
+      }
+    : null;
+  const toolPrefix = (server: { uuid: string; name: string }) =>
+    naming ? getToolPrefix(naming, server) : null;
+
+  const configs: UpstreamConfig[] = servers.map((row) => {
+    const server = resolveServerSecretReferences(
+      decryptServerSecrets(row),
+      secrets
+    );
+    const target: McpServerTarget = {
+      type: server.type,
+      command: server.command,
+      args: server.args,
+      env: server.env,
+      url: server.url,
+      headers: server.headers,
+    };
+    const serverTools = tools.filter(
+      (tool) => tool.mcp_server_uuid === server.uuid
+    );
+    return {
+      uuid: server.uuid,
+      name: server.name,
+      target,
+      fingerprint: JSON.stringify(target),
+      inactiveTools: new Set(
+        serverTools
+          .filter((tool) => tool.status === ToggleStatus.INACTIVE)
+          .map((tool) => tool.name)
+      ),
+      toolOverrides: new Map(
+        serverTools
+          .filter(hasToolOverride)
+          .map((tool) => [tool.name, tool] as const)
+      ),
+      toolPrefix: toolPrefix(server),
+    };
+  });
+
+  for (const row of customServers) {
+    const server = resolveServerSecretReferences(
+      decryptServerSecrets(row),
+      secrets
+    );
+    const target = await prepareCustomServer(server);
+    configs.push({
+      uuid: server.uuid,
+      name: server.name,
+      target,
+      fingerprint: JSON.stringify({ target, code: server.code }),
+      inactiveTools: new Set(),
+      toolOverrides: new Map(),
+      toolPrefix: toolPrefix(server),
+    });
+  }
+
+  return configs;
+}
+
+async function closeUpstream(upstream: Upstream) {
+  const client = upstream.client;
+  upstream.client = null;
+  await client?.close().catch(() => {});
+}
+
+async function connectUpstream(
+  workspace: WorkspaceUpstreams,
+  upstream: Upstream
+) {
+  const client = new Client(
+    { name: 'metamcp', version: '0.1.0' },
+    { capabilities: {} }
+  );
+  try {
+    await withTimeout(
+      client.connect(createClientTransport(upstream.target)),
+      CONNECT_TIMEOUT_MS
+    );
+  } catch (error) {
+    await client.close().catch(() => {});
+    upstream.error = error instanceof Error ? error.message : String(error);
+    upstream.failedAt = Date.now();
+    console.error(`Failed to connect to MCP server ${upstream.name}:`, error);
+    return;
+  }
+
+  client.onclose = () => {
+    if (upstream.client !== client) return;
+    upstream.client = null;
+    upstream.failedAt = Date.now();
+    upstream.error = 'Connection closed';
+    workspace.stale = true;
+  };
+  upstream.client = client;
+  upstream.error = null;
+  upstream.failedAt = null;
+}
+
+async function syncWorkspace(workspace: WorkspaceUpstreams) {
+  // Cleared first so config events during the load mark it stale again.
+  workspace.stale = false;
+  let configs: UpstreamConfig[];
+  try {
+    configs = await loadUpstreamConfigs(
+      workspace.profileUuid,
+      workspace.projectUuid
+    );
+  } catch (error) {
+    workspace.stale = true;
+    throw error;
+  }
+  const previous = new Map(workspace.upstreams);
+  const upstreams = new Map<string, Upstream>();
+  const connecting: Promise<void>[] = [];
+
+  for (const config of configs) {
+    const existing = previous.get(config.uuid);
+    previous.delete(config.uuid);
+
+    if (existing && existing.fingerprint === config.fingerprint) {
+      existing.name = config.name;
+      existing.inactiveTools = config.inactiveTools;
+      existing.toolOverrides = config.toolOverrides;
+      existing.toolPrefix = config.toolPrefix;
+      upstreams.set(config.uuid, existing);
+      const retry =
+        !existing.client &&
+        (existing.failedAt === null ||
+          Date.now() - existing.failedAt >= RETRY_FAILED_AFTER_MS);
+      if (retry) {
+        connecting.push(connectUpstream(workspace, existing));
+      }
+      continue;
+    }
+
+    if (existing) {
+      await closeUpstream(existing);
+    }
+    const upstream: Upstream = {
+      ...config,
+      client: null,
+      error: null,
+      failedAt: null,
+      tools: null,
+      prompts: null,
+      resources: null,
+    };
+    upstreams.set(config.uuid, upstream);
+    connecting.push(connectUpstream(workspace, upstream));
+  }
+
+  // Servers that were removed or deactivated
+  for (const upstream of previous.values()) {
+    await closeUpstream(upstream);
+  }
+
+  workspace.upstreams = upstreams;
+  await Promise.all(connecting);
+
+  // Lists are reloaded after every sync, as upstream servers may have
+  // changed them without the config changing.
+  for (const upstream of upstreams.values()) {
+    upstream.tools = null;
+    upstream.prompts = null;
+    upstream.resources = null;
+  }
+}
+
+async function closeWorkspace(workspace: WorkspaceUpstreams) {
+  workspaces.delete(workspace.profileUuid);
+  await Promise.all([...workspace.upstreams.values()].map(closeUpstream));
+}
+
+function startBackgroundWork() {
+  unsubscribeConfigEvents ??= subscribeConfigEvents((event) => {
+    for (const workspace of workspaces.values()) {
+      const client = {
+        projectUuid: workspace.projectUuid,
+        profileUuid: workspace.profileUuid,
+        followsActiveProfile: false,
+      };
+      if (isConfigEventForClient(event, client)) {
+        workspace.stale = true;
+      }
+    }
+  });
+
+  if (!sweepTimer) {
+    sweepTimer = setInterval(() => {
+      for (const workspace of workspaces.values()) {
+        if (Date.now() - workspace.lastUsed > IDLE_TIMEOUT_MS) {
+          void closeWorkspace(workspace);
+        }
+      }
+      if (workspaces.size === 0) {
+        stopBackgroundWork();
+      }
+    }, SWEEP_INTERVAL_MS);
+    sweepTimer.unref?.();
+  }
+}
+
+function stopBackgroundWork() {
+  unsubscribeConfigEvents?.();
+  unsubscribeConfigEvents = null;
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+/**
+ * Returns the connected servers of a workspace in the order they were
+ * added, connecting to them first if needed.
+ */
+export async function getWorkspaceUpstreams(
+  profileUuid: string,
+  projectUuid: string
+): Promise<Upstream[]> {
+  let workspace = workspaces.get(profileUuid);
+  if (!workspace) {
+    workspace = {
+      profileUuid,
+      projectUuid,
+      upstreams: new Map(),
+      stale: true,
+      syncing: null,
+      lastUsed: Date.now(),
+    };
+    workspaces.set(profileUuid, workspace);
+    startBackgroundWork();
+  }
+  workspace.lastUsed = Date.now();
+
+  const hasRetry = [...workspace.upstreams.values()].some(
+    (upstream) =>
+      !upstream.client &&
+      upstream.failedAt !== null &&
+      Date.now() - upstream.failedAt >= RETRY_FAILED_AFTER_MS
+  );
+  if ((workspace.stale || hasRetry) && !workspace.syncing) {
+    const current = workspace;
+    current.syncing = syncWorkspace(current).finally(() => {
+      current.syncing = null;
+    });
+  }
+  await workspace.syncing;
+
+  return [...workspace.upstreams.values()].filter(
+    (upstream) => upstream.client
+  );
+}
+
+async function loadList<T>(
+  upstream: Upstream,
+  list: (
+    client: Client,
+    cursor?: string
+  ) => Promise<{
+    nextCursor?: string;
+    items: T[];
+  }>
+): Promise<T[]> {
+  const client = upstream.client;
+  if (!client) {
+    return [];
+  }
+  try {
+    return await withTimeout(
+      listAll((cursor) => list(client, cursor)),
+      LIST_TIMEOUT_MS
+    );
+  } catch (error) {
+    console.error(
+      `Failed to list items of MCP server ${upstream.name}:`,
+      error
+    );
+    return [];
+  }
+}
+
+/**
+ * The tools of a server that are switched on, with their overrides applied,
+ * cached until its config changes.
+ */
+export async function getUpstreamTools(upstream: Upstream): Promise<Tool[]> {
+  if (!upstream.client?.getServerCapabilities()?.tools) {
+    return [];
+  }
+  upstream.tools ??= await loadList(upstream, async (client, cursor) => {
+    const result = await client.listTools({ cursor });
+    return { nextCursor: result.nextCursor, items: result.tools };
+  });
+  return upstream.tools
+    .filter((tool) => !upstream.inactiveTools.has(tool.name))
+    .map((tool) => {
+      const override = upstream.toolOverrides.get(tool.name);
+      return override ? applyToolOverride(tool, override) : tool;
+    });
+}
+
+/**
+ * The name a server knows a tool by, given the name an override gave it.
+ */
+export function getUpstreamToolName(upstream: Upstream, name: string) {
+  for (const [ownName, override] of upstream.toolOverrides) {
+    if (override.name_override === name) {
+      return ownName;
+    }
+  }
+  return name;
+}
+
+export async function getUpstreamPrompts(
+  upstream: Upstream
+): Promise<Prompt[]> {
+  if (!upstream.client?.getServerCapabilities()?.prompts) {
+    return [];
+  }
+  upstream.prompts ??= await loadList(upstream, async (client, cursor) => {
+    const result = await client.listPrompts({ cursor });
+    return { nextCursor: result.nextCursor, items: result.prompts };
+  });
+  return upstream.prompts;
+}
+
+export async function getUpstreamResources(
+  upstream: Upstream
+): Promise<Resource[]> {
+  if (!upstream.client?.getServerCapabilities()?.resources) {
+    return [];
+  }
+  upstream.resources ??= await loadList(upstream, async (client, cursor) => {
+    const result = await client.listResources({ cursor });
+    return { nextCursor: result.nextCursor, items: result.resources };
+  });
+  return upstream.resources;
+}
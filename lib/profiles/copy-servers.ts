@@ -0,0 +1,159 @@
+/**
+ * Server Copies
+ *
+ * Copies MCP servers and custom MCP servers from one workspace into another
+ * within a caller's transaction, so duplicating a workspace either copies
+ * everything or leaves nothing behind.
+ */
+
+import { and, eq, inArray } from 'drizzle-orm';
+
+import { db } from '../../db';
+import {
+  AuditAction,
+  AuditEntityType,
+  customMcpServersTable,
+  mcpServersTable,
+  toolsTable,
+} from '../../db/schema';
+import { recordAuditEvent } from '../audit/events';
+import { ConfigEventType, publishConfigEvent } from '../events/config-events';
+
+type Transaction = Parameters<Parameters<typeof db.transaction>[0]>[0];
+
+/**
+ * Copies servers with env values and headers as stored, along with their
+ * discovered tools and the tools' status. Returns the number of servers
+ * copied.
+ */
+export async function copyMcpServers(
+  tx: Transaction,
+  profileUuid: string,
+  uuids: string[],
+  targetProfileUuid: string
+): Promise<number> {
+  if (uuids.length === 0) {
+    return 0;
+  }
+
+  const servers = await tx
+    .select()
+    .from(mcpServersTable)
+    .where(
+      and(
+        eq(mcpServersTable.profile_uuid, profileUuid),
+        inArray(mcpServersTable.uuid, uuids)
+      )
+    );
+
+  for (const {
+    uuid,
+    created_at: _createdAt,
+    profile_uuid: _profileUuid,
+    ...server
+  } of servers) {
+    const [copy] = await tx
+      .insert(mcpServersTable)
+      .values({ ...server, profile_uuid: targetProfileUuid })
+      .returning();
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.MCP_SERVER,
+        action: AuditAction.CREATE,
+        after: copy,
+        profileUuid: targetProfileUuid,
+      },
+      tx
+    );
+
+    const tools = await tx
+      .select()
+      .from(toolsTable)
+      .where(eq(toolsTable.mcp_server_uuid, uuid));
+    if (tools.length > 0) {
+      await tx
+        .insert(toolsTable)
+        .values(
+          tools.map(
+            ({
+              uuid: _uuid,
+              created_at: _toolCreatedAt,
+              mcp_server_uuid: _mcpServerUuid,
+              ...tool
+            }) => ({ ...tool, mcp_server_uuid: copy.uuid })
+          )
+        );
+    }
+  }
+
+  await publishConfigEvent(
+    {
+      type: ConfigEventType.SERVERS_CHANGED,
+      profileUuid: targetProfileUuid,
+    },
+    tx
+  );
+  return servers.length;
+}
+
+/**
+ * Copies custom servers, which keep running the same code file as the
+ * originals. Returns the number of servers copied.
+ */
+export async function copyCustomMcpServers(
+  tx: Transaction,
+  profileUuid: string,
+  uuids: string[],
+  targetProfileUuid: string
+): Promise<number> {
+  if (uuids.length === 0) {
+    return 0;
+  }
+
+  const servers = await tx
+    .select()
+    .from(customMcpServersTable)
+    .where(
+      and(
+        eq(customMcpServersTable.profile_uuid, profileUuid),
+        inArray(customMcpServersTable.uuid, uuids)
+      )
+    );
+  if (servers.length === 0) {
+    return 0;
+  }
+
+  const copies = await tx
+    .insert(customMcpServersTable)
+    .values(
+      servers.map(
+        ({
+          uuid: _uuid,
+          created_at: _createdAt,
+          profile_uuid: _profileUuid,
+          ...server
+        }) => ({ ...server, profile_uuid: targetProfileUuid })
+      )
+    )
+    .returning();
+
+  for (const copy of copies) {
+    await recordAuditEvent(
+      {
+        entityType: AuditEntityType.CUSTOM_MCP_SERVER,
+        action: AuditAction.CREATE,
+        after: copy,
+        profileUuid: targetProfileUuid,
+      },
+      tx
+    );
+  }
+  await publishConfigEvent(
+    {
+      type: ConfigEventType.CUSTOM_CODE_CHANGED,
+      profileUuid: targetProfileUuid,
+    },
+    tx
+  );
+  return servers.length;
+}
@@ -0,0 +1,108 @@
+/**
+ * Token Bucket Tests
+ *
+ * Tests for rate limit settings, bucket refill math and usage days.
+ */
+
+import {
+  assertValidLimit,
+  getRetryAfterSeconds,
+  getSecondsUntilNextUsageDay,
+  getUsageDay,
+  parseLimitInput,
+  parseRateLimitSetting,
+  refillTokens,
+} from '../token-bucket';
+
+describe('parseRateLimitSetting', () => {
+  it('should parse a non-negative integer', () => {
+    expect(parseRateLimitSetting('100', 600)).toBe(100);
+    expect(parseRateLimitSetting(' 0 ', 600)).toBe(0);
+  });
+
+  it('should fall back when unset or invalid', () => {
+    expect(parseRateLimitSetting(undefined, 600)).toBe(600);
+    expect(parseRateLimitSetting('', 600)).toBe(600);
+    expect(parseRateLimitSetting('-5', 600)).toBe(600);
+    expect(parseRateLimitSetting('1.5', 600)).toBe(600);
+    expect(parseRateLimitSetting('lots', 600)).toBe(600);
+  });
+});
+
+describe('refillTokens', () => {
+  it('should refill at the per-minute rate', () => {
+    expect(refillTokens(0, 30, 60)).toBe(30);
+    expect(refillTokens(10, 1, 120)).toBe(12);
+  });
+
+  it('should not exceed one minute of requests', () => {
+    expect(refillTokens(50, 3600, 60)).toBe(60);
+  });
+
+  it('should ignore negative elapsed time', () => {
+    expect(refillTokens(5, -10, 60)).toBe(5);
+  });
+});
+
+describe('getRetryAfterSeconds', () => {
+  it('should be 0 when a token is available', () => {
+    expect(getRetryAfterSeconds(1, 60)).toBe(0);
+  });
+
+  it('should wait until one whole token has refilled', () => {
+    expect(getRetryAfterSeconds(0, 60)).toBe(1);
+    expect(getRetryAfterSeconds(0, 6)).toBe(10);
+    expect(getRetryAfterSeconds(0.5, 6)).toBe(5);
+  });
+
+  it('should wait at least one second', () => {
+    expect(getRetryAfterSeconds(0.99, 6000)).toBe(1);
+  });
+});
+
+describe('assertValidLimit', () => {
+  it('should accept null, 0 and positive whole numbers', () => {
+    expect(() => assertValidLimit(null, 'Rate limit')).not.toThrow();
+    expect(() => assertValidLimit(0, 'Rate limit')).not.toThrow();
+    expect(() => assertValidLimit(100, 'Rate limit')).not.toThrow();
+  });
+
+  it('should reject negative and fractional values', () => {
+    expect(() => assertValidLimit(-1, 'Rate limit')).toThrow(
+      'Rate limit must be a whole number of 0 or more'
+    );
+    expect(() => assertValidLimit(1.5, 'Daily quota')).toThrow(
+      'Daily quota must be a whole number of 0 or more'
+    );
+    expect(() => assertValidLimit(NaN, 'Daily quota')).toThrow();
+  });
+});
+
+describe('parseLimitInput', () => {
+  it('should treat an empty field as null', () => {
+    expect(parseLimitInput('')).toBeNull();
+    expect(parseLimitInput('  ')).toBeNull();
+  });
+
+  it('should parse numbers', () => {
+    expect(parseLimitInput('0')).toBe(0);
+    expect(parseLimitInput(' 250 ')).toBe(250);
+  });
+});
+
+describe('usage days', () => {
+  it('should use the UTC date', () => {
+    expect(getUsageDay(new Date('2024-03-01T23:30:00-05:00'))).toBe(
+      '2024-03-02'
+    );
+  });
+
+  it('should count seconds until the next UTC midnight', () => {
+    expect(getSecondsUntilNextUsageDay(new Date('2024-03-01T23:59:00Z'))).toBe(
+      60
+    );
+    expect(getSecondsUntilNextUsageDay(new Date('2024-12-31T00:00:00Z'))).toBe(
+      86400
+    );
+  });
+});
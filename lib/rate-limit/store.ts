@@ -0,0 +1,150 @@
+/**
+ * Rate Limit Store
+ *
+ * Token buckets and daily usage counters in Postgres. Each check is a single
+ * upsert whose WHERE clause refuses the update when the bucket is empty or
+ * the quota is used up, so concurrent requests cannot overdraw a bucket.
+ */
+
+import { and, eq, sql } from 'drizzle-orm';
+
+import { db } from '../../db';
+import { apiKeyUsageTable, rateLimitBucketsTable } from '../../db/schema';
+import {
+  getRetryAfterSeconds,
+  getSecondsUntilNextUsageDay,
+  getUsageDay,
+  RateLimitResult,
+  refillTokens,
+} from './token-bucket';
+
+/**
+ * Takes one token from the bucket, creating it full on first use.
+ */
+export async function consumeRateLimitToken(
+  bucketKey: string,
+  limitPerMinute: number
+): Promise<RateLimitResult> {
+  if (limitPerMinute === 0) {
+    return {
+      allowed: true,
+      limit: 0,
+      remaining: Infinity,
+      retryAfterSeconds: 0,
+    };
+  }
+
+  const refilled = sql`least(${limitPerMinute}::double precision, ${rateLimitBucketsTable.tokens} + extract(epoch from (now() - ${rateLimitBucketsTable.updated_at})) * ${limitPerMinute / 60}::double precision)`;
+  const [consumed] = await db
+    .insert(rateLimitBucketsTable)
+    .values({ key: bucketKey, tokens: limitPerMinute - 1 })
+    .onConflictDoUpdate({
+      target: rateLimitBucketsTable.key,
+      set: { tokens: sql`${refilled} - 1`, updated_at: sql`now()` },
+      setWhere: sql`${refilled} >= 1`,
+    })
+    .returning({ tokens: rateLimitBucketsTable.tokens });
+
+  if (consumed) {
+    return {
+      allowed: true,
+      limit: limitPerMinute,
+      remaining: Math.floor(consumed.tokens),
+      retryAfterSeconds: 0,
+    };
+  }
+
+  // The bucket is empty; its row was left untouched, so it keeps refilling
+  // from its last update.
+  const [bucket] = await db
+    .select({
+      tokens: rateLimitBucketsTable.tokens,
+      elapsed: sql<number>`extract(epoch from (now() - ${rateLimitBucketsTable.updated_at}))::double precision`,
+    })
+    .from(rateLimitBucketsTable)
+    .where(eq(rateLimitBucketsTable.key, bucketKey));
+  const tokens = bucket
+    ? refillTokens(bucket.tokens, bucket.elapsed, limitPerMinute)
+    : 0;
+
+  return {
+    allowed: false,
+    limit: limitPerMinute,
+    remaining: 0,
+    retryAfterSeconds: getRetryAfterSeconds(tokens, limitPerMinute),
+  };
+}
+
+export async function deleteRateLimitBucket(bucketKey: string) {
+  await db
+    .delete(rateLimitBucketsTable)
+    .where(eq(rateLimitBucketsTable.key, bucketKey));
+}
+
+export type ToolCallUsage = {
+  allowed: boolean;
+  /** Tool calls counted today, including these if they were allowed. */
+  used: number;
+  quota: number | null;
+  /** Seconds until the quota resets; 0 when allowed. */
+  retryAfterSeconds: number;
+};
+
+export async function getToolCallsToday(apiKeyUuid: string): Promise<number> {
+  const [usage] = await db
+    .select({ tool_calls: apiKeyUsageTable.tool_calls })
+    .from(apiKeyUsageTable)
+    .where(
+      and(
+        eq(apiKeyUsageTable.api_key_uuid, apiKeyUuid),
+        eq(apiKeyUsageTable.day, getUsageDay())
+      )
+    );
+  return usage?.tool_calls ?? 0;
+}
+
+/**
+ * Counts reported tool calls against the key's daily quota. Calls that would
+ * exceed the quota are not counted.
+ */
+export async function recordToolCalls(
+  apiKeyUuid: string,
+  count: number,
+  quota: number | null
+): Promise<ToolCallUsage> {
+  const denied = async (): Promise<ToolCallUsage> => ({
+    allowed: false,
+    used: await getToolCallsToday(apiKeyUuid),
+    quota,
+    retryAfterSeconds: getSecondsUntilNextUsageDay(),
+  });
+
+  if (quota !== null && count > quota) {
+    return denied();
+  }
+
+  const [usage] = await db
+    .insert(apiKeyUsageTable)
+    .values({ api_key_uuid: apiKeyUuid, day: getUsageDay(), tool_calls: count })
+    .onConflictDoUpdate({
+      target: [apiKeyUsageTable.api_key_uuid, apiKeyUsageTable.day],
+      set: {
+        tool_calls: sql`${apiKeyUsageTable.tool_calls} + excluded.tool_calls`,
+      },
+      setWhere:
+        quota === null
+          ? undefined
+          : sql`${apiKeyUsageTable.tool_calls} + excluded.tool_calls <= ${quota}`,
+    })
+    .returning({ tool_calls: apiKeyUsageTable.tool_calls });
+
+  if (!usage) {
+    return denied();
+  }
+  return {
+    allowed: true,
+    used: usage.tool_calls,
+    quota,
+    retryAfterSeconds: 0,
+  };
+}
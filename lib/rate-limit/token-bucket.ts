@@ -0,0 +1,120 @@
+/**
+ * Rate Limits
+ *
+ * /api requests are limited per API key and per workspace with token
+ * buckets: a bucket holds up to one minute's worth of requests and refills
+ * continuously at the per-minute rate, so clients can burst briefly but not
+ * exceed the rate over time. A limit of 0 disables limiting.
+ */
+
+export const DEFAULT_API_KEY_RATE_LIMIT_PER_MINUTE = 600;
+export const DEFAULT_PROFILE_RATE_LIMIT_PER_MINUTE = 1200;
+
+export type RateLimitResult = {
+  allowed: boolean;
+  limit: number;
+  /** Whole requests left in the bucket. */
+  remaining: number;
+  /** Seconds until the next request is allowed; 0 when allowed. */
+  retryAfterSeconds: number;
+};
+
+/**
+ * Reads a requests-per-minute setting from the environment, falling back to
+ * the default when it is unset or not a non-negative integer.
+ */
+export function parseRateLimitSetting(
+  value: string | undefined,
+  fallback: number
+): number {
+  if (value === undefined || !/^\d+$/.test(value.trim())) {
+    return fallback;
+  }
+  return parseInt(value.trim(), 10);
+}
+
+export function getApiKeyRateLimit(override: number | null): number {
+  return (
+    override ??
+    parseRateLimitSetting(
+      process.env.API_KEY_RATE_LIMIT_PER_MINUTE,
+      DEFAULT_API_KEY_RATE_LIMIT_PER_MINUTE
+    )
+  );
+}
+
+export function getProfileRateLimit(override: number | null): number {
+  return (
+    override ??
+    parseRateLimitSetting(
+      process.env.PROFILE_RATE_LIMIT_PER_MINUTE,
+      DEFAULT_PROFILE_RATE_LIMIT_PER_MINUTE
+    )
+  );
+}
+
+/**
+ * Tokens in a bucket after `elapsedSeconds` of refilling, capped at the
+ * bucket's capacity of one minute of requests.
+ */
+export function refillTokens(
+  tokens: number,
+  elapsedSeconds: number,
+  limitPerMinute: number
+): number {
+  return Math.min(
+    limitPerMinute,
+    tokens + Math.max(elapsedSeconds, 0) * (limitPerMinute / 60)
+  );
+}
+
+/**
+ * Seconds until a bucket holding `tokens` has refilled to one whole token.
+ */
+export function getRetryAfterSeconds(
+  tokens: number,
+  limitPerMinute: number
+): number {
+  if (tokens >= 1) {
+    return 0;
+  }
+  return Math.max(1, Math.ceil(((1 - tokens) * 60) / limitPerMinute));
+}
+
+/**
+ * Validates a limit or quota entered by a user: a non-negative whole number,
+ * or null to use the default.
+ *
+ * @throws Error if the value is negative or not a whole number
+ */
+export function assertValidLimit(value: number | null, label: string) {
+  if (value !== null && (!Number.isInteger(value) || value < 0)) {
+    throw new Error(`${label} must be a whole number of 0 or more`);
+  }
+}
+
+/**
+ * Parses a limit typed into a form; an empty field means null.
+ */
+export function parseLimitInput(value: string): number | null {
+  return value.trim() === '' ? null : Number(value.trim());
+}
+
+/**
+ * The UTC day usage is counted against, as YYYY-MM-DD.
+ */
+export function getUsageDay(now: Date = new Date()): string {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Seconds until the next UTC day starts and daily quotas reset.
+ */
+export function getSecondsUntilNextUsageDay(now: Date = new Date()): number {
+  const nextDay = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1
+  );
+  return Math.max(1, Math.ceil((nextDay - now.getTime()) / 1000));
+}
@@ -0,0 +1,98 @@
+/**
+ * Server Revision Config Tests
+ *
+ * Tests for picking and comparing the config fields that revisions keep.
+ */
+
+import {
+  compareRevisionConfigs,
+  isSameRevisionConfig,
+  MCP_SERVER_REVISION_FIELDS,
+  pickRevisionConfig,
+} from '../config';
+
+const server = {
+  uuid: 'server-uuid',
+  name: 'time',
+  description: null,
+  type: 'STDIO',
+  command: 'uvx',
+  args: ['mcp-server-time'],
+  url: null,
+  env: { TZ: 'UTC', LOCALE: 'en' },
+  headers: {},
+  status: 'ACTIVE',
+  last_health_check: null,
+};
+
+describe('pickRevisionConfig', () => {
+  it('should keep only config fields', () => {
+    expect(pickRevisionConfig(server, MCP_SERVER_REVISION_FIELDS)).toEqual({
+      name: 'time',
+      description: null,
+      type: 'STDIO',
+      command: 'uvx',
+      args: ['mcp-server-time'],
+      url: null,
+      env: { TZ: 'UTC', LOCALE: 'en' },
+      headers: {},
+    });
+  });
+
+  it('should fill missing fields with null', () => {
+    expect(pickRevisionConfig({ env: {} }, ['name', 'env'])).toEqual({
+      name: null,
+      env: {},
+    });
+  });
+});
+
+describe('compareRevisionConfigs', () => {
+  const config = pickRevisionConfig(server, MCP_SERVER_REVISION_FIELDS);
+
+  it('should flag changed fields only', () => {
+    const comparisons = compareRevisionConfigs(
+      config,
+      { ...config, args: ['mcp-server-time', '--local'], env: { TZ: 'CET' } },
+      MCP_SERVER_REVISION_FIELDS
+    );
+
+    expect(
+      comparisons
+        .filter((comparison) => comparison.changed)
+        .map((comparison) => comparison.field)
+    ).toEqual(['args', 'env']);
+    expect(comparisons.find(({ field }) => field === 'env')).toEqual({
+      field: 'env',
+      revision: { TZ: 'UTC', LOCALE: 'en' },
+      current: { TZ: 'CET' },
+      changed: true,
+    });
+  });
+
+  it('should ignore the order of map entries', () => {
+    expect(
+      isSameRevisionConfig(
+        config,
+        { ...config, env: { LOCALE: 'en', TZ: 'UTC' } },
+        MCP_SERVER_REVISION_FIELDS
+      )
+    ).toBe(true);
+  });
+
+  it('should treat a missing field as null', () => {
+    expect(
+      isSameRevisionConfig({ env: {}, url: null }, { env: {} }, ['url', 'env'])
+    ).toBe(true);
+  });
+
+  it('should ignore fields outside the config', () => {
+    expect(
+      isSameRevisionConfig(
+        { ...config, status: 'ACTIVE' },
+        { ...config, status: 'INACTIVE' },
+        MCP_SERVER_REVISION_FIELDS
+      )
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Server Revision Configs
+ *
+ * Picks the fields of a server row that a revision keeps and compares them.
+ * Status, health checks and the owning workspace are not part of a server's
+ * config, so changing only those does not create a revision.
+ */
+
+export const MCP_SERVER_REVISION_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'command',
+  'args',
+  'url',
+  'env',
+  'headers',
+] as const;
+
+export const CUSTOM_MCP_SERVER_REVISION_FIELDS = [
+  'name',
+  'description',
+  'code_uuid',
+  'additionalArgs',
+  'env',
+] as const;
+
+export type RevisionConfig = {
+  env: { [key: string]: string };
+  headers?: { [key: string]: string };
+  [field: string]: unknown;
+};
+
+export type RevisionFieldComparison = {
+  field: string;
+  revision: unknown;
+  current: unknown;
+  changed: boolean;
+};
+
+export function pickRevisionConfig(
+  server: { env: { [key: string]: string } },
+  fields: readonly string[]
+): RevisionConfig {
+  const values: { [field: string]: unknown } = server;
+  return Object.fromEntries(
+    fields.map((field) => [field, values[field] ?? null])
+  ) as RevisionConfig;
+}
+
+/**
+ * Serializes a field value so that maps with the same entries in a different
+ * order compare equal.
+ */
+function canonicalValue(value: unknown): string {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return JSON.stringify(
+      Object.entries(value).sort(([a], [b]) => a.localeCompare(b))
+    );
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Lines up a revision against the current config field by field, for the
+ * side-by-side view. Both configs must hold decrypted values.
+ */
+export function compareRevisionConfigs(
+  revision: RevisionConfig,
+  current: RevisionConfig,
+  fields: readonly string[]
+): RevisionFieldComparison[] {
+  return fields.map((field) => ({
+    field,
+    revision: revision[field] ?? null,
+    current: current[field] ?? null,
+    changed: canonicalValue(revision[field]) !== canonicalValue(current[field]),
+  }));
+}
+
+export function isSameRevisionConfig(
+  a: RevisionConfig,
+  b: RevisionConfig,
+  fields: readonly string[]
+): boolean {
+  return compareRevisionConfigs(a, b, fields).every(
+    (comparison) => !comparison.changed
+  );
+}
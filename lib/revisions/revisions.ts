@@ -0,0 +1,97 @@
+/**
+ * Server Revisions
+ *
+ * Snapshots the config a server had before each update into the
+ * server_revisions table so earlier configs can be compared and restored.
+ * Updates that leave the config unchanged, such as status toggles, are not
+ * recorded. Env and header values are stored encrypted.
+ */
+
+import { db } from '../../db';
+import {
+  customMcpServersTable,
+  mcpServersTable,
+  serverRevisionsTable,
+} from '../../db/schema';
+import { getAuditActor } from '../audit/events';
+import {
+  decryptServerSecrets,
+  encryptStoredServerSecrets,
+} from '../crypto/envelope';
+import {
+  CUSTOM_MCP_SERVER_REVISION_FIELDS,
+  isSameRevisionConfig,
+  MCP_SERVER_REVISION_FIELDS,
+  pickRevisionConfig,
+  RevisionConfig,
+} from './config';
+
+type Transaction = Parameters<Parameters<typeof db.transaction>[0]>[0];
+
+type RevisionTarget =
+  | { mcp_server_uuid: string }
+  | { custom_mcp_server_uuid: string };
+
+async function recordRevision(
+  target: RevisionTarget,
+  fields: readonly string[],
+  before: { env: { [key: string]: string } },
+  after: { env: { [key: string]: string } },
+  executor: typeof db | Transaction
+) {
+  const config = pickRevisionConfig(before, fields);
+  if (
+    isSameRevisionConfig(
+      decryptServerSecrets(config),
+      decryptServerSecrets(pickRevisionConfig(after, fields)),
+      fields
+    )
+  ) {
+    return;
+  }
+
+  await executor.insert(serverRevisionsTable).values({
+    ...target,
+    config: encryptStoredServerSecrets(config),
+    created_by: getAuditActor().name,
+  });
+}
+
+/**
+ * Records the config an MCP server had before an update. Pass the transaction
+ * the update runs in so the revision is rolled back with it.
+ */
+export async function recordMcpServerRevision(
+  before: typeof mcpServersTable.$inferSelect,
+  after: typeof mcpServersTable.$inferSelect,
+  executor: typeof db | Transaction = db
+) {
+  await recordRevision(
+    { mcp_server_uuid: before.uuid },
+    MCP_SERVER_REVISION_FIELDS,
+    before,
+    after,
+    executor
+  );
+}
+
+/**
+ * Records the config a custom MCP server had before an update.
+ */
+export async function recordCustomMcpServerRevision(
+  before: typeof customMcpServersTable.$inferSelect,
+  after: typeof customMcpServersTable.$inferSelect,
+  executor: typeof db | Transaction = db
+) {
+  await recordRevision(
+    { custom_mcp_server_uuid: before.uuid },
+    CUSTOM_MCP_SERVER_REVISION_FIELDS,
+    before,
+    after,
+    executor
+  );
+}
+
+export function decryptRevisionConfig(config: { [field: string]: unknown }) {
+  return decryptServerSecrets(config as RevisionConfig);
+}
@@ -0,0 +1,103 @@
+/**
+ * Secret Reference Tests
+ *
+ * Tests for finding and resolving ${secrets.NAME} references in server
+ * configs.
+ */
+
+import {
+  findSecretReferences,
+  findServerSecretReferences,
+  isValidSecretName,
+  resolveSecretReferences,
+  resolveServerSecretReferences,
+} from '../references';
+
+const secrets = new Map([
+  ['GITHUB_TOKEN', 'ghp_123'],
+  ['BRAVE_KEY', 'brave-456'],
+]);
+
+describe('isValidSecretName', () => {
+  it('should accept env-style names', () => {
+    expect(isValidSecretName('GITHUB_TOKEN')).toBe(true);
+    expect(isValidSecretName('_private2')).toBe(true);
+  });
+
+  it('should reject names that cannot be referenced', () => {
+    expect(isValidSecretName('2FA')).toBe(false);
+    expect(isValidSecretName('my-token')).toBe(false);
+    expect(isValidSecretName('')).toBe(false);
+  });
+});
+
+describe('resolveSecretReferences', () => {
+  it('should replace every reference in a value', () => {
+    expect(
+      resolveSecretReferences(
+        'Bearer ${secrets.GITHUB_TOKEN} ${secrets.BRAVE_KEY}',
+        secrets
+      )
+    ).toBe('Bearer ghp_123 brave-456');
+  });
+
+  it('should leave references to unknown secrets as written', () => {
+    expect(resolveSecretReferences('${secrets.MISSING}', secrets)).toBe(
+      '${secrets.MISSING}'
+    );
+  });
+
+  it('should not touch other placeholders', () => {
+    expect(resolveSecretReferences('${HOME}/data', secrets)).toBe(
+      '${HOME}/data'
+    );
+  });
+});
+
+describe('resolveServerSecretReferences', () => {
+  it('should resolve env, headers and args', () => {
+    expect(
+      resolveServerSecretReferences(
+        {
+          name: 'github',
+          env: { GITHUB_PERSONAL_ACCESS_TOKEN: '${secrets.GITHUB_TOKEN}' },
+          headers: { Authorization: 'Bearer ${secrets.GITHUB_TOKEN}' },
+          args: ['--key', '${secrets.BRAVE_KEY}'],
+        },
+        secrets
+      )
+    ).toEqual({
+      name: 'github',
+      env: { GITHUB_PERSONAL_ACCESS_TOKEN: 'ghp_123' },
+      headers: { Authorization: 'Bearer ghp_123' },
+      args: ['--key', 'brave-456'],
+    });
+  });
+
+  it('should resolve additionalArgs of custom servers', () => {
+    expect(
+      resolveServerSecretReferences(
+        { env: {}, additionalArgs: ['${secrets.BRAVE_KEY}'] },
+        secrets
+      )
+    ).toEqual({ env: {}, additionalArgs: ['brave-456'] });
+  });
+});
+
+describe('findServerSecretReferences', () => {
+  it('should list each referenced name once', () => {
+    expect(
+      findServerSecretReferences({
+        env: { A: '${secrets.GITHUB_TOKEN}', B: 'plain' },
+        args: ['${secrets.GITHUB_TOKEN}', '${secrets.OTHER}'],
+      })
+    ).toEqual(['GITHUB_TOKEN', 'OTHER']);
+  });
+
+  it('should find multiple references in one value', () => {
+    expect(findSecretReferences('${secrets.A}:${secrets.B}')).toEqual([
+      'A',
+      'B',
+    ]);
+  });
+});
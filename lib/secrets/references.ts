@@ -0,0 +1,94 @@
+/**
+ * Secret References
+ *
+ * Server env values, headers and args can reference a project secret as
+ * ${secrets.NAME}. Servers keep the reference as written; it is replaced with
+ * the secret's value only when configs are served to the proxy, so rotating a
+ * secret updates every server that uses it.
+ */
+
+export const SECRET_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const SECRET_REFERENCE_PATTERN = /\$\{secrets\.([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+type StringValues = { [key: string]: string };
+
+type ServerWithSecretReferences = {
+  env: StringValues;
+  headers?: StringValues;
+  args?: string[];
+  additionalArgs?: string[];
+};
+
+export function isValidSecretName(name: string): boolean {
+  return SECRET_NAME_PATTERN.test(name);
+}
+
+export function formatSecretReference(name: string): string {
+  return `\${secrets.${name}}`;
+}
+
+export function findSecretReferences(value: string): string[] {
+  return [...value.matchAll(SECRET_REFERENCE_PATTERN)].map((match) => match[1]);
+}
+
+/**
+ * Replaces each reference with its secret's value. References to secrets that
+ * do not exist are left as written so the failure is visible in the server's
+ * own error rather than silently becoming an empty string.
+ */
+export function resolveSecretReferences(
+  value: string,
+  secrets: Map<string, string>
+): string {
+  return value.replace(
+    SECRET_REFERENCE_PATTERN,
+    (reference, name: string) => secrets.get(name) ?? reference
+  );
+}
+
+function resolveValues(values: StringValues, secrets: Map<string, string>) {
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [
+      key,
+      resolveSecretReferences(value, secrets),
+    ])
+  );
+}
+
+/**
+ * Resolves the references in a server's env, headers and args (or
+ * additionalArgs for custom servers). Values must already be decrypted.
+ */
+export function resolveServerSecretReferences<
+  T extends ServerWithSecretReferences,
+>(server: T, secrets: Map<string, string>): T {
+  return {
+    ...server,
+    env: resolveValues(server.env, secrets),
+    ...(server.headers && { headers: resolveValues(server.headers, secrets) }),
+    ...(server.args && {
+      args: server.args.map((arg) => resolveSecretReferences(arg, secrets)),
+    }),
+    ...(server.additionalArgs && {
+      additionalArgs: server.additionalArgs.map((arg) =>
+        resolveSecretReferences(arg, secrets)
+      ),
+    }),
+  };
+}
+
+/**
+ * Lists the names of the secrets a server references, without duplicates.
+ */
+export function findServerSecretReferences(
+  server: ServerWithSecretReferences
+): string[] {
+  const values = [
+    ...Object.values(server.env),
+    ...Object.values(server.headers ?? {}),
+    ...(server.args ?? []),
+    ...(server.additionalArgs ?? []),
+  ];
+  return [...new Set(values.flatMap(findSecretReferences))];
+}
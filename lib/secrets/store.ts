@@ -0,0 +1,26 @@
+/**
+ * Secret Store
+ *
+ * Loads a project's decrypted secrets for resolving server references. This
+ * lives outside the server actions so secret values are never callable from
+ * the browser; the Secrets page only ever sees names.
+ */
+
+import { eq } from 'drizzle-orm';
+
+import { db } from '../../db';
+import { secretsTable } from '../../db/schema';
+import { decryptValue } from '../crypto/envelope';
+
+export async function getProjectSecretValues(
+  projectUuid: string
+): Promise<Map<string, string>> {
+  const secrets = await db
+    .select({ name: secretsTable.name, value: secretsTable.value })
+    .from(secretsTable)
+    .where(eq(secretsTable.project_uuid, projectUuid));
+
+  return new Map(
+    secrets.map((secret) => [secret.name, decryptValue(secret.value)])
+  );
+}
@@ -8,6 +8,7 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+
 import { ResourceType } from '../resource-tracking/ResourceTracker';
 
 // Simple approximation for token counting when no specialized tokenizer is available
@@ -128,6 +129,15 @@ export class TokenCounter {
     this.tokenizers.set(tokenizer.modelName, tokenizer);
   }
   
+  /**
+   * Gets the names of the registered tokenizers.
+   * 
+   * @returns The model names, in the order the tokenizers were registered
+   */
+  getTokenizerNames(): string[] {
+    return Array.from(this.tokenizers.keys());
+  }
+  
   /**
    * Sets the default tokenizer to use when no model is specified.
    * 
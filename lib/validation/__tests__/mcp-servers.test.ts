@@ -0,0 +1,285 @@
+/**
+ * MCP Server Validation Tests
+ *
+ * Tests for the STDIO/SSE transport rules, header parsing and partial update
+ * handling.
+ */
+
+import { ZodError } from 'zod';
+
+import { McpServerStatus, McpServerType } from '../../../db/schema';
+import {
+  createCustomMcpServerSchema,
+  createMcpServerSchema,
+  formatHeaderLines,
+  normalizeMcpServerType,
+  parseHeaderLines,
+  resolveMcpServerUpdate,
+  suggestMcpServerSchema,
+} from '../mcp-servers';
+
+describe('createMcpServerSchema', () => {
+  it('should apply defaults for a minimal STDIO server', () => {
+    const server = createMcpServerSchema.parse({
+      name: 'time',
+      command: 'uvx',
+    });
+
+    expect(server).toEqual({
+      name: 'time',
+      command: 'uvx',
+      type: McpServerType.STDIO,
+      args: [],
+      env: {},
+      headers: {},
+      status: McpServerStatus.ACTIVE,
+    });
+  });
+
+  it('should require a command for STDIO servers', () => {
+    const result = createMcpServerSchema.safeParse({ name: 'time' });
+
+    expect(result.success).toBe(false);
+    expect(result.error?.issues[0].path).toEqual(['command']);
+  });
+
+  it('should reject a URL on STDIO servers', () => {
+    const result = createMcpServerSchema.safeParse({
+      name: 'time',
+      command: 'uvx',
+      url: 'http://localhost:3000/sse',
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error?.issues[0].path).toEqual(['url']);
+  });
+
+  it('should require a valid URL and no command for SSE servers', () => {
+    const result = createMcpServerSchema.safeParse({
+      name: 'remote',
+      type: McpServerType.SSE,
+      command: 'npx',
+      url: 'ftp://example.com',
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error?.issues.map((issue) => issue.path[0]).sort()).toEqual([
+      'command',
+      'url',
+    ]);
+  });
+
+  it('should accept a valid SSE server', () => {
+    const result = createMcpServerSchema.safeParse({
+      name: 'remote',
+      type: McpServerType.SSE,
+      url: 'http://localhost:3000/sse',
+    });
+
+    expect(result.success).toBe(true);
+  });
+
+  it('should apply the remote rules to Streamable HTTP servers', () => {
+    expect(
+      createMcpServerSchema.safeParse({
+        name: 'remote',
+        type: McpServerType.STREAMABLE_HTTP,
+        url: 'https://example.com/mcp',
+      }).success
+    ).toBe(true);
+
+    const result = createMcpServerSchema.safeParse({
+      name: 'remote',
+      type: McpServerType.STREAMABLE_HTTP,
+      command: 'npx',
+    });
+    expect(result.success).toBe(false);
+    expect(result.error?.issues.map((issue) => issue.path[0]).sort()).toEqual([
+      'command',
+      'url',
+    ]);
+  });
+
+  it('should accept headers on remote servers only', () => {
+    expect(
+      createMcpServerSchema.safeParse({
+        name: 'remote',
+        type: McpServerType.SSE,
+        url: 'https://example.com/sse',
+        headers: { Authorization: 'Bearer token' },
+      }).success
+    ).toBe(true);
+
+    const result = createMcpServerSchema.safeParse({
+      name: 'time',
+      command: 'uvx',
+      headers: { Authorization: 'Bearer token' },
+    });
+    expect(result.success).toBe(false);
+    expect(result.error?.issues[0].path).toEqual(['headers']);
+  });
+
+  it('should reject invalid header names', () => {
+    const result = createMcpServerSchema.safeParse({
+      name: 'remote',
+      type: McpServerType.SSE,
+      url: 'https://example.com/sse',
+      headers: { 'X Api Key': 'secret' },
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error?.issues[0].path).toEqual(['headers', 'X Api Key']);
+  });
+
+  it('should reject non-string env values', () => {
+    const result = createMcpServerSchema.safeParse({
+      name: 'time',
+      command: 'uvx',
+      env: { PORT: 3000 },
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error?.issues[0].path).toEqual(['env', 'PORT']);
+  });
+});
+
+describe('normalizeMcpServerType', () => {
+  it('should map client config transport names', () => {
+    expect(normalizeMcpServerType('stdio', {})).toBe(McpServerType.STDIO);
+    expect(normalizeMcpServerType('sse', {})).toBe(McpServerType.SSE);
+    expect(normalizeMcpServerType('streamable-http', {})).toBe(
+      McpServerType.STREAMABLE_HTTP
+    );
+    expect(normalizeMcpServerType('http', {})).toBe(
+      McpServerType.STREAMABLE_HTTP
+    );
+    expect(normalizeMcpServerType('STREAMABLE_HTTP', {})).toBe(
+      McpServerType.STREAMABLE_HTTP
+    );
+  });
+
+  it('should infer the type when none is given', () => {
+    expect(normalizeMcpServerType(undefined, { command: 'npx' })).toBe(
+      McpServerType.STDIO
+    );
+    expect(
+      normalizeMcpServerType(undefined, { url: 'https://example.com/sse' })
+    ).toBe(McpServerType.SSE);
+  });
+});
+
+describe('parseHeaderLines', () => {
+  it('should split on the first colon and skip lines without one', () => {
+    expect(
+      parseHeaderLines(
+        'Authorization: Bearer a:b\nnot a header\n X-Api-Key :secret '
+      )
+    ).toEqual({
+      Authorization: 'Bearer a:b',
+      'X-Api-Key': 'secret',
+    });
+  });
+
+  it('should round-trip with formatHeaderLines', () => {
+    const headers = { Authorization: 'Bearer token', 'X-Team': 'core' };
+
+    expect(parseHeaderLines(formatHeaderLines(headers))).toEqual(headers);
+  });
+});
+
+describe('createCustomMcpServerSchema', () => {
+  it('should require a code_uuid', () => {
+    const result = createCustomMcpServerSchema.safeParse({ name: 'custom' });
+
+    expect(result.success).toBe(false);
+    expect(result.error?.issues[0].path).toEqual(['code_uuid']);
+  });
+});
+
+describe('resolveMcpServerUpdate', () => {
+  const stdioServer = {
+    type: McpServerType.STDIO,
+    command: 'uvx',
+    url: null,
+    headers: {},
+  };
+
+  it('should pass through updates that keep the transport valid', () => {
+    expect(resolveMcpServerUpdate(stdioServer, { name: 'renamed' })).toEqual({
+      name: 'renamed',
+    });
+  });
+
+  it('should clear the command when switching to SSE', () => {
+    expect(
+      resolveMcpServerUpdate(stdioServer, {
+        type: McpServerType.SSE,
+        url: 'https://example.com/sse',
+      })
+    ).toEqual({
+      type: McpServerType.SSE,
+      url: 'https://example.com/sse',
+      command: null,
+    });
+  });
+
+  it('should clear url and headers when switching to STDIO', () => {
+    const sseServer = {
+      type: McpServerType.SSE,
+      command: null,
+      url: 'https://example.com/sse',
+      headers: { Authorization: 'Bearer token' },
+    };
+
+    expect(
+      resolveMcpServerUpdate(sseServer, {
+        type: McpServerType.STDIO,
+        command: 'uvx',
+      })
+    ).toEqual({
+      type: McpServerType.STDIO,
+      command: 'uvx',
+      url: null,
+      headers: {},
+    });
+  });
+
+  it('should throw when the merged configuration is invalid', () => {
+    expect(() =>
+      resolveMcpServerUpdate(stdioServer, { type: McpServerType.SSE })
+    ).toThrow(ZodError);
+  });
+});
+
+describe('suggestMcpServerSchema', () => {
+  it('should accept a suggestion with its reason', () => {
+    expect(
+      suggestMcpServerSchema.parse({
+        name: 'time',
+        command: 'uvx',
+        args: ['mcp-server-time'],
+        source: 'rules',
+        reason: 'Prompts often ask for the current time',
+      })
+    ).toEqual({
+      name: 'time',
+      type: McpServerType.STDIO,
+      command: 'uvx',
+      args: ['mcp-server-time'],
+      env: {},
+      headers: {},
+      source: 'rules',
+      reason: 'Prompts often ask for the current time',
+    });
+  });
+
+  it('should not let callers choose the status', () => {
+    expect(
+      suggestMcpServerSchema.parse({
+        name: 'time',
+        command: 'uvx',
+        status: McpServerStatus.ACTIVE,
+      })
+    ).not.toHaveProperty('status');
+  });
+});
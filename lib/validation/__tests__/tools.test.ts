@@ -0,0 +1,36 @@
+/**
+ * Tool Validation Tests
+ *
+ * Tests for the batches of discovered tools reported by the proxy.
+ */
+
+import { reportToolsSchema } from '../tools';
+
+const serverUuid = '6f1c1a52-7f3e-4c59-9a4e-0d6f5c2b8e11';
+const otherServerUuid = '0b7d3c8e-2a41-4f6e-8c9d-5e1f2a3b4c5d';
+const toolSchema = { type: 'object' as const };
+
+describe('reportToolsSchema', () => {
+  it('should accept the same tool name on different servers', () => {
+    const result = reportToolsSchema.safeParse({
+      tools: [
+        { mcp_server_uuid: serverUuid, name: 'search', toolSchema },
+        { mcp_server_uuid: otherServerUuid, name: 'search', toolSchema },
+      ],
+    });
+
+    expect(result.success).toBe(true);
+  });
+
+  it('should reject a tool reported twice for the same server', () => {
+    const result = reportToolsSchema.safeParse({
+      tools: [
+        { mcp_server_uuid: serverUuid, name: 'search', toolSchema },
+        { mcp_server_uuid: serverUuid, name: ' search ', toolSchema },
+      ],
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error?.issues[0].path).toEqual(['tools', 1, 'name']);
+  });
+});
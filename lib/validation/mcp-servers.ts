@@ -0,0 +1,264 @@
+/**
+ * MCP Server Validation
+ *
+ * Zod schemas for MCP server and custom MCP server payloads. The transport
+ * rules mirror the mcp_servers_url_check constraint so bad payloads are
+ * rejected with field-level messages before they reach the database.
+ */
+
+import { z } from 'zod';
+
+import { McpServerStatus, McpServerType } from '../../db/schema';
+import { McpClientFormat } from '../mcp/export';
+
+/**
+ * Same URL pattern the mcp_servers_url_check constraint enforces.
+ */
+export const MCP_SERVER_URL_PATTERN =
+  /^https?:\/\/[a-zA-Z0-9-]+(\.[a-zA-Z0-9-]+)*(:[0-9]+)?(\/[a-zA-Z0-9\-._~:/?#[\]@!$&'()*+,;=]*)?$/;
+
+/**
+ * Server types that connect to a URL instead of spawning a command.
+ */
+export const REMOTE_MCP_SERVER_TYPES = [
+  McpServerType.SSE,
+  McpServerType.STREAMABLE_HTTP,
+];
+
+export function isRemoteMcpServerType(type: McpServerType) {
+  return REMOTE_MCP_SERVER_TYPES.includes(type);
+}
+
+/**
+ * Maps the transport names used by client config files (Claude Desktop,
+ * Cursor, VS Code) onto McpServerType. Entries without a type are STDIO
+ * unless they only carry a URL, which clients treat as SSE.
+ */
+export function normalizeMcpServerType(
+  type: string | undefined,
+  config: { command?: string | null; url?: string | null }
+): McpServerType {
+  switch (type?.toLowerCase().replace(/[-_]/g, '')) {
+    case 'stdio':
+      return McpServerType.STDIO;
+    case 'sse':
+      return McpServerType.SSE;
+    case 'streamablehttp':
+    case 'http':
+      return McpServerType.STREAMABLE_HTTP;
+    default:
+      return config.url && !config.command
+        ? McpServerType.SSE
+        : McpServerType.STDIO;
+  }
+}
+
+const envSchema = z.record(
+  z.string().min(1, 'Environment variable names cannot be empty'),
+  z.string()
+);
+
+/**
+ * HTTP header names are RFC 7230 tokens.
+ */
+const HEADER_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+const headersSchema = z.record(
+  z.string().regex(HEADER_NAME_PATTERN, 'Invalid header name'),
+  z.string()
+);
+
+/**
+ * Parses the "Name: value" per-line header format used by the server forms.
+ * Lines without a colon are ignored; the value is everything after the first
+ * colon so URLs and tokens containing colons survive.
+ */
+export function parseHeaderLines(text: string): { [key: string]: string } {
+  return Object.fromEntries(
+    text
+      .split('\n')
+      .filter((line) => line.includes(':'))
+      .map((line) => {
+        const [name, ...values] = line.split(':');
+        return [name.trim(), values.join(':').trim()];
+      })
+  );
+}
+
+export function formatHeaderLines(headers: { [key: string]: string }): string {
+  return Object.entries(headers)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+}
+
+const transportFields = {
+  type: z.nativeEnum(McpServerType),
+  command: z.string().trim().min(1, 'Command cannot be empty').nullish(),
+  url: z.string().trim().nullish(),
+  headers: headersSchema.optional(),
+};
+
+type TransportConfig = {
+  type?: McpServerType;
+  command?: string | null;
+  url?: string | null;
+  headers?: { [key: string]: string };
+};
+
+/**
+ * Checks the STDIO vs remote (SSE, Streamable HTTP) field rules for a server
+ * configuration.
+ */
+function refineTransport(server: TransportConfig, ctx: z.RefinementCtx) {
+  const type = server.type ?? McpServerType.STDIO;
+
+  if (type === McpServerType.STDIO) {
+    if (!server.command) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['command'],
+        message: 'Command is required for STDIO servers',
+      });
+    }
+    if (server.url) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['url'],
+        message: 'URL must not be set for STDIO servers',
+      });
+    }
+    if (server.headers && Object.keys(server.headers).length > 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['headers'],
+        message: 'Headers must not be set for STDIO servers',
+      });
+    }
+  }
+
+  if (isRemoteMcpServerType(type)) {
+    if (!server.url) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['url'],
+        message: `URL is required for ${type} servers`,
+      });
+    } else if (!MCP_SERVER_URL_PATTERN.test(server.url)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['url'],
+        message: 'URL must be a valid HTTP/HTTPS URL',
+      });
+    }
+    if (server.command) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['command'],
+        message: `Command must not be set for ${type} servers`,
+      });
+    }
+  }
+}
+
+const mcpServerFieldsSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  description: z.string().optional(),
+  ...transportFields,
+  args: z.array(z.string()),
+  env: envSchema,
+});
+
+export const createMcpServerSchema = mcpServerFieldsSchema
+  .extend({
+    uuid: z.string().uuid().optional(),
+    type: transportFields.type.default(McpServerType.STDIO),
+    args: mcpServerFieldsSchema.shape.args.default([]),
+    env: envSchema.default({}),
+    headers: headersSchema.default({}),
+    status: z.nativeEnum(McpServerStatus).default(McpServerStatus.ACTIVE),
+  })
+  .superRefine(refineTransport);
+
+export const updateMcpServerSchema = mcpServerFieldsSchema.partial();
+
+/**
+ * Body of POST /api/mcp-servers/suggestions. Suggestions always start as
+ * SUGGESTED, so the status cannot be chosen.
+ */
+export const suggestMcpServerSchema = mcpServerFieldsSchema
+  .extend({
+    type: transportFields.type.default(McpServerType.STDIO),
+    args: mcpServerFieldsSchema.shape.args.default([]),
+    env: envSchema.default({}),
+    headers: headersSchema.default({}),
+    source: z.string().trim().max(100).optional(),
+    reason: z.string().trim().max(1000).optional(),
+  })
+  .superRefine(refineTransport);
+
+export const mcpServerTransportSchema = z
+  .object(transportFields)
+  .superRefine(refineTransport);
+
+export const serverStatusSchema = z.object({
+  status: z.nativeEnum(McpServerStatus),
+});
+
+/**
+ * Query string of GET /api/mcp-servers/export.
+ */
+export const exportMcpServersQuerySchema = z.object({
+  format: z.nativeEnum(McpClientFormat).default(McpClientFormat.CLAUDE),
+  redact: z
+    .enum(['true', 'false'])
+    .default('false')
+    .transform((value) => value === 'true'),
+});
+
+export const createCustomMcpServerSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  description: z.string().optional(),
+  code_uuid: z.string().uuid('code_uuid must be a valid UUID'),
+  additionalArgs: z.array(z.string()).default([]),
+  env: envSchema.default({}),
+});
+
+export const updateCustomMcpServerSchema = createCustomMcpServerSchema
+  .extend({
+    additionalArgs: z.array(z.string()),
+    env: envSchema,
+  })
+  .partial();
+
+export type CreateMcpServerInput = z.infer<typeof createMcpServerSchema>;
+export type UpdateMcpServerInput = z.infer<typeof updateMcpServerSchema>;
+
+/**
+ * Applies a partial update on top of an existing server and validates the
+ * resulting transport configuration. When the type changes between STDIO and
+ * a remote transport, the field that belongs to the old transport is cleared
+ * unless the update sets it.
+ *
+ * @throws ZodError if the merged configuration breaks the transport rules
+ */
+export function resolveMcpServerUpdate(
+  existing: Required<TransportConfig>,
+  update: UpdateMcpServerInput
+): UpdateMcpServerInput {
+  const resolved = { ...update };
+
+  if (update.type && update.type !== existing.type) {
+    if (update.type === McpServerType.STDIO && update.url === undefined) {
+      resolved.url = null;
+    }
+    if (update.type === McpServerType.STDIO && update.headers === undefined) {
+      resolved.headers = {};
+    }
+    if (isRemoteMcpServerType(update.type) && update.command === undefined) {
+      resolved.command = null;
+    }
+  }
+
+  mcpServerTransportSchema.parse({ ...existing, ...resolved });
+  return resolved;
+}
@@ -0,0 +1,53 @@
+/**
+ * Tool Validation
+ *
+ * Zod schemas for tools reported by the MetaMCP proxy after it lists the
+ * tools of a connected MCP server.
+ */
+
+import { z } from 'zod';
+
+export const toolInputSchema = z
+  .object({
+    type: z.literal('object'),
+    properties: z.record(z.any()).optional(),
+    required: z.array(z.string()).optional(),
+  })
+  .passthrough();
+
+export const discoveredToolSchema = z.object({
+  mcp_server_uuid: z.string().uuid('mcp_server_uuid must be a valid UUID'),
+  name: z.string().trim().min(1, 'Tool name is required'),
+  description: z.string().nullish(),
+  toolSchema: toolInputSchema,
+});
+
+/**
+ * A tool may only be reported once per server in a batch, since the batch is
+ * upserted in a single statement.
+ */
+export const reportToolsSchema = z.object({
+  tools: z.array(discoveredToolSchema).superRefine((tools, ctx) => {
+    const seen = new Set<string>();
+    tools.forEach((tool, index) => {
+      const key = `${tool.mcp_server_uuid}/${tool.name}`;
+      if (seen.has(key)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [index, 'name'],
+          message: `Tool ${tool.name} is reported more than once for this server`,
+        });
+      }
+      seen.add(key);
+    });
+  }),
+});
+
+/**
+ * Body of POST /api/tools/calls, sent by the proxy as it forwards tool calls.
+ */
+export const reportToolCallsSchema = z.object({
+  count: z.number().int().min(1).max(10000).default(1),
+});
+
+export type DiscoveredTool = z.infer<typeof discoveredToolSchema>;
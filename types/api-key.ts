@@ -0,0 +1,29 @@
+import { ApiKeyScope } from '@/db/schema';
+
+export interface ApiKey {
+  uuid: string;
+  project_uuid: string;
+  key_prefix: string;
+  name: string | null;
+  profile_uuid: string | null;
+  scopes: ApiKeyScope[];
+  expires_at: Date | null;
+  last_used_at: Date | null;
+  last_used_ip: string | null;
+  /** Requests per minute; null uses the default and 0 means unlimited. */
+  rate_limit_per_minute: number | null;
+  /** Tool calls per UTC day; null means no quota. */
+  daily_tool_call_quota: number | null;
+  /** Tool calls reported today, UTC. */
+  tool_calls_today: number;
+  created_at: Date;
+}
+
+/**
+ * Returned once when a key is created or rotated; the plaintext key is not
+ * stored and cannot be retrieved again.
+ */
+export interface CreatedApiKey {
+  apiKey: ApiKey;
+  key: string;
+}
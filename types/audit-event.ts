@@ -0,0 +1,26 @@
+import { AuditAction, AuditActorType, AuditEntityType } from '@/db/schema';
+
+export interface AuditEvent {
+  uuid: string;
+  project_uuid: string | null;
+  profile_uuid: string | null;
+  actor_type: AuditActorType;
+  actor_uuid: string | null;
+  actor_name: string;
+  entity_type: AuditEntityType;
+  entity_uuid: string | null;
+  entity_name: string | null;
+  action: AuditAction;
+  before: { [key: string]: unknown } | null;
+  after: { [key: string]: unknown } | null;
+  created_at: Date;
+}
+
+export interface AuditEventFilters {
+  entityType?: AuditEntityType;
+  actorType?: AuditActorType;
+  action?: AuditAction;
+  /** Matches entity and actor names. */
+  search?: string;
+  page?: number;
+}
@@ -0,0 +1,24 @@
+import {
+  McpServerHealthCheck,
+  McpServerStatus,
+  McpServerType,
+} from '@/db/schema';
+
+export interface McpServer {
+  uuid: string;
+  name: string;
+  description: string | null;
+  type: McpServerType;
+  command: string | null;
+  args: string[];
+  env: { [key: string]: string };
+  url: string | null;
+  headers: { [key: string]: string };
+  created_at: Date;
+  profile_uuid: string;
+  status: McpServerStatus;
+  last_health_check: McpServerHealthCheck | null;
+  suggestion_source: string | null;
+  suggestion_reason: string | null;
+  suggestion_fingerprint: string | null;
+}
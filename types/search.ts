@@ -0,0 +1,28 @@
+import { CatalogInstallRecipe } from '@/db/schema';
+
+export interface SearchIndexEntry {
+  name: string;
+  description: string;
+  category: string;
+  githubUrl: string | null;
+  package_name: string | null;
+  command: string;
+  args: string[];
+  /** Names of the env variables the server needs. */
+  envs: string[];
+  recipe: CatalogInstallRecipe;
+  github_stars: number | null;
+  package_registry: string | null;
+  package_download_count: number | null;
+}
+
+/** Catalog entries by key. */
+export type SearchIndex = { [key: string]: SearchIndexEntry };
+
+export interface PaginatedSearchResult {
+  results: SearchIndex;
+  total: number;
+  offset: number;
+  pageSize: number;
+  hasMore: boolean;
+}
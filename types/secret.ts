@@ -0,0 +1,15 @@
+export interface Secret {
+  uuid: string;
+  project_uuid: string;
+  name: string;
+  created_at: Date;
+  updated_at: Date;
+  /** Servers in the project whose env, headers or args reference it. */
+  server_count: number;
+}
+
+export interface ProjectSecrets {
+  secrets: Secret[];
+  /** Names that servers reference but that are not defined in the project. */
+  undefinedReferences: string[];
+}
@@ -0,0 +1,8 @@
+export interface ServerRevision {
+  uuid: string;
+  /** The server's config before the update, with env and headers decrypted. */
+  config: { [field: string]: unknown };
+  /** Who made the update: "GUI" or the name of the API key. */
+  created_by: string;
+  created_at: Date;
+}
@@ -0,0 +1,19 @@
+import { ToggleStatus } from '@/db/schema';
+
+export interface Tool {
+  uuid: string;
+  name: string;
+  description: string | null;
+  toolSchema: {
+    type: 'object';
+    properties?: Record<string, any>;
+    required?: string[];
+  };
+  created_at: Date;
+  mcp_server_uuid: string;
+  status: ToggleStatus;
+  name_override: string | null;
+  description_override: string | null;
+  parameter_description_overrides: { [parameter: string]: string };
+  pinned: boolean;
+}